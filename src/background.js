@@ -77,6 +77,26 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
             });
         }
 
+        if (message.type === 'runBackupNow') {
+            try {
+                const result = await runBackup(ytStorage, { force: true, reason: 'manual' });
+                sendResponse({ result });
+            } catch (error) {
+                sendResponse({ error: error && error.message ? error.message : String(error) });
+            }
+            return;
+        }
+
+        if (message.type === 'runCleanupNow') {
+            try {
+                const result = await runMaintenance();
+                sendResponse({ result });
+            } catch (error) {
+                sendResponse({ error: error && error.message ? error.message : String(error) });
+            }
+            return;
+        }
+
         if (message.type === 'getLatestUpdate') {
             const lastUpdate = await stateManager.get('lastVideoUpdate');
             sendResponse({ lastUpdate: lastUpdate });
@@ -98,8 +118,8 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
                 return;
             }
 
-            // For importRecords, ensure IndexedDB is available
-            if (method === 'importRecords') {
+            // For imports, ensure IndexedDB is available
+            if (['importRecords', 'beginImport', 'importRecordsBatch', 'previewImport'].includes(method)) {
                 if (typeof ytIndexedDBStorage === 'undefined') {
                     console.error('[Background] ytIndexedDBStorage not available for import');
                     sendResponse({ error: 'IndexedDB storage not available. Please reload the extension.' });
@@ -107,8 +127,16 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
                 }
             }
 
-            // Call the method on ytStorage instance
-            Promise.resolve(ytStorage[method](...args))
+            // Viewing sessions remember the tab they were watched in
+            const callArgs = method === 'recordSession' && sender.tab && args[0]
+                ? [{ ...args[0], tabId: sender.tab.id }]
+                : args;
+
+            // Run the call in the caller's profile, even when the active profile
+            // changes while it is in flight
+            const target = ytStorage.forProfile(message.profileId);
+            Promise.resolve()
+                .then(() => target[method](...callArgs))
                 .then(result => {
                     sendResponse({ result: result });
                 })
@@ -126,8 +154,10 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
 });
 
 // Listen for storage changes
-chrome.storage.onChanged.addListener((changes, area) => {
+chrome.storage.onChanged.addListener((rawChanges, area) => {
     if (area === 'local') {
+        // Only the active profile's records matter to open popups
+        const changes = ytStorage.scopeStorageChanges(rawChanges);
         // Check if any video records were changed
         const videoChanges = Object.entries(changes).filter(([key]) => key.startsWith('video_'));
         if (videoChanges.length > 0) {
@@ -150,3 +180,385 @@ chrome.windows.onRemoved.addListener(async (windowId) => {
     }
 });
 
+// --- Scheduled backups -----------------------------------------------------
+// An hourly alarm checks whether a backup is due in each profile; this survives
+// browser restarts and interval changes without re-creating alarms on every
+// settings save. Every profile keeps its own backup settings and state.
+const BACKUP_ALARM = 'ytlhBackupCheck';
+const BACKUP_CHECK_MINUTES = 60;
+const BACKUP_FOLDER = 'YouTubeLocalHistory';
+// A paused download, or one waiting for the user, would otherwise keep the backup running
+const BACKUP_DOWNLOAD_TIMEOUT_MS = 5 * 60 * 1000;
+
+async function scheduleBackupAlarm() {
+    if (!chrome.alarms || typeof ytStorage === 'undefined') return;
+    const { profiles } = await ytStorage.getProfiles();
+    let backupEnabled = false;
+    for (const profile of profiles) {
+        if ((await ytStorage.forProfile(profile.id).getBackupSettings()).backupEnabled) {
+            backupEnabled = true;
+            break;
+        }
+    }
+    if (backupEnabled) {
+        const existing = await chrome.alarms.get(BACKUP_ALARM);
+        if (!existing) {
+            chrome.alarms.create(BACKUP_ALARM, { delayInMinutes: 1, periodInMinutes: BACKUP_CHECK_MINUTES });
+        }
+    } else {
+        await chrome.alarms.clear(BACKUP_ALARM);
+    }
+}
+
+// Back up every profile that is due; a failure in one does not stop the others
+async function runScheduledBackups() {
+    const { profiles } = await ytStorage.getProfiles();
+    for (const profile of profiles) {
+        try {
+            await runBackup(ytStorage.forProfile(profile.id));
+        } catch (_) {
+            // Logged and recorded in the profile's backupState by runBackup()
+        }
+    }
+}
+
+/**
+ * Take a snapshot of one profile and store it in the profile's configured target.
+ * @param {SimpleStorage} profileStorage - ytStorage or ytStorage.forProfile(id)
+ * @param {Object} [options]
+ * @param {boolean} [options.force=false] - Ignore the interval (manual "Back up now")
+ * @param {string} [options.reason='scheduled']
+ * @returns {Promise<Object|null>} { id, target, counts } or null when no backup was due
+ */
+async function runBackup(profileStorage, { force = false, reason = 'scheduled' } = {}) {
+    const profileId = profileStorage.getActiveProfileId();
+    const settings = await profileStorage.getBackupSettings();
+    const state = await profileStorage.getBackupState();
+    const intervalMs = settings.backupIntervalHours * 60 * 60 * 1000;
+
+    if (!force && (!settings.backupEnabled || Date.now() - state.lastBackupAt < intervalMs)) {
+        return null;
+    }
+
+    try {
+        const snapshot = await profileStorage.createBackupSnapshot(reason);
+        if (settings.backupTarget === 'downloads') {
+            const downloadId = await saveBackupToDownloads(snapshot, profileId);
+            state.downloads = [{ downloadId, createdAt: snapshot.createdAt }, ...(state.downloads || [])];
+            state.downloads = await rotateDownloadedBackups(state.downloads, settings.backupRetention);
+        } else {
+            await profileStorage.saveBackup(snapshot, settings.backupRetention);
+        }
+
+        state.lastBackupAt = snapshot.createdAt;
+        state.lastError = null;
+        await profileStorage.setBackupState(state);
+        console.log(`[Background] Backup ${snapshot.id} of profile ${profileId} saved to ${settings.backupTarget}`, snapshot.counts);
+        return { id: snapshot.id, target: settings.backupTarget, counts: snapshot.counts };
+    } catch (error) {
+        console.error(`[Background] Backup of profile ${profileId} failed:`, error);
+        state.lastError = error && error.message ? error.message : String(error);
+        await profileStorage.setBackupState(state);
+        throw error;
+    }
+}
+
+// Same layout as the popup's JSON export, so the file can be re-imported
+function buildBackupFile(snapshot) {
+    const { history, playlists, settings, stats } = snapshot.data;
+    return JSON.stringify({
+        history,
+        playlists,
+        settings,
+        stats,
+        _metadata: {
+            exportDate: new Date(snapshot.createdAt).toISOString(),
+            extensionVersion: snapshot.extensionVersion,
+            totalVideos: snapshot.counts.videos,
+            totalPlaylists: snapshot.counts.playlists,
+            exportFormat: 'json',
+            dataVersion: '1.1',
+            backupReason: snapshot.reason
+        }
+    });
+}
+
+async function saveBackupToDownloads(snapshot, profileId) {
+    if (!chrome.downloads || !chrome.downloads.download) {
+        throw new Error('Downloads permission not granted');
+    }
+
+    const json = buildBackupFile(snapshot);
+    // Chrome service workers have no URL.createObjectURL; fall back to a data: URL
+    let url;
+    let objectUrl = null;
+    if (typeof URL !== 'undefined' && typeof URL.createObjectURL === 'function') {
+        objectUrl = URL.createObjectURL(new Blob([json], { type: 'application/json' }));
+        url = objectUrl;
+    } else {
+        url = 'data:application/json;charset=utf-8,' + encodeURIComponent(json);
+    }
+
+    const stamp = new Date(snapshot.createdAt).toISOString().replace(/[:]/g, '-').replace(/\..+$/, '');
+    try {
+        const downloadId = await chrome.downloads.download({
+            url,
+            filename: `${BACKUP_FOLDER}/${backupFileName(profileId, stamp)}`,
+            saveAs: false,
+            conflictAction: 'uniquify'
+        });
+        // A data: URL too large for Chrome still gets a download id; the
+        // download is only interrupted afterwards
+        await waitForDownload(downloadId);
+        return downloadId;
+    } finally {
+        if (objectUrl) {
+            // Give the download a moment to start reading the blob
+            setTimeout(() => URL.revokeObjectURL(objectUrl), 60 * 1000);
+        }
+    }
+}
+
+// Files of the default profile keep the name they had before profiles existed
+function backupFileName(profileId, stamp) {
+    const profilePart = profileId && profileId !== 'default' ? `-${profileId}` : '';
+    return `youtube-history-backup${profilePart}-${stamp}.json`;
+}
+
+// Resolve once the download is complete; reject when it was interrupted or
+// has not finished within BACKUP_DOWNLOAD_TIMEOUT_MS
+function waitForDownload(downloadId) {
+    return new Promise((resolve, reject) => {
+        const stop = () => {
+            clearTimeout(timer);
+            chrome.downloads.onChanged.removeListener(onChanged);
+        };
+        const settle = (state, error) => {
+            if (state === 'complete') {
+                stop();
+                resolve();
+            } else if (state === 'interrupted') {
+                stop();
+                reject(new Error(`Download interrupted (${error || 'unknown reason'})`));
+            }
+        };
+        const timer = setTimeout(() => {
+            stop();
+            // A file that finishes later would never be rotated out
+            Promise.resolve(chrome.downloads.cancel(downloadId)).catch(() => {});
+            reject(new Error(`Download did not finish within ${BACKUP_DOWNLOAD_TIMEOUT_MS / 60000} minutes`));
+        }, BACKUP_DOWNLOAD_TIMEOUT_MS);
+        const onChanged = (delta) => {
+            if (delta.id === downloadId && delta.state) {
+                settle(delta.state.current, delta.error && delta.error.current);
+            }
+        };
+        chrome.downloads.onChanged.addListener(onChanged);
+        // The download may have finished before the listener was added
+        chrome.downloads.search({ id: downloadId }).then(([item]) => {
+            if (item) settle(item.state, item.error);
+        }, (error) => {
+            stop();
+            reject(error);
+        });
+    });
+}
+
+// Delete backup files beyond the retention count; files the user already moved are skipped
+async function rotateDownloadedBackups(downloads, retention) {
+    const keep = downloads.slice(0, retention);
+    for (const old of downloads.slice(retention)) {
+        try {
+            await chrome.downloads.removeFile(old.downloadId);
+        } catch (error) {
+            console.warn('[Background] Could not remove old backup file:', error && error.message);
+        }
+        try {
+            await chrome.downloads.erase({ id: old.downloadId });
+        } catch (_) {
+            // Already gone from the downloads list
+        }
+    }
+    return keep;
+}
+
+// --- Maintenance -------------------------------------------------------------
+// Daily cleanup, run here rather than in content scripts so that open YouTube
+// tabs never load the whole history or race each other deleting it: purges
+// tombstones and trash past their retention window, videos that a tracking
+// rule marked to expire and videos the retention policies no longer keep,
+// then compacts the stats. Each run leaves a report for the Settings tab.
+const MAINTENANCE_ALARM = 'ytlhMaintenance';
+const MAINTENANCE_PERIOD_MINUTES = 24 * 60;
+
+async function scheduleMaintenanceAlarm() {
+    if (!chrome.alarms) return;
+    const existing = await chrome.alarms.get(MAINTENANCE_ALARM);
+    if (!existing) {
+        chrome.alarms.create(MAINTENANCE_ALARM, { delayInMinutes: 5, periodInMinutes: MAINTENANCE_PERIOD_MINUTES });
+    }
+}
+
+/**
+ * Clean up every profile, each under its own policies and with its own report.
+ * @returns {Promise<Object|null>} the active profile's cleanup report (see ytStorage.getCleanupReport)
+ */
+async function runMaintenance() {
+    if (typeof ytStorage === 'undefined') return null;
+    const { profiles, activeProfileId } = await ytStorage.getProfiles();
+    let activeReport = null;
+    for (const profile of profiles) {
+        const report = await runProfileMaintenance(ytStorage.forProfile(profile.id), profile.id);
+        if (profile.id === activeProfileId) {
+            activeReport = report;
+        }
+    }
+
+    if (activeReport && activeReport.error) {
+        throw new Error(activeReport.error);
+    }
+    return activeReport;
+}
+
+async function runProfileMaintenance(profileStorage, profileId) {
+    const startedAt = Date.now();
+    const report = {
+        ranAt: startedAt,
+        durationMs: 0,
+        expired: 0,
+        retention: { removed: 0, byPolicy: {} },
+        tombstones: 0,
+        trash: 0,
+        statsDaysDropped: 0,
+        error: null
+    };
+
+    try {
+        const cleaned = await profileStorage.cleanupTombstones();
+        report.tombstones = cleaned.tombstones;
+        report.trash = cleaned.trash;
+        report.expired = await profileStorage.purgeExpiredVideos();
+        report.retention = await profileStorage.applyRetentionPolicies();
+        report.statsDaysDropped = await profileStorage.compactStats();
+    } catch (error) {
+        report.error = error && error.message ? error.message : String(error);
+    }
+    report.durationMs = Date.now() - startedAt;
+    await profileStorage.setCleanupReport(report);
+
+    if (report.error) {
+        console.error(`[Background] Maintenance failed for profile ${profileId}:`, report.error);
+    } else {
+        console.log(`[Background] Maintenance finished for profile ${profileId}`, report);
+    }
+    return report;
+}
+
+// --- Tracking pause ----------------------------------------------------------
+// The pause itself lives in storage (content scripts check it before saving);
+// here we keep the badge in sync, end timed pauses and handle the shortcut.
+const PAUSE_END_ALARM = 'ytlhTrackingPauseEnd';
+const PAUSE_BADGE_TEXT = '||';
+const PAUSE_BADGE_COLOR = '#ea4335';
+const actionApi = chrome.action || chrome.browserAction;
+
+function setPauseBadge(paused, tabId) {
+    if (!actionApi || !actionApi.setBadgeText) return;
+    const details = tabId === undefined ? {} : { tabId };
+    actionApi.setBadgeText({ ...details, text: paused ? PAUSE_BADGE_TEXT : '' });
+    if (paused) {
+        actionApi.setBadgeBackgroundColor({ ...details, color: PAUSE_BADGE_COLOR });
+    }
+    const title = paused
+        ? (chrome.i18n.getMessage('badge_tracking_paused') || 'YouTube History (tracking paused)')
+        : (chrome.i18n.getMessage('badge_tracking_active') || 'YouTube History');
+    actionApi.setTitle({ ...details, title });
+}
+
+async function applyTrackingPause(pause) {
+    setPauseBadge(pause.paused);
+    if (!chrome.alarms) return;
+    await chrome.alarms.clear(PAUSE_END_ALARM);
+    if (pause.paused && pause.until) {
+        chrome.alarms.create(PAUSE_END_ALARM, { when: pause.until });
+    }
+}
+
+async function refreshTrackingPause() {
+    if (typeof ytStorage === 'undefined') return;
+    await applyTrackingPause(await ytStorage.getTrackingPause());
+}
+
+async function toggleTrackingPause() {
+    const pause = await ytStorage.getTrackingPause();
+    if (pause.paused) {
+        await ytStorage.resumeTracking();
+    } else {
+        const settings = await ytStorage.getSettings() || {};
+        await ytStorage.pauseTracking(settings.pauseDurationMinutes || 0);
+    }
+}
+
+if (typeof ytStorage !== 'undefined') {
+    ytStorage.onTrackingPauseChanged(pause => {
+        applyTrackingPause(pause).catch(error => console.warn('[Background] Could not update pause state:', error));
+    });
+}
+
+if (chrome.commands && chrome.commands.onCommand) {
+    chrome.commands.onCommand.addListener((command) => {
+        if (command === 'toggle-tracking-pause') {
+            toggleTrackingPause().catch(error => console.warn('[Background] Could not toggle tracking pause:', error));
+        }
+    });
+}
+
+// Incognito tabs show the paused badge when tracking is off there
+chrome.tabs.onUpdated.addListener(async (tabId, changeInfo, tab) => {
+    if (!tab.incognito || changeInfo.status !== 'loading') return;
+    try {
+        const settings = await ytStorage.getSettings() || {};
+        if (settings.pauseInIncognito) {
+            setPauseBadge(true, tabId);
+        }
+    } catch (error) {
+        console.warn('[Background] Could not update incognito badge:', error);
+    }
+});
+
+if (chrome.alarms) {
+    chrome.alarms.onAlarm.addListener((alarm) => {
+        if (alarm.name === BACKUP_ALARM) {
+            runScheduledBackups().catch(error => console.warn('[Background] Scheduled backups failed:', error));
+        } else if (alarm.name === MAINTENANCE_ALARM) {
+            runMaintenance().catch(error => console.warn('[Background] Maintenance failed:', error));
+        } else if (alarm.name === PAUSE_END_ALARM) {
+            ytStorage.resumeTracking().catch(error => console.warn('[Background] Could not end tracking pause:', error));
+        }
+    });
+}
+
+function scheduleAlarms() {
+    scheduleBackupAlarm().catch(error => console.warn('[Background] Could not schedule backups:', error));
+    scheduleMaintenanceAlarm().catch(error => console.warn('[Background] Could not schedule maintenance:', error));
+    refreshTrackingPause().catch(error => console.warn('[Background] Could not restore pause state:', error));
+}
+
+chrome.runtime.onInstalled.addListener(scheduleAlarms);
+if (chrome.runtime.onStartup) {
+    chrome.runtime.onStartup.addListener(scheduleAlarms);
+}
+
+// Re-check the schedule whenever settings are saved
+chrome.storage.onChanged.addListener((changes, area) => {
+    if (area === 'local' && ytStorage.changedProfileKeys(changes).includes('settings')) {
+        scheduleBackupAlarm().catch(error => console.warn('[Background] Could not schedule backups:', error));
+    }
+});
+
+// Each profile has its own backup settings
+if (typeof ytStorage !== 'undefined') {
+    ytStorage.onProfileChanged(() => {
+        scheduleBackupAlarm().catch(error => console.warn('[Background] Could not schedule backups:', error));
+    });
+}
@@ -80,13 +80,14 @@
     const SAVE_INTERVAL = 5000; // Save every 5 seconds
 
     const DEFAULT_SETTINGS = {
-        autoCleanPeriod: 90, // days
         paginationCount: 10,
         overlayTitle: 'viewed',
         overlayColor: 'blue',
         overlayLabelSize: 'medium',
         debug: false, // Add debug setting
         pauseHistoryInPlaylists: false,
+        pauseInIncognito: false,
+        pauseDurationMinutes: 0,
         version: EXTENSION_VERSION // Add version to settings
     };
     const OVERLAY_COLORS = {
@@ -226,6 +227,7 @@
             clearInterval(saveIntervalId);
             saveIntervalId = null;
         }
+        endViewingSession();
         if (urlCheckIntervalId) {
             clearInterval(urlCheckIntervalId);
             urlCheckIntervalId = null;
@@ -351,7 +353,14 @@
                 z-index: 9999 !important;
                 pointer-events: none !important;
             }
-            .ytvht-remove-button {
+            .ytvht-progress-segment {
+                position: absolute !important;
+                top: 0 !important;
+                bottom: 0 !important;
+                background-color: #4285f4 !important;
+            }
+            .ytvht-remove-button,
+            .ytvht-mark-button {
                 position: absolute !important;
                 bottom: 10px !important;
                 right: 10px !important;
@@ -373,15 +382,27 @@
                 user-select: none !important;
             }
             ytd-thumbnail:hover .ytvht-remove-button,
+            ytd-thumbnail:hover .ytvht-mark-button,
             a#thumbnail:hover .ytvht-remove-button,
+            a#thumbnail:hover .ytvht-mark-button,
             ytd-playlist-video-renderer:hover .ytvht-remove-button,
+            ytd-playlist-video-renderer:hover .ytvht-mark-button,
             ytd-playlist-panel-video-renderer:hover .ytvht-remove-button,
+            ytd-playlist-panel-video-renderer:hover .ytvht-mark-button,
             yt-lockup-view-model:hover .ytvht-remove-button,
+            yt-lockup-view-model:hover .ytvht-mark-button,
             ytd-video-renderer:hover .ytvht-remove-button,
+            ytd-video-renderer:hover .ytvht-mark-button,
             ytd-rich-item-renderer:hover .ytvht-remove-button,
-            ytd-grid-video-renderer:hover .ytvht-remove-button {
+            ytd-rich-item-renderer:hover .ytvht-mark-button,
+            ytd-grid-video-renderer:hover .ytvht-remove-button,
+            ytd-grid-video-renderer:hover .ytvht-mark-button {
                 opacity: 0.95 !important;
             }
+            .ytvht-mark-button {
+                right: 42px !important;
+                font-size: 15px !important;
+            }
             .ytvht-info {
                 position: absolute !important;
                 top: -120px !important;
@@ -462,6 +483,20 @@
                 display: inline-flex !important;
                 margin-left: 8px !important;
             }
+            .ytvht-channel-rule {
+                background: #4285f4 !important;
+                color: #fff !important;
+                border: none !important;
+                border-radius: 14px !important;
+                font-size: 12px !important;
+                padding: 5px 8px !important;
+                cursor: pointer !important;
+                opacity: 0.9 !important;
+            }
+            .ytvht-channel-rule option {
+                background: #fff !important;
+                color: #000 !important;
+            }
         `;
         document.head.appendChild(style);
     }
@@ -485,10 +520,18 @@
                 height: ${size.bar}px !important;
                 background-color: ${color} !important;
             }
-            .ytvht-remove-button {
+            .ytvht-progress-bar.ytvht-segmented {
+                background-color: rgba(255, 255, 255, 0.3) !important;
+            }
+            .ytvht-progress-segment {
+                background-color: ${color} !important;
+            }
+            .ytvht-remove-button,
+            .ytvht-mark-button {
                 background: ${color} !important;
             }
-            .ytvht-ignore-toggle {
+            .ytvht-ignore-toggle,
+            .ytvht-channel-rule {
                 background: ${color} !important;
             }
         `;
@@ -774,11 +817,102 @@
         return playlistInfo;
     }
 
+    // Channel name and channelId from the owner link under a regular video
+    function getWatchChannel() {
+        let channelName = 'Unknown Channel';
+        let channelId = '';
+        const channelLink = document.querySelector('ytd-video-owner-renderer ytd-channel-name a');
+        if (channelLink) {
+            channelName = channelLink.textContent.trim();
+            // Extract the href, which is either /@handle or /channel/UCxxxx
+            const href = channelLink.getAttribute('href') || '';
+            if (href.startsWith('/@')) {
+                channelId = href.slice(1); // '@handle'
+            } else if (href.startsWith('/channel/')) {
+                channelId = href.replace('/channel/', ''); // 'UCxxxx...'
+            }
+        }
+        return { channelName, channelId };
+    }
+
+    // Channel name and channelId for Shorts
+    function getShortsChannel() {
+        let channelName = 'Unknown';
+        let channelId = 'Unknown';
+        const channelLink = document.querySelector('ytd-channel-name a, #owner-name a');
+        if (channelLink) {
+            channelName = channelLink.textContent?.trim() || 'Unknown';
+            const href = channelLink.getAttribute('href') || '';
+            const match = href.match(/\/channel\/([a-zA-Z0-9_-]+)/) || href.match(/\/@([a-zA-Z0-9_\.-]+)/);
+            if (match) {
+                channelId = match[1];
+            } else {
+                channelId = href;
+            }
+        }
+        return { channelName, channelId };
+    }
+
+    // Rule mode ('ignore', 'track', 'noOverlay') for a channel, or null.
+    // Pass every ID the page shows for the channel ("@handle" and UC ID).
+    function getChannelRuleMode(...channelIds) {
+        const rules = currentSettings?.channelRules;
+        if (!rules || typeof ytStorage.matchChannelRule !== 'function') return null;
+        for (const channelId of channelIds) {
+            const rule = channelId && ytStorage.matchChannelRule(rules, channelId);
+            if (rule) return rule.mode || null;
+        }
+        return null;
+    }
+
+    // "/@handle/videos" or "/channel/UC…" -> "@handle" / "UC…", else ''
+    function channelIdFromHref(href) {
+        const match = String(href || '').match(/^(?:https?:\/\/[^/]+)?\/(?:(@[^/?#]+)|channel\/(UC[\w-]+))/);
+        return match ? decodeURIComponent(match[1] || match[2]) : '';
+    }
+
+    // Keyword/regex rules from Settings; false when the record must not be saved
+    function applyTrackingRules(record, channelRule) {
+        const rules = currentSettings?.trackingRules;
+        if (!rules || !rules.length || typeof ytStorage.evaluateTrackingRules !== 'function') return true;
+        const result = ytStorage.evaluateTrackingRules(record, rules);
+        // "Always record this channel" is more specific than a keyword rule
+        if (result.skip && channelRule !== 'track') {
+            log('Tracking rule: skip recording.', { videoId: record.videoId, rules: result.matched.map(rule => rule.pattern) });
+            return false;
+        }
+        if (result.expiresAt) {
+            record.expiresAt = result.expiresAt;
+        }
+        if (result.tags.length) {
+            record.tags = result.tags;
+        }
+        return true;
+    }
+
+    // Global pause (popup button / keyboard shortcut), or incognito when set to pause there
+    async function isTrackingPaused() {
+        if (currentSettings?.pauseInIncognito && chrome.extension?.inIncognitoContext) {
+            return true;
+        }
+        try {
+            const pause = await ytStorage.getTrackingPause();
+            return pause.paused;
+        } catch (error) {
+            return false;
+        }
+    }
+
     // Save playlist info (merge with existing to preserve flags)
     async function savePlaylistInfo(playlistInfo = null) {
         const info = playlistInfo || getPlaylistInfo();
         if (!info) return;
 
+        if (await isTrackingPaused()) {
+            log('Tracking paused; skipping playlist save.');
+            return;
+        }
+
         log('Saving playlist info:', info);
 
         try {
@@ -901,6 +1035,64 @@
         }
     }
 
+    // Signed-in account from the page's ytcfg data; undefined until detected
+    let detectedAccount;
+
+    /**
+     * Identify the YouTube account (or brand channel) this page is signed in with.
+     * ytcfg lives in the page's JS world, so read it from the inline scripts instead.
+     * DATASYNC_ID is "<brand channel id>||<Google account id>"; the first part is
+     * empty unless a brand channel is selected.
+     * @returns {Object|null} { id, name } or null when signed out / unknown
+     */
+    function detectYouTubeAccount() {
+        if (detectedAccount !== undefined) return detectedAccount;
+
+        let datasyncId = '';
+        let loggedIn = null;
+        for (const script of document.querySelectorAll('script:not([src])')) {
+            const text = script.textContent || '';
+            if (!text.includes('DATASYNC_ID') && !text.includes('"LOGGED_IN"')) continue;
+            if (!datasyncId) {
+                const match = text.match(/"DATASYNC_ID"\s*:\s*"([^"]*)"/);
+                if (match) datasyncId = match[1];
+            }
+            if (loggedIn === null) {
+                const match = text.match(/"LOGGED_IN"\s*:\s*(true|false)/);
+                if (match) loggedIn = match[1] === 'true';
+            }
+            if (datasyncId && loggedIn !== null) break;
+        }
+
+        const [channelPart, userPart] = datasyncId.split('||');
+        const id = loggedIn === false ? '' : (channelPart || userPart || '');
+        const account = id
+            ? { id, name: document.querySelector('#account-name')?.textContent.trim() || '' }
+            : null;
+
+        // ytcfg can still be missing while the page loads; only remember a final answer
+        if (account || document.readyState === 'complete') {
+            detectedAccount = account;
+        }
+        return account;
+    }
+
+    // Route this tab's saves to the profile of the signed-in account (the
+    // active profile unless automatic switching is on). Resolved once per tab,
+    // as soon as the account is known for sure.
+    let accountProfileResolved = false;
+
+    async function ensureAccountProfile() {
+        if (accountProfileResolved || typeof ytStorage.resolveAccountProfile !== 'function') return;
+        try {
+            const profileId = await ytStorage.resolveAccountProfile(detectYouTubeAccount());
+            ytStorage.bindProfile(profileId);
+            accountProfileResolved = detectedAccount !== undefined;
+        } catch (error) {
+            log('Could not apply account profile:', error);
+        }
+    }
+
     // Save the current video timestamp (regular videos)
     async function saveTimestamp(forcedTime = null) {
         if (window.location.pathname.startsWith('/shorts/')) {
@@ -911,11 +1103,26 @@
         const video = document.querySelector('video');
         if (!video) return;
 
-        // Playlist-aware pause/ignore logic
+        await ensureAccountProfile();
+
+        if (await isTrackingPaused()) {
+            dropPlaybackSinceSave(getVideoId());
+            log('Tracking paused; skipping save.');
+            return;
+        }
+
+        const channel = getWatchChannel();
+        const channelRule = getChannelRuleMode(channel.channelId);
+        if (channelRule === 'ignore') {
+            log('Channel rule: never record; skipping save.', { channelId: channel.channelId });
+            return;
+        }
+
+        // Playlist-aware pause/ignore logic ("always record" channels skip it)
         try {
             const urlParams = new URLSearchParams(window.location.search);
             const playlistId = urlParams.get('list');
-            if (playlistId) {
+            if (playlistId && channelRule !== 'track') {
                 if (currentSettings?.pauseHistoryInPlaylists) {
                     log('Global pause enabled for playlist context; skipping save.');
                     return;
@@ -962,20 +1169,7 @@
         }
         title = title || 'Unknown Title';
 
-        // Extract channel name and channelId from the channel link
-        let channelName = 'Unknown Channel';
-        let channelId = '';
-        const channelLink = document.querySelector('ytd-video-owner-renderer ytd-channel-name a');
-        if (channelLink) {
-            channelName = channelLink.textContent.trim();
-            // Extract the href, which is either /@handle or /channel/UCxxxx
-            const href = channelLink.getAttribute('href') || '';
-            if (href.startsWith('/@')) {
-                channelId = href.slice(1); // '@handle'
-            } else if (href.startsWith('/channel/')) {
-                channelId = href.replace('/channel/', ''); // 'UCxxxx...'
-            }
-        }
+        const { channelName, channelId } = channel;
 
         const record = {
             videoId,
@@ -989,27 +1183,45 @@
             channelId
         };
 
+        // Remember the playlist the video was watched from (used by exports)
+        const watchedFromPlaylist = new URLSearchParams(window.location.search).get('list');
+        if (watchedFromPlaylist) {
+            record.playlistId = watchedFromPlaylist;
+        }
+
+        if (!applyTrackingRules(record, channelRule)) return;
+
         try {
             // Compute delta against previous saved time to update stats
             let previous = null;
             try { previous = await ytStorage.getVideo(videoId); } catch (_) {}
             const prevTime = previous && typeof previous.time === 'number' ? previous.time : 0;
-            const delta = Math.max(0, Math.floor(record.time - prevTime));
+            // Seconds actually played; the position difference also counts skipped parts
+            const playback = takePlaybackTime(videoId);
+            const delta = playback ? playback.contentSeconds : Math.max(0, Math.floor(record.time - prevTime));
+            // Keep when the video was first watched (older records only have their last save)
+            record.firstWatchedAt = previous?.firstWatchedAt || previous?.timestamp || record.timestamp;
+            if (typeof ytStorage.trackCompletion === 'function') {
+                Object.assign(record, ytStorage.trackCompletion(previous, record, takePlayedSegments(videoId)));
+            }
 
             await ytStorage.setVideo(videoId, record);
             if (delta > 0 && typeof ytStorage.updateStats === 'function') {
-                const prevRatio = (previous && previous.duration) ? (previous.time || 0) / previous.duration : 0;
-                const newRatio = (record.duration ? record.time / record.duration : 0);
+                const prevRatio = getWatchedRatio(previous);
+                const newRatio = getWatchedRatio(record);
                 const crossedCompleted = record.duration && prevRatio < 0.9 && newRatio >= 0.9;
-                const isNewVideo = !previous || !previous.time;
+                // A record whose progress was reset still counts as seen
+                const isNewVideo = !previous;
                 const metadata = {
                     isNewVideo: !!isNewVideo,
                     isShorts: false,
                     durationSeconds: isNewVideo && isFinite(record.duration) ? Math.floor(record.duration) : 0,
-                    crossedCompleted: !!crossedCompleted
+                    crossedCompleted: !!crossedCompleted,
+                    wallSeconds: playback ? playback.wallSeconds : 0
                 };
                 await ytStorage.updateStats(delta, record.timestamp, metadata);
             }
+            saveViewingSession(record);
             broadcastVideoUpdate(record);
             log('[Critical] Timestamp saved', { videoId, time: currentTime });
         } catch (error) {
@@ -1031,11 +1243,26 @@
             return;
         }
 
-        // Playlist-aware pause/ignore logic for Shorts
+        await ensureAccountProfile();
+
+        if (await isTrackingPaused()) {
+            dropPlaybackSinceSave(videoId);
+            log('Tracking paused; skipping Shorts save.');
+            return;
+        }
+
+        const channel = getShortsChannel();
+        const channelRule = getChannelRuleMode(channel.channelId);
+        if (channelRule === 'ignore') {
+            log('Channel rule: never record; skipping Shorts save.', { channelId: channel.channelId });
+            return;
+        }
+
+        // Playlist-aware pause/ignore logic for Shorts ("always record" channels skip it)
         try {
             const urlParams = new URLSearchParams(window.location.search);
             const playlistId = urlParams.get('list');
-            if (playlistId) {
+            if (playlistId && channelRule !== 'track') {
                 if (currentSettings?.pauseHistoryInPlaylists) {
                     log('Global pause enabled for playlist context (Shorts); skipping save.');
                     return;
@@ -1079,20 +1306,7 @@
             }
         }
 
-        // Extract channel name and channelId for Shorts
-        let channelName = 'Unknown';
-        let channelId = 'Unknown';
-        const channelLink = document.querySelector('ytd-channel-name a, #owner-name a');
-        if (channelLink) {
-            channelName = channelLink.textContent?.trim() || 'Unknown';
-            const href = channelLink.getAttribute('href') || '';
-            const match = href.match(/\/channel\/([a-zA-Z0-9_-]+)/) || href.match(/\/@([a-zA-Z0-9_\.-]+)/);
-            if (match) {
-                channelId = match[1];
-            } else {
-                channelId = href;
-            }
-        }
+        const { channelName, channelId } = channel;
 
         const record = {
             videoId: videoId,
@@ -1106,27 +1320,39 @@
             channelId
         };
 
+        if (!applyTrackingRules(record, channelRule)) return;
+
         try {
             // Compute delta against previous saved time to update stats
             let previous = null;
             try { previous = await ytStorage.getVideo(videoId); } catch (_) {}
             const prevTime = previous && typeof previous.time === 'number' ? previous.time : 0;
-            const delta = Math.max(0, Math.floor(record.time - prevTime));
+            // Seconds actually played; the position difference also counts skipped parts
+            const playback = takePlaybackTime(videoId);
+            const delta = playback ? playback.contentSeconds : Math.max(0, Math.floor(record.time - prevTime));
+            // Keep when the video was first watched (older records only have their last save)
+            record.firstWatchedAt = previous?.firstWatchedAt || previous?.timestamp || record.timestamp;
+            if (typeof ytStorage.trackCompletion === 'function') {
+                Object.assign(record, ytStorage.trackCompletion(previous, record, takePlayedSegments(videoId)));
+            }
 
             await ytStorage.setVideo(videoId, record);
             if (delta > 0 && typeof ytStorage.updateStats === 'function') {
-                const prevRatio = (previous && previous.duration) ? (previous.time || 0) / previous.duration : 0;
-                const newRatio = (record.duration ? record.time / record.duration : 0);
+                const prevRatio = getWatchedRatio(previous);
+                const newRatio = getWatchedRatio(record);
                 const crossedCompleted = record.duration && prevRatio < 0.9 && newRatio >= 0.9;
-                const isNewVideo = !previous || !previous.time;
+                // A record whose progress was reset still counts as seen
+                const isNewVideo = !previous;
                 const metadata = {
                     isNewVideo: !!isNewVideo,
                     isShorts: true,
                     durationSeconds: isNewVideo && isFinite(record.duration) ? Math.floor(record.duration) : 0,
-                    crossedCompleted: !!crossedCompleted
+                    crossedCompleted: !!crossedCompleted,
+                    wallSeconds: playback ? playback.wallSeconds : 0
                 };
                 await ytStorage.updateStats(delta, record.timestamp, metadata);
             }
+            saveViewingSession(record);
             // Broadcast update after successful save
             broadcastVideoUpdate(record);
             log(`Shorts timestamp successfully saved for video ID ${videoId}: ${currentTime}`);
@@ -1135,6 +1361,144 @@
         }
     }
 
+    // --- Watched segments ---
+    // Intervals of the current video played since its last save, in seconds.
+    // timeupdate extends the open interval; a pause, seek or jump closes it.
+    // Alongside, the video seconds played and the real seconds that took are
+    // summed, so watch time at 2× speed counts half the real time.
+    let playedSegments = null;
+    // Longer waits between two timeupdates (stalls) count as played at the playback rate
+    const MAX_TICK_SECONDS = 5;
+
+    function notePlayback(video) {
+        const videoId = getVideoId();
+        if (!videoId || !video) return;
+        const position = video.currentTime || 0;
+        const now = Date.now();
+        if (!playedSegments || playedSegments.videoId !== videoId) {
+            playedSegments = { videoId, closed: [], start: position, position, tickAt: now, contentSeconds: 0, wallSeconds: 0 };
+            return;
+        }
+        if (playedSegments.start === null) {
+            playedSegments.start = position;
+        } else {
+            // timeupdate fires several times a second, so a bigger step was skipped over
+            const rate = video.playbackRate || 1;
+            const step = position - playedSegments.position;
+            if (step < 0 || step > 2 * rate + 1) {
+                closePlayedSegment();
+                playedSegments.start = position;
+            } else {
+                const elapsed = (now - playedSegments.tickAt) / 1000;
+                playedSegments.contentSeconds += step;
+                playedSegments.wallSeconds += elapsed >= 0 && elapsed <= MAX_TICK_SECONDS ? elapsed : step / rate;
+            }
+        }
+        playedSegments.position = position;
+        playedSegments.tickAt = now;
+    }
+
+    function closePlayedSegment() {
+        if (!playedSegments || playedSegments.start === null) return;
+        if (playedSegments.position > playedSegments.start) {
+            playedSegments.closed.push([playedSegments.start, playedSegments.position]);
+        }
+        playedSegments.start = null;
+    }
+
+    // Intervals played since the previous save of the video, oldest first
+    function takePlayedSegments(videoId) {
+        if (!playedSegments || playedSegments.videoId !== videoId) return [];
+        const segments = playedSegments.closed;
+        if (playedSegments.start !== null && playedSegments.position > playedSegments.start) {
+            segments.push([playedSegments.start, playedSegments.position]);
+            playedSegments.start = playedSegments.position;
+        }
+        playedSegments.closed = [];
+        return segments;
+    }
+
+    // Whole video and real seconds played since the previous save; fractions carry over
+    function takePlaybackTime(videoId) {
+        if (!playedSegments || playedSegments.videoId !== videoId) return null;
+        const contentSeconds = Math.floor(playedSegments.contentSeconds);
+        const wallSeconds = Math.floor(playedSegments.wallSeconds);
+        playedSegments.contentSeconds -= contentSeconds;
+        playedSegments.wallSeconds -= wallSeconds;
+        return { contentSeconds, wallSeconds };
+    }
+
+    // Playback while tracking is paused is not recorded, not even by the next save after it
+    function dropPlaybackSinceSave(videoId) {
+        if (!playedSegments || playedSegments.videoId !== videoId) return;
+        takePlayedSegments(videoId);
+        playedSegments.contentSeconds = 0;
+        playedSegments.wallSeconds = 0;
+    }
+
+    // Share of a video actually played (see watchedRatio() in storage.js)
+    function getWatchedRatio(record) {
+        if (!record || !record.duration) return 0;
+        if (typeof ytStorage.watchedRatio === 'function') return ytStorage.watchedRatio(record);
+        return (record.time || 0) / record.duration;
+    }
+
+    // --- Viewing sessions ---
+    // A session is one uninterrupted stretch of playback of one video: it opens
+    // on play and closes on pause, seek, rate change, end or a video change.
+    // It is only stored once progress of the video is saved, so paused tracking
+    // and the channel and tracking rules apply to sessions as well.
+    let viewingSession = null;
+
+    function startViewingSession(video) {
+        endViewingSession();
+        const videoId = getVideoId();
+        if (!videoId || !video) return;
+        const now = Date.now();
+        const position = video.currentTime || 0;
+        viewingSession = {
+            sessionId: `${videoId}:${now}`,
+            videoId,
+            startedAt: now,
+            endedAt: now,
+            startPosition: position,
+            endPosition: position,
+            playbackRate: video.playbackRate || 1,
+            isShorts: window.location.pathname.startsWith('/shorts/'),
+            saved: false
+        };
+    }
+
+    // Follow playback in memory; the session is written with the next save
+    function extendViewingSession(video) {
+        if (!viewingSession || viewingSession.videoId !== getVideoId()) return;
+        viewingSession.endedAt = Date.now();
+        viewingSession.endPosition = video.currentTime || 0;
+    }
+
+    function persistViewingSession(session) {
+        if (typeof ytStorage.recordSession !== 'function') return;
+        const { saved, ...record } = session;
+        Promise.resolve(ytStorage.recordSession(record)).catch(error => {
+            log('[Sessions] Failed to store viewing session:', error);
+        });
+    }
+
+    // Called after a progress save of the video
+    function saveViewingSession(record) {
+        if (!viewingSession || viewingSession.videoId !== record.videoId) return;
+        viewingSession.saved = true;
+        viewingSession.endedAt = Math.max(viewingSession.endedAt, record.timestamp);
+        viewingSession.endPosition = record.time;
+        persistViewingSession(viewingSession);
+    }
+
+    function endViewingSession() {
+        const session = viewingSession;
+        viewingSession = null;
+        if (session && session.saved) persistViewingSession(session);
+    }
+
     // Broadcast update to popup
     function broadcastVideoUpdate(videoData) {
         chrome.runtime.sendMessage({
@@ -1143,30 +1507,6 @@
         });
     }
 
-    // Update cleanupOldRecords to use currentSettings.autoCleanPeriod
-    async function cleanupOldRecords() {
-        try {
-            // Skip cleanup if set to "forever"
-            if (currentSettings.autoCleanPeriod === 'forever') {
-                log('Auto-clean disabled - keeping all records forever');
-                return;
-            }
-
-            const cutoffTime = Date.now() - (currentSettings.autoCleanPeriod * 24 * 60 * 60 * 1000);
-            const allVideos = await ytStorage.getAllVideos();
-
-            for (const videoId in allVideos) {
-                const record = allVideos[videoId];
-                if (record.timestamp < cutoffTime) {
-                    await ytStorage.removeVideo(videoId);
-                    log(`Cleaned up old record for video ID: ${videoId}`);
-                }
-            }
-        } catch (error) {
-            log('Error during cleanup:', error);
-        }
-    }
-
     // Start periodic saving with shorter interval
     function startSaveInterval(saveFn = saveTimestamp) {
         if (saveIntervalId) {
@@ -1443,6 +1783,8 @@
 
         // Event handlers with minimal logging
         addTrackedEventListener(video, 'play', async () => {
+            notePlayback(video);
+            startViewingSession(video);
             // Start save interval as usual
             startSaveInterval(guardedSaveTimestamp);
 
@@ -1521,9 +1863,29 @@
                 clearInterval(saveIntervalId);
                 saveIntervalId = null;
             }
+            notePlayback(video);
+            closePlayedSegment();
+            extendViewingSession(video);
+            endViewingSession();
             debouncedSave(video.currentTime || 0);
         });
+        addTrackedEventListener(video, 'ended', () => {
+            notePlayback(video);
+            closePlayedSegment();
+            extendViewingSession(video);
+            endViewingSession();
+        });
+        addTrackedEventListener(video, 'ratechange', () => {
+            // Every session has a single playback rate
+            if (video.paused || !viewingSession) return;
+            extendViewingSession(video);
+            startViewingSession(video);
+        });
         addTrackedEventListener(video, 'timeupdate', () => {
+            if (!video.paused) {
+                notePlayback(video);
+                extendViewingSession(video);
+            }
             const currentTime = Math.floor(video.currentTime);
             const interval = window.location.pathname.startsWith('/shorts/') ? 5 : 15;
             if (currentTime > 0 && currentTime % interval === 0) debouncedSave(video.currentTime || currentTime);
@@ -1533,8 +1895,15 @@
                 clearInterval(saveIntervalId);
                 saveIntervalId = null;
             }
+            // currentTime is already the seek target; the session ends where timeupdate last saw it
+            closePlayedSegment();
+            endViewingSession();
         });
         addTrackedEventListener(video, 'seeked', () => {
+            if (!video.paused) {
+                notePlayback(video);
+                startViewingSession(video);
+            }
             debouncedSave(video.currentTime || 0);
             if (!video.paused) startSaveInterval(guardedSaveTimestamp);
         });
@@ -1542,6 +1911,8 @@
         // ENHANCED VIDEO CHANGE DETECTION
         // Detect video content changes (especially for playlist navigation)
         addTrackedEventListener(video, 'loadstart', () => {
+            closePlayedSegment();
+            endViewingSession();
             simulatedLastContentChangeTime = Date.now();
             log(`[VIDEO] Video loadstart detected - content change at ${simulatedLastContentChangeTime}`);
 
@@ -2233,6 +2604,100 @@
         }
     }
 
+    // Channel shown on the current page: the owner of a watch/Shorts page or the channel page itself.
+    // `aliases` are the channel's other IDs the page shows (its handle next to a UC URL, or
+    // owner links in the other form), so a rule made here also matches pages that only show those.
+    function getPageChannel() {
+        const path = window.location.pathname;
+        if (getVideoId()) {
+            const channel = path.startsWith('/shorts/') ? getShortsChannel() : getWatchChannel();
+            const owner = path.startsWith('/shorts/') ? null : document.querySelector('ytd-video-owner-renderer');
+            const host = path.startsWith('/shorts/')
+                ? null
+                : document.querySelector('ytd-watch-metadata #owner') || owner?.parentElement;
+            if (!channel.channelId || channel.channelId === 'Unknown') return null;
+            const linked = [...(owner?.querySelectorAll('a[href]') || [])].map(link => channelIdFromHref(link.getAttribute('href')));
+            return { ...channel, host, aliases: otherChannelIds(channel.channelId, linked) };
+        }
+
+        const channelId = channelIdFromHref(path);
+        if (!channelId) return null;
+        const header = document.querySelector('yt-page-header-view-model, #page-header, ytd-c4-tabbed-header-renderer');
+        const nameEl = document.querySelector('yt-page-header-view-model h1, #channel-header #channel-name #text, ytd-c4-tabbed-header-renderer #text');
+        const handleText = header?.querySelector('#channel-handle, yt-content-metadata-view-model')?.textContent || '';
+        const handle = (handleText.match(/@[\w.-]+/) || [])[0];
+        return {
+            channelId,
+            channelName: nameEl?.textContent.trim() || document.title.replace(/ - YouTube$/, '').trim(),
+            host: header,
+            aliases: otherChannelIds(channelId, [handle])
+        };
+    }
+
+    function otherChannelIds(channelId, candidates) {
+        return [...new Set(candidates.filter(id => id && id !== channelId))];
+    }
+
+    // Per-channel rule picker on watch pages and channel pages
+    function attachChannelRuleControl() {
+        const channel = getPageChannel();
+        if (!channel || !channel.host || typeof ytStorage.setChannelRule !== 'function') return false;
+
+        let row = channel.host.querySelector('.ytvht-channel-rule-row');
+        if (!row) {
+            row = document.createElement('div');
+            row.className = 'ytvht-ignore-row ytvht-channel-rule-row';
+            const select = document.createElement('select');
+            select.className = 'ytvht-channel-rule';
+            [
+                ['', chrome.i18n?.getMessage('content_channel_rule_default') || 're:Watch — Default tracking'],
+                ['ignore', chrome.i18n?.getMessage('content_channel_rule_ignore') || 're:Watch — Never record this channel'],
+                ['track', chrome.i18n?.getMessage('content_channel_rule_track') || 're:Watch — Always record this channel'],
+                ['noOverlay', chrome.i18n?.getMessage('content_channel_rule_no_overlay') || 're:Watch — Record without overlays']
+            ].forEach(([value, text]) => {
+                const option = document.createElement('option');
+                option.value = value;
+                option.textContent = text;
+                select.appendChild(option);
+            });
+            select.addEventListener('click', (e) => e.stopPropagation());
+            select.addEventListener('change', async () => {
+                const { channelId, channelName, channelAliases } = select.dataset;
+                try {
+                    await ytStorage.setChannelRule(channelId, select.value || null, channelName,
+                        channelAliases ? channelAliases.split(' ') : []);
+                    await loadSettings();
+                    processExistingThumbnails();
+                } catch (error) {
+                    log('Could not save channel rule:', error);
+                }
+            });
+            row.appendChild(select);
+            channel.host.appendChild(row);
+        }
+
+        // The host is reused across SPA navigations, so always refresh the target channel
+        const select = row.querySelector('.ytvht-channel-rule');
+        select.dataset.channelId = channel.channelId;
+        select.dataset.channelName = channel.channelName || '';
+        select.dataset.channelAliases = channel.aliases.join(' ');
+        select.value = getChannelRuleMode(channel.channelId, ...channel.aliases) || '';
+        select.title = chrome.i18n?.getMessage('content_channel_rule_title', [channel.channelName || channel.channelId]) ||
+            `re:Watch rule for ${channel.channelName || channel.channelId}`;
+        return true;
+    }
+
+    // The owner block and channel header render late; retry like the playlist toggles
+    function ensureChannelRuleControl(retries = 12) {
+        try {
+            if (!attachChannelRuleControl() && retries > 0) {
+                setTimeout(() => ensureChannelRuleControl(retries - 1), 500);
+            }
+        } catch (e) {
+            // silent
+        }
+    }
+
     // Start observing for video element and playlist changes
     initChecker = setInterval(() => {
         log('Checking for video element...');
@@ -2333,6 +2798,102 @@
         return null;
     }
 
+    // "1:02:03" -> 3723 seconds; anything else (e.g. "LIVE") -> 0
+    function parseDurationText(text) {
+        const parts = (text || '').trim().split(':');
+        if (parts.length < 2 || parts.length > 3 || parts.some(part => !/^\d+$/.test(part))) return 0;
+        return parts.reduce((total, part) => total * 60 + Number(part), 0);
+    }
+
+    // Metadata for a video that is only known from its thumbnail tile
+    function getThumbnailDetails(thumbnailElement) {
+        const container = thumbnailElement.closest('ytd-rich-item-renderer, ytd-grid-video-renderer, ytd-video-renderer, ytd-playlist-video-renderer, ytd-playlist-panel-video-renderer, ytd-compact-video-renderer, yt-lockup-view-model') || thumbnailElement;
+        const titleEl = container.querySelector('#video-title, h3 a, h3 [title]');
+        const durationEl = container.querySelector('ytd-thumbnail-overlay-time-status-renderer #text, ytd-thumbnail-overlay-time-status-renderer .badge-shape-wiz__text, .yt-badge-shape__text, .badge-shape-wiz__text');
+        const channelLink = container.querySelector('ytd-channel-name a, #channel-name a, a[href^="/@"], a[href^="/channel/"]');
+        const channelHref = channelLink?.getAttribute('href') || '';
+        return {
+            title: (titleEl?.getAttribute('title') || titleEl?.textContent || '').trim(),
+            duration: parseDurationText(durationEl?.textContent),
+            channelName: channelLink?.textContent.trim() || '',
+            channelId: channelHref.startsWith('/@') ? channelHref.slice(1) : channelHref.replace('/channel/', ''),
+            isShorts: !!container.querySelector('a[href*="/shorts/"]')
+        };
+    }
+
+    // ✓ marks a video as watched without playing it; ↺ resets one that is already watched
+    function updateMarkButton(targetElement, thumbnailElement, videoId, record) {
+        let markBtn = targetElement.querySelector('.ytvht-mark-button');
+        if (!markBtn) {
+            markBtn = document.createElement('button');
+            markBtn.className = 'ytvht-mark-button';
+            markBtn.setAttribute('type', 'button');
+            targetElement.appendChild(markBtn);
+        }
+
+        const watched = getWatchedRatio(record) >= 0.9;
+        markBtn.textContent = watched ? '↺' : '✓';
+        markBtn.setAttribute('title', watched
+            ? (chrome.i18n?.getMessage('content_reset_progress') || 'Reset progress in YT re:Watch')
+            : (chrome.i18n?.getMessage('content_mark_watched') || 'Mark as watched in YT re:Watch'));
+        // Assigned rather than added: the overlay is refreshed in place and must not stack handlers
+        markBtn.onclick = (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+            const update = watched
+                ? ytStorage.resetVideoProgress(videoId)
+                : ytStorage.markVideoWatched(videoId, getThumbnailDetails(thumbnailElement));
+            update.then(saved => {
+                if (!saved) {
+                    log('[Overlay] Could not mark video as watched, duration unknown', { videoId });
+                    return;
+                }
+                addViewedLabelToThumbnail(thumbnailElement, videoId);
+            }).catch(error => {
+                log('[Error] Failed to update progress from overlay', { videoId, error });
+            });
+        };
+    }
+
+    // The overlay title, plus how often the video was watched once that is more than once
+    function getOverlayLabelText(record) {
+        const count = (record && record.completionCount) || 0;
+        if (count < 2) return currentSettings.overlayTitle;
+        return chrome.i18n?.getMessage('content_watched_times', [currentSettings.overlayTitle, String(count)])
+            || `${currentSettings.overlayTitle} ${count}×`;
+    }
+
+    // Thumbnail progress: the played segments with their gaps when the record
+    // has them, else a bar up to the saved position
+    function renderProgressBar(progress, record) {
+        const segments = record.duration > 0 && Array.isArray(record.watchedSegments) ? record.watchedSegments : null;
+        progress.classList.toggle('ytvht-segmented', !!segments);
+        if (!segments) {
+            if (progress.dataset.segments) {
+                delete progress.dataset.segments;
+                progress.textContent = '';
+            }
+            const newWidth = `${(record.time / record.duration) * 100}%`;
+            if (progress.style.width !== newWidth) {
+                progress.style.width = newWidth;
+            }
+            return;
+        }
+
+        const key = JSON.stringify(segments);
+        if (progress.dataset.segments === key) return;
+        progress.dataset.segments = key;
+        progress.style.width = '100%';
+        progress.textContent = '';
+        segments.forEach(([start, end]) => {
+            const part = document.createElement('div');
+            part.className = 'ytvht-progress-segment';
+            part.style.left = `${Math.min(100, (start / record.duration) * 100)}%`;
+            part.style.width = `${Math.max(0, Math.min(end, record.duration) - start) / record.duration * 100}%`;
+            progress.appendChild(part);
+        });
+    }
+
     function addViewedLabelToThumbnail(thumbnailElement, videoId) {
         if (!thumbnailElement || !videoId) return;
 
@@ -2395,7 +2956,7 @@
             thumbnailElement.closest('ytd-compact-video-renderer') ||
             thumbnailElement.closest('yt-lockup-view-model') ||
             thumbnailElement;
-        videoContainer.querySelectorAll('.ytvht-viewed-label, .ytvht-progress-bar, .ytvht-remove-button').forEach(existingOverlay => {
+        videoContainer.querySelectorAll('.ytvht-viewed-label, .ytvht-progress-bar, .ytvht-remove-button, .ytvht-mark-button').forEach(existingOverlay => {
             if (!targetElement.contains(existingOverlay)) {
                 existingOverlay.remove();
             }
@@ -2406,7 +2967,7 @@
         let removeBtn = targetElement.querySelector('.ytvht-remove-button');
 
         ytStorage.getVideo(videoId).then(record => {
-            videoContainer.querySelectorAll('.ytvht-viewed-label, .ytvht-progress-bar, .ytvht-remove-button').forEach(existingOverlay => {
+            videoContainer.querySelectorAll('.ytvht-viewed-label, .ytvht-progress-bar, .ytvht-remove-button, .ytvht-mark-button').forEach(existingOverlay => {
                 if (!targetElement.contains(existingOverlay)) {
                     existingOverlay.remove();
                 }
@@ -2416,6 +2977,15 @@
             progress = targetElement.querySelector('.ytvht-progress-bar');
             removeBtn = targetElement.querySelector('.ytvht-remove-button');
 
+            // Channel recorded without overlays
+            if (record && getChannelRuleMode(record.channelId) === 'noOverlay') {
+                label?.remove();
+                progress?.remove();
+                removeBtn?.remove();
+                targetElement.querySelector('.ytvht-mark-button')?.remove();
+                return;
+            }
+
             if (record) {
                 const size = OVERLAY_LABEL_SIZE_MAP[currentSettings.overlayLabelSize] || OVERLAY_LABEL_SIZE_MAP.medium;
                 const color = OVERLAY_COLORS[currentSettings.overlayColor];
@@ -2428,8 +2998,9 @@
                     targetElement.appendChild(label);
                 }
 
-                if (label.textContent !== currentSettings.overlayTitle) {
-                    label.textContent = currentSettings.overlayTitle;
+                const labelText = getOverlayLabelText(record);
+                if (label.textContent !== labelText) {
+                    label.textContent = labelText;
                 }
 
                 if (!progress) {
@@ -2438,10 +3009,7 @@
                     targetElement.appendChild(progress);
                 }
 
-                const newWidth = `${(record.time / record.duration) * 100}%`;
-                if (progress.style.width !== newWidth) {
-                    progress.style.width = newWidth;
-                }
+                renderProgressBar(progress, record);
 
                 if (!removeBtn) {
                     removeBtn = document.createElement('button');
@@ -2456,6 +3024,7 @@
                             label?.remove();
                             progress?.remove();
                             removeBtn?.remove();
+                            targetElement.querySelector('.ytvht-mark-button')?.remove();
                         }).catch(() => {
                             // no-op: silent fail
                         });
@@ -2467,6 +3036,7 @@
                 progress?.remove();
                 removeBtn?.remove();
             }
+            updateMarkButton(targetElement, thumbnailElement, videoId, record);
         }).catch(error => {
             log('[Error] Failed to process thumbnail', { videoId, error });
             label?.remove();
@@ -2793,9 +3363,279 @@
         });
     }
 
+    // Google Takeout watch-history parsing.
+    // Takeout prefixes each title with a localized verb ("Watched ...") that we strip.
+    const TAKEOUT_TITLE_PATTERNS = [
+        /^Watched\s+(.+)$/,
+        /^Has visto\s+(.+)$/,
+        /^Vous avez regardé\s+(.+)$/,
+        /^Гледахте\s+(.+)$/,
+        /^(.+?)\s+angesehen$/
+    ];
+
+    function getVideoIdFromTakeoutUrl(url) {
+        if (!url || typeof url !== 'string') return null;
+        const match = url.match(/[?&]v=([a-zA-Z0-9_-]{11})/) ||
+                      url.match(/youtu\.be\/([a-zA-Z0-9_-]{11})/) ||
+                      url.match(/\/shorts\/([a-zA-Z0-9_-]{11})/);
+        return match ? match[1] : null;
+    }
+
+    function getChannelIdFromTakeoutUrl(url) {
+        if (!url || typeof url !== 'string') return '';
+        const match = url.match(/\/channel\/([^\/?#]+)/);
+        return match ? match[1] : '';
+    }
+
+    function cleanTakeoutTitle(rawTitle, url) {
+        let title = (rawTitle || '').replace(/[\u00a0\u202f]/g, ' ').trim();
+        for (const pattern of TAKEOUT_TITLE_PATTERNS) {
+            const match = title.match(pattern);
+            if (match) {
+                title = match[1].trim();
+                break;
+            }
+        }
+        title = title.replace(/^[„“"]+|[“”"]+$/g, '').trim();
+        // Takeout falls back to the raw URL when the title is unknown
+        if (!title || title === url || /^https?:\/\//.test(title)) {
+            return 'Unknown Title';
+        }
+        return title;
+    }
+
+    // Takeout HTML dates look like "Jan 5, 2024, 9:41:07 PM CET"; Date.parse
+    // only knows a handful of zone names, so retry as local time without it.
+    function parseTakeoutDate(value) {
+        if (!value) return null;
+        const text = String(value).replace(/[\u00a0\u202f]/g, ' ').trim();
+        let parsed = Date.parse(text);
+        if (isNaN(parsed)) {
+            parsed = Date.parse(text.replace(/\s+[A-Z]{2,5}([+-]\d{1,4})?$/, ''));
+        }
+        return isNaN(parsed) ? null : parsed;
+    }
+
+    function buildTakeoutRecord(videoId, videoUrl, title, channelName, channelUrl, timestamp) {
+        const isShorts = /\/shorts\//.test(videoUrl);
+        const record = {
+            videoId,
+            title,
+            channelName: channelName || 'Unknown Channel',
+            channelId: getChannelIdFromTakeoutUrl(channelUrl),
+            url: isShorts ? `https://www.youtube.com/shorts/${videoId}` : `https://www.youtube.com/watch?v=${videoId}`,
+            time: 0,
+            duration: 0,
+            timestamp,
+            // Takeout only tells us a video was opened, not how far it was watched
+            seenWithoutProgress: true
+        };
+        if (isShorts) {
+            record.isShorts = true;
+        }
+        return record;
+    }
+
+    function parseTakeoutJsonEntries(entries) {
+        const parsed = [];
+        let skipped = 0;
+        entries.forEach(entry => {
+            const isAd = Array.isArray(entry?.details) &&
+                entry.details.some(detail => /Google Ads/i.test(detail?.name || ''));
+            const videoId = getVideoIdFromTakeoutUrl(entry?.titleUrl);
+            const timestamp = parseTakeoutDate(entry?.time);
+            if (isAd || !videoId || !timestamp) {
+                skipped++;
+                return;
+            }
+            const channel = Array.isArray(entry.subtitles) ? entry.subtitles[0] : null;
+            parsed.push(buildTakeoutRecord(
+                videoId,
+                entry.titleUrl,
+                cleanTakeoutTitle(entry.title, entry.titleUrl),
+                channel?.name,
+                channel?.url,
+                timestamp
+            ));
+        });
+        return { parsed, skipped };
+    }
+
+    function parseTakeoutHtmlDocument(html) {
+        const doc = new DOMParser().parseFromString(html, 'text/html');
+        const parsed = [];
+        let skipped = 0;
+        doc.querySelectorAll('.content-cell').forEach(cell => {
+            const links = cell.querySelectorAll('a[href]');
+            if (!links.length) return;
+            const videoId = getVideoIdFromTakeoutUrl(links[0].getAttribute('href'));
+            const outer = cell.closest('.outer-cell') || cell;
+            const isAd = /From Google Ads/i.test(outer.textContent || '');
+            const dateText = Array.from(cell.childNodes)
+                .filter(node => node.nodeType === Node.TEXT_NODE && node.textContent.trim())
+                .map(node => node.textContent)
+                .pop();
+            const timestamp = parseTakeoutDate(dateText);
+            if (isAd || !videoId || !timestamp) {
+                skipped++;
+                return;
+            }
+            const channelLink = links[1];
+            parsed.push(buildTakeoutRecord(
+                videoId,
+                links[0].getAttribute('href'),
+                cleanTakeoutTitle(links[0].textContent, links[0].getAttribute('href')),
+                channelLink ? channelLink.textContent.trim() : '',
+                channelLink ? channelLink.getAttribute('href') : '',
+                timestamp
+            ));
+        });
+        return { parsed, skipped };
+    }
+
+    /**
+     * Parse a Google Takeout watch-history.json or watch-history.html file.
+     * Repeated views collapse into one record carrying the latest watch time.
+     * @param {string} text - File contents
+     * @param {string} fileName - Original file name, used to detect HTML exports
+     * @returns {{records: Array, skipped: number}|null} null when the file is not a Takeout export
+     */
+    function parseTakeoutHistory(text, fileName = '') {
+        let result;
+        const trimmed = (text || '').trimStart();
+        if (/\.html?$/i.test(fileName) || trimmed.startsWith('<')) {
+            result = parseTakeoutHtmlDocument(text);
+            if (!result.parsed.length && !result.skipped) return null;
+        } else {
+            let data;
+            try {
+                data = JSON.parse(text);
+            } catch (e) {
+                return null;
+            }
+            const isTakeout = Array.isArray(data) && data.some(entry =>
+                entry && typeof entry === 'object' && ('titleUrl' in entry || Array.isArray(entry.activityControls))
+            );
+            if (!isTakeout) return null;
+            result = parseTakeoutJsonEntries(data);
+        }
+
+        const latest = new Map();
+        result.parsed.forEach(record => {
+            const existing = latest.get(record.videoId);
+            if (!existing || record.timestamp > existing.timestamp) {
+                latest.set(record.videoId, record);
+            }
+        });
+        return { records: Array.from(latest.values()), skipped: result.skipped };
+    }
+
     // Import overlay functionality
-    async function runImport(records, playlists, mergeMode) {
-        return ytStorage.importRecords(records || [], playlists || [], !!mergeMode);
+    const IMPORT_BATCH_SIZE = 500;
+
+    // Dry-run the import in the same slices as the import itself and add up the per-slice reports
+    async function runImportPreview(records, playlists, mergeMode, mergeStrategy = 'newer') {
+        records = records || [];
+        let report = null;
+        for (let offset = 0; offset === 0 || offset < records.length; offset += IMPORT_BATCH_SIZE) {
+            const slice = records.slice(offset, offset + IMPORT_BATCH_SIZE);
+            const part = await ytStorage.previewImport(slice, offset === 0 ? (playlists || []) : [], !!mergeMode, mergeStrategy);
+            report = report ? addImportPreviews(report, part) : part;
+        }
+        return report;
+    }
+
+    function addImportPreviews(a, b) {
+        const sum = { ...a, invalidReasons: { ...a.invalidReasons }, playlists: { ...a.playlists } };
+        ['total', 'newVideos', 'updatedVideos', 'overwriteNewer', 'skippedOlder', 'invalid'].forEach(key => {
+            sum[key] = (a[key] || 0) + (b[key] || 0);
+        });
+        // A video repeated in several slices matches the same stored copy each time
+        const matchedIds = new Set([...(a.matchedIds || []), ...(b.matchedIds || [])]);
+        sum.matchedIds = Array.from(matchedIds);
+        sum.matchedVideos = matchedIds.size;
+        Object.entries(b.invalidReasons || {}).forEach(([reason, count]) => {
+            sum.invalidReasons[reason] = (sum.invalidReasons[reason] || 0) + count;
+        });
+        Object.entries(b.playlists || {}).forEach(([key, count]) => {
+            sum.playlists[key] = (sum.playlists[key] || 0) + count;
+        });
+        return sum;
+    }
+
+    // Human-readable summary of a preview report; `warning` is set when confirming loses data
+    function formatImportPreview(report, mergeMode) {
+        const lines = [];
+        lines.push(`${report.total} videos in file:`);
+        lines.push(`  ${report.newVideos} new`);
+        if (mergeMode) {
+            lines.push(`  ${report.updatedVideos} update stored copies`);
+            lines.push(`  ${report.skippedOlder} skipped (stored copy kept as is)`);
+        } else {
+            lines.push(`  ${report.updatedVideos} update older stored copies`);
+            lines.push(`  ${report.overwriteNewer} overwrite NEWER stored copies`);
+        }
+        if (report.invalid) {
+            const reasons = Object.entries(report.invalidReasons || {})
+                .map(([reason, count]) => `${count} ${reason}`)
+                .join(', ');
+            lines.push(`  ${report.invalid} invalid (${reasons})`);
+        }
+
+        const pl = report.playlists || {};
+        if (pl.new || pl.updated || pl.skipped || pl.invalid) {
+            lines.push(`Playlists: ${pl.new || 0} new, ${pl.updated || 0} updated, ${pl.skipped || 0} skipped, ${pl.invalid || 0} invalid`);
+        }
+
+        let warning = null;
+        if (!mergeMode) {
+            const removed = Math.max(0, (report.existingVideos || 0) - (report.matchedVideos || 0));
+            lines.push(`Replace mode deletes your current history first: ${removed} stored videos are not in this file and will be lost.`);
+            if (removed > 0 || report.overwriteNewer > 0) {
+                warning = `This will remove ${removed} videos and roll back ${report.overwriteNewer} videos to older data.`;
+            }
+        }
+        return { text: lines.join('\n'), warning };
+    }
+
+    // Turn the chosen file into import arguments; Takeout files force merge mode
+    function parseImportFile(text, fileName, mergeMode) {
+        let records = [];
+        let playlists = [];
+        let takeoutSkipped = null;
+
+        const takeout = parseTakeoutHistory(text, fileName);
+        const data = takeout ? null : JSON.parse(text);
+
+        if (takeout) {
+            // Takeout entries carry no progress, so they are always merged
+            // and never replace what the extension has tracked itself
+            records = takeout.records;
+            takeoutSkipped = takeout.skipped;
+            mergeMode = true;
+            log('Parsed Google Takeout history:', { videos: records.length, skipped: takeoutSkipped });
+        } else if (data && typeof data === 'object' && data.history) {
+            if (Array.isArray(data.history)) {
+                records = data.history;
+            } else if (typeof data.history === 'object') {
+                records = Object.values(data.history);
+            } else {
+                throw new Error('Invalid file format: unexpected history structure');
+            }
+
+            if (Array.isArray(data.playlists)) {
+                playlists = data.playlists;
+            } else if (data.playlists && typeof data.playlists === 'object') {
+                playlists = Object.values(data.playlists);
+            }
+        } else if (Array.isArray(data)) {
+            records = data;
+            mergeMode = false;
+        } else {
+            throw new Error('Invalid file format: expected an array of videos or an object with history/playlists');
+        }
+
+        return { records, playlists, mergeMode, takeoutSkipped };
     }
 
     function maybeShowImportOverlayFromHash() {
@@ -2833,7 +3673,8 @@
 
         modal.innerHTML = `
             <h3 style="margin-top:0;margin-bottom:12px;">Choose a file to import:</h3>
-            <input id="ytvhtImportFile" type="file" accept=".json" style="margin: 10px 0; width: 100%;">
+            <div style="font-size: 12px; opacity: 0.8;">YT re:Watch export (.json) or Google Takeout watch-history (.json / .html)</div>
+            <input id="ytvhtImportFile" type="file" accept=".json,.html,.htm" style="margin: 10px 0; width: 100%;">
             <div style="margin: 10px 0; font-size: 13px;">
                 <label style="margin-right:12px;">
                     <input id="ytvhtImportMerge" type="radio" name="ytvhtImportMode" checked>
@@ -2844,9 +3685,19 @@
                     Replace existing data
                 </label>
             </div>
+            <div id="ytvhtImportStrategyRow" style="margin: 10px 0; font-size: 13px;">
+                <label for="ytvhtImportStrategy">When a video already exists:</label>
+                <select id="ytvhtImportStrategy" style="margin-left: 6px;">
+                    <option value="newer">Newer record wins</option>
+                    <option value="maxProgress">Keep the larger progress</option>
+                    <option value="fields">Merge fields (fill unknown title/channel)</option>
+                    <option value="local">Keep my current data</option>
+                    <option value="incoming">Always use the file</option>
+                </select>
+            </div>
             <div style="margin-top: 12px; text-align: right;">
                 <button id="ytvhtImportCancel" style="margin-right:8px;">Cancel</button>
-                <button id="ytvhtImportStart">Import</button>
+                <button id="ytvhtImportStart">Preview</button>
             </div>
             <div id="ytvhtImportStatus" style="margin-top: 10px; font-size: 12px;"></div>
         `;
@@ -2856,8 +3707,20 @@
 
         const fileInput = modal.querySelector('#ytvhtImportFile');
         const mergeRadio = modal.querySelector('#ytvhtImportMerge');
+        const strategySelect = modal.querySelector('#ytvhtImportStrategy');
+        const strategyRow = modal.querySelector('#ytvhtImportStrategyRow');
         const statusEl = modal.querySelector('#ytvhtImportStatus');
 
+        // Let the user know an earlier import can be picked up again
+        ytStorage.getImportProgress().then(state => {
+            if (state && state.processed < state.total && !statusEl.textContent) {
+                statusEl.textContent = `An earlier import stopped at ${state.processed} of ${state.total} videos. ` +
+                    'Choose the same file with the same mode to resume it.';
+            }
+        }).catch(() => {
+            // Resume hint is best-effort only
+        });
+
         modal.querySelector('#ytvhtImportCancel').onclick = () => {
             overlay.remove();
             if (window.location.hash === '#ytlh_import') {
@@ -2869,80 +3732,127 @@
             }
         };
 
-        modal.querySelector('#ytvhtImportStart').onclick = async () => {
+        const startButton = modal.querySelector('#ytvhtImportStart');
+        statusEl.style.whiteSpace = 'pre-line';
+
+        // Parsed file waiting for confirmation after the dry-run preview
+        let pending = null;
+        const resetPending = () => {
+            pending = null;
+            startButton.textContent = 'Preview';
+        };
+        resetPending();
+        // Strategies only apply when merging
+        const updateStrategyRow = () => {
+            strategyRow.style.display = mergeRadio.checked ? '' : 'none';
+        };
+        fileInput.addEventListener('change', resetPending);
+        strategySelect.addEventListener('change', resetPending);
+        [mergeRadio, modal.querySelector('#ytvhtImportReplace')].forEach(radio => {
+            radio.addEventListener('change', () => {
+                resetPending();
+                updateStrategyRow();
+            });
+        });
+
+        startButton.onclick = async () => {
+            if (pending) {
+                const confirmed = pending;
+                pending = null;
+                startButton.disabled = true;
+                try {
+                    await confirmImport(confirmed);
+                } finally {
+                    startButton.disabled = false;
+                    startButton.textContent = 'Preview';
+                }
+                return;
+            }
+
             const file = fileInput.files && fileInput.files[0];
             if (!file) {
-                statusEl.textContent = 'Please choose a JSON file.';
+                statusEl.textContent = 'Please choose a JSON or HTML file.';
                 return;
             }
 
             try {
                 statusEl.textContent = 'Reading file...';
                 const text = await file.text();
-                const data = JSON.parse(text);
-
-                let records = [];
-                let playlists = [];
-                let mergeMode = !!mergeRadio.checked;
-
-                if (data && typeof data === 'object' && data.history) {
-                    if (Array.isArray(data.history)) {
-                        records = data.history;
-                    } else if (typeof data.history === 'object') {
-                        records = Object.values(data.history);
-                    } else {
-                        throw new Error('Invalid file format: unexpected history structure');
-                    }
-
-                    if (Array.isArray(data.playlists)) {
-                        playlists = data.playlists;
-                    } else if (data.playlists && typeof data.playlists === 'object') {
-                        playlists = Object.values(data.playlists);
-                    }
-                } else if (Array.isArray(data)) {
-                    records = data;
-                    mergeMode = false;
-                } else {
-                    throw new Error('Invalid file format: expected an array of videos or an object with history/playlists');
-                }
+                const parsed = parseImportFile(text, file.name, !!mergeRadio.checked);
 
-                if (!records.length && !playlists.length) {
+                if (!parsed.records.length && !parsed.playlists.length) {
                     statusEl.textContent = 'No videos or playlists found in file.';
                     return;
                 }
 
-                statusEl.textContent = 'Importing...';
+                statusEl.textContent = 'Checking file against your history...';
+                const mergeStrategy = strategySelect.value;
+                const report = await runImportPreview(parsed.records, parsed.playlists, parsed.mergeMode, mergeStrategy);
+                const summary = formatImportPreview(report, parsed.mergeMode);
 
-                try {
-                    const response = await runImport(records, playlists, mergeMode);
-
-                    if (response && response.status === 'success') {
-                        statusEl.textContent =
-                            `Import complete: ${response.importedVideos} videos, ` +
-                            `${response.importedPlaylists} playlists.`;
-                    } else {
-                        const errorMsg = response && response.error ? response.error : 'Unknown error';
-                        statusEl.textContent = `Import failed: ${errorMsg}`;
-                        console.error('Import failed:', errorMsg);
-                    }
-                } catch (importError) {
-                    console.error('Import overlay error:', importError);
-                    let errorMsg = importError.message || 'Unknown error';
-                    
-                    // Provide user-friendly error messages
-                    if (errorMsg.includes('Extension context invalidated') || errorMsg.includes('Background script')) {
-                        errorMsg = 'Extension context lost. Please reload the extension and try again.';
-                    } else if (errorMsg.includes('IndexedDB')) {
-                        errorMsg = 'IndexedDB not available. Please reload the extension.';
-                    }
-                    
-                    statusEl.textContent = `Error: ${errorMsg}`;
+                statusEl.textContent = summary.text;
+                if (parsed.mergeMode && !mergeRadio.checked) {
+                    statusEl.textContent += '\nThis file can only be merged.';
                 }
+                if (summary.warning) {
+                    statusEl.textContent += `\n\nWarning: ${summary.warning}`;
+                }
+
+                pending = {
+                    ...parsed,
+                    mergeStrategy,
+                    importId: `${file.name}:${file.size}:${file.lastModified}:${parsed.records.length}`
+                };
+                startButton.textContent = summary.warning ? 'Replace anyway' : 'Confirm import';
             } catch (err) {
                 console.error('Import overlay error:', err);
                 statusEl.textContent = `Error: ${err.message || 'Unknown error'}`;
             }
         };
+
+        async function confirmImport({ records, playlists, mergeMode, mergeStrategy, takeoutSkipped, importId }) {
+            statusEl.textContent = 'Importing...';
+
+            try {
+                // Re-importing the same file resumes an interrupted run
+                const response = await ytStorage.importRecords(records, playlists, !!mergeMode, {
+                    importId,
+                    mergeStrategy,
+                    batchSize: IMPORT_BATCH_SIZE,
+                    onProgress: ({ processed, total }) => {
+                        statusEl.textContent = `Importing... ${processed} / ${total} videos`;
+                    }
+                });
+
+                if (response && response.status === 'success') {
+                    statusEl.textContent =
+                        `Import complete: ${response.importedVideos} videos, ` +
+                        `${response.importedPlaylists} playlists.`;
+                    if (response.resumedFrom) {
+                        statusEl.textContent += ` Resumed after ${response.resumedFrom} previously imported videos.`;
+                    }
+                    if (takeoutSkipped) {
+                        statusEl.textContent += ` Skipped ${takeoutSkipped} Takeout entries (ads, removed videos or unreadable dates).`;
+                    }
+                } else {
+                    const errorMsg = response && response.error ? response.error : 'Unknown error';
+                    statusEl.textContent = `Import failed: ${errorMsg}`;
+                    console.error('Import failed:', errorMsg);
+                }
+            } catch (importError) {
+                console.error('Import overlay error:', importError);
+                let errorMsg = importError.message || 'Unknown error';
+                
+                // Provide user-friendly error messages
+                if (errorMsg.includes('Extension context invalidated') || errorMsg.includes('Background script')) {
+                    errorMsg = 'Extension context lost. Please reload the extension and try again.';
+                } else if (errorMsg.includes('IndexedDB')) {
+                    errorMsg = 'IndexedDB not available. Please reload the extension.';
+                }
+                
+                statusEl.textContent = `Error: ${errorMsg}`;
+            }
+        }
     }
 
     // Update initialize() to handle version updates
@@ -2953,6 +3863,8 @@
 
         try {
             injectCSS();
+            // Pick the account's profile first so overlays show the right history
+            await ensureAccountProfile();
             const settings = await loadSettings() || DEFAULT_SETTINGS;
 
             // Check for version update
@@ -3075,33 +3987,58 @@
     // Also ensure playlist toggles on direct playlist pages
     ensurePlaylistIgnoreToggles();
 
+    // Channel rule picker on the first page and after every SPA navigation
+    ensureChannelRuleControl();
+    window.addEventListener('yt-navigate-finish', () => ensureChannelRuleControl());
+
     // Update the storage change listener to use the improved thumbnail processing
     if (typeof chrome !== 'undefined' && chrome.storage && chrome.storage.onChanged) {
         chrome.storage.onChanged.addListener((changes, area) => {
             if (area === 'local') {
-                const hasVideoChanges = Object.keys(changes).some(key =>
+                const hasVideoChanges = Object.keys(ytStorage.scopeStorageChanges(changes)).some(key =>
                     key.startsWith('video_') || key.startsWith('playlist_')
                 );
                 if (hasVideoChanges) {
                     // Use the improved processing function
                     processExistingThumbnails();
                 }
+                // Settings carry the channel rules; reapply overlays when they change
+                if (ytStorage.scopeStorageChanges(changes).settings) {
+                    loadSettings().then(() => {
+                        processExistingThumbnails();
+                        attachChannelRuleControl();
+                    });
+                }
             }
         });
     } else if (typeof browser !== 'undefined' && browser.storage && browser.storage.onChanged) {
         browser.storage.onChanged.addListener((changes, area) => {
             if (area === 'local') {
-                const hasVideoChanges = Object.keys(changes).some(key =>
+                const hasVideoChanges = Object.keys(ytStorage.scopeStorageChanges(changes)).some(key =>
                     key.startsWith('video_') || key.startsWith('playlist_')
                 );
                 if (hasVideoChanges) {
                     // Use the improved processing function
                     processExistingThumbnails();
                 }
+                // Settings carry the channel rules; reapply overlays when they change
+                if (ytStorage.scopeStorageChanges(changes).settings) {
+                    loadSettings().then(() => {
+                        processExistingThumbnails();
+                        attachChannelRuleControl();
+                    });
+                }
             }
         });
     }
 
+    // Another profile has its own settings and history; refresh overlays for it
+    if (typeof ytStorage.onProfileChanged === 'function') {
+        ytStorage.onProfileChanged(() => {
+            loadSettings().then(() => processExistingThumbnails());
+        });
+    }
+
     // Expose internal navigation helpers for tests only.
     // This is a no-op in production because __YTVHT_TEST__ is not defined.
     if (typeof window !== 'undefined' && window.__YTVHT_TEST__) {
@@ -3115,7 +4052,17 @@
             saveTimestamp,
             saveShortsTimestamp,
             savePlaylistInfo,
-            loadSettings
+            loadSettings,
+            startViewingSession,
+            endViewingSession,
+            notePlayback,
+            closePlayedSegment,
+            renderProgressBar
+        };
+        window.__YTVHT_TEST__.importers = {
+            parseTakeoutHistory,
+            addImportPreviews,
+            formatImportPreview
         };
     }
 })();
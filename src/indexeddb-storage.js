@@ -20,11 +20,30 @@
             : (typeof self !== 'undefined' ? self : this));
 
     const DB_NAME = 'YTLH_HybridDB';
-    const DB_VERSION = 2;
+    const DEFAULT_PROFILE_ID = 'default';
+    const DB_VERSION = 8;
 
     const STORE_VIDEOS = 'videos';
     const STORE_PLAYLISTS = 'playlists';
     const STORE_DELETIONS = 'deletions';
+    const STORE_BACKUPS = 'backups';
+    const STORE_TRASH = 'trash';
+    const STORE_SESSIONS = 'sessions';
+
+    // Sort keys offered by the history tables, and the index each one walks
+    const VIDEO_SORT_INDEXES = {
+        timestamp: 'timestamp',
+        title: 'titleLower',
+        channel: 'channelLower',
+        progress: 'progressRatio',
+        duration: 'duration',
+        remaining: 'remainingTime',
+        firstWatched: 'firstWatchedAt'
+    };
+    const PLAYLIST_SORT_INDEXES = {
+        timestamp: 'timestamp',
+        title: 'titleLower'
+    };
 
     function log(message, data) {
         try {
@@ -45,10 +64,377 @@
         }
     }
 
+    // --- Search index -----------------------------------------------------
+    // Videos and playlists carry `searchTokens`, the words of their title (and
+    // channel name for videos) lower-cased with Latin diacritics stripped, behind
+    // a multiEntry index. Every query term has to match the start of a token.
+    // Tokens written before version 8 folded every script and are rebuilt.
+    const SEARCH_TOKENS_VERSION = 8;
+
+    // "Café" -> "cafe", "Straße" -> "strasse"; other scripts keep their marks,
+    // as they can be separate letters there: "Йордан" -> "йордан", not "иордан"
+    function normalizeSearchText(text) {
+        return String(text || '')
+            .normalize('NFKD')
+            .replace(/(\p{Script=Latin})[\u0300-\u036f]+/gu, '$1')
+            .normalize('NFC')
+            .toLowerCase()
+            .replace(/ß/g, 'ss');
+    }
+
+    function tokenizeSearchText(text) {
+        return normalizeSearchText(text).split(/[^\p{L}\p{M}\p{N}]+/u).filter(Boolean);
+    }
+
+    function recordSearchTokens(record) {
+        return [...new Set(tokenizeSearchText(`${record.title || ''} ${record.channelName || ''}`))];
+    }
+
+    function tokensMatch(tokens, term) {
+        return tokens.some(token => token.startsWith(term));
+    }
+
+    // The phrase's words in a row; the last one may be a prefix
+    function containsPhrase(text, terms) {
+        return ` ${tokenizeSearchText(text).join(' ')}`.includes(` ${terms.join(' ')}`);
+    }
+
+    // Search syntax: plain words, "quoted phrases", -negation and the qualifiers
+    //   channel:name  playlist:name  is:shorts|video|completed|unfinished
+    //   progress:>50  duration:<10m  watched:2026-09  before:2026-01-01  after:2026-09
+    // Words with an unknown qualifier ("http://...") are searched as plain words.
+    const SEARCH_QUALIFIERS = ['channel', 'playlist', 'is', 'progress', 'duration', 'watched', 'before', 'after'];
+    const SEARCH_IS_VALUES = { shorts: 'shorts', short: 'shorts', video: 'video', videos: 'video', completed: 'completed', finished: 'completed', unfinished: 'unfinished' };
+    const SEARCH_CLAUSE_PATTERN = /(-?)(?:([a-z]+):)?(?:"([^"]*)"?|(\S+))/gi;
+    const DURATION_UNITS = { h: 3600, m: 60, s: 1 };
+
+    // "2026", "2026-09" or "2026-09-15" -> [start, end) in local time
+    function parseSearchPeriod(value) {
+        const match = /^(\d{4})(?:-(\d{1,2})(?:-(\d{1,2}))?)?$/.exec(value);
+        if (!match) return null;
+        const year = Number(match[1]);
+        const month = match[2] ? Number(match[2]) - 1 : null;
+        const day = match[3] ? Number(match[3]) : null;
+        if (month !== null && (month < 0 || month > 11)) return null;
+        if (day !== null && (day < 1 || day > 31)) return null;
+        if (day !== null) return [new Date(year, month, day).getTime(), new Date(year, month, day + 1).getTime()];
+        if (month !== null) return [new Date(year, month, 1).getTime(), new Date(year, month + 1, 1).getTime()];
+        return [new Date(year, 0, 1).getTime(), new Date(year + 1, 0, 1).getTime()];
+    }
+
+    // "90s", "10m", "1h30m" -> seconds; a bare number is minutes
+    function parseSearchDuration(value) {
+        if (/^\d+(\.\d+)?$/.test(value)) return Number(value) * 60;
+        if (!/^(\d+(\.\d+)?[hms])+$/.test(value)) return null;
+        let seconds = 0;
+        value.replace(/(\d+(?:\.\d+)?)([hms])/g, (match, amount, unit) => {
+            seconds += Number(amount) * DURATION_UNITS[unit];
+            return match;
+        });
+        return seconds;
+    }
+
+    // ">50", "<=10m", "=3m"; without an operator the value is a minimum
+    function parseSearchComparison(value, parseNumber) {
+        const match = /^(>=|<=|>|<|=)?(.+)$/.exec(value);
+        const number = match ? parseNumber(match[2]) : null;
+        if (number === null || !isFinite(number)) return null;
+        return { op: match[1] || '>=', value: number };
+    }
+
+    function compareSearchValue(actual, { op, value }) {
+        switch (op) {
+            case '>': return actual > value;
+            case '<': return actual < value;
+            case '<=': return actual <= value;
+            case '=': return Math.round(actual) === Math.round(value);
+            default: return actual >= value;
+        }
+    }
+
+    function parseSearchQualifier(name, value) {
+        switch (name) {
+            case 'channel':
+            case 'playlist': {
+                const terms = tokenizeSearchText(value);
+                return terms.length ? { kind: name, terms } : null;
+            }
+            case 'is':
+                return SEARCH_IS_VALUES[value.toLowerCase()] ? { kind: 'is', value: SEARCH_IS_VALUES[value.toLowerCase()] } : null;
+            case 'progress': {
+                const comparison = parseSearchComparison(value, n => (/^\d+(\.\d+)?%?$/.test(n) ? parseFloat(n) : null));
+                return comparison && { kind: 'progress', ...comparison };
+            }
+            case 'duration': {
+                const comparison = parseSearchComparison(value.toLowerCase(), parseSearchDuration);
+                return comparison && { kind: 'duration', ...comparison };
+            }
+            case 'watched':
+            case 'before':
+            case 'after': {
+                const period = parseSearchPeriod(value);
+                if (!period) return null;
+                if (name === 'before') return { kind: 'time', from: null, to: period[0] };
+                if (name === 'after') return { kind: 'time', from: period[0], to: null };
+                return { kind: 'time', from: period[0], to: period[1] };
+            }
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * Parse the search box into clauses that all have to hold.
+     * @param {string} query
+     * @returns {Object} { clauses: [{ kind: 'text'|'phrase'|'channel'|'playlist'|'is'|'progress'|'duration'|'time', negate, ... }] }
+     */
+    function parseSearchQuery(query) {
+        const clauses = [];
+        const addWords = (text, negate, kind) => {
+            const terms = tokenizeSearchText(text);
+            if (terms.length) clauses.push({ kind, negate, terms });
+        };
+        for (const [, minus, qualifier, quoted, word] of String(query || '').matchAll(SEARCH_CLAUSE_PATTERN)) {
+            const negate = minus === '-';
+            const value = quoted !== undefined ? quoted : word;
+            const name = qualifier ? qualifier.toLowerCase() : '';
+            const clause = SEARCH_QUALIFIERS.includes(name) ? parseSearchQualifier(name, value) : null;
+            if (clause) {
+                clauses.push({ ...clause, negate });
+            } else if (qualifier) {
+                addWords(`${qualifier} ${value}`, negate, 'text');
+            } else {
+                addWords(value, negate, quoted !== undefined ? 'phrase' : 'text');
+            }
+        }
+        return { clauses };
+    }
+
+    // On the Playlists tab words and dates apply to the playlist itself
+    function playlistSearchQuery(query) {
+        return {
+            clauses: query.clauses
+                .filter(clause => ['text', 'phrase', 'playlist', 'time'].includes(clause.kind))
+                .map(clause => (clause.kind === 'playlist' ? { ...clause, kind: 'text' } : clause))
+        };
+    }
+
+    // Token prefix lookups a positive clause allows: { term, sources: ['videos'|'playlists'] }
+    function searchLookups(query) {
+        const sources = { text: ['videos', 'playlists'], phrase: ['videos', 'playlists'], channel: ['videos'], playlist: ['playlists'] };
+        return query.clauses
+            .filter(clause => !clause.negate && sources[clause.kind])
+            .flatMap(clause => clause.terms.map(term => ({ term, sources: sources[clause.kind] })));
+    }
+
+    // Narrowest timestamp window of the positive date clauses, or null
+    function searchTimeRange(query) {
+        const times = query.clauses.filter(clause => clause.kind === 'time' && !clause.negate);
+        if (!times.length) return null;
+        const froms = times.map(clause => clause.from).filter(value => value !== null);
+        const tos = times.map(clause => clause.to).filter(value => value !== null);
+        return { from: froms.length ? Math.max(...froms) : null, to: tos.length ? Math.min(...tos) : null };
+    }
+
+    // Share of a video actually played, from its watched segments when it has
+    // them (mirrors watchedRatio() in storage.js)
+    function recordWatchedRatio(record) {
+        const duration = Number(record.duration) || 0;
+        if (duration <= 0) return 0;
+        if (!Array.isArray(record.watchedSegments)) return Math.min(1, (Number(record.time) || 0) / duration);
+        const played = record.watchedSegments.reduce((sum, [start, end]) =>
+            sum + Math.max(0, Math.min(end, duration) - Math.max(0, start)), 0);
+        return Math.min(1, played / duration);
+    }
+
+    function isCompletedRecord(record) {
+        return recordWatchedRatio(record) >= 0.9;
+    }
+
+    function searchClauseMatches(clause, record, playlistTitle) {
+        switch (clause.kind) {
+            case 'text': {
+                const tokens = recordSearchTokens(record);
+                const playlistTokens = tokenizeSearchText(playlistTitle);
+                return clause.terms.every(term => tokensMatch(tokens, term) || tokensMatch(playlistTokens, term));
+            }
+            case 'phrase':
+                return [record.title, record.channelName, playlistTitle].some(text => containsPhrase(text, clause.terms));
+            case 'channel': {
+                const tokens = tokenizeSearchText(record.channelName);
+                return clause.terms.every(term => tokensMatch(tokens, term));
+            }
+            case 'playlist': {
+                const tokens = tokenizeSearchText(playlistTitle);
+                return clause.terms.every(term => tokensMatch(tokens, term));
+            }
+            case 'is':
+                if (clause.value === 'shorts') return !!record.isShorts;
+                if (clause.value === 'video') return !record.isShorts;
+                return isCompletedRecord(record) === (clause.value === 'completed');
+            case 'progress':
+                return compareSearchValue(recordWatchedRatio(record) * 100, clause);
+            case 'duration':
+                return record.duration > 0 && compareSearchValue(record.duration, clause);
+            case 'time': {
+                const timestamp = record.timestamp || 0;
+                return (clause.from === null || timestamp >= clause.from) && (clause.to === null || timestamp < clause.to);
+            }
+            default:
+                return true;
+        }
+    }
+
+    /**
+     * Does the record (with the title of the playlist it was watched from) satisfy every clause?
+     * @param {Object} record
+     * @param {Object} query - from parseSearchQuery()
+     * @param {string} [playlistTitle]
+     */
+    function matchesSearch(record, query, playlistTitle = '') {
+        return query.clauses.every(clause => searchClauseMatches(clause, record, playlistTitle) !== clause.negate);
+    }
+
+    /**
+     * Relevance of a matching record: whole words beat prefixes, the title beats
+     * the channel name, and the words in a row in the title add a bonus.
+     * Filters and matches through the playlist title only score 0.
+     */
+    function scoreSearchMatch(record, query) {
+        const titleTokens = tokenizeSearchText(record.title);
+        const channelTokens = tokenizeSearchText(record.channelName);
+        const positive = query.clauses.filter(clause => !clause.negate);
+        const words = positive.filter(clause => clause.kind === 'text').flatMap(clause => clause.terms);
+        let score = 0;
+        words.forEach(term => {
+            if (titleTokens.includes(term)) score += 4;
+            else if (tokensMatch(titleTokens, term)) score += 3;
+            else if (channelTokens.includes(term)) score += 2;
+            else if (tokensMatch(channelTokens, term)) score += 1;
+        });
+        if (words.length > 1 && containsPhrase(record.title, words)) {
+            score += 2 * words.length;
+        }
+        positive.filter(clause => clause.kind === 'phrase').forEach(clause => {
+            if (containsPhrase(record.title, clause.terms)) score += 4 * clause.terms.length;
+            else if (containsPhrase(record.channelName, clause.terms)) score += 2 * clause.terms.length;
+        });
+        return score;
+    }
+
+    // Best match first; equal scores keep the timestamp order
+    function rankSearchResults(records, query, sortOrder = 'desc') {
+        const scores = new Map(records.map(record => [record, scoreSearchMatch(record, query)]));
+        return records.slice().sort((a, b) => {
+            const byScore = scores.get(b) - scores.get(a);
+            if (byScore) return byScore;
+            return sortOrder === 'asc' ? (a.timestamp || 0) - (b.timestamp || 0) : (b.timestamp || 0) - (a.timestamp || 0);
+        });
+    }
+
+    function pageOfRecords(records, page, pageSize) {
+        const totalRecords = records.length;
+        const totalPages = Math.ceil(totalRecords / pageSize) || 1;
+        const offset = (page - 1) * pageSize;
+        return {
+            records: records.slice(offset, offset + pageSize),
+            pagination: {
+                currentPage: page,
+                totalPages,
+                totalRecords,
+                pageSize,
+                hasNextPage: page < totalPages,
+                hasPrevPage: page > 1
+            }
+        };
+    }
+
+    // Copy of the record with the fields its search indexes are built on;
+    // the caller's record is left as it was
+    function normalizeSearchFields(record) {
+        const normalized = { ...record };
+        if (typeof normalized.title === 'string') {
+            normalized.titleLower = normalized.title.toLowerCase();
+        } else if (!normalized.titleLower || typeof normalized.titleLower !== 'string') {
+            normalized.titleLower = '';
+        }
+        normalized.searchTokens = recordSearchTokens(normalized);
+        return normalized;
+    }
+
+    // Value a record is ordered by for a sort key, i.e. what its sort index holds
+    function recordSortValue(record, sortBy) {
+        const duration = Number(record.duration) || 0;
+        const time = Number(record.time) || 0;
+        switch (sortBy) {
+            case 'title':
+                return typeof record.title === 'string' ? record.title.toLowerCase() : (record.titleLower || '');
+            case 'channel':
+                return (record.channelName || '').toLowerCase();
+            case 'progress':
+                return recordWatchedRatio(record);
+            case 'duration':
+                return duration;
+            case 'remaining':
+                return Math.max(0, duration - time);
+            case 'firstWatched':
+                return Number(record.firstWatchedAt) || Number(record.timestamp) || 0;
+            default:
+                return Number(record.timestamp) || 0;
+        }
+    }
+
+    /**
+     * Sort records the way an index cursor walks them: by sort value, then by
+     * primary key, both in the requested direction. Keeps merged pages in the
+     * same order as the ones read straight from IndexedDB.
+     */
+    function sortRecords(records, sortBy = 'timestamp', sortOrder = 'desc', idField = 'videoId') {
+        const values = new Map(records.map(record => [record, recordSortValue(record, sortBy)]));
+        const sign = sortOrder === 'asc' ? 1 : -1;
+        const compare = (a, b) => (a === b ? 0 : (a < b ? -sign : sign));
+        return records.slice().sort((a, b) =>
+            compare(values.get(a), values.get(b)) || compare(a[idField] || '', b[idField] || ''));
+    }
+
+    // Copy of the record with the derived fields its sort indexes are built on.
+    // Every one is always set, as records without an index key would drop out
+    // of sorted pages
+    function normalizeSortFields(record) {
+        return {
+            ...record,
+            duration: recordSortValue(record, 'duration'),
+            channelLower: recordSortValue(record, 'channel'),
+            progressRatio: recordSortValue(record, 'progress'),
+            remainingTime: recordSortValue(record, 'remaining'),
+            firstWatchedAt: recordSortValue(record, 'firstWatched')
+        };
+    }
+
+    function normalizeVideoFields(record) {
+        return normalizeSortFields(normalizeSearchFields(record));
+    }
+
+    // Give records stored before an index existed the fields it is built on
+    function backfillIndexedFields(store, normalize) {
+        const request = store.openCursor();
+        request.onsuccess = (event) => {
+            const cursor = event.target.result;
+            if (!cursor) return;
+            cursor.update(normalize(cursor.value));
+            cursor.continue();
+        };
+    }
+
+    // Every profile but the default one gets its own database
+    function databaseNameForProfile(profileId) {
+        return !profileId || profileId === DEFAULT_PROFILE_ID ? DB_NAME : `${DB_NAME}__${profileId}`;
+    }
+
     /**
      * Open (or create) the IndexedDB database, creating object stores if needed.
      */
-    function openDatabase() {
+    function openDatabase(dbName = DB_NAME) {
         if (!hasIndexedDB()) {
             return Promise.reject(new Error('IndexedDB is not available in this environment'));
         }
@@ -56,7 +442,7 @@
         return new Promise((resolve, reject) => {
             let request;
             try {
-                request = indexedDB.open(DB_NAME, DB_VERSION);
+                request = indexedDB.open(dbName, DB_VERSION);
             } catch (error) {
                 reject(error);
                 return;
@@ -84,6 +470,27 @@
                 if (!videoStore.indexNames.contains('titleLower')) {
                     videoStore.createIndex('titleLower', 'titleLower', { unique: false });
                 }
+                // Full-text search, and videos watched from a playlist
+                const rebuildSearchTokens = event.oldVersion > 0 && event.oldVersion < SEARCH_TOKENS_VERSION;
+                let backfillVideos = rebuildSearchTokens;
+                if (!videoStore.indexNames.contains('searchTokens')) {
+                    videoStore.createIndex('searchTokens', 'searchTokens', { unique: false, multiEntry: true });
+                    backfillVideos = true;
+                }
+                if (!videoStore.indexNames.contains('playlistId')) {
+                    videoStore.createIndex('playlistId', 'playlistId', { unique: false });
+                }
+                // Sortable history columns
+                Object.values(VIDEO_SORT_INDEXES).forEach((indexName) => {
+                    if (!videoStore.indexNames.contains(indexName)) {
+                        videoStore.createIndex(indexName, indexName, { unique: false });
+                        backfillVideos = true;
+                    }
+                });
+                // One pass, so an upgrade across versions doesn't race two cursors
+                if (backfillVideos) {
+                    backfillIndexedFields(videoStore, normalizeVideoFields);
+                }
 
                 // Playlist records: keyed by playlistId
                 let playlistStore;
@@ -98,6 +505,14 @@
                 if (!playlistStore.indexNames.contains('titleLower')) {
                     playlistStore.createIndex('titleLower', 'titleLower', { unique: false });
                 }
+                let backfillPlaylists = rebuildSearchTokens;
+                if (!playlistStore.indexNames.contains('searchTokens')) {
+                    playlistStore.createIndex('searchTokens', 'searchTokens', { unique: false, multiEntry: true });
+                    backfillPlaylists = true;
+                }
+                if (backfillPlaylists) {
+                    backfillIndexedFields(playlistStore, normalizeSearchFields);
+                }
 
                 // Deletion markers / tombstones: keyed by videoId
                 let deletionsStore;
@@ -109,6 +524,36 @@
                 if (!deletionsStore.indexNames.contains('deletedAt')) {
                     deletionsStore.createIndex('deletedAt', 'deletedAt', { unique: false });
                 }
+
+                // Backup snapshots: keyed by id (creation time in ms)
+                if (!db.objectStoreNames.contains(STORE_BACKUPS)) {
+                    db.createObjectStore(STORE_BACKUPS, { keyPath: 'id' });
+                }
+
+                // Trash bin: full copies of deleted videos/playlists, keyed by "<type>:<id>"
+                let trashStore;
+                if (!db.objectStoreNames.contains(STORE_TRASH)) {
+                    trashStore = db.createObjectStore(STORE_TRASH, { keyPath: 'trashId' });
+                } else {
+                    trashStore = tx.objectStore(STORE_TRASH);
+                }
+                if (!trashStore.indexNames.contains('deletedAt')) {
+                    trashStore.createIndex('deletedAt', 'deletedAt', { unique: false });
+                }
+
+                // Viewing sessions: one record per stretch of playback, keyed by sessionId
+                let sessionStore;
+                if (!db.objectStoreNames.contains(STORE_SESSIONS)) {
+                    sessionStore = db.createObjectStore(STORE_SESSIONS, { keyPath: 'sessionId' });
+                } else {
+                    sessionStore = tx.objectStore(STORE_SESSIONS);
+                }
+                if (!sessionStore.indexNames.contains('videoId')) {
+                    sessionStore.createIndex('videoId', 'videoId', { unique: false });
+                }
+                if (!sessionStore.indexNames.contains('startedAt')) {
+                    sessionStore.createIndex('startedAt', 'startedAt', { unique: false });
+                }
             };
 
             request.onsuccess = () => {
@@ -137,9 +582,62 @@
         });
     }
 
+    // Handles bound to one profile's database, see forProfile()
+    const profileHandles = new Map();
+
     class IndexedDBStorage {
         constructor() {
             this._dbPromise = null;
+            this._dbName = DB_NAME;
+        }
+
+        /**
+         * Point all following calls at the given profile's database.
+         * The previous connection is closed once it has opened.
+         */
+        useProfile(profileId) {
+            const dbName = databaseNameForProfile(profileId);
+            if (dbName === this._dbName) return;
+            const previous = this._dbPromise;
+            this._dbName = dbName;
+            this._dbPromise = null;
+            if (previous) {
+                previous.then((db) => db.close()).catch(() => {});
+            }
+            log('Switched to profile database', dbName);
+        }
+
+        /**
+         * A handle on one profile's database that useProfile() doesn't move.
+         * Handles are cached, so each profile keeps a single extra connection.
+         */
+        forProfile(profileId) {
+            const dbName = databaseNameForProfile(profileId);
+            if (!profileHandles.has(dbName)) {
+                const handle = new IndexedDBStorage();
+                handle._dbName = dbName;
+                profileHandles.set(dbName, handle);
+            }
+            return profileHandles.get(dbName);
+        }
+
+        async deleteProfileDatabase(profileId) {
+            const dbName = databaseNameForProfile(profileId);
+            if (dbName === DB_NAME || dbName === this._dbName) {
+                throw new Error('Cannot delete the default or the active profile database');
+            }
+            // An open connection would block the deletion
+            const handle = profileHandles.get(dbName);
+            profileHandles.delete(dbName);
+            if (handle && handle._dbPromise) {
+                await handle._dbPromise.then((db) => db.close()).catch(() => {});
+            }
+            return new Promise((resolve, reject) => {
+                const request = indexedDB.deleteDatabase(dbName);
+                request.onsuccess = () => resolve();
+                request.onerror = () => reject(request.error || new Error('Failed to delete IndexedDB database'));
+                request.onblocked = () => log('Profile database deletion is blocked by an open connection', dbName);
+            });
         }
 
         /**
@@ -147,7 +645,7 @@
          */
         _getDB() {
             if (!this._dbPromise) {
-                this._dbPromise = openDatabase().catch((error) => {
+                this._dbPromise = openDatabase(this._dbName).catch((error) => {
                     // Reset so future calls can retry, but surface the error
                     this._dbPromise = null;
                     log('Failed to open IndexedDB database', error);
@@ -204,17 +702,10 @@
             if (!record || !record.videoId) {
                 throw new Error('Video record must include a videoId');
             }
-            // Normalize fields for indexed searches
-            if (typeof record.title === 'string') {
-                record.titleLower = record.title.toLowerCase();
-            } else if (record.titleLower && typeof record.titleLower === 'string') {
-                // keep as is
-            } else {
-                record.titleLower = '';
-            }
+            const stored = normalizeVideoFields(record);
             return this._withStore(STORE_VIDEOS, 'readwrite', (store) => {
                 return new Promise((resolve, reject) => {
-                    const request = store.put(record);
+                    const request = store.put(stored);
                     request.onsuccess = () => resolve();
                     request.onerror = () => reject(request.error);
                 });
@@ -244,6 +735,86 @@
             }
         }
 
+        /**
+         * Delete many videos in one transaction, with one tombstone each.
+         * Videos and tombstones are committed together.
+         */
+        async deleteVideos(videoIds, options = {}) {
+            if (!Array.isArray(videoIds) || videoIds.length === 0) return;
+            const { createTombstone = true } = options;
+            const storeNames = createTombstone ? [STORE_VIDEOS, STORE_DELETIONS] : [STORE_VIDEOS];
+            const db = await this._getDB();
+            return new Promise((resolve, reject) => {
+                let tx;
+                try {
+                    tx = db.transaction(storeNames, 'readwrite');
+                } catch (error) {
+                    reject(error);
+                    return;
+                }
+                const videos = tx.objectStore(STORE_VIDEOS);
+                const deletions = createTombstone ? tx.objectStore(STORE_DELETIONS) : null;
+                const deletedAt = Date.now();
+                videoIds.forEach((videoId) => {
+                    videos.delete(videoId);
+                    if (deletions) deletions.put({ videoId, deletedAt });
+                });
+                tx.oncomplete = () => resolve();
+                tx.onerror = () => reject(tx.error || new Error('IndexedDB transaction failed'));
+                tx.onabort = () => reject(tx.error || new Error('IndexedDB transaction aborted'));
+            });
+        }
+
+        /**
+         * Range delete over the timestamp index: walk videos last watched at or
+         * before `cutoff` (null walks them all) and delete the ones
+         * `shouldDelete(record)` accepts, with a tombstone each, in one transaction.
+         * With `moveToTrash` the trash copies are written in the same transaction,
+         * so a record is never deleted without its copy.
+         * Records without a timestamp are not in the index and are never visited.
+         * @returns {Promise<Object[]>} the deleted records
+         */
+        async deleteVideosBefore(cutoff, shouldDelete = () => true, options = {}) {
+            const { createTombstone = true, moveToTrash = false } = options;
+            const storeNames = [STORE_VIDEOS];
+            if (createTombstone) storeNames.push(STORE_DELETIONS);
+            if (moveToTrash) storeNames.push(STORE_TRASH);
+            const db = await this._getDB();
+            return new Promise((resolve, reject) => {
+                let tx;
+                try {
+                    tx = db.transaction(storeNames, 'readwrite');
+                } catch (error) {
+                    reject(error);
+                    return;
+                }
+                const deletions = createTombstone ? tx.objectStore(STORE_DELETIONS) : null;
+                const trash = moveToTrash ? tx.objectStore(STORE_TRASH) : null;
+                const range = cutoff === null || cutoff === undefined ? null : IDBKeyRange.upperBound(cutoff);
+                const deleted = [];
+                const deletedAt = Date.now();
+                const request = tx.objectStore(STORE_VIDEOS).index('timestamp').openCursor(range);
+                request.onsuccess = (event) => {
+                    const cursor = event.target.result;
+                    if (!cursor) return;
+                    if (shouldDelete(cursor.value)) {
+                        const videoId = cursor.value.videoId;
+                        deleted.push(cursor.value);
+                        if (trash) {
+                            trash.put({ trashId: `video:${videoId}`, type: 'video', id: videoId, deletedAt, record: cursor.value });
+                        }
+                        cursor.delete();
+                        if (deletions) deletions.put({ videoId, deletedAt });
+                    }
+                    cursor.continue();
+                };
+                request.onerror = () => reject(request.error);
+                tx.oncomplete = () => resolve(deleted);
+                tx.onerror = () => reject(tx.error || new Error('IndexedDB transaction failed'));
+                tx.onabort = () => reject(tx.error || new Error('IndexedDB transaction aborted'));
+            });
+        }
+
         async getAllVideos() {
             return this._withStore(STORE_VIDEOS, 'readonly', (store) => {
                 return new Promise((resolve, reject) => {
@@ -255,9 +826,11 @@
         }
 
         /**
-         * Query videos with optional Shorts filter and search, ordered by timestamp with pagination.
-         * This keeps semantics close to the existing storage.local-based search
-         * (case-insensitive substring match on title).
+         * Query videos with optional Shorts filter and search, with pagination.
+         * Without a search they are read in order from the index of `sortBy`
+         * (see VIDEO_SORT_INDEXES); searches go through the searchTokens index
+         * and come back ranked by relevance unless another sort is asked for.
+         * `excludeIds` leaves out videos the caller already has newer copies of.
          */
         async queryVideos(options = {}) {
             const {
@@ -265,10 +838,31 @@
                 searchQuery = '',
                 page = 1,
                 pageSize = 10,
-                sortOrder = 'desc'
+                sortBy = 'timestamp',
+                sortOrder = 'desc',
+                excludeIds = []
             } = options;
+            const excluded = new Set(excludeIds);
+
+            const query = parseSearchQuery(searchQuery);
+            if (query.clauses.length) {
+                // Words narrow the candidates through the token index, dates through
+                // the timestamp index; every clause is then checked on the records
+                const lookups = searchLookups(query);
+                const candidates = lookups.length
+                    ? await this._searchVideos(lookups)
+                    : await this._getVideosInRange(searchTimeRange(query));
+                const playlistTitles = await this._getPlaylistTitles(candidates);
+                const matched = candidates.filter(record =>
+                    !excluded.has(record.videoId) &&
+                    (isShorts === null || !!record.isShorts === !!isShorts) &&
+                    matchesSearch(record, query, playlistTitles[record.playlistId]));
+                const ordered = sortBy === 'timestamp'
+                    ? rankSearchResults(matched, query, sortOrder)
+                    : sortRecords(matched, sortBy, sortOrder);
+                return pageOfRecords(ordered, page, pageSize);
+            }
 
-            const queryLower = searchQuery ? String(searchQuery).toLowerCase() : '';
             const direction = sortOrder === 'asc' ? 'next' : 'prev';
             const offset = (page - 1) * pageSize;
 
@@ -279,8 +873,8 @@
 
                     let source;
                     try {
-                        // Prefer timestamp index when available; fall back to store scan otherwise.
-                        source = store.index('timestamp');
+                        // Walk the sort index when available; fall back to store scan otherwise.
+                        source = store.index(VIDEO_SORT_INDEXES[sortBy] || 'timestamp');
                     } catch (_) {
                         source = store;
                     }
@@ -308,6 +902,11 @@
 
                         const record = cursor.value;
 
+                        if (excluded.has(record.videoId)) {
+                            cursor.continue();
+                            return;
+                        }
+
                         // Filter by Shorts flag if specified
                         if (isShorts !== null) {
                             const recIsShorts = !!record.isShorts;
@@ -317,15 +916,6 @@
                             }
                         }
 
-                        // Filter by search query (case-insensitive substring on title)
-                        if (queryLower) {
-                            const titleSource = (record.titleLower || record.title || '');
-                            if (!titleSource.toLowerCase().includes(queryLower)) {
-                                cursor.continue();
-                                return;
-                            }
-                        }
-
                         matchedCount += 1;
 
                         // Pagination: skip until offset, then collect up to pageSize
@@ -341,6 +931,104 @@
             });
         }
 
+        /**
+         * Videos found by every lookup. Each term is looked up as a token prefix in
+         * the searchTokens index of the videos and/or of the playlists they were
+         * watched from (through the playlistId index).
+         * @param {Array} lookups - [{ term, sources: ['videos'|'playlists'] }]
+         * @returns {Promise<Object[]>} unordered records
+         */
+        async _searchVideos(lookups) {
+            const db = await this._getDB();
+            return new Promise((resolve, reject) => {
+                let tx;
+                try {
+                    tx = db.transaction([STORE_VIDEOS, STORE_PLAYLISTS], 'readonly');
+                } catch (error) {
+                    reject(error);
+                    return;
+                }
+                const videos = tx.objectStore(STORE_VIDEOS);
+                const playlists = tx.objectStore(STORE_PLAYLISTS);
+                const keysPerTerm = lookups.map(() => new Set());
+                const found = [];
+                let pending = 0;
+
+                // Once every key lookup is back, load the videos found for all terms
+                const fetchMatches = () => {
+                    const [smallest, ...rest] = keysPerTerm.slice().sort((a, b) => a.size - b.size);
+                    smallest.forEach((videoId) => {
+                        if (!rest.every(keys => keys.has(videoId))) return;
+                        const request = videos.get(videoId);
+                        request.onsuccess = () => {
+                            if (request.result) found.push(request.result);
+                        };
+                    });
+                };
+                const lookup = (source, query, onKeys) => {
+                    pending++;
+                    const request = source.getAllKeys(query);
+                    request.onsuccess = () => {
+                        onKeys(request.result || []);
+                        if (--pending === 0) fetchMatches();
+                    };
+                };
+
+                lookups.forEach(({ term, sources }, i) => {
+                    const range = IDBKeyRange.bound(term, term + '\uffff');
+                    const addKeys = keys => keys.forEach(key => keysPerTerm[i].add(key));
+                    if (sources.includes('videos')) {
+                        lookup(videos.index('searchTokens'), range, addKeys);
+                    }
+                    if (sources.includes('playlists')) {
+                        lookup(playlists.index('searchTokens'), range, (playlistIds) => {
+                            playlistIds.forEach(playlistId => lookup(videos.index('playlistId'), playlistId, addKeys));
+                        });
+                    }
+                });
+
+                tx.oncomplete = () => resolve(found);
+                tx.onerror = () => reject(tx.error || new Error('IndexedDB transaction failed'));
+                tx.onabort = () => reject(tx.error || new Error('IndexedDB transaction aborted'));
+            });
+        }
+
+        // Videos watched within { from, to } (either may be null); all videos without a range
+        async _getVideosInRange(range) {
+            return this._withStore(STORE_VIDEOS, 'readonly', (store) => {
+                return new Promise((resolve, reject) => {
+                    let request;
+                    if (!range) {
+                        request = store.getAll();
+                    } else {
+                        const { from, to } = range;
+                        const keyRange = from !== null && to !== null
+                            ? (from < to ? IDBKeyRange.bound(from, to, false, true) : null)
+                            : (from !== null ? IDBKeyRange.lowerBound(from) : IDBKeyRange.upperBound(to, true));
+                        if (!keyRange) {
+                            resolve([]);
+                            return;
+                        }
+                        request = store.index('timestamp').getAll(keyRange);
+                    }
+                    request.onsuccess = () => resolve(request.result || []);
+                    request.onerror = () => reject(request.error);
+                });
+            });
+        }
+
+        // { playlistId: title } for matching videos by the playlist they were watched from
+        // Titles of the playlists the given videos were watched from, by playlistId
+        async _getPlaylistTitles(records) {
+            const playlistIds = [...new Set(records.map(record => record.playlistId).filter(Boolean))];
+            const playlists = await this.getPlaylistsByIds(playlistIds);
+            const titles = {};
+            playlists.forEach((playlist) => {
+                if (playlist && playlist.playlistId) titles[playlist.playlistId] = playlist.title || '';
+            });
+            return titles;
+        }
+
         async getVideosByIds(videoIds) {
             if (!Array.isArray(videoIds) || videoIds.length === 0) {
                 return [];
@@ -356,6 +1044,91 @@
             });
         }
 
+        /**
+         * Read one chunk of videos in videoId order, starting after `afterKey`.
+         * Streaming exports walk the store with this so large histories are
+         * never held in memory at once.
+         * @returns {Promise<{records: Array, nextKey: string|null}>} nextKey is null after the last chunk
+         */
+        async getVideosChunk(afterKey = null, limit = 1000) {
+            return this._withStore(STORE_VIDEOS, 'readonly', (store) => {
+                return new Promise((resolve, reject) => {
+                    const range = afterKey ? IDBKeyRange.lowerBound(afterKey, true) : null;
+                    const request = store.getAll(range, limit);
+                    request.onsuccess = () => {
+                        const records = request.result || [];
+                        const nextKey = records.length === limit ? records[records.length - 1].videoId : null;
+                        resolve({ records, nextKey });
+                    };
+                    request.onerror = () => reject(request.error);
+                });
+            });
+        }
+
+        /**
+         * Read one chunk of videos newest first through the timestamp index,
+         * starting after the `{timestamp, videoId}` position the previous chunk
+         * returned. Videos without a numeric timestamp are not visited.
+         * @returns {Promise<{records: Array, next: {timestamp: number, videoId: string}|null}>} next is null after the last chunk
+         */
+        async getVideosChunkByTimestamp(after = null, limit = 1000) {
+            return this._withStore(STORE_VIDEOS, 'readonly', (store) => {
+                return new Promise((resolve, reject) => {
+                    const records = [];
+                    const range = IDBKeyRange.upperBound(after ? after.timestamp : Infinity);
+                    const request = store.index('timestamp').openCursor(range, 'prev');
+                    request.onsuccess = (event) => {
+                        const cursor = event.target.result;
+                        if (!cursor) {
+                            resolve({ records, next: null });
+                            return;
+                        }
+                        // Same-timestamp entries come in descending videoId order;
+                        // skip the ones the previous chunk already returned
+                        if (after && cursor.key === after.timestamp && cursor.primaryKey >= after.videoId) {
+                            cursor.continue();
+                            return;
+                        }
+                        records.push(cursor.value);
+                        if (records.length === limit) {
+                            const last = cursor.value;
+                            resolve({ records, next: { timestamp: last.timestamp, videoId: last.videoId } });
+                            return;
+                        }
+                        cursor.continue();
+                    };
+                    request.onerror = () => reject(request.error);
+                });
+            });
+        }
+
+        async countVideos() {
+            return this._withStore(STORE_VIDEOS, 'readonly', (store) => {
+                return new Promise((resolve, reject) => {
+                    const request = store.count();
+                    request.onsuccess = () => resolve(request.result || 0);
+                    request.onerror = () => reject(request.error);
+                });
+            });
+        }
+
+        /**
+         * Write many video records in a single readwrite transaction.
+         * Either the whole batch is committed or none of it is.
+         */
+        async putVideos(records) {
+            if (!Array.isArray(records) || records.length === 0) return;
+            const stored = records.map((record) => {
+                if (!record || !record.videoId) {
+                    throw new Error('Video record must include a videoId');
+                }
+                return normalizeVideoFields(record);
+            });
+            return this._withStore(STORE_VIDEOS, 'readwrite', (store) => {
+                stored.forEach((record) => store.put(record));
+            });
+        }
+
         // --- Playlist CRUD --------------------------------------------------
 
         async getPlaylist(playlistId) {
@@ -373,23 +1146,29 @@
             if (!record || !record.playlistId) {
                 throw new Error('Playlist record must include a playlistId');
             }
-            // Normalize fields for indexed searches
-            if (typeof record.title === 'string') {
-                record.titleLower = record.title.toLowerCase();
-            } else if (record.titleLower && typeof record.titleLower === 'string') {
-                // keep as is
-            } else {
-                record.titleLower = '';
-            }
+            const stored = normalizeSearchFields(record);
             return this._withStore(STORE_PLAYLISTS, 'readwrite', (store) => {
                 return new Promise((resolve, reject) => {
-                    const request = store.put(record);
+                    const request = store.put(stored);
                     request.onsuccess = () => resolve();
                     request.onerror = () => reject(request.error);
                 });
             });
         }
 
+        async putPlaylists(records) {
+            if (!Array.isArray(records) || records.length === 0) return;
+            const stored = records.map((record) => {
+                if (!record || !record.playlistId) {
+                    throw new Error('Playlist record must include a playlistId');
+                }
+                return normalizeSearchFields(record);
+            });
+            return this._withStore(STORE_PLAYLISTS, 'readwrite', (store) => {
+                stored.forEach((record) => store.put(record));
+            });
+        }
+
         async deletePlaylist(playlistId) {
             if (!playlistId) return;
             return this._withStore(STORE_PLAYLISTS, 'readwrite', (store) => {
@@ -397,6 +1176,51 @@
             });
         }
 
+        async deletePlaylists(playlistIds) {
+            if (!Array.isArray(playlistIds) || playlistIds.length === 0) return;
+            return this._withStore(STORE_PLAYLISTS, 'readwrite', (store) => {
+                playlistIds.forEach((id) => store.delete(id));
+            });
+        }
+
+        // Playlists whose title has a token starting with every term
+        async _searchPlaylists(terms) {
+            return this._withStore(STORE_PLAYLISTS, 'readonly', (store) => {
+                return Promise.all(terms.map((term) => {
+                    return new Promise((resolve, reject) => {
+                        const request = store.index('searchTokens').getAll(IDBKeyRange.bound(term, term + '\uffff'));
+                        request.onsuccess = () => resolve(request.result || []);
+                        request.onerror = () => reject(request.error);
+                    });
+                })).then((recordsPerTerm) => {
+                    const found = new Map();
+                    recordsPerTerm[0].forEach(record => found.set(record.playlistId, record));
+                    recordsPerTerm.slice(1).forEach((records) => {
+                        const ids = new Set(records.map(record => record.playlistId));
+                        [...found.keys()].forEach((id) => {
+                            if (!ids.has(id)) found.delete(id);
+                        });
+                    });
+                    return [...found.values()];
+                });
+            });
+        }
+
+        async getPlaylistsByIds(playlistIds) {
+            if (!Array.isArray(playlistIds) || playlistIds.length === 0) {
+                return [];
+            }
+            return this._withStore(STORE_PLAYLISTS, 'readonly', (store) => {
+                return Promise.all(playlistIds.map((id) => {
+                    return new Promise((resolve, reject) => {
+                        const request = store.get(id);
+                        request.onsuccess = () => resolve(request.result || null);
+                        request.onerror = () => reject(request.error);
+                    });
+                }));
+            });
+        }
+
         async getAllPlaylists() {
             return this._withStore(STORE_PLAYLISTS, 'readonly', (store) => {
                 return new Promise((resolve, reject) => {
@@ -408,17 +1232,32 @@
         }
 
         /**
-         * Query playlists with optional title search, ordered by timestamp with pagination.
+         * Query playlists with optional title search, ordered by timestamp or
+         * title (PLAYLIST_SORT_INDEXES) with pagination.
          */
         async queryPlaylists(options = {}) {
             const {
                 searchQuery = '',
                 page = 1,
                 pageSize = 10,
-                sortOrder = 'desc'
+                sortBy = 'timestamp',
+                sortOrder = 'desc',
+                excludeIds = []
             } = options;
+            const excluded = new Set(excludeIds);
+            const indexName = PLAYLIST_SORT_INDEXES[sortBy] || 'timestamp';
+
+            const query = playlistSearchQuery(parseSearchQuery(searchQuery));
+            if (query.clauses.length) {
+                const terms = searchLookups(query).map(lookup => lookup.term);
+                const candidates = terms.length ? await this._searchPlaylists(terms) : await this.getAllPlaylists();
+                const matched = candidates.filter(record => !excluded.has(record.playlistId) && matchesSearch(record, query));
+                const ordered = indexName === 'timestamp'
+                    ? rankSearchResults(matched, query, sortOrder)
+                    : sortRecords(matched, sortBy, sortOrder, 'playlistId');
+                return pageOfRecords(ordered, page, pageSize);
+            }
 
-            const queryLower = searchQuery ? String(searchQuery).toLowerCase() : '';
             const direction = sortOrder === 'asc' ? 'next' : 'prev';
             const offset = (page - 1) * pageSize;
 
@@ -429,7 +1268,7 @@
 
                     let source;
                     try {
-                        source = store.index('timestamp');
+                        source = store.index(indexName);
                     } catch (_) {
                         source = store;
                     }
@@ -457,13 +1296,9 @@
 
                         const record = cursor.value;
 
-                        // Filter by search query (case-insensitive substring on title)
-                        if (queryLower) {
-                            const titleSource = (record.titleLower || record.title || '');
-                            if (!titleSource.toLowerCase().includes(queryLower)) {
-                                cursor.continue();
-                                return;
-                            }
+                        if (excluded.has(record.playlistId)) {
+                            cursor.continue();
+                            return;
                         }
 
                         matchedCount += 1;
@@ -504,8 +1339,16 @@
             });
         }
 
+        async deleteDeletion(videoId) {
+            if (!videoId) return;
+            return this._withStore(STORE_DELETIONS, 'readwrite', (store) => {
+                store.delete(videoId);
+            });
+        }
+
+        // Resolves with the number of tombstones removed
         async cleanupTombstones(retentionMs) {
-            if (!retentionMs || retentionMs <= 0) return;
+            if (!retentionMs || retentionMs <= 0) return 0;
             const cutoff = Date.now() - retentionMs;
 
             return this._withStore(STORE_DELETIONS, 'readwrite', (store) => {
@@ -513,13 +1356,15 @@
                     const index = store.index('deletedAt');
                     const range = IDBKeyRange.upperBound(cutoff);
                     const request = index.openCursor(range);
+                    let removed = 0;
                     request.onsuccess = (event) => {
                         const cursor = event.target.result;
                         if (cursor) {
                             cursor.delete();
+                            removed++;
                             cursor.continue();
                         } else {
-                            resolve();
+                            resolve(removed);
                         }
                     };
                     request.onerror = () => reject(request.error);
@@ -527,6 +1372,223 @@
             });
         }
 
+        // --- Trash ----------------------------------------------------------
+
+        async putTrashEntry(entry) {
+            if (!entry || !entry.trashId) {
+                throw new Error('Trash entry must include a trashId');
+            }
+            return this._withStore(STORE_TRASH, 'readwrite', (store) => {
+                store.put(entry);
+            });
+        }
+
+        async putTrashEntries(entries) {
+            if (!Array.isArray(entries) || entries.length === 0) return;
+            entries.forEach((entry) => {
+                if (!entry || !entry.trashId) {
+                    throw new Error('Trash entry must include a trashId');
+                }
+            });
+            return this._withStore(STORE_TRASH, 'readwrite', (store) => {
+                entries.forEach((entry) => store.put(entry));
+            });
+        }
+
+        /**
+         * All trash entries, most recently deleted first.
+         */
+        async getAllTrash() {
+            return this._withStore(STORE_TRASH, 'readonly', (store) => {
+                return new Promise((resolve, reject) => {
+                    const entries = [];
+                    const request = store.index('deletedAt').openCursor(null, 'prev');
+                    request.onsuccess = (event) => {
+                        const cursor = event.target.result;
+                        if (!cursor) {
+                            resolve(entries);
+                            return;
+                        }
+                        entries.push(cursor.value);
+                        cursor.continue();
+                    };
+                    request.onerror = () => reject(request.error);
+                });
+            });
+        }
+
+        async getTrashEntries(trashIds) {
+            if (!Array.isArray(trashIds) || trashIds.length === 0) {
+                return [];
+            }
+            return this._withStore(STORE_TRASH, 'readonly', (store) => {
+                return Promise.all(trashIds.map((id) => {
+                    return new Promise((resolve, reject) => {
+                        const request = store.get(id);
+                        request.onsuccess = () => resolve(request.result || null);
+                        request.onerror = () => reject(request.error);
+                    });
+                }));
+            });
+        }
+
+        async deleteTrashEntries(trashIds) {
+            if (!Array.isArray(trashIds) || trashIds.length === 0) return;
+            return this._withStore(STORE_TRASH, 'readwrite', (store) => {
+                trashIds.forEach((id) => store.delete(id));
+            });
+        }
+
+        async clearTrash() {
+            return this._withStore(STORE_TRASH, 'readwrite', (store) => {
+                store.clear();
+            });
+        }
+
+        // Permanently drop entries deleted more than retentionMs ago; resolves with the count
+        async cleanupTrash(retentionMs) {
+            if (!retentionMs || retentionMs <= 0) return 0;
+            const cutoff = Date.now() - retentionMs;
+
+            return this._withStore(STORE_TRASH, 'readwrite', (store) => {
+                return new Promise((resolve, reject) => {
+                    const request = store.index('deletedAt').openCursor(IDBKeyRange.upperBound(cutoff));
+                    let removed = 0;
+                    request.onsuccess = (event) => {
+                        const cursor = event.target.result;
+                        if (cursor) {
+                            cursor.delete();
+                            removed++;
+                            cursor.continue();
+                        } else {
+                            resolve(removed);
+                        }
+                    };
+                    request.onerror = () => reject(request.error);
+                });
+            });
+        }
+
+        // --- Viewing sessions -----------------------------------------------
+
+        // Sessions are only ever added; an open session is re-put as it grows
+        async putSession(session) {
+            if (!session || !session.sessionId || !session.videoId) {
+                throw new Error('Session must include a sessionId and a videoId');
+            }
+            return this._withStore(STORE_SESSIONS, 'readwrite', (store) => {
+                store.put(session);
+            });
+        }
+
+        // All sessions of one video, oldest first
+        async getSessionsForVideo(videoId) {
+            if (!videoId) return [];
+            return this._withStore(STORE_SESSIONS, 'readonly', (store) => {
+                return new Promise((resolve, reject) => {
+                    const request = store.index('videoId').getAll(videoId);
+                    request.onsuccess = () => {
+                        const sessions = request.result || [];
+                        resolve(sessions.sort((a, b) => (a.startedAt || 0) - (b.startedAt || 0)));
+                    };
+                    request.onerror = () => reject(request.error);
+                });
+            });
+        }
+
+        /**
+         * Sessions started within [from, to), oldest first.
+         * @param {number|null} from - inclusive lower bound, or null for no bound
+         * @param {number|null} to - exclusive upper bound, or null for no bound
+         * @param {number} [limit] - maximum number of sessions
+         */
+        async getSessionsInRange(from = null, to = null, limit = undefined) {
+            let range = null;
+            if (from !== null && to !== null) {
+                if (from >= to) return [];
+                range = IDBKeyRange.bound(from, to, false, true);
+            } else if (from !== null) {
+                range = IDBKeyRange.lowerBound(from);
+            } else if (to !== null) {
+                range = IDBKeyRange.upperBound(to, true);
+            }
+            return this._withStore(STORE_SESSIONS, 'readonly', (store) => {
+                return new Promise((resolve, reject) => {
+                    const request = store.index('startedAt').getAll(range, limit);
+                    request.onsuccess = () => resolve(request.result || []);
+                    request.onerror = () => reject(request.error);
+                });
+            });
+        }
+
+        // Drop every session of the given videos; resolves with the count
+        async deleteSessionsForVideos(videoIds) {
+            if (!Array.isArray(videoIds) || videoIds.length === 0) return 0;
+            return this._withStore(STORE_SESSIONS, 'readwrite', (store) => {
+                return Promise.all(videoIds.map((videoId) => {
+                    return new Promise((resolve, reject) => {
+                        const request = store.index('videoId').getAllKeys(videoId);
+                        request.onsuccess = () => {
+                            const keys = request.result || [];
+                            keys.forEach(key => store.delete(key));
+                            resolve(keys.length);
+                        };
+                        request.onerror = () => reject(request.error);
+                    });
+                })).then(counts => counts.reduce((sum, count) => sum + count, 0));
+            });
+        }
+
+        // --- Backups --------------------------------------------------------
+
+        async putBackup(backup) {
+            if (!backup || typeof backup.id !== 'number') {
+                throw new Error('Backup must include a numeric id');
+            }
+            return this._withStore(STORE_BACKUPS, 'readwrite', (store) => {
+                store.put(backup);
+            });
+        }
+
+        async getBackup(id) {
+            return this._withStore(STORE_BACKUPS, 'readonly', (store) => {
+                return new Promise((resolve, reject) => {
+                    const request = store.get(id);
+                    request.onsuccess = () => resolve(request.result || null);
+                    request.onerror = () => reject(request.error);
+                });
+            });
+        }
+
+        /**
+         * List backups newest first, without their (potentially large) data payload.
+         */
+        async listBackups() {
+            return this._withStore(STORE_BACKUPS, 'readonly', (store) => {
+                return new Promise((resolve, reject) => {
+                    const backups = [];
+                    const request = store.openCursor(null, 'prev');
+                    request.onsuccess = (event) => {
+                        const cursor = event.target.result;
+                        if (!cursor) {
+                            resolve(backups);
+                            return;
+                        }
+                        const { data, ...meta } = cursor.value;
+                        backups.push(meta);
+                        cursor.continue();
+                    };
+                    request.onerror = () => reject(request.error);
+                });
+            });
+        }
+
+        async deleteBackup(id) {
+            return this._withStore(STORE_BACKUPS, 'readwrite', (store) => {
+                store.delete(id);
+            });
+        }
+
         // --- Utilities ------------------------------------------------------
 
         async clearAll() {
@@ -540,6 +1602,10 @@
                 return this._withStore(STORE_DELETIONS, 'readwrite', (store) => {
                     store.clear();
                 });
+            }).then(() => {
+                return this._withStore(STORE_SESSIONS, 'readwrite', (store) => {
+                    store.clear();
+                });
             });
         }
     }
@@ -548,4 +1614,18 @@
     // This keeps the API simple and avoids multiple competing DB connections.
     globalScope.ytIndexedDBStorage = new IndexedDBStorage();
 
+    // storage.js filters, ranks and sorts the records still in storage.local with the same rules
+    globalScope.ytSearchIndex = {
+        SEARCH_QUALIFIERS,
+        normalizeSearchText,
+        tokenizeSearchText,
+        parseSearchQuery,
+        playlistSearchQuery,
+        matchesSearch,
+        scoreSearchMatch,
+        rankSearchResults,
+        recordSortValue,
+        sortRecords
+    };
+
 })();
@@ -135,16 +135,29 @@ let storedStats = null;
 // Populated by updateAnalytics() when the Analytics tab is shown.
 let analyticsAllVideos = null;
 
+// Fields that can be picked for CSV / NDJSON exports, in column order
+const EXPORT_FIELDS = [
+    'videoId', 'title', 'channelName', 'channelId', 'time', 'duration',
+    'progress', 'timestamp', 'isShorts', 'playlist'
+];
+
 // Default settings
 const DEFAULT_SETTINGS = {
-    autoCleanPeriod: 90, // days
     paginationCount: 10,
     themePreference: 'system', // 'system', 'light', or 'dark'
     overlayTitle: 'viewed',
     overlayColor: 'blue',
     overlayLabelSize: 'medium',
     debug: false,
-    pauseHistoryInPlaylists: false
+    pauseHistoryInPlaylists: false,
+    pauseInIncognito: false,
+    pauseDurationMinutes: 0, // 0 = until resumed
+    exportFormat: 'json', // 'json', 'csv' or 'ndjson'
+    exportFields: EXPORT_FIELDS,
+    backupEnabled: false,
+    backupIntervalHours: 24,
+    backupRetention: 5,
+    backupTarget: 'indexeddb' // 'indexeddb' or 'downloads'
 };
 
 // Get version from manifest
@@ -234,6 +247,25 @@ function formatProgress(time, duration) {
     return `${timeStr} (${percentage}%)`;
 }
 
+// Share of a video actually played, from its watched segments when it has them
+function getWatchedRatio(record) {
+    if (!record || !(record.duration > 0)) return 0;
+    if (typeof ytStorage.watchedRatio === 'function') return ytStorage.watchedRatio(record);
+    return Math.min(1, (record.time || 0) / record.duration);
+}
+
+// Format progress text for a stored record (imported "seen" entries have no progress).
+// The percentage is how much was played, which differs from the position after skipping
+function formatRecordProgress(record) {
+    if (record && record.seenWithoutProgress) {
+        return chrome.i18n.getMessage('progress_seen_without_progress') || 'Seen';
+    }
+    if (Array.isArray(record.watchedSegments) && record.duration > 0) {
+        return `${formatDuration(record.time)} (${Math.round(getWatchedRatio(record) * 100)}%)`;
+    }
+    return formatProgress(record.time, record.duration);
+}
+
 // Show message
 function showMessage(message, type = 'success') {
     log('Showing message:', {message, type});
@@ -250,6 +282,69 @@ function showMessage(message, type = 'success') {
     }, 3000);
 }
 
+// How long the last destructive action can be undone
+const UNDO_TIMEOUT_MS = 8000;
+let undoTimer = null;
+let pendingUndo = null;
+let pendingUndoExpire = null;
+
+/**
+ * Show a toast with an Undo button for the last destructive action.
+ * A newer action replaces the previous one; only the latest can be undone.
+ * @param {string} message - What was just done
+ * @param {Function} undoFn - async () => void, reverts the action
+ * @param {Function} [onExpire] - async () => void, called instead when the undo is no longer offered
+ */
+function showUndoToast(message, undoFn, onExpire = null) {
+    const toast = document.getElementById('ytvhtUndoToast');
+    const text = document.getElementById('ytvhtUndoText');
+    const button = document.getElementById('ytvhtUndoButton');
+    if (!toast || !text || !button) {
+        showMessage(message);
+        if (onExpire) expireUndo(onExpire);
+        return;
+    }
+
+    hideUndoToast();
+    pendingUndo = undoFn;
+    pendingUndoExpire = onExpire;
+    text.textContent = message;
+    toast.classList.add('visible');
+
+    button.onclick = async () => {
+        const undo = pendingUndo;
+        pendingUndoExpire = null;
+        hideUndoToast();
+        if (!undo) return;
+        try {
+            await undo();
+            showMessage(chrome.i18n.getMessage('message_undo_done') || 'Action undone');
+        } catch (error) {
+            console.error('Error undoing action:', error);
+            showMessage(chrome.i18n.getMessage('message_undo_failed', [error.message]) || `Undo failed: ${error.message}`, 'error');
+        }
+    };
+    undoTimer = setTimeout(hideUndoToast, UNDO_TIMEOUT_MS);
+}
+
+function hideUndoToast() {
+    clearTimeout(undoTimer);
+    undoTimer = null;
+    pendingUndo = null;
+    if (pendingUndoExpire) {
+        expireUndo(pendingUndoExpire);
+        pendingUndoExpire = null;
+    }
+    const toast = document.getElementById('ytvhtUndoToast');
+    if (toast) toast.classList.remove('visible');
+}
+
+function expireUndo(onExpire) {
+    Promise.resolve()
+        .then(onExpire)
+        .catch(error => console.error('Error discarding undo data:', error));
+}
+
 function sendToContentScript(message, callback) {
     chrome.tabs.query({active: true, currentWindow: true}, function (tabs) {
         if (!tabs[0]) {
@@ -324,8 +419,9 @@ async function initStorage() {
 
         // Set up storage change listener
         // Firefox Sync disabled - no need to ignore changes during sync
-        chrome.storage.onChanged.addListener((changes, area) => {
+        chrome.storage.onChanged.addListener((rawChanges, area) => {
             if (area === 'local') {
+                const changes = ytStorage.scopeStorageChanges(rawChanges);
                 const videoChanges = Object.entries(changes).filter(([key]) =>
                     key.startsWith('video_') || key.startsWith('playlist_')
                 );
@@ -388,17 +484,16 @@ function handleStorageUpdates(changes) {
 // Check for tombstone before updating video record
 async function checkTombstoneAndUpdateVideo(videoId, videoRecord) {
     try {
-        // Get all storage data to check for tombstone
-        const allData = await chrome.storage.local.get(null).catch(error => {
+        // Tombstones live in the active profile's namespace
+        const hasTombstone = await ytStorage.hasTombstone(videoId).catch(error => {
             if (error.message && error.message.includes('Extension context invalidated')) {
                 console.log('[Popup] Extension context invalidated during tombstone check');
-                return {};
+                return false;
             }
             throw error;
         });
-        const tombstoneKey = `deleted_video_${videoId}`;
 
-        if (allData[tombstoneKey]) {
+        if (hasTombstone) {
             console.log('[Popup] Video has tombstone, not adding to UI:', videoId);
             return; // Don't add video if tombstone exists
         }
@@ -451,7 +546,7 @@ function updateVideoRecord(record) {
                 }
 
                 if (progress) {
-                    progress.textContent = formatProgress(record.time, record.duration);
+                    progress.textContent = formatRecordProgress(record);
                 }
 
                 if (date) {
@@ -661,17 +756,60 @@ async function smartSearch(query) {
     if (trimmedQuery.length === 0) {
         console.log('[Search] Showing recent searches');
         return showRecentSearches();
-    } else if (trimmedQuery.length < 3) {
+    } else if (trimmedQuery.length < 3 || /[a-z]:$/i.test(trimmedQuery)) {
+        // Short queries and qualifiers still waiting for a value only get suggestions
         console.log('[Search] Showing autocomplete suggestions');
-        return showAutocompleteSuggestions(trimmedQuery);
+        return showAutocompleteSuggestions(query);
     } else {
         // For 3+ characters, show full search and schedule recording
         console.log('[Search] Showing full search results and scheduling recording');
         searchTimeout = setTimeout(() => recordSearch(trimmedQuery), SEARCH_DEBOUNCE_DELAY);
-        return await showFullSearchResults(trimmedQuery);
+        await showFullSearchResults(trimmedQuery);
+        // Keep offering qualifiers while one is being typed
+        if (getQualifierSuggestions(query).length) {
+            showAutocompleteSuggestions(query);
+        }
     }
 }
 
+// Qualifiers understood by the search box (parsed by ytSearchIndex in indexeddb-storage.js)
+function getSearchQualifiers() {
+    const now = new Date();
+    const month = `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}`;
+    return [
+        { text: 'channel:', key: 'search_hint_channel', hint: 'Videos from a channel' },
+        { text: 'playlist:', key: 'search_hint_playlist', hint: 'Videos watched from a playlist' },
+        { text: 'is:shorts', key: 'search_hint_is_shorts', hint: 'Only Shorts' },
+        { text: 'is:video', key: 'search_hint_is_video', hint: 'Only regular videos' },
+        { text: 'is:unfinished', key: 'search_hint_is_unfinished', hint: 'Not watched to the end' },
+        { text: 'is:completed', key: 'search_hint_is_completed', hint: 'Watched to the end' },
+        { text: 'progress:>50', key: 'search_hint_progress', hint: 'Watched more than half' },
+        { text: 'duration:<10m', key: 'search_hint_duration', hint: 'Shorter than 10 minutes (s, m, h)' },
+        { text: `watched:${month}`, key: 'search_hint_watched', hint: 'Watched in a year, month or on a day' },
+        { text: `before:${month}`, key: 'search_hint_before', hint: 'Watched before a date' },
+        { text: `after:${month}`, key: 'search_hint_after', hint: 'Watched on or after a date' }
+    ];
+}
+
+// Qualifiers that complete the word being typed ("ch" -> "channel:", "-is:" -> "is:shorts", ...)
+function getQualifierSuggestions(query) {
+    const word = query.split(/\s+/).pop().replace(/^-/, '').toLowerCase();
+    if (!word) return [];
+    return getSearchQualifiers().filter(qualifier => qualifier.text.startsWith(word) && qualifier.text !== word);
+}
+
+// Replace the word being typed with the qualifier, keeping a leading "-"
+function applyQualifierSuggestion(text) {
+    if (!globalSearchInput) return;
+    const value = globalSearchInput.value;
+    const start = value.search(/\S*$/);
+    const negate = value.charAt(start) === '-' ? '-' : '';
+    globalSearchInput.value = value.slice(0, start) + negate + text + (text.endsWith(':') ? '' : ' ');
+    globalSearchInput.focus();
+    toggleClearButton(true);
+    smartSearch(globalSearchInput.value);
+}
+
 function showRecentSearches() {
     const recentContainer = document.getElementById('ytvhtSearchSuggestions') ||
                            createSearchSuggestionsContainer();
@@ -727,12 +865,51 @@ function showAutocompleteSuggestions(query) {
 
     const allSearches = getAllSearches();
     const matchingSearches = allSearches
-        .filter(search => search.toLowerCase().includes(query.toLowerCase()))
+        .filter(search => search.toLowerCase().includes(query.trim().toLowerCase()))
         .slice(0, 8); // Limit to 8 suggestions
+    const qualifiers = getQualifierSuggestions(query);
 
     // Clear existing content
     suggestionsContainer.innerHTML = '';
 
+    if (qualifiers.length) {
+        const qualifierSection = document.createElement('div');
+        qualifierSection.className = 'search-section';
+        const qualifierHeader = document.createElement('h4');
+        qualifierHeader.textContent = chrome.i18n.getMessage('search_qualifiers_header') || 'Filters';
+        qualifierSection.appendChild(qualifierHeader);
+
+        qualifiers.forEach(qualifier => {
+            const item = document.createElement('div');
+            item.className = 'suggestion-item qualifier-item';
+            // The list is redrawn under the click; don't let the outside-click handler close it
+            item.addEventListener('click', (event) => {
+                event.stopPropagation();
+                applyQualifierSuggestion(qualifier.text);
+            });
+
+            const textContainer = document.createElement('div');
+            textContainer.className = 'suggestion-text';
+            const title = document.createElement('div');
+            title.className = 'suggestion-title';
+            title.textContent = qualifier.text;
+            const meta = document.createElement('div');
+            meta.className = 'suggestion-meta';
+            meta.textContent = chrome.i18n.getMessage(qualifier.key) || qualifier.hint;
+
+            textContainer.appendChild(title);
+            textContainer.appendChild(meta);
+            item.appendChild(textContainer);
+            qualifierSection.appendChild(item);
+        });
+        suggestionsContainer.appendChild(qualifierSection);
+
+        if (!matchingSearches.length) {
+            suggestionsContainer.style.display = 'block';
+            return;
+        }
+    }
+
     // Create search section
     const searchSection = document.createElement('div');
     searchSection.className = 'search-section';
@@ -787,7 +964,8 @@ async function showFullSearchResults(query) {
         suggestionsContainer.style.display = 'none';
     }
 
-    // Proceed with normal search flow
+    // Matching and ranking happen in storage, on the IndexedDB search index
+    // (title, channel and playlist words, diacritics ignored, prefixes allowed)
     searchQuery = query.toLowerCase();
     currentPage = 1;
     currentShortsPage = 1;
@@ -795,35 +973,9 @@ async function showFullSearchResults(query) {
 
     console.log('[Search] Set searchQuery to:', searchQuery);
 
-    // Load filtered data for all tabs
+    // Loads the first page of every tab and redraws the active one
     await loadCurrentPages();
     console.log('[Search] loadCurrentPages completed');
-
-    // Explicitly refresh the current tab's display
-    const activeTab = document.querySelector('.tab-bar .tab.active');
-    console.log('[Search] Active tab element:', activeTab);
-
-    if (activeTab) {
-        const tabName = activeTab.id.replace('ytvhtTab', '').toLowerCase();
-        console.log('[Search] Active tab name:', tabName);
-
-        switch (tabName) {
-            case 'videos':
-                console.log('[Search] Calling displayHistoryPage');
-                displayHistoryPage();
-                break;
-            case 'shorts':
-                console.log('[Search] Calling displayShortsPage');
-                displayShortsPage();
-                break;
-            case 'playlists':
-                console.log('[Search] Calling displayPlaylistsPage');
-                displayPlaylistsPage();
-                break;
-        }
-    } else {
-        console.log('[Search] No active tab found!');
-    }
 }
 
 function createSearchSuggestionsContainer() {
@@ -861,6 +1013,83 @@ function quickSelectVideo(videoId) {
 }
 
 
+// Column each history table is sorted by (see getRecordsPage); kept per table in localStorage
+const SORT_COLUMNS = {
+    videos: ['timestamp', 'firstWatched', 'title', 'channel', 'progress', 'duration', 'remaining'],
+    shorts: ['timestamp', 'firstWatched', 'title', 'channel', 'progress', 'duration', 'remaining'],
+    playlists: ['timestamp', 'title']
+};
+const TEXT_SORT_COLUMNS = ['title', 'channel'];
+const tableSorts = {
+    videos: loadTableSort('videos'),
+    shorts: loadTableSort('shorts'),
+    playlists: loadTableSort('playlists')
+};
+
+function loadTableSort(type) {
+    try {
+        const saved = JSON.parse(localStorage.getItem(`ythdb_sort_${type}`));
+        if (saved && SORT_COLUMNS[type].includes(saved.sortBy) && ['asc', 'desc'].includes(saved.sortOrder)) {
+            return saved;
+        }
+    } catch (_) {
+        // ignore malformed values
+    }
+    return { sortBy: 'timestamp', sortOrder: 'desc' };
+}
+
+function updateSortHeaders(type) {
+    const { sortBy, sortOrder } = tableSorts[type];
+    document.querySelectorAll(`.sort-headers[data-sort-type="${type}"] .sort-header`).forEach(button => {
+        const active = button.dataset.sort === sortBy;
+        button.classList.toggle('sort-asc', active && sortOrder === 'asc');
+        button.classList.toggle('sort-desc', active && sortOrder === 'desc');
+        button.setAttribute('aria-pressed', active ? 'true' : 'false');
+    });
+}
+
+/**
+ * Sort a history table by a column. Clicking the active column flips its
+ * direction; a new column starts A-Z for text and highest first otherwise.
+ */
+async function setTableSort(type, sortBy) {
+    const current = tableSorts[type];
+    const sortOrder = current.sortBy === sortBy
+        ? (current.sortOrder === 'desc' ? 'asc' : 'desc')
+        : (TEXT_SORT_COLUMNS.includes(sortBy) ? 'asc' : 'desc');
+    tableSorts[type] = { sortBy, sortOrder };
+    localStorage.setItem(`ythdb_sort_${type}`, JSON.stringify(tableSorts[type]));
+    updateSortHeaders(type);
+
+    try {
+        if (type === 'videos') {
+            currentPage = 1;
+            await loadHistoryPage({ page: 1 });
+            displayHistoryPage();
+        } else if (type === 'shorts') {
+            currentShortsPage = 1;
+            await loadShortsPage({ page: 1 });
+            displayShortsPage();
+        } else {
+            currentPlaylistPage = 1;
+            await loadPlaylistsPage({ page: 1 });
+            displayPlaylistsPage();
+        }
+    } catch (error) {
+        console.error('Error sorting table:', error);
+    }
+}
+
+function initSortHeaders() {
+    document.querySelectorAll('.sort-headers[data-sort-type]').forEach(headers => {
+        const type = headers.dataset.sortType;
+        headers.querySelectorAll('.sort-header').forEach(button => {
+            button.addEventListener('click', () => setTableSort(type, button.dataset.sort));
+        });
+        updateSortHeaders(type);
+    });
+}
+
 // Lazy loading functions for pagination
 async function loadHistoryPage(options = {}) {
     const { page = currentPage, pageSize: pageSizeParam = pageSize, searchQuery: query = searchQuery } = options;
@@ -870,7 +1099,8 @@ async function loadHistoryPage(options = {}) {
         const result = await ytStorage.getVideosPage({
             page,
             pageSize: pageSizeParam,
-            searchQuery: query
+            searchQuery: query,
+            ...tableSorts.videos
         });
 
         // Update global arrays with just the current page data
@@ -900,7 +1130,8 @@ async function loadShortsPage(options = {}) {
         const result = await ytStorage.getShortsPage({
             page,
             pageSize: pageSizeParam,
-            searchQuery: query
+            searchQuery: query,
+            ...tableSorts.shorts
         });
 
         // Update global arrays with just the current page data
@@ -930,7 +1161,8 @@ async function loadPlaylistsPage(options = {}) {
         const result = await ytStorage.getPlaylistsPage({
             page,
             pageSize: pageSizeParam,
-            searchQuery: query
+            searchQuery: query,
+            ...tableSorts.playlists
         });
 
         // Update global arrays with just the current page data
@@ -1073,6 +1305,12 @@ function calculateAnalytics(records) {
         ? Math.max(0, Math.floor(storedStats.totalWatchSeconds || 0))
         : records.reduce((sum, record) => sum + (record.time || 0), 0);
 
+    // Real time spent: watch time from before speed tracking counts at normal speed
+    const wallSeconds = hasStoredStats ? Math.max(0, Math.floor(storedStats.totalWallSeconds || 0)) : 0;
+    const timedSeconds = hasStoredStats ? Math.min(totalSeconds, Math.max(0, Math.floor(storedStats.timedWatchSeconds || 0))) : 0;
+    const timeSpentSeconds = wallSeconds + (totalSeconds - timedSeconds);
+    const avgSpeed = wallSeconds > 0 ? timedSeconds / wallSeconds : null;
+
     let videosWatched = 0;
     let shortsWatched = 0;
     let avgDurationSeconds = 0;
@@ -1094,7 +1332,7 @@ function calculateAnalytics(records) {
         // Fallback: current-page-only behavior (what you previously had)
         const totalDuration = records.reduce((sum, record) => sum + (record.duration || 0), 0);
         const completedVideos = records.filter(record =>
-            record.time && record.duration && (record.time / record.duration) >= 0.9
+            getWatchedRatio(record) >= 0.9
         ).length;
 
         videosWatched = records.length;
@@ -1108,6 +1346,8 @@ function calculateAnalytics(records) {
 
     return {
         totalWatchTime: formatAnalyticsDuration(Math.floor(totalSeconds)),
+        timeSpent: formatAnalyticsDuration(Math.floor(timeSpentSeconds)),
+        avgSpeed: avgSpeed ? `${Number(avgSpeed.toFixed(2))}×` : '–',
         videosWatched,
         shortsWatched,
         avgDuration: formatAnalyticsDuration(
@@ -1202,22 +1442,10 @@ async function updateAnalytics() {
     try {
         const haveHistory = (allHistoryRecords && allHistoryRecords.length) || (allShortsRecords && allShortsRecords.length);
         if (haveHistory) {
-            // Build last 7 local day keys
-            const now = new Date();
-            const last7 = Array.from({length: 7}, (_, i) => {
-                const d = new Date(now);
-                d.setDate(d.getDate() - i);
-                return `${d.getFullYear()}-${String(d.getMonth()+1).padStart(2,'0')}-${String(d.getDate()).padStart(2,'0')}`;
-            });
-
-            let needsDailySeed = false;
-            if (!storedStats || !storedStats.daily || typeof storedStats.daily !== 'object') {
-                needsDailySeed = true;
-            } else {
-                const anyInWindow = last7.some(k => Number(storedStats.daily[k] || 0) > 0);
-                // If no daily entries in current 7-day window but we have history, seed
-                if (!anyInWindow) needsDailySeed = true;
-            }
+            // Only seed days when there are none: daily stats now go back a year,
+            // and a quiet week must not overwrite them
+            const needsDailySeed = !storedStats || !storedStats.daily || typeof storedStats.daily !== 'object'
+                || Object.keys(storedStats.daily).length === 0;
 
             let needsHourlySeed = false;
             if (!storedStats || !Array.isArray(storedStats.hourly) || storedStats.hourly.length !== 24) {
@@ -1230,12 +1458,8 @@ async function updateAnalytics() {
             if (needsDailySeed || needsHourlySeed) {
                 const seeded = buildStatsFromHistory();
                 if (!storedStats) storedStats = {};
-                // Prune seeded daily to last 7 keys only
-                const daily = {};
-                last7.reverse().forEach(k => { // oldest to newest
-                    if (seeded.daily[k]) daily[k] = seeded.daily[k];
-                });
-                if (needsDailySeed) storedStats.daily = daily;
+                // Days past the kept window are rolled up by the next stats update
+                if (needsDailySeed) storedStats.daily = seeded.daily;
                 if (needsHourlySeed) storedStats.hourly = seeded.hourly;
                 storedStats.lastUpdated = Date.now();
                 await ytStorage.setStats(storedStats);
@@ -1257,6 +1481,8 @@ async function updateAnalytics() {
     const stats = calculateAnalytics(allHistoryRecords);
 
     document.getElementById('totalWatchTime').textContent = stats.totalWatchTime;
+    document.getElementById('timeSpent').textContent = stats.timeSpent;
+    document.getElementById('avgSpeed').textContent = stats.avgSpeed;
     document.getElementById('videosWatched').textContent = stats.videosWatched;
     document.getElementById('shortsWatched').textContent = stats.shortsWatched;
     document.getElementById('avgDuration').textContent = stats.avgDuration;
@@ -1265,6 +1491,7 @@ async function updateAnalytics() {
 
     // Update all charts
     updateActivityChart();
+    renderWatchHeatmap();
     updateWatchTimeByHourChart();
     renderUnfinishedVideos();
     renderTopChannels();
@@ -1279,7 +1506,7 @@ function renderUnfinishedVideos() {
 
     // Filter for long, unfinished videos
     const unfinished = allHistoryRecords.filter(record => {
-        return record.duration >= 600 && (record.time / record.duration) < 0.9;
+        return record.duration >= 600 && getWatchedRatio(record) < 0.9;
     });
 
     // Sort by absolute time left, descending
@@ -1361,6 +1588,125 @@ function renderUnfinishedVideos() {
     topUnfinished.forEach(record => container.appendChild(createUnfinishedVideoEntry(record)));
 }
 
+// Ranges of the activity chart: how many days back (null = everything) and the bar size
+const ACTIVITY_RANGES = {
+    '7d': { days: 7, bucket: 'day' },
+    '30d': { days: 30, bucket: 'day' },
+    '90d': { days: 91, bucket: 'week' },
+    '1y': { days: 365, bucket: 'month' },
+    all: { days: null, bucket: 'month' }
+};
+let activityRange = ACTIVITY_RANGES[localStorage.getItem('ythdb_activity_range')]
+    ? localStorage.getItem('ythdb_activity_range')
+    : '7d';
+
+function localDayKey(date) {
+    return `${date.getFullYear()}-${String(date.getMonth()+1).padStart(2,'0')}-${String(date.getDate()).padStart(2,'0')}`;
+}
+
+function getActivityVideoSource() {
+    return Array.isArray(analyticsAllVideos) && analyticsAllVideos.length
+        ? analyticsAllVideos
+        : [...allHistoryRecords, ...allShortsRecords];
+}
+
+// Watch seconds per local day: the stats snapshot when there is one, else the
+// saved progress of each video on the day it was last watched
+function getDailyWatchSeconds() {
+    const secondsByDay = new Map();
+    if (storedStats && storedStats.daily && typeof storedStats.daily === 'object') {
+        Object.entries(storedStats.daily).forEach(([day, seconds]) => secondsByDay.set(day, Number(seconds || 0)));
+        return secondsByDay;
+    }
+    getActivityVideoSource().forEach(record => {
+        if (!record.timestamp) return;
+        const day = localDayKey(new Date(record.timestamp));
+        secondsByDay.set(day, (secondsByDay.get(day) || 0) + (record.time || 0));
+    });
+    return secondsByDay;
+}
+
+/**
+ * Bars of an activity range, oldest first. Each covers the local days from..to;
+ * month bars also carry their month, as days older than a year are only kept
+ * per month in the stats.
+ */
+function buildActivityBuckets(range, earliestDay, now = new Date()) {
+    const { days, bucket } = ACTIVITY_RANGES[range] || ACTIVITY_RANGES['7d'];
+    const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+    const buckets = [];
+
+    if (bucket === 'month') {
+        let cursor = days
+            ? new Date(today.getFullYear(), today.getMonth() - (Math.round(days / 30.5) - 1), 1)
+            : new Date(earliestDay.getFullYear(), earliestDay.getMonth(), 1);
+        while (cursor <= today) {
+            const next = new Date(cursor.getFullYear(), cursor.getMonth() + 1, 1);
+            const from = localDayKey(cursor);
+            buckets.push({
+                from,
+                to: localDayKey(new Date(next.getFullYear(), next.getMonth(), 0)),
+                month: from.slice(0, 7),
+                label: `${from.slice(5, 7)}/${from.slice(2, 4)}`
+            });
+            cursor = next;
+        }
+        return buckets;
+    }
+
+    // Day and week bars end today
+    const step = bucket === 'week' ? 7 : 1;
+    const cursor = new Date(today);
+    cursor.setDate(cursor.getDate() - (Math.ceil(days / step) * step - 1));
+    while (cursor <= today) {
+        const end = new Date(cursor);
+        end.setDate(end.getDate() + step - 1);
+        const from = localDayKey(cursor);
+        buckets.push({ from, to: localDayKey(end), label: from.slice(5).replace('-', '/') });
+        cursor.setDate(cursor.getDate() + step);
+    }
+    return buckets;
+}
+
+// Number of videos last watched and seconds watched in each bar of the range
+function getActivitySeries(range) {
+    const secondsByDay = getDailyWatchSeconds();
+    const monthly = storedStats && storedStats.monthly && typeof storedStats.monthly === 'object' ? storedStats.monthly : {};
+    const videosByDay = new Map();
+    getActivityVideoSource().forEach(record => {
+        if (!record.timestamp) return;
+        const day = localDayKey(new Date(record.timestamp));
+        videosByDay.set(day, (videosByDay.get(day) || 0) + 1);
+    });
+
+    const firstDays = [...secondsByDay.keys(), ...videosByDay.keys(), ...Object.keys(monthly).map(month => `${month}-01`)].sort();
+    const earliest = firstDays.length ? new Date(`${firstDays[0]}T00:00:00`) : new Date();
+    const sumDays = (map, from, to) => {
+        let total = 0;
+        map.forEach((value, day) => {
+            if (day >= from && day <= to) total += value;
+        });
+        return total;
+    };
+
+    return buildActivityBuckets(range, earliest).map(bucket => ({
+        ...bucket,
+        videos: sumDays(videosByDay, bucket.from, bucket.to),
+        seconds: sumDays(secondsByDay, bucket.from, bucket.to) + (bucket.month ? Number(monthly[bucket.month] || 0) : 0)
+    }));
+}
+
+function initActivityRange() {
+    const select = document.getElementById('activityRange');
+    if (!select) return;
+    select.value = activityRange;
+    select.addEventListener('change', () => {
+        activityRange = ACTIVITY_RANGES[select.value] ? select.value : '7d';
+        localStorage.setItem('ythdb_activity_range', activityRange);
+        updateActivityChart();
+    });
+}
+
 // Create activity chart
 function updateActivityChart() {
     const canvas = document.getElementById('ytvhtActivityChart');
@@ -1376,53 +1722,18 @@ function updateActivityChart() {
     // Clear previous chart
     ctx.clearRect(0, 0, canvas.width, canvas.height);
 
-    // Get last 7 days of activity
-    const now = new Date();
-    const days = Array.from({length: 7}, (_, i) => {
-        const date = new Date(now);
-        date.setDate(date.getDate() - i);
-        return `${date.getFullYear()}-${String(date.getMonth()+1).padStart(2,'0')}-${String(date.getDate()).padStart(2,'0')}`;
-    }).reverse();
-
-    const videoSource = Array.isArray(analyticsAllVideos) && analyticsAllVideos.length
-        ? analyticsAllVideos
-        : [...allHistoryRecords, ...allShortsRecords];
-
-    // Number of videos per day (use full merged list when available)
-    const activity = days.map(day => {
-        return videoSource.filter(record => {
-            if (!record.timestamp) return false;
-            const d = new Date(record.timestamp);
-            const recordDate = `${d.getFullYear()}-${String(d.getMonth()+1).padStart(2,'0')}-${String(d.getDate()).padStart(2,'0')}`;
-            return recordDate === day;
-        }).length;
-    });
-
-    // Total minutes per day: prefer storedStats.daily (rebuilt from hybrid stats)
-    const minutesPerDay = days.map(day => {
-        if (storedStats && storedStats.daily && typeof storedStats.daily === 'object') {
-            const seconds = Number(storedStats.daily[day] || 0);
-            return Math.round(seconds / 60);
-        }
-
-        const secondsFromVideos = videoSource.reduce((sum, record) => {
-            if (!record.timestamp) return sum;
-            const d = new Date(record.timestamp);
-            const recordDate = `${d.getFullYear()}-${String(d.getMonth()+1).padStart(2,'0')}-${String(d.getDate()).padStart(2,'0')}`;
-            if (recordDate === day) {
-                return sum + (record.time || 0);
-            }
-            return sum;
-        }, 0);
-        return Math.round(secondsFromVideos / 60);
-    });
+    const series = getActivitySeries(activityRange);
+    const daily = ACTIVITY_RANGES[activityRange].bucket === 'day';
 
     // Draw chart
-    const maxActivity = Math.max(...activity, 1);
+    const maxActivity = Math.max(...series.map(bucket => bucket.videos), 1);
     const availableWidth = canvas.width - 40; // Leave space for margins
-    const barWidth = Math.max(12, Math.floor(availableWidth / 7)); // Minimum 12px width
-    const barSpacing = Math.max(2, Math.min(6, Math.floor(barWidth * 0.15))); // 2-6px spacing
+    const slotWidth = availableWidth / series.length;
+    const barSpacing = Math.max(1, Math.min(6, Math.floor(slotWidth * 0.15))); // 1-6px spacing
+    const barWidth = Math.max(2, slotWidth - barSpacing);
     const maxHeight = canvas.height - 40; // Leave space for labels
+    // Keep date labels from overlapping on long ranges
+    const labelEvery = Math.max(1, Math.ceil(44 / slotWidth));
 
     // Draw background grid
     ctx.strokeStyle = getComputedStyle(document.documentElement)
@@ -1438,30 +1749,69 @@ function updateActivityChart() {
     ctx.stroke();
 
     // Draw bars
-    activity.forEach((count, i) => {
-        const height = Math.max(1, (count / maxActivity) * maxHeight);
-        const x = 20 + (barWidth + barSpacing) * i;
+    series.forEach((bucket, i) => {
+        const height = Math.max(1, (bucket.videos / maxActivity) * maxHeight);
+        const x = 20 + slotWidth * i;
         const y = canvas.height - height - 20;
 
         // Draw bar
         ctx.fillStyle = getComputedStyle(document.documentElement)
             .getPropertyValue('--button-bg')
             .trim();
-        ctx.fillRect(x, y, barWidth - barSpacing, height);
+        ctx.fillRect(x, y, barWidth, height);
 
-        // Draw date label
         ctx.fillStyle = getComputedStyle(document.documentElement)
             .getPropertyValue('--text-color')
             .trim();
         ctx.font = '12px Arial';
         ctx.textAlign = 'center';
-        const dateLabel = days[i].slice(5).replace('-', '/');
-        ctx.fillText(dateLabel, x + (barWidth - barSpacing) / 2, canvas.height - 5);
 
-        // Draw label: number of videos / total minutes (e.g., 3/42m)
-        const minutes = minutesPerDay[i];
-        const label = `${count}/${minutes}m`;
-        ctx.fillText(label, x + (barWidth - barSpacing) / 2, y - 5);
+        // Draw date label (newest bar always labelled)
+        if ((series.length - 1 - i) % labelEvery === 0) {
+            ctx.fillText(bucket.label, x + barWidth / 2, canvas.height - 5);
+        }
+
+        // Draw label: number of videos / watch time (e.g., 3/42m), when there is room
+        if (slotWidth >= 40) {
+            const watched = daily ? `${Math.round(bucket.seconds / 60)}m` : `${Math.round(bucket.seconds / 3600)}h`;
+            ctx.fillText(`${bucket.videos}/${watched}`, x + barWidth / 2, y - 5);
+        }
+    });
+}
+
+// Heatmap shade (0-4) of a day relative to the busiest day
+function heatmapLevel(seconds, maxSeconds) {
+    if (!seconds || !maxSeconds) return 0;
+    return Math.min(4, Math.ceil((seconds / maxSeconds) * 4));
+}
+
+// Watch time per day over the last year: a column per week, a row per weekday
+function renderWatchHeatmap() {
+    const container = document.getElementById('ytvhtWatchHeatmap');
+    if (!container) return;
+
+    const secondsByDay = getDailyWatchSeconds();
+    const today = new Date();
+    today.setHours(0, 0, 0, 0);
+    const start = new Date(today);
+    start.setDate(start.getDate() - 364);
+    // Start on a Sunday so every row is the same weekday
+    start.setDate(start.getDate() - start.getDay());
+
+    const days = [];
+    for (let day = new Date(start); day <= today; day.setDate(day.getDate() + 1)) {
+        days.push(localDayKey(day));
+    }
+    const maxSeconds = days.reduce((max, day) => Math.max(max, secondsByDay.get(day) || 0), 0);
+
+    container.innerHTML = '';
+    days.forEach(day => {
+        const seconds = secondsByDay.get(day) || 0;
+        const cell = document.createElement('div');
+        cell.className = 'heatmap-cell';
+        cell.dataset.level = String(heatmapLevel(seconds, maxSeconds));
+        cell.title = `${new Date(`${day}T00:00:00`).toLocaleDateString()}: ${formatAnalyticsDuration(Math.round(seconds))}`;
+        container.appendChild(cell);
     });
 }
 
@@ -1585,222 +1935,1544 @@ function displayHistoryPage() {
         const emptyState = getContextualEmptyState('videos', searchQuery);
         renderEmptyState(noHistory, emptyState);
         paginationDiv.style.display = 'none';
+        updateBulkToolbar('videos');
+        return;
+    }
+
+    noHistory.style.display = 'none';
+    paginationDiv.style.display = 'flex';
+
+    // Pagination bounds checking (totalPages is now set by loadHistoryPage)
+    if (currentPage > totalPages) currentPage = totalPages;
+    if (currentPage < 1) currentPage = 1;
+
+    // Reuse existing rows when possible
+    while (historyTable.rows.length > pageRecords.length) {
+        historyTable.deleteRow(-1);
+    }
+
+    pageRecords.forEach((record, index) => {
+        let row = historyTable.rows[index];
+        const isNewRow = !row;
+
+        if (isNewRow) {
+            row = document.createElement('tr');
+            // We only need one cell now
+            const cell = document.createElement('td');
+            row.appendChild(cell);
+            historyTable.appendChild(row);
+        }
+
+        // Get the cell (we only have one now)
+        const cell = row.cells[0];
+        cell.className = 'video-cell';
+
+        // Create or update content
+        if (!cell.querySelector('.video-thumbnail')) {
+            // Build DOM nodes instead of using innerHTML
+            cell.innerHTML = '';
+            const selectBox = document.createElement('input');
+            selectBox.type = 'checkbox';
+            selectBox.className = 'bulk-select';
+            cell.appendChild(selectBox);
+            const img = document.createElement('img');
+            img.className = 'video-thumbnail';
+            img.alt = 'Video thumbnail';
+            cell.appendChild(img);
+            const contentDiv = document.createElement('div');
+            contentDiv.className = 'video-content';
+            const titleDiv = document.createElement('div');
+            titleDiv.className = 'video-title';
+            const a = document.createElement('a');
+            a.className = 'video-link';
+            a.target = '_blank';
+            titleDiv.appendChild(a);
+            contentDiv.appendChild(titleDiv);
+            const channelDiv = document.createElement('div');
+            channelDiv.className = 'video-channel';
+            channelDiv.setAttribute('data-i18n', 'videos_channel_label');
+            contentDiv.appendChild(channelDiv);
+            const tagsDiv = document.createElement('div');
+            tagsDiv.className = 'video-tags';
+            contentDiv.appendChild(tagsDiv);
+            const detailsDiv = document.createElement('div');
+            detailsDiv.className = 'video-details';
+            const progressSpan = document.createElement('span');
+            progressSpan.className = 'video-progress';
+            const dateSpan = document.createElement('span');
+            dateSpan.className = 'video-date';
+            const sessionsButton = document.createElement('button');
+            sessionsButton.className = 'sessions-button';
+            const markButton = document.createElement('button');
+            markButton.className = 'mark-button';
+            const deleteButton = document.createElement('button');
+            deleteButton.className = 'delete-button';
+            deleteButton.textContent = chrome.i18n.getMessage('delete_label');
+            const watchCountSpan = document.createElement('span');
+            watchCountSpan.className = 'video-watch-count';
+            detailsDiv.appendChild(progressSpan);
+            detailsDiv.appendChild(watchCountSpan);
+            detailsDiv.appendChild(dateSpan);
+            detailsDiv.appendChild(sessionsButton);
+            detailsDiv.appendChild(markButton);
+            detailsDiv.appendChild(deleteButton);
+            contentDiv.appendChild(detailsDiv);
+            const coverageDiv = document.createElement('div');
+            coverageDiv.className = 'video-coverage';
+            contentDiv.appendChild(coverageDiv);
+            cell.appendChild(contentDiv);
+        }
+
+        // Update content
+        const thumbnail = cell.querySelector('.video-thumbnail');
+        const link = cell.querySelector('.video-link');
+        const progress = cell.querySelector('.video-progress');
+        const date = cell.querySelector('.video-date');
+        const deleteButton = cell.querySelector('.delete-button');
+        const channelDiv = cell.querySelector('.video-channel');
+
+        thumbnail.src = `https://i.ytimg.com/vi/${record.videoId}/mqdefault.jpg`;
+        thumbnail.alt = record.title || 'Video thumbnail';
+
+        // Add timestamp to URL if video has saved progress
+        link.href = (record.time && record.time > 0) 
+            ? addTimestampToUrl(record.url, record.time)
+            : record.url;
+        link.textContent = record.title || 'Unknown Title';
+
+        progress.textContent = formatRecordProgress(record);
+        date.textContent = formatDate(record.timestamp);
+        renderWatchCount(cell.querySelector('.video-watch-count'), record);
+        renderCoverageBar(cell.querySelector('.video-coverage'), record);
+        channelDiv.textContent = sanitizeText(record.channelName || '');
+        renderRecordTags(cell.querySelector('.video-tags'), record);
+
+        deleteButton.onclick = () => deleteRecord(record.videoId);
+        bindSessionsButton(cell.querySelector('.sessions-button'), cell, record);
+        bindMarkButton(cell.querySelector('.mark-button'), record);
+        bindBulkCheckbox(cell.querySelector('.bulk-select'), 'videos', record.videoId);
+    });
+
+    updateBulkToolbar('videos');
+
+    // Update pagination info and controls
+    updatePaginationUI(currentPage, totalPages);
+
+    // Update analytics if we're showing them
+    if (document.getElementById('ytvhtAnalyticsContainer').style.display !== 'none') {
+        updateAnalytics();
+    }
+}
+
+async function deleteRecord(videoId) {
+    try {
+        await ytStorage.removeVideo(videoId);
+        // The trash copy made by removeVideo() is what undo restores
+        showUndoToast(chrome.i18n.getMessage('message_video_removed'), async () => {
+            await ytStorage.restoreFromTrash([`video:${videoId}`]);
+            await loadCurrentPages();
+        });
+        bulkSelections.videos.delete(videoId);
+        bulkSelections.shorts.delete(videoId);
+        // Remove from local array and refresh page
+        allHistoryRecords = allHistoryRecords.filter(r => r.videoId !== videoId);
+        displayHistoryPage();
+    } catch (error) {
+        console.error('Error deleting record:', error);
+        showMessage(chrome.i18n.getMessage('message_error_removing_video', [error.message || chrome.i18n.getMessage('message_unknown_error')]), 'error');
+    }
+}
+
+// "Watched 3×" for videos completed more than once, with the last completion as tooltip
+function renderWatchCount(span, record) {
+    if (!span) return;
+    const count = record.completionCount || 0;
+    span.style.display = count > 1 ? '' : 'none';
+    span.textContent = count > 1 ? (chrome.i18n.getMessage('videos_watched_times', [String(count)]) || `Watched ${count}×`) : '';
+    span.title = count > 1 && record.lastCompletedAt
+        ? (chrome.i18n.getMessage('videos_last_completed', [formatDate(record.lastCompletedAt)]) || `Last completed ${formatDate(record.lastCompletedAt)}`)
+        : '';
+}
+
+// Bar of the parts of a video that were played, with the skipped parts as gaps
+function renderCoverageBar(bar, record) {
+    if (!bar) return;
+    const segments = record.duration > 0 && Array.isArray(record.watchedSegments) ? record.watchedSegments : [];
+    const percent = String(Math.round(getWatchedRatio(record) * 100));
+    bar.style.display = segments.length ? '' : 'none';
+    bar.title = segments.length ? (chrome.i18n.getMessage('videos_coverage_title', [percent]) || `${percent}% played`) : '';
+    bar.innerHTML = '';
+    segments.forEach(([start, end]) => {
+        const part = document.createElement('div');
+        part.className = 'video-coverage-segment';
+        part.style.left = `${Math.min(100, (start / record.duration) * 100)}%`;
+        part.style.width = `${(Math.max(0, Math.min(end, record.duration) - start) / record.duration) * 100}%`;
+        bar.appendChild(part);
+    });
+}
+
+// Row button that opens the viewing sessions timeline of a video
+function bindSessionsButton(button, cell, record) {
+    if (!button) return;
+    // Rows are reused across pages; drop a timeline left open for another video
+    const panel = cell.querySelector('.video-sessions');
+    if (panel && panel.dataset.videoId !== record.videoId) panel.remove();
+    button.textContent = chrome.i18n.getMessage('sessions_button_label') || 'Sessions';
+    button.onclick = () => toggleVideoSessions(cell, record);
+}
+
+async function toggleVideoSessions(cell, record) {
+    const open = cell.querySelector('.video-sessions');
+    if (open) {
+        open.remove();
+        return;
+    }
+    const panel = document.createElement('div');
+    panel.className = 'video-sessions';
+    panel.dataset.videoId = record.videoId;
+    cell.querySelector('.video-content').appendChild(panel);
+    try {
+        renderVideoSessions(panel, await ytStorage.getVideoSessions(record.videoId), record);
+    } catch (error) {
+        console.error('Error loading viewing sessions:', error);
+        panel.textContent = chrome.i18n.getMessage('sessions_load_failed') || 'Could not load viewing sessions';
+    }
+}
+
+/**
+ * Timeline of a video's viewing sessions, newest first: when each started,
+ * the part of the video it covered (also drawn as a bar), how long it lasted,
+ * the playback rate and the tab.
+ */
+function renderVideoSessions(panel, sessions, record) {
+    panel.innerHTML = '';
+    const title = document.createElement('div');
+    title.className = 'video-sessions-title';
+    title.textContent = chrome.i18n.getMessage('sessions_title') || 'Viewing sessions';
+    panel.appendChild(title);
+
+    if (!sessions.length) {
+        const empty = document.createElement('div');
+        empty.className = 'session-empty';
+        empty.textContent = chrome.i18n.getMessage('sessions_none') || 'No viewing sessions recorded yet.';
+        panel.appendChild(empty);
+        return;
+    }
+
+    const length = record.duration || Math.max(...sessions.map(session => Math.max(session.startPosition, session.endPosition)), 1);
+    sessions.forEach(session => {
+        const row = document.createElement('div');
+        row.className = 'session-row';
+
+        const when = document.createElement('span');
+        when.className = 'session-when';
+        when.textContent = formatDate(session.startedAt);
+
+        const span = document.createElement('span');
+        span.className = 'session-span';
+        span.textContent = `${formatDuration(session.startPosition)} → ${formatDuration(session.endPosition)}`;
+
+        const meta = [formatDuration(Math.round((session.endedAt - session.startedAt) / 1000))];
+        if (session.playbackRate && session.playbackRate !== 1) meta.push(`${session.playbackRate}×`);
+        if (session.tabId !== null && session.tabId !== undefined) {
+            meta.push(chrome.i18n.getMessage('sessions_tab', [String(session.tabId)]) || `Tab ${session.tabId}`);
+        }
+        const metaSpan = document.createElement('span');
+        metaSpan.className = 'session-meta';
+        metaSpan.textContent = meta.join(' · ');
+
+        const bar = document.createElement('div');
+        bar.className = 'session-bar';
+        const fill = document.createElement('div');
+        fill.className = 'session-bar-fill';
+        const from = Math.min(session.startPosition, session.endPosition) / length;
+        const to = Math.max(session.startPosition, session.endPosition) / length;
+        fill.style.left = `${Math.min(100, from * 100)}%`;
+        fill.style.width = `${Math.max(1, Math.min(100, (to - from) * 100))}%`;
+        bar.appendChild(fill);
+
+        row.appendChild(when);
+        row.appendChild(span);
+        row.appendChild(metaSpan);
+        row.appendChild(bar);
+        panel.appendChild(row);
+    });
+}
+
+// Same 90% threshold as the completed counter in stats
+function isRecordWatched(record) {
+    return getWatchedRatio(record) >= 0.9;
+}
+
+// Row button that marks a video as watched, or resets it once it is
+function bindMarkButton(button, record) {
+    if (!button) return;
+    const watched = isRecordWatched(record);
+    button.textContent = watched
+        ? (chrome.i18n.getMessage('reset_progress_label') || 'Reset progress')
+        : (chrome.i18n.getMessage('mark_watched_label') || 'Mark watched');
+    button.onclick = () => toggleRecordWatched(record.videoId, watched);
+}
+
+async function toggleRecordWatched(videoId, watched) {
+    try {
+        const saved = watched
+            ? await ytStorage.resetVideoProgress(videoId)
+            : await ytStorage.markVideoWatched(videoId);
+        if (!saved) {
+            showMessage(chrome.i18n.getMessage('message_mark_watched_no_duration') || 'The video length is not known yet, so it cannot be marked as watched', 'error');
+            return;
+        }
+        showMessage(watched
+            ? (chrome.i18n.getMessage('message_progress_reset') || 'Progress reset')
+            : (chrome.i18n.getMessage('message_marked_watched') || 'Marked as watched'));
+        await loadCurrentPages();
+    } catch (error) {
+        console.error('Error updating progress:', error);
+        showMessage(chrome.i18n.getMessage('message_progress_update_failed', [error.message]) || `Could not update progress: ${error.message}`, 'error');
+    }
+}
+
+// Clear videos and playlists (settings are kept); undoable from a pre-clear snapshot
+async function clearHistory() {
+    if (!confirm(chrome.i18n.getMessage('message_warning_clear_all'))) {
+        return;
+    }
+
+    try {
+        let undoBackupId = null;
+        try {
+            undoBackupId = await ytStorage.createClearUndoPoint();
+        } catch (error) {
+            // Still clear as confirmed, just without an undo
+            console.error('Error creating undo snapshot:', error);
+        }
+
+        await ytStorage.clearHistoryOnly();
+        allHistoryRecords = [];
+        allPlaylists = [];
+        allShortsRecords = [];
+        currentPage = 1;
+        currentPlaylistPage = 1;
+        currentShortsPage = 1;
+
+        // Update all displays
+        displayHistoryPage();
+        displayShortsPage();
+        displayPlaylistsPage();
+
+        if (undoBackupId) {
+            showUndoToast(chrome.i18n.getMessage('message_all_history_cleared'), async () => {
+                await ytStorage.restoreBackup(undoBackupId, { safetyBackup: false });
+                await ytStorage.deleteBackup(undoBackupId);
+                await loadCurrentPages();
+            }, () => ytStorage.deleteBackup(undoBackupId));
+        } else {
+            showMessage(chrome.i18n.getMessage('message_all_history_cleared'));
+        }
+    } catch (error) {
+        console.error('Error clearing history:', error);
+        showMessage(chrome.i18n.getMessage('message_error_clearing_history', [error.message || chrome.i18n.getMessage('message_unknown_error')]), 'error');
+    }
+}
+
+// Keep only records watched within [from, to]; both bounds are local YYYY-MM-DD days and optional
+function filterRecordsByDateRange(records, from, to) {
+    const fromMs = from ? new Date(`${from}T00:00:00`).getTime() : -Infinity;
+    const toMs = to ? new Date(`${to}T23:59:59.999`).getTime() : Infinity;
+    if (isNaN(fromMs) || isNaN(toMs)) {
+        return records;
+    }
+    return records.filter(r => r.timestamp >= fromMs && r.timestamp <= toMs);
+}
+
+// Resolve a single export column for a record.
+// CSV gets ISO dates for spreadsheets; NDJSON keeps raw millisecond timestamps like the JSON backup.
+function getExportFieldValue(record, field, playlistTitles, format) {
+    switch (field) {
+        case 'progress':
+            return calculateProgress(record.time, record.duration);
+        case 'timestamp':
+            return format === 'csv' ? new Date(record.timestamp).toISOString() : record.timestamp;
+        case 'isShorts':
+            return !!record.isShorts;
+        case 'playlist':
+            return record.playlistId ? (playlistTitles[record.playlistId] || record.playlistId) : '';
+        default:
+            return record[field] ?? '';
+    }
+}
+
+// Quote a CSV cell; values that spreadsheets would evaluate as formulas are prefixed with '
+function escapeCsvValue(value) {
+    let text = String(value ?? '');
+    if (/^[=+\-@]/.test(text) && isNaN(Number(text))) {
+        text = `'${text}`;
+    }
+    if (/[",\r\n]/.test(text)) {
+        text = `"${text.replace(/"/g, '""')}"`;
+    }
+    return text;
+}
+
+function buildCsvHeader(fields) {
+    // BOM so Excel opens UTF-8 titles correctly
+    return '\uFEFF' + fields.map(escapeCsvValue).join(',') + '\r\n';
+}
+
+function buildCsvRows(records, fields, playlistTitles) {
+    return records.map(record =>
+        fields.map(field => escapeCsvValue(getExportFieldValue(record, field, playlistTitles, 'csv'))).join(',') + '\r\n'
+    ).join('');
+}
+
+function buildCsvExport(records, fields, playlistTitles) {
+    return buildCsvHeader(fields) + buildCsvRows(records, fields, playlistTitles);
+}
+
+function buildNdjsonExport(records, fields, playlistTitles) {
+    return records.map(record => {
+        const row = {};
+        fields.forEach(field => {
+            row[field] = getExportFieldValue(record, field, playlistTitles, 'ndjson');
+        });
+        return JSON.stringify(row) + '\n';
+    }).join('');
+}
+
+// `parts` is an array of strings; the Blob joins them without building one huge string
+function downloadExportFile(parts, mimeType, extension) {
+    const blob = new Blob(parts, {type: mimeType});
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `youtube-history-${new Date().toISOString().split('T')[0]}.${extension}`;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+}
+
+// Read the export picker (format, fields, date range) from the settings tab
+function getExportOptionsFromUI() {
+    const formatSelect = document.getElementById('ytvhtExportFormat');
+    const fieldInputs = document.querySelectorAll('#ytvhtExportFields input[type="checkbox"]');
+    const fields = Array.from(fieldInputs).filter(input => input.checked).map(input => input.value);
+    return {
+        format: formatSelect ? formatSelect.value : 'json',
+        fields: fieldInputs.length ? fields : EXPORT_FIELDS,
+        from: document.getElementById('ytvhtExportFrom')?.value || '',
+        to: document.getElementById('ytvhtExportTo')?.value || ''
+    };
+}
+
+// Show export progress next to the export button
+function setExportProgress(text) {
+    const progressEl = document.getElementById('ytvhtExportProgress');
+    if (progressEl) {
+        progressEl.textContent = text;
+    }
+}
+
+/**
+ * Export history as a downloadable file.
+ * Videos are streamed from storage in chunks and written as separate Blob parts,
+ * so very large histories are never serialized into a single string.
+ * @param {Object} [options]
+ * @param {string} [options.format='json'] - 'json' (full backup), 'csv' or 'ndjson'
+ * @param {Array<string>} [options.fields] - Columns for CSV / NDJSON, subset of EXPORT_FIELDS
+ * @param {string} [options.from] - Earliest watch day (YYYY-MM-DD), inclusive
+ * @param {string} [options.to] - Latest watch day (YYYY-MM-DD), inclusive
+ */
+async function exportHistory(options = {}) {
+    const { format = 'json', from = '', to = '' } = options;
+    const fields = (options.fields || EXPORT_FIELDS).filter(field => EXPORT_FIELDS.includes(field));
+    try {
+        if (format !== 'json' && !fields.length) {
+            showMessage(chrome.i18n.getMessage('message_export_no_fields') || 'Select at least one field to export', 'error');
+            return;
+        }
+
+        const [playlistsObj, stats] = await Promise.all([
+            ytStorage.getAllPlaylists(),
+            (async ()=>{ try { return await ytStorage.getStats(); } catch(e){ return null; } })()
+        ]);
+
+        // Validate exported playlists (required fields)
+        const validPlaylists = Object.values(playlistsObj || {}).filter(p => 
+            p && typeof p.playlistId === 'string'
+        );
+        const playlistTitles = {};
+        validPlaylists.forEach(p => { playlistTitles[p.playlistId] = p.title || p.playlistId; });
+
+        const parts = [];
+        if (format === 'csv') {
+            parts.push(buildCsvHeader(fields));
+        } else if (format === 'json') {
+            parts.push('{\n  "history": [');
+        }
+
+        let exportedVideos = 0;
+        await ytStorage.forEachVideoChunk(async (chunk, progress) => {
+            // Validate exported records (required fields)
+            const validVideos = filterRecordsByDateRange(chunk.filter(v => 
+                v && typeof v.videoId === 'string' && typeof v.timestamp === 'number' && typeof v.time === 'number'
+            ), from, to);
+
+            if (validVideos.length) {
+                if (format === 'csv') {
+                    parts.push(buildCsvRows(validVideos, fields, playlistTitles));
+                } else if (format === 'ndjson') {
+                    parts.push(buildNdjsonExport(validVideos, fields, playlistTitles));
+                } else {
+                    parts.push((exportedVideos ? ',' : '') + '\n    ' + validVideos.map(v => JSON.stringify(v)).join(',\n    '));
+                }
+                exportedVideos += validVideos.length;
+            }
+            setExportProgress(chrome.i18n.getMessage('message_export_progress', [progress.processed, progress.total]) ||
+                `Exporting... ${progress.processed} / ${progress.total}`);
+        });
+
+        setExportProgress('');
+
+        if (format === 'csv' || format === 'ndjson') {
+            downloadExportFile(parts, format === 'csv' ? 'text/csv;charset=utf-8' : 'application/x-ndjson', format);
+            showMessage(chrome.i18n.getMessage('message_export_records_success', [exportedVideos, format.toUpperCase()]) ||
+                `Exported ${exportedVideos} records as ${format.toUpperCase()}`);
+            return;
+        }
+
+        // Metadata goes last because the video count is only known after streaming
+        const metadata = {
+            exportDate: new Date().toISOString(),
+            extensionVersion: EXTENSION_VERSION,
+            totalVideos: exportedVideos,
+            totalPlaylists: validPlaylists.length,
+            exportFormat: "json",
+            dataVersion: "1.1"
+        };
+        parts.push('\n  ],\n  "playlists": ' + JSON.stringify(validPlaylists, null, 2).replace(/\n/g, '\n  '));
+        if (stats) {
+            parts.push(',\n  "stats": ' + JSON.stringify(stats));
+        }
+        parts.push(',\n  "_metadata": ' + JSON.stringify(metadata, null, 2).replace(/\n/g, '\n  ') + '\n}\n');
+
+        downloadExportFile(parts, 'application/json', 'json');
+        showMessage(chrome.i18n.getMessage('message_export_success', [exportedVideos, validPlaylists.length]));
+    } catch (error) {
+        setExportProgress('');
+        console.error('Error exporting history:', error);
+        showMessage(chrome.i18n.getMessage('message_error_exporting_history', [error.message || chrome.i18n.getMessage('message_unknown_error')]), 'error');
+    }
+}
+
+function openImportPage() {
+    if (!chrome || !chrome.tabs || !chrome.tabs.query) {
+        return;
+    }
+
+    const targetHash = '#ytlh_import';
+
+    // First, pause any playing video in the active tab (if it's YouTube)
+    chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
+        const activeTab = tabs && tabs[0];
+        if (activeTab && activeTab.id && activeTab.url && activeTab.url.includes('://www.youtube.com/')) {
+            try {
+                chrome.tabs.sendMessage(activeTab.id, { type: 'pauseVideoForImport' }, () => {
+                    // Ignore errors here; pausing is best-effort only
+                });
+            } catch (e) {
+                // Ignore messaging errors
+            }
+        }
+
+        // Always open a dedicated import tab instead of reloading the current one
+        chrome.tabs.create({ url: `https://www.youtube.com/${targetHash}` });
+    });
+}
+
+// --- Trash -----------------------------------------------------------------
+
+// Rows rendered at once; bulk actions still cover every selected row
+const TRASH_DISPLAY_LIMIT = 200;
+let trashEntries = [];
+
+async function displayTrash() {
+    const table = document.getElementById('ytvhtTrashTable');
+    const body = document.getElementById('ytvhtTrashBody');
+    const empty = document.getElementById('ytvhtNoTrash');
+    const more = document.getElementById('ytvhtTrashMore');
+    const selectAll = document.getElementById('ytvhtTrashSelectAll');
+    if (!table || !body || !empty) return;
+
+    try {
+        trashEntries = await ytStorage.getTrash();
+    } catch (error) {
+        console.error('Error loading trash:', error);
+        trashEntries = [];
+    }
+
+    body.innerHTML = '';
+    if (selectAll) selectAll.checked = false;
+
+    if (!trashEntries.length) {
+        table.style.display = 'none';
+        empty.style.display = 'block';
+        if (more) more.style.display = 'none';
+        return;
+    }
+
+    table.style.display = '';
+    empty.style.display = 'none';
+
+    trashEntries.slice(0, TRASH_DISPLAY_LIMIT).forEach(entry => {
+        const row = document.createElement('tr');
+        const cell = document.createElement('td');
+        cell.className = 'trash-cell';
+
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.className = 'trash-select';
+        checkbox.dataset.trashId = entry.trashId;
+
+        const content = document.createElement('div');
+        content.className = 'trash-content';
+        const link = document.createElement('a');
+        link.className = 'video-link';
+        link.target = '_blank';
+        link.href = entry.record.url || (entry.type === 'playlist'
+            ? `https://www.youtube.com/playlist?list=${entry.id}`
+            : `https://www.youtube.com/watch?v=${entry.id}`);
+        link.textContent = sanitizeText(entry.record.title || entry.id);
+        const details = document.createElement('div');
+        details.className = 'trash-details';
+        const typeLabel = entry.type === 'playlist'
+            ? (chrome.i18n.getMessage('trash_type_playlist') || 'Playlist')
+            : (chrome.i18n.getMessage('trash_type_video') || 'Video');
+        details.textContent = `${typeLabel} · ` +
+            (chrome.i18n.getMessage('trash_deleted_at', [formatDate(entry.deletedAt)]) || `Deleted ${formatDate(entry.deletedAt)}`);
+        content.append(link, details);
+
+        const restoreButton = document.createElement('button');
+        restoreButton.className = 'compact-button';
+        restoreButton.textContent = chrome.i18n.getMessage('settings_backup_restore') || 'Restore';
+        restoreButton.addEventListener('click', () => restoreTrashItems([entry.trashId]));
+
+        cell.append(checkbox, content, restoreButton);
+        row.appendChild(cell);
+        body.appendChild(row);
+    });
+
+    if (more) {
+        const hidden = trashEntries.length - TRASH_DISPLAY_LIMIT;
+        more.style.display = hidden > 0 ? 'block' : 'none';
+        more.textContent = hidden > 0
+            ? (chrome.i18n.getMessage('trash_more_items', [hidden]) || `${hidden} older items are not shown`)
+            : '';
+    }
+}
+
+function getSelectedTrashIds() {
+    return Array.from(document.querySelectorAll('#ytvhtTrashBody .trash-select:checked'))
+        .map(input => input.dataset.trashId);
+}
+
+async function restoreTrashItems(trashIds) {
+    if (!trashIds.length) return;
+    try {
+        const result = await ytStorage.restoreFromTrash(trashIds);
+        showMessage(chrome.i18n.getMessage('message_trash_restored', [result.restoredVideos, result.restoredPlaylists]) ||
+            `Restored ${result.restoredVideos} videos and ${result.restoredPlaylists} playlists`);
+        await loadCurrentPages();
+    } catch (error) {
+        console.error('Error restoring from trash:', error);
+        showMessage(chrome.i18n.getMessage('message_trash_error', [error.message]) || `Trash action failed: ${error.message}`, 'error');
+    }
+    await displayTrash();
+}
+
+async function purgeTrashItems(trashIds) {
+    const confirmMessage = trashIds === null
+        ? (chrome.i18n.getMessage('message_confirm_empty_trash') || 'Permanently delete everything in the trash?')
+        : (chrome.i18n.getMessage('message_confirm_purge_trash', [trashIds.length]) || `Permanently delete ${trashIds.length} items?`);
+    if ((trashIds !== null && !trashIds.length) || !confirm(confirmMessage)) {
+        return;
+    }
+    try {
+        await ytStorage.purgeTrash(trashIds);
+    } catch (error) {
+        console.error('Error purging trash:', error);
+        showMessage(chrome.i18n.getMessage('message_trash_error', [error.message]) || `Trash action failed: ${error.message}`, 'error');
+    }
+    await displayTrash();
+}
+
+function initTrashControls() {
+    const selectAll = document.getElementById('ytvhtTrashSelectAll');
+    const restoreSelected = document.getElementById('ytvhtTrashRestoreSelected');
+    const deleteSelected = document.getElementById('ytvhtTrashDeleteSelected');
+    const emptyTrash = document.getElementById('ytvhtTrashEmpty');
+    if (!selectAll || !restoreSelected || !deleteSelected || !emptyTrash) {
+        log('Error: Trash controls not found');
+        return;
+    }
+
+    selectAll.addEventListener('change', () => {
+        document.querySelectorAll('#ytvhtTrashBody .trash-select').forEach(input => {
+            input.checked = selectAll.checked;
+        });
+    });
+    restoreSelected.addEventListener('click', () => restoreTrashItems(getSelectedTrashIds()));
+    deleteSelected.addEventListener('click', () => purgeTrashItems(getSelectedTrashIds()));
+    emptyTrash.addEventListener('click', () => purgeTrashItems(null));
+}
+
+// --- Bulk selection ----------------------------------------------------------
+
+// Selected IDs per history table; kept across pages and searches until cleared
+const bulkSelections = { videos: new Set(), shorts: new Set(), playlists: new Set() };
+
+function getPageRecordIds(type) {
+    if (type === 'playlists') return allPlaylists.map(r => r.playlistId);
+    return (type === 'shorts' ? allShortsRecords : allHistoryRecords).map(r => r.videoId);
+}
+
+function refreshBulkTable(type) {
+    if (type === 'playlists') displayPlaylistsPage();
+    else if (type === 'shorts') displayShortsPage();
+    else displayHistoryPage();
+}
+
+// Tie a row checkbox to its table's selection
+function bindBulkCheckbox(checkbox, type, id) {
+    if (!checkbox) return;
+    checkbox.checked = bulkSelections[type].has(id);
+    checkbox.onchange = () => {
+        if (checkbox.checked) {
+            bulkSelections[type].add(id);
+        } else {
+            bulkSelections[type].delete(id);
+        }
+        updateBulkToolbar(type);
+    };
+}
+
+function updateBulkToolbar(type) {
+    const toolbar = document.querySelector(`.bulk-toolbar[data-bulk-type="${type}"]`);
+    if (!toolbar) return;
+    const count = bulkSelections[type].size;
+    const countLabel = toolbar.querySelector('.bulk-count');
+    if (countLabel) {
+        countLabel.textContent = count ? (chrome.i18n.getMessage('bulk_selected_count', [count]) || `${count} selected`) : '';
+    }
+    toolbar.querySelectorAll('[data-bulk-action]').forEach(button => {
+        button.disabled = count === 0;
+    });
+    const pageToggle = toolbar.querySelector('.bulk-select-page');
+    if (pageToggle) {
+        const pageIds = getPageRecordIds(type);
+        pageToggle.checked = pageIds.length > 0 && pageIds.every(id => bulkSelections[type].has(id));
+    }
+}
+
+// Select every record matching the current search, not just the visible page
+async function selectAllMatching(type) {
+    try {
+        const ids = await ytStorage.getMatchingRecordIds({ type, searchQuery });
+        ids.forEach(id => bulkSelections[type].add(id));
+        refreshBulkTable(type);
+        showMessage(chrome.i18n.getMessage('message_bulk_selected_matching', [ids.length]) || `Selected ${ids.length} matching items`);
+    } catch (error) {
+        console.error('Error selecting matching records:', error);
+        showMessage(chrome.i18n.getMessage('message_bulk_error', [error.message]) || `Batch action failed: ${error.message}`, 'error');
+    }
+}
+
+/**
+ * Export only the selected records, using the format and fields saved in the export settings.
+ * Playlists are always exported as JSON so the file can be imported again.
+ * @param {string} type - 'videos', 'shorts' or 'playlists'
+ * @param {Array<string>} ids
+ */
+async function exportSelection(type, ids) {
+    const settings = await loadSettings();
+    const playlistsObj = await ytStorage.getAllPlaylists();
+    const allPlaylistRecords = Object.values(playlistsObj || {}).filter(p => p && typeof p.playlistId === 'string');
+    const format = type === 'playlists' ? 'json' : (settings.exportFormat || 'json');
+    const fields = (settings.exportFields || EXPORT_FIELDS).filter(field => EXPORT_FIELDS.includes(field));
+
+    if (format !== 'json' && !fields.length) {
+        showMessage(chrome.i18n.getMessage('message_export_no_fields') || 'Select at least one field to export', 'error');
+        return;
+    }
+
+    if (type === 'playlists') {
+        const selected = new Set(ids);
+        const playlists = allPlaylistRecords.filter(p => selected.has(p.playlistId));
+        const metadata = {
+            exportDate: new Date().toISOString(),
+            extensionVersion: EXTENSION_VERSION,
+            totalVideos: 0,
+            totalPlaylists: playlists.length,
+            exportFormat: "json",
+            dataVersion: "1.1"
+        };
+        downloadExportFile([JSON.stringify({ history: [], playlists, _metadata: metadata }, null, 2)], 'application/json', 'json');
+        showMessage(chrome.i18n.getMessage('message_export_success', [0, playlists.length]));
+        return;
+    }
+
+    const records = await ytStorage.getVideosByIds(ids);
+    const playlistTitles = {};
+    allPlaylistRecords.forEach(p => { playlistTitles[p.playlistId] = p.title || p.playlistId; });
+
+    if (format === 'csv') {
+        downloadExportFile([buildCsvExport(records, fields, playlistTitles)], 'text/csv;charset=utf-8', 'csv');
+    } else if (format === 'ndjson') {
+        downloadExportFile([buildNdjsonExport(records, fields, playlistTitles)], 'application/x-ndjson', 'ndjson');
+    } else {
+        const metadata = {
+            exportDate: new Date().toISOString(),
+            extensionVersion: EXTENSION_VERSION,
+            totalVideos: records.length,
+            totalPlaylists: 0,
+            exportFormat: "json",
+            dataVersion: "1.1"
+        };
+        downloadExportFile([JSON.stringify({ history: records, playlists: [], _metadata: metadata }, null, 2)], 'application/json', 'json');
+    }
+    showMessage(chrome.i18n.getMessage('message_export_records_success', [records.length, format.toUpperCase()]) ||
+        `Exported ${records.length} records as ${format.toUpperCase()}`);
+}
+
+/**
+ * Run a batch action on a table's selection. Each action is a single storage call.
+ * @param {string} type - 'videos', 'shorts' or 'playlists'
+ * @param {string} action - 'delete', 'watched', 'reset', 'export' or 'clear'
+ */
+async function runBulkAction(type, action) {
+    const selection = bulkSelections[type];
+    const ids = Array.from(selection);
+    if (action === 'clear') {
+        selection.clear();
+        refreshBulkTable(type);
+        return;
+    }
+    if (!ids.length) return;
+
+    try {
+        switch (action) {
+            case 'delete': {
+                if (!confirm(chrome.i18n.getMessage('message_confirm_bulk_delete', [ids.length]) || `Delete ${ids.length} selected items?`)) {
+                    return;
+                }
+                const isPlaylists = type === 'playlists';
+                const result = isPlaylists ? await ytStorage.removePlaylists(ids) : await ytStorage.removeVideos(ids);
+                selection.clear();
+                // Everything removed went to the trash, so the batch can be undone
+                const trashIds = ids.map(id => `${isPlaylists ? 'playlist' : 'video'}:${id}`);
+                showUndoToast(chrome.i18n.getMessage('message_bulk_deleted', [result.removed]) || `Deleted ${result.removed} items`, async () => {
+                    await ytStorage.restoreFromTrash(trashIds);
+                    await loadCurrentPages();
+                });
+                break;
+            }
+            case 'watched': {
+                const result = await ytStorage.markVideosWatched(ids);
+                showMessage(chrome.i18n.getMessage('message_bulk_marked_watched', [result.updated, result.skipped]) ||
+                    `Marked ${result.updated} videos as watched (${result.skipped} skipped without a known duration)`);
+                break;
+            }
+            case 'reset': {
+                if (!confirm(chrome.i18n.getMessage('message_confirm_bulk_reset', [ids.length]) || `Reset saved progress for ${ids.length} videos?`)) {
+                    return;
+                }
+                const result = await ytStorage.resetVideosProgress(ids);
+                showMessage(chrome.i18n.getMessage('message_bulk_progress_reset', [result.updated]) || `Reset progress for ${result.updated} videos`);
+                break;
+            }
+            case 'export':
+                await exportSelection(type, ids);
+                return;
+            default:
+                return;
+        }
+        await loadCurrentPages();
+    } catch (error) {
+        console.error(`Error running batch ${action}:`, error);
+        showMessage(chrome.i18n.getMessage('message_bulk_error', [error.message]) || `Batch action failed: ${error.message}`, 'error');
+    }
+}
+
+function initBulkControls() {
+    document.querySelectorAll('.bulk-toolbar[data-bulk-type]').forEach(toolbar => {
+        const type = toolbar.dataset.bulkType;
+        const pageToggle = toolbar.querySelector('.bulk-select-page');
+        if (pageToggle) {
+            pageToggle.addEventListener('change', () => {
+                getPageRecordIds(type).forEach(id => {
+                    if (pageToggle.checked) {
+                        bulkSelections[type].add(id);
+                    } else {
+                        bulkSelections[type].delete(id);
+                    }
+                });
+                refreshBulkTable(type);
+            });
+        }
+        const matching = toolbar.querySelector('.bulk-select-matching');
+        if (matching) {
+            matching.addEventListener('click', () => selectAllMatching(type));
+        }
+        toolbar.querySelectorAll('[data-bulk-action]').forEach(button => {
+            button.addEventListener('click', () => runBulkAction(type, button.dataset.bulkAction));
+        });
+        updateBulkToolbar(type);
+    });
+}
+
+// --- Profiles --------------------------------------------------------------
+
+function getProfileDisplayName(profile) {
+    if (profile.id === 'default' && profile.name === 'Default') {
+        return chrome.i18n.getMessage('profile_default_name') || 'Default';
+    }
+    return profile.name;
+}
+
+// Fill the header switcher and the settings list from the profile registry
+async function renderProfiles() {
+    const select = document.getElementById('ytvhtProfileSelect');
+    const list = document.getElementById('ytvhtProfileList');
+    let registry;
+    try {
+        registry = await ytStorage.getProfiles();
+    } catch (error) {
+        console.error('Error loading profiles:', error);
+        return;
+    }
+
+    if (select) {
+        select.innerHTML = '';
+        registry.profiles.forEach(profile => {
+            const option = document.createElement('option');
+            option.value = profile.id;
+            option.textContent = getProfileDisplayName(profile);
+            select.appendChild(option);
+        });
+        select.value = registry.activeProfileId;
+    }
+
+    if (list) {
+        list.innerHTML = '';
+        registry.profiles.forEach(profile => {
+            const item = document.createElement('div');
+            item.className = 'backup-item';
+
+            const label = document.createElement('span');
+            label.textContent = getProfileDisplayName(profile) +
+                (profile.id === registry.activeProfileId ? ` (${chrome.i18n.getMessage('settings_profile_active') || 'active'})` : '');
+
+            const renameButton = document.createElement('button');
+            renameButton.className = 'compact-button';
+            renameButton.textContent = chrome.i18n.getMessage('settings_profile_rename') || 'Rename';
+            renameButton.addEventListener('click', () => renameProfileFromList(profile));
+
+            const deleteButton = document.createElement('button');
+            deleteButton.className = 'compact-button';
+            deleteButton.textContent = chrome.i18n.getMessage('settings_backup_delete') || 'Delete';
+            deleteButton.disabled = profile.id === 'default' || profile.id === registry.activeProfileId;
+            deleteButton.addEventListener('click', () => deleteProfileFromList(profile));
+
+            item.append(label, renameButton, deleteButton);
+            list.appendChild(item);
+        });
+    }
+
+    renderAccountProfiles(registry);
+}
+
+function fillProfileOptions(select, profiles) {
+    profiles.forEach(profile => {
+        const option = document.createElement('option');
+        option.value = profile.id;
+        option.textContent = getProfileDisplayName(profile);
+        select.appendChild(option);
+    });
+}
+
+// Account routing: on/off, the fallback profile and one row per seen account
+function renderAccountProfiles(registry) {
+    const autoSwitch = document.getElementById('ytvhtAutoProfile');
+    const unknownSelect = document.getElementById('ytvhtUnknownAccountProfile');
+    const list = document.getElementById('ytvhtAccountList');
+    if (autoSwitch) {
+        autoSwitch.checked = registry.autoSwitchProfiles;
+    }
+    if (unknownSelect) {
+        unknownSelect.innerHTML = '';
+        fillProfileOptions(unknownSelect, registry.profiles);
+        unknownSelect.value = registry.unknownAccountProfileId;
+    }
+    if (!list) return;
+
+    list.innerHTML = '';
+    const accounts = Object.entries(registry.knownAccounts)
+        .sort((a, b) => (b[1].lastSeen || 0) - (a[1].lastSeen || 0));
+    accounts.forEach(([accountId, account]) => {
+        const item = document.createElement('div');
+        item.className = 'backup-item';
+
+        const label = document.createElement('span');
+        label.textContent = account.name || accountId;
+        label.title = accountId;
+
+        const select = document.createElement('select');
+        const fallback = document.createElement('option');
+        fallback.value = '';
+        fallback.textContent = chrome.i18n.getMessage('settings_account_profile_unknown') || 'Same as unknown accounts';
+        select.appendChild(fallback);
+        fillProfileOptions(select, registry.profiles);
+        select.value = registry.accountProfiles[accountId] || '';
+        select.addEventListener('change', () => updateAccountProfile(() => ytStorage.mapAccountToProfile(accountId, select.value || null)));
+
+        item.append(label, select);
+        list.appendChild(item);
+    });
+}
+
+async function updateAccountProfile(action) {
+    try {
+        await action();
+    } catch (error) {
+        showMessage(chrome.i18n.getMessage('message_profile_error', [error.message]) || `Profile action failed: ${error.message}`, 'error');
+    }
+    renderProfiles();
+}
+
+// The onProfileChanged listener in initProfiles() reloads the popup
+async function switchToProfile(profileId) {
+    try {
+        await ytStorage.switchProfile(profileId);
+    } catch (error) {
+        console.error('Error switching profile:', error);
+        showMessage(chrome.i18n.getMessage('message_profile_error', [error.message]) || `Profile action failed: ${error.message}`, 'error');
+        renderProfiles();
+    }
+}
+
+async function createProfileFromInput() {
+    const input = document.getElementById('ytvhtNewProfileName');
+    if (!input) return;
+    try {
+        const profile = await ytStorage.createProfile(input.value);
+        input.value = '';
+        showMessage(chrome.i18n.getMessage('message_profile_created', [profile.name]) || `Profile "${profile.name}" created`);
+    } catch (error) {
+        showMessage(chrome.i18n.getMessage('message_profile_error', [error.message]) || `Profile action failed: ${error.message}`, 'error');
+    }
+    renderProfiles();
+}
+
+async function renameProfileFromList(profile) {
+    const name = prompt(chrome.i18n.getMessage('message_profile_rename_prompt') || 'New profile name:', getProfileDisplayName(profile));
+    if (name === null) return;
+    try {
+        await ytStorage.renameProfile(profile.id, name);
+    } catch (error) {
+        showMessage(chrome.i18n.getMessage('message_profile_error', [error.message]) || `Profile action failed: ${error.message}`, 'error');
+    }
+    renderProfiles();
+}
+
+async function deleteProfileFromList(profile) {
+    const name = getProfileDisplayName(profile);
+    if (!confirm(chrome.i18n.getMessage('message_confirm_delete_profile', [name]) ||
+        `Delete the profile "${name}" with all of its history, settings and backups? This cannot be undone.`)) {
+        return;
+    }
+    try {
+        await ytStorage.deleteProfile(profile.id);
+        showMessage(chrome.i18n.getMessage('message_profile_deleted', [name]) || `Profile "${name}" deleted`);
+    } catch (error) {
+        showMessage(chrome.i18n.getMessage('message_profile_error', [error.message]) || `Profile action failed: ${error.message}`, 'error');
+    }
+    renderProfiles();
+}
+
+function initProfiles() {
+    const select = document.getElementById('ytvhtProfileSelect');
+    const createButton = document.getElementById('ytvhtCreateProfile');
+    const nameInput = document.getElementById('ytvhtNewProfileName');
+    const autoSwitch = document.getElementById('ytvhtAutoProfile');
+    const unknownSelect = document.getElementById('ytvhtUnknownAccountProfile');
+    if (select) {
+        select.addEventListener('change', () => switchToProfile(select.value));
+    }
+    if (autoSwitch) {
+        autoSwitch.addEventListener('change', () => updateAccountProfile(() =>
+            ytStorage.setAccountProfileOptions({ autoSwitchProfiles: autoSwitch.checked })));
+    }
+    if (unknownSelect) {
+        unknownSelect.addEventListener('change', () => updateAccountProfile(() =>
+            ytStorage.setAccountProfileOptions({ unknownAccountProfileId: unknownSelect.value })));
+    }
+    // Everything on the page belongs to the old profile (also when another window switched), so start over
+    if (typeof ytStorage.onProfileChanged === 'function') {
+        ytStorage.onProfileChanged(() => window.location.reload());
+    }
+    if (createButton && nameInput) {
+        createButton.addEventListener('click', createProfileFromInput);
+        nameInput.addEventListener('keydown', (event) => {
+            if (event.key === 'Enter') createProfileFromInput();
+        });
+    }
+    renderProfiles();
+}
+
+// --- Tracking pause --------------------------------------------------------
+
+function updatePauseButton(pause) {
+    const button = document.getElementById('ytvhtPauseTracking');
+    if (!button) return;
+    button.classList.toggle('paused', pause.paused);
+    if (pause.paused) {
+        button.textContent = chrome.i18n.getMessage('resume_tracking_label') || 'Resume';
+        button.title = pause.until
+            ? (chrome.i18n.getMessage('paused_until_tooltip', [new Date(pause.until).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })]) ||
+                `Tracking paused until ${new Date(pause.until).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}`)
+            : (chrome.i18n.getMessage('paused_tooltip') || 'Tracking paused until you resume');
+    } else {
+        button.textContent = chrome.i18n.getMessage('pause_tracking_label') || 'Pause';
+        button.title = chrome.i18n.getMessage('pause_tracking_tooltip') || 'Stop saving history until you resume';
+    }
+}
+
+async function toggleTrackingPause() {
+    try {
+        const pause = await ytStorage.getTrackingPause();
+        if (pause.paused) {
+            await ytStorage.resumeTracking();
+            showMessage(chrome.i18n.getMessage('message_tracking_resumed') || 'Tracking resumed');
+        } else {
+            const settings = await loadSettings();
+            await ytStorage.pauseTracking(settings.pauseDurationMinutes || 0);
+            showMessage(chrome.i18n.getMessage('message_tracking_paused') || 'Tracking paused');
+        }
+        updatePauseButton(await ytStorage.getTrackingPause());
+    } catch (error) {
+        console.error('Error toggling tracking pause:', error);
+        showMessage(chrome.i18n.getMessage('message_tracking_pause_error', [error.message]) || `Could not change tracking pause: ${error.message}`, 'error');
+    }
+}
+
+function initTrackingPause() {
+    const button = document.getElementById('ytvhtPauseTracking');
+    if (!button) return;
+    button.addEventListener('click', toggleTrackingPause);
+    // Also follows the keyboard shortcut and timed pauses running out
+    if (typeof ytStorage.onTrackingPauseChanged === 'function') {
+        ytStorage.onTrackingPauseChanged(updatePauseButton);
+    }
+    ytStorage.getTrackingPause()
+        .then(updatePauseButton)
+        .catch(error => console.error('Error loading pause state:', error));
+}
+
+// --- Channel rules ---------------------------------------------------------
+
+function getChannelRuleModeLabel(mode) {
+    switch (mode) {
+        case 'ignore':
+            return chrome.i18n.getMessage('settings_channel_rule_ignore') || 'Never record';
+        case 'track':
+            return chrome.i18n.getMessage('settings_channel_rule_track') || 'Always record';
+        default:
+            return chrome.i18n.getMessage('settings_channel_rule_no_overlay') || 'Record without overlays';
+    }
+}
+
+// Accepts "@handle", "handle", a UC channel ID or a channel URL
+function parseChannelInput(value) {
+    const text = String(value || '').trim();
+    let path = text;
+    try {
+        path = new URL(text).pathname;
+    } catch (e) {
+        // Not a URL
+    }
+    const match = path.match(/^\/?(@[^/?#]+)/) || path.match(/^\/?channel\/(UC[\w-]+)/);
+    return match ? decodeURIComponent(match[1]) : text;
+}
+
+async function renderChannelRules() {
+    const list = document.getElementById('ytvhtChannelRuleList');
+    if (!list) return;
+    let rules;
+    try {
+        rules = await ytStorage.getChannelRules();
+    } catch (error) {
+        console.error('Error loading channel rules:', error);
+        return;
+    }
+
+    list.innerHTML = '';
+    const entries = Object.entries(rules).sort((a, b) =>
+        (a[1].channelName || a[0]).localeCompare(b[1].channelName || b[0]));
+    if (entries.length === 0) {
+        const empty = document.createElement('div');
+        empty.className = 'help-text';
+        empty.textContent = chrome.i18n.getMessage('settings_channel_rules_empty') || 'No channel rules yet';
+        list.appendChild(empty);
+        return;
+    }
+
+    entries.forEach(([channelId, rule]) => {
+        const item = document.createElement('div');
+        item.className = 'backup-item';
+
+        const label = document.createElement('span');
+        const ids = [channelId, ...(rule.aliases || [])].join(', ');
+        label.textContent = rule.channelName ? `${rule.channelName} (${ids})` : ids;
+
+        const select = document.createElement('select');
+        ['ignore', 'track', 'noOverlay'].forEach(mode => {
+            const option = document.createElement('option');
+            option.value = mode;
+            option.textContent = getChannelRuleModeLabel(mode);
+            select.appendChild(option);
+        });
+        select.value = rule.mode;
+        select.addEventListener('change', () => updateChannelRule(channelId, select.value, rule.channelName));
+
+        const removeButton = document.createElement('button');
+        removeButton.className = 'compact-button';
+        removeButton.textContent = chrome.i18n.getMessage('settings_backup_delete') || 'Delete';
+        removeButton.addEventListener('click', () => updateChannelRule(channelId, null));
+
+        item.append(label, select, removeButton);
+        list.appendChild(item);
+    });
+}
+
+async function updateChannelRule(channelId, mode, channelName = '') {
+    try {
+        await ytStorage.setChannelRule(channelId, mode, channelName);
+        showMessage(mode
+            ? (chrome.i18n.getMessage('message_channel_rule_saved', [channelId]) || `Rule saved for ${channelId}`)
+            : (chrome.i18n.getMessage('message_channel_rule_removed', [channelId]) || `Rule removed for ${channelId}`));
+    } catch (error) {
+        showMessage(chrome.i18n.getMessage('message_channel_rule_error', [error.message]) || `Could not save channel rule: ${error.message}`, 'error');
+    }
+    renderChannelRules();
+}
+
+function initChannelRules() {
+    const input = document.getElementById('ytvhtChannelRuleInput');
+    const mode = document.getElementById('ytvhtChannelRuleMode');
+    const addButton = document.getElementById('ytvhtAddChannelRule');
+    if (!input || !mode || !addButton) return;
+
+    const addRule = async () => {
+        const channelId = parseChannelInput(input.value);
+        if (!channelId) return;
+        await updateChannelRule(channelId, mode.value);
+        input.value = '';
+    };
+    addButton.addEventListener('click', addRule);
+    input.addEventListener('keydown', (event) => {
+        if (event.key === 'Enter') addRule();
+    });
+    renderChannelRules();
+}
+
+// --- Tracking rules --------------------------------------------------------
+
+// Labels added by "tag" rules
+function renderRecordTags(container, record) {
+    if (!container) return;
+    container.innerHTML = '';
+    (record.tags || []).forEach(tag => {
+        const chip = document.createElement('span');
+        chip.className = 'video-tag';
+        chip.textContent = tag;
+        container.appendChild(chip);
+    });
+}
+
+function describeTrackingRule(rule) {
+    const fieldLabels = {
+        title: chrome.i18n.getMessage('settings_rule_field_title') || 'Title',
+        channel: chrome.i18n.getMessage('settings_rule_field_channel') || 'Channel name',
+        url: chrome.i18n.getMessage('settings_rule_field_url') || 'URL'
+    };
+    const pattern = rule.isRegex ? `/${rule.pattern}/` : `"${rule.pattern}"`;
+    let action;
+    if (rule.action === 'skip') {
+        action = chrome.i18n.getMessage('settings_rule_action_skip') || "Don't record";
+    } else if (rule.action === 'expire') {
+        action = chrome.i18n.getMessage('settings_rule_expire_summary', [String(rule.days)]) || `Delete after ${rule.days} days`;
+    } else {
+        action = chrome.i18n.getMessage('settings_rule_tag_summary', [rule.label]) || `Label "${rule.label}"`;
+    }
+    return `${fieldLabels[rule.field] || rule.field} ${pattern} → ${action}`;
+}
+
+async function renderTrackingRules() {
+    const list = document.getElementById('ytvhtTrackingRuleList');
+    if (!list) return;
+    let rules;
+    try {
+        rules = await ytStorage.getTrackingRules();
+    } catch (error) {
+        console.error('Error loading tracking rules:', error);
         return;
     }
 
-    noHistory.style.display = 'none';
-    paginationDiv.style.display = 'flex';
+    list.innerHTML = '';
+    if (rules.length === 0) {
+        const empty = document.createElement('div');
+        empty.className = 'help-text';
+        empty.textContent = chrome.i18n.getMessage('settings_tracking_rules_empty') || 'No keyword rules yet';
+        list.appendChild(empty);
+        return;
+    }
 
-    // Pagination bounds checking (totalPages is now set by loadHistoryPage)
-    if (currentPage > totalPages) currentPage = totalPages;
-    if (currentPage < 1) currentPage = 1;
+    rules.forEach(rule => {
+        const item = document.createElement('div');
+        item.className = 'backup-item';
 
-    // Reuse existing rows when possible
-    while (historyTable.rows.length > pageRecords.length) {
-        historyTable.deleteRow(-1);
-    }
+        const label = document.createElement('span');
+        label.textContent = describeTrackingRule(rule);
 
-    pageRecords.forEach((record, index) => {
-        let row = historyTable.rows[index];
-        const isNewRow = !row;
+        const removeButton = document.createElement('button');
+        removeButton.className = 'compact-button';
+        removeButton.textContent = chrome.i18n.getMessage('settings_backup_delete') || 'Delete';
+        removeButton.addEventListener('click', async () => {
+            try {
+                await ytStorage.removeTrackingRule(rule.id);
+            } catch (error) {
+                showMessage(chrome.i18n.getMessage('message_tracking_rule_error', [error.message]) || `Could not save rule: ${error.message}`, 'error');
+            }
+            renderTrackingRules();
+        });
 
-        if (isNewRow) {
-            row = document.createElement('tr');
-            // We only need one cell now
-            const cell = document.createElement('td');
-            row.appendChild(cell);
-            historyTable.appendChild(row);
-        }
+        item.append(label, removeButton);
+        list.appendChild(item);
+    });
+}
 
-        // Get the cell (we only have one now)
-        const cell = row.cells[0];
-        cell.className = 'video-cell';
+function initTrackingRules() {
+    const field = document.getElementById('ytvhtTrackingRuleField');
+    const pattern = document.getElementById('ytvhtTrackingRulePattern');
+    const regex = document.getElementById('ytvhtTrackingRuleRegex');
+    const action = document.getElementById('ytvhtTrackingRuleAction');
+    const days = document.getElementById('ytvhtTrackingRuleDays');
+    const label = document.getElementById('ytvhtTrackingRuleLabel');
+    const addButton = document.getElementById('ytvhtAddTrackingRule');
+    if (!field || !pattern || !regex || !action || !days || !label || !addButton) return;
+
+    // Only show the input the chosen action needs
+    const updateActionInputs = () => {
+        days.style.display = action.value === 'expire' ? '' : 'none';
+        label.style.display = action.value === 'tag' ? '' : 'none';
+    };
+    action.addEventListener('change', updateActionInputs);
+    updateActionInputs();
 
-        // Create or update content
-        if (!cell.querySelector('.video-thumbnail')) {
-            // Build DOM nodes instead of using innerHTML
-            cell.innerHTML = '';
-            const img = document.createElement('img');
-            img.className = 'video-thumbnail';
-            img.alt = 'Video thumbnail';
-            cell.appendChild(img);
-            const contentDiv = document.createElement('div');
-            contentDiv.className = 'video-content';
-            const titleDiv = document.createElement('div');
-            titleDiv.className = 'video-title';
-            const a = document.createElement('a');
-            a.className = 'video-link';
-            a.target = '_blank';
-            titleDiv.appendChild(a);
-            contentDiv.appendChild(titleDiv);
-            const channelDiv = document.createElement('div');
-            channelDiv.className = 'video-channel';
-            channelDiv.setAttribute('data-i18n', 'videos_channel_label');
-            contentDiv.appendChild(channelDiv);
-            const detailsDiv = document.createElement('div');
-            detailsDiv.className = 'video-details';
-            const progressSpan = document.createElement('span');
-            progressSpan.className = 'video-progress';
-            const dateSpan = document.createElement('span');
-            dateSpan.className = 'video-date';
-            const deleteButton = document.createElement('button');
-            deleteButton.className = 'delete-button';
-            deleteButton.textContent = chrome.i18n.getMessage('delete_label');
-            detailsDiv.appendChild(progressSpan);
-            detailsDiv.appendChild(dateSpan);
-            detailsDiv.appendChild(deleteButton);
-            contentDiv.appendChild(detailsDiv);
-            cell.appendChild(contentDiv);
+    addButton.addEventListener('click', async () => {
+        try {
+            await ytStorage.addTrackingRule({
+                field: field.value,
+                pattern: pattern.value,
+                isRegex: regex.checked,
+                action: action.value,
+                days: days.value,
+                label: label.value
+            });
+            pattern.value = '';
+            label.value = '';
+            showMessage(chrome.i18n.getMessage('message_tracking_rule_added') || 'Rule added');
+        } catch (error) {
+            showMessage(chrome.i18n.getMessage('message_tracking_rule_error', [error.message]) || `Could not save rule: ${error.message}`, 'error');
         }
+        renderTrackingRules();
+    });
+    renderTrackingRules();
+}
 
-        // Update content
-        const thumbnail = cell.querySelector('.video-thumbnail');
-        const link = cell.querySelector('.video-link');
-        const progress = cell.querySelector('.video-progress');
-        const date = cell.querySelector('.video-date');
-        const deleteButton = cell.querySelector('.delete-button');
-        const channelDiv = cell.querySelector('.video-channel');
-
-        thumbnail.src = `https://i.ytimg.com/vi/${record.videoId}/mqdefault.jpg`;
-        thumbnail.alt = record.title || 'Video thumbnail';
+// --- Backups ---------------------------------------------------------------
 
-        // Add timestamp to URL if video has saved progress
-        link.href = (record.time && record.time > 0) 
-            ? addTimestampToUrl(record.url, record.time)
-            : record.url;
-        link.textContent = record.title || 'Unknown Title';
+function initBackupSettings() {
+    const enabled = document.getElementById('ytvhtBackupEnabled');
+    const interval = document.getElementById('ytvhtBackupInterval');
+    const retention = document.getElementById('ytvhtBackupRetention');
+    const target = document.getElementById('ytvhtBackupTarget');
+    const backupNow = document.getElementById('ytvhtBackupNow');
+    if (!enabled || !interval || !retention || !target || !backupNow) {
+        log('Error: Backup elements not found');
+        return;
+    }
 
-        progress.textContent = formatProgress(record.time, record.duration);
-        date.textContent = formatDate(record.timestamp);
-        channelDiv.textContent = sanitizeText(record.channelName || '');
+    const saveBackupSetting = async (key, value) => {
+        const s = await loadSettings();
+        s[key] = value;
+        await saveSettings(s);
+        showMessage(chrome.i18n.getMessage('message_backup_settings_updated') || 'Backup settings updated');
+    };
 
-        deleteButton.onclick = () => deleteRecord(record.videoId);
+    enabled.addEventListener('change', function () {
+        saveBackupSetting('backupEnabled', this.checked);
+    });
+    interval.addEventListener('change', function () {
+        saveBackupSetting('backupIntervalHours', parseInt(this.value) || DEFAULT_SETTINGS.backupIntervalHours);
+    });
+    retention.addEventListener('change', function () {
+        const value = Math.min(50, Math.max(1, parseInt(this.value) || DEFAULT_SETTINGS.backupRetention));
+        this.value = value;
+        saveBackupSetting('backupRetention', value);
+    });
+    target.addEventListener('change', async function () {
+        if (this.value === 'downloads' && !(await requestDownloadsPermission())) {
+            this.value = 'indexeddb';
+            showMessage(chrome.i18n.getMessage('message_backup_downloads_denied') ||
+                'Downloads permission is needed to save backups as files', 'error');
+            return;
+        }
+        saveBackupSetting('backupTarget', this.value);
     });
 
-    // Update pagination info and controls
-    updatePaginationUI(currentPage, totalPages);
+    backupNow.addEventListener('click', async () => {
+        backupNow.disabled = true;
+        try {
+            const result = await sendBackgroundMessage({ type: 'runBackupNow' });
+            showMessage(chrome.i18n.getMessage('message_backup_created', [result.counts.videos, result.counts.playlists]) ||
+                `Backup created: ${result.counts.videos} videos, ${result.counts.playlists} playlists`);
+        } catch (error) {
+            console.error('Error creating backup:', error);
+            showMessage(chrome.i18n.getMessage('message_backup_failed', [error.message]) || `Backup failed: ${error.message}`, 'error');
+        } finally {
+            backupNow.disabled = false;
+            renderBackupList();
+        }
+    });
 
-    // Update analytics if we're showing them
-    if (document.getElementById('ytvhtAnalyticsContainer').style.display !== 'none') {
-        updateAnalytics();
-    }
+    renderBackupList();
 }
 
-async function deleteRecord(videoId) {
+// chrome.permissions.request must run inside the user gesture
+async function requestDownloadsPermission() {
+    if (!chrome.permissions || !chrome.permissions.request) return false;
     try {
-        await ytStorage.removeVideo(videoId);
-        showMessage(chrome.i18n.getMessage('message_video_removed'));
-        // Remove from local array and refresh page
-        allHistoryRecords = allHistoryRecords.filter(r => r.videoId !== videoId);
-        displayHistoryPage();
+        return await chrome.permissions.request({ permissions: ['downloads'] });
     } catch (error) {
-        console.error('Error deleting record:', error);
-        showMessage(chrome.i18n.getMessage('message_error_removing_video', [error.message || chrome.i18n.getMessage('message_unknown_error')]), 'error');
+        console.error('Error requesting downloads permission:', error);
+        return false;
     }
 }
 
-async function clearHistory() {
-    if (!confirm(chrome.i18n.getMessage('message_confirm_clear_history'))) {
-        return;
-    }
+function sendBackgroundMessage(message) {
+    return new Promise((resolve, reject) => {
+        chrome.runtime.sendMessage(message, (response) => {
+            if (chrome.runtime.lastError) {
+                reject(new Error(chrome.runtime.lastError.message));
+            } else if (!response) {
+                reject(new Error('No response from background script'));
+            } else if (response.error) {
+                reject(new Error(response.error));
+            } else {
+                resolve(response.result);
+            }
+        });
+    });
+}
+
+// List stored snapshots with Restore / Delete actions and show the last run
+async function renderBackupList() {
+    const list = document.getElementById('ytvhtBackupList');
+    const status = document.getElementById('ytvhtBackupStatus');
+    if (!list || !status) return;
 
     try {
-        await ytStorage.clear();
-        showMessage(chrome.i18n.getMessage('message_history_cleared'));
-        allHistoryRecords = [];
-        allPlaylists = [];
-        currentPage = 1;
-        currentPlaylistPage = 1;
-        displayHistoryPage();
-        if (document.getElementById('ytvhtTabPlaylists').classList.contains('active')) {
-            displayPlaylistsPage();
+        const [backups, state] = await Promise.all([ytStorage.listBackups(), ytStorage.getBackupState()]);
+
+        if (state.lastError) {
+            status.textContent = chrome.i18n.getMessage('message_backup_failed', [state.lastError]) || `Backup failed: ${state.lastError}`;
+        } else if (state.lastBackupAt) {
+            status.textContent = chrome.i18n.getMessage('settings_backup_last', [formatDate(state.lastBackupAt)]) ||
+                `Last backup: ${formatDate(state.lastBackupAt)}`;
+        } else {
+            status.textContent = '';
         }
-    } catch (error) {
-        console.error('Error clearing history:', error);
-        showMessage(chrome.i18n.getMessage('message_error_clearing_history', [error.message || chrome.i18n.getMessage('message_unknown_error')]), 'error');
-    }
-}
 
-async function exportHistory() {
-    try {
-        const [videosObj, playlistsObj, stats] = await Promise.all([
-            ytStorage.getAllVideos(),
-            ytStorage.getAllPlaylists(),
-            (async ()=>{ try { return await ytStorage.getStats(); } catch(e){ return null; } })()
-        ]);
+        list.innerHTML = '';
+        backups.forEach(backup => {
+            const item = document.createElement('div');
+            item.className = 'backup-item';
 
-        // Convert objects to arrays (getAllVideos/getAllPlaylists return objects keyed by ID)
-        const videos = Object.values(videosObj || {});
-        const playlists = Object.values(playlistsObj || {});
+            const label = document.createElement('span');
+            const counts = backup.counts || { videos: 0, playlists: 0 };
+            const reasonLabels = {
+                'pre-restore': chrome.i18n.getMessage('settings_backup_pre_restore') || 'before restore',
+                'pre-clear': chrome.i18n.getMessage('settings_backup_pre_clear') || 'before clear'
+            };
+            label.textContent = `${formatDate(backup.createdAt)} · ${counts.videos} / ${counts.playlists}` +
+                (reasonLabels[backup.reason] ? ` (${reasonLabels[backup.reason]})` : '');
+            label.title = chrome.i18n.getMessage('settings_backup_counts_title') || 'videos / playlists';
 
-        // Validate exported records (required fields)
-        const validVideos = videos.filter(v => 
-            v && typeof v.videoId === 'string' && typeof v.timestamp === 'number' && typeof v.time === 'number'
-        );
-        const validPlaylists = playlists.filter(p => 
-            p && typeof p.playlistId === 'string'
-        );
+            const restoreButton = document.createElement('button');
+            restoreButton.className = 'compact-button';
+            restoreButton.textContent = chrome.i18n.getMessage('settings_backup_restore') || 'Restore';
+            restoreButton.addEventListener('click', () => restoreBackupFromList(backup));
 
-        // Create export data with metadata
-        const exportData = {
-            _metadata: {
-                exportDate: new Date().toISOString(),
-                extensionVersion: EXTENSION_VERSION,
-                totalVideos: validVideos.length,
-                totalPlaylists: validPlaylists.length,
-                exportFormat: "json",
-                dataVersion: "1.1"
-            },
-            history: validVideos,  // Array of video records
-            playlists: validPlaylists,  // Array of playlist records
-            stats: stats || undefined
-        };
+            const deleteButton = document.createElement('button');
+            deleteButton.className = 'compact-button';
+            deleteButton.textContent = chrome.i18n.getMessage('settings_backup_delete') || 'Delete';
+            deleteButton.addEventListener('click', async () => {
+                await ytStorage.deleteBackup(backup.id);
+                renderBackupList();
+            });
 
-        const blob = new Blob([JSON.stringify(exportData, null, 2)], {type: 'application/json'});
-        const url = URL.createObjectURL(blob);
-        const a = document.createElement('a');
-        a.href = url;
-        a.download = `youtube-history-${new Date().toISOString().split('T')[0]}.json`;
-        document.body.appendChild(a);
-        a.click();
-        document.body.removeChild(a);
-        URL.revokeObjectURL(url);
-        showMessage(chrome.i18n.getMessage('message_export_success', [validVideos.length, validPlaylists.length]));
+            item.append(label, restoreButton, deleteButton);
+            list.appendChild(item);
+        });
     } catch (error) {
-        console.error('Error exporting history:', error);
-        showMessage(chrome.i18n.getMessage('message_error_exporting_history', [error.message || chrome.i18n.getMessage('message_unknown_error')]), 'error');
+        console.error('Error listing backups:', error);
+        status.textContent = chrome.i18n.getMessage('message_backup_failed', [error.message]) || `Backup failed: ${error.message}`;
     }
 }
 
-function openImportPage() {
-    if (!chrome || !chrome.tabs || !chrome.tabs.query) {
+async function restoreBackupFromList(backup) {
+    const confirmMessage = chrome.i18n.getMessage('message_confirm_restore_backup', [formatDate(backup.createdAt)]) ||
+        `Replace your current history with the backup from ${formatDate(backup.createdAt)}? Your current data is backed up first.`;
+    if (!confirm(confirmMessage)) {
         return;
     }
 
-    const targetHash = '#ytlh_import';
-
-    // First, pause any playing video in the active tab (if it's YouTube)
-    chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
-        const activeTab = tabs && tabs[0];
-        if (activeTab && activeTab.id && activeTab.url && activeTab.url.includes('://www.youtube.com/')) {
-            try {
-                chrome.tabs.sendMessage(activeTab.id, { type: 'pauseVideoForImport' }, () => {
-                    // Ignore errors here; pausing is best-effort only
-                });
-            } catch (e) {
-                // Ignore messaging errors
-            }
-        }
-
-        // Always open a dedicated import tab instead of reloading the current one
-        chrome.tabs.create({ url: `https://www.youtube.com/${targetHash}` });
-    });
+    try {
+        const result = await ytStorage.restoreBackup(backup.id);
+        const settings = await loadSettings();
+        updateSettingsUI(settings);
+        await loadCurrentPages();
+        showMessage(chrome.i18n.getMessage('message_backup_restored', [result.restoredVideos, result.restoredPlaylists]) ||
+            `Restored ${result.restoredVideos} videos and ${result.restoredPlaylists} playlists`);
+    } catch (error) {
+        console.error('Error restoring backup:', error);
+        showMessage(chrome.i18n.getMessage('message_backup_failed', [error.message]) || `Backup failed: ${error.message}`, 'error');
+    } finally {
+        renderBackupList();
+    }
 }
 
 // Expose key helpers on window for testing and potential reuse
 window.addTimestampToUrl = addTimestampToUrl;
 window.exportHistory = exportHistory;
+window.buildCsvExport = buildCsvExport;
+window.buildNdjsonExport = buildNdjsonExport;
 window.openImportPage = openImportPage;
+window.showUndoToast = showUndoToast;
+window.buildActivityBuckets = buildActivityBuckets;
+window.heatmapLevel = heatmapLevel;
 
 // Extract all Shorts records from a history object (object of videoId -> record)
 // Fallback: treat as Shorts if isShorts === true, or if isShorts is missing and url contains '/shorts/'
@@ -2198,6 +3870,7 @@ function displayPlaylistsPage() {
         const emptyState = getContextualEmptyState('playlists', searchQuery);
         renderEmptyState(noPlaylists, emptyState);
         paginationDiv.style.display = 'none';
+        updateBulkToolbar('playlists');
         return;
     }
 
@@ -2233,6 +3906,10 @@ function displayPlaylistsPage() {
         if (!cell.querySelector('.playlist-icon')) {
             // Build DOM nodes instead of using innerHTML
             cell.innerHTML = '';
+            const selectBox = document.createElement('input');
+            selectBox.type = 'checkbox';
+            selectBox.className = 'bulk-select';
+            cell.appendChild(selectBox);
             const iconDiv = document.createElement('div');
             iconDiv.className = 'playlist-icon';
             const parser = new DOMParser();
@@ -2258,6 +3935,7 @@ function displayPlaylistsPage() {
             ignoreLabel.style.cssText = 'padding:2px 6px;border:1px solid var(--border-color);border-radius:4px;';
             const ignoreToggle = document.createElement('input');
             ignoreToggle.type = 'checkbox';
+            ignoreToggle.className = 'playlist-ignore-toggle';
             ignoreToggle.title = chrome.i18n.getMessage('playlists_ignore_toggle_tooltip') || 'Ignore videos in this playlist';
             const deleteButton = document.createElement('button');
             deleteButton.className = 'delete-button';
@@ -2274,7 +3952,7 @@ function displayPlaylistsPage() {
         const link = cell.querySelector('.video-link');
         const date = cell.querySelector('.playlist-date');
         const deleteButton = cell.querySelector('.delete-button');
-        const ignoreToggle = cell.querySelector('input[type="checkbox"]');
+        const ignoreToggle = cell.querySelector('.playlist-ignore-toggle');
         const ignoreLabel = cell.querySelector('.playlist-ignore-label');
 
         link.href = record.url;
@@ -2294,8 +3972,11 @@ function displayPlaylistsPage() {
             }
         };
         deleteButton.onclick = () => deletePlaylist(record.playlistId);
+        bindBulkCheckbox(cell.querySelector('.bulk-select'), 'playlists', record.playlistId);
     });
 
+    updateBulkToolbar('playlists');
+
     // Update pagination info and controls
     updatePlaylistPaginationUI(currentPlaylistPage, totalPlaylistPages);
 }
@@ -2413,7 +4094,11 @@ function addPlaylistEllipsis() {
 async function deletePlaylist(playlistId) {
     try {
         await ytStorage.removePlaylist(playlistId);
-        showMessage(chrome.i18n.getMessage('message_playlist_removed'));
+        showUndoToast(chrome.i18n.getMessage('message_playlist_removed'), async () => {
+            await ytStorage.restoreFromTrash([`playlist:${playlistId}`]);
+            await loadCurrentPages();
+        });
+        bulkSelections.playlists.delete(playlistId);
         allPlaylists = allPlaylists.filter(r => r.playlistId !== playlistId);
         displayPlaylistsPage();
     } catch (error) {
@@ -2465,19 +4150,7 @@ async function saveSettings(settings) {
 
 // Update settings UI with current values
 function updateSettingsUI(settings) {
-    const autoCleanSelect = document.getElementById('ytvhtAutoCleanPeriod');
-    if (settings.autoCleanPeriod === 'forever') {
-        autoCleanSelect.value = 'forever';
-    } else {
-        // For numeric values, select the closest available option or the value itself
-        const numericValue = parseInt(settings.autoCleanPeriod) || 90;
-        if (['30', '90', '180'].includes(numericValue.toString())) {
-            autoCleanSelect.value = numericValue.toString();
-        } else {
-            // If it's a custom value, default to 90
-            autoCleanSelect.value = '90';
-        }
-    }
+    updateRetentionUI(settings.retentionPolicies || {});
     document.getElementById('ytvhtPaginationCount').value = settings.paginationCount;
     document.getElementById('ytvhtOverlayTitle').value = settings.overlayTitle;
     document.getElementById('ytvhtOverlayColor').value = settings.overlayColor;
@@ -2485,8 +4158,97 @@ function updateSettingsUI(settings) {
     document.getElementById('ytvhtDebugMode').checked = settings.debug;
     const pauseChk = document.getElementById('ytvhtPauseHistoryInPlaylists');
     if (pauseChk) pauseChk.checked = !!settings.pauseHistoryInPlaylists;
+    const pauseDuration = document.getElementById('ytvhtPauseDuration');
+    if (pauseDuration) pauseDuration.value = String(settings.pauseDurationMinutes || 0);
+    const pauseIncognito = document.getElementById('ytvhtPauseInIncognito');
+    if (pauseIncognito) pauseIncognito.checked = !!settings.pauseInIncognito;
     document.getElementById('ytvhtVersion').textContent = EXTENSION_VERSION;
     updateColorPreview(settings.overlayColor);
+    updateExportOptionsUI(settings);
+    updateBackupOptionsUI(settings);
+}
+
+// Missing or unknown values read as "keep forever", matching the storage defaults
+function updateRetentionUI(policies) {
+    document.querySelectorAll('[data-retention-policy]').forEach(select => {
+        const value = String(policies[select.dataset.retentionPolicy] || 'forever');
+        select.value = Array.from(select.options).some(option => option.value === value) ? value : 'forever';
+    });
+    const retentionIgnored = document.getElementById('ytvhtRetentionIgnoredPlaylists');
+    if (retentionIgnored) retentionIgnored.checked = policies.ignoredPlaylists === 'remove';
+}
+
+async function updateRetentionPolicy(change) {
+    try {
+        const policies = await ytStorage.setRetentionPolicies(change);
+        updateRetentionUI(policies);
+        showMessage(chrome.i18n.getMessage('message_retention_updated') || 'Retention updated');
+    } catch (error) {
+        console.error('Error saving retention policies:', error);
+        showMessage(chrome.i18n.getMessage('message_retention_error', [error.message]) || `Could not save retention: ${error.message}`, 'error');
+    }
+}
+
+// Summary of the last background cleanup (runs daily, see runMaintenance in background.js)
+async function renderCleanupReport() {
+    const status = document.getElementById('ytvhtCleanupReport');
+    if (!status) return;
+    try {
+        const report = await ytStorage.getCleanupReport();
+        if (!report) {
+            status.textContent = chrome.i18n.getMessage('settings_cleanup_never') || 'No cleanup has run yet';
+        } else if (report.error) {
+            status.textContent = chrome.i18n.getMessage('message_cleanup_failed', [report.error]) || `Cleanup failed: ${report.error}`;
+        } else {
+            const retained = report.retention ? report.retention.removed : 0;
+            const args = [formatDate(report.ranAt), String(retained), String(report.expired || 0), String(report.trash || 0)];
+            status.textContent = chrome.i18n.getMessage('settings_cleanup_last', args) ||
+                `Last cleanup: ${args[0]} · ${args[1]} videos past retention, ${args[2]} expired by rules, ${args[3]} trash entries purged`;
+        }
+    } catch (error) {
+        console.error('Error loading cleanup report:', error);
+    }
+}
+
+async function runCleanupNow(button) {
+    button.disabled = true;
+    try {
+        const report = await sendBackgroundMessage({ type: 'runCleanupNow' });
+        const removed = (report.retention ? report.retention.removed : 0) + (report.expired || 0);
+        showMessage(chrome.i18n.getMessage('message_cleanup_done', [String(removed)]) || `Cleanup finished: ${removed} videos removed`);
+    } catch (error) {
+        console.error('Error running cleanup:', error);
+        showMessage(chrome.i18n.getMessage('message_cleanup_failed', [error.message]) || `Cleanup failed: ${error.message}`, 'error');
+    } finally {
+        button.disabled = false;
+        renderCleanupReport();
+    }
+}
+
+// Reflect saved backup schedule in the backup controls
+function updateBackupOptionsUI(settings) {
+    const enabled = document.getElementById('ytvhtBackupEnabled');
+    const interval = document.getElementById('ytvhtBackupInterval');
+    const retention = document.getElementById('ytvhtBackupRetention');
+    const target = document.getElementById('ytvhtBackupTarget');
+    if (!enabled || !interval || !retention || !target) return;
+    enabled.checked = !!settings.backupEnabled;
+    interval.value = String(settings.backupIntervalHours || DEFAULT_SETTINGS.backupIntervalHours);
+    retention.value = settings.backupRetention || DEFAULT_SETTINGS.backupRetention;
+    target.value = settings.backupTarget || 'indexeddb';
+}
+
+// Reflect saved export format / field choices in the export picker
+function updateExportOptionsUI(settings) {
+    const formatSelect = document.getElementById('ytvhtExportFormat');
+    const fieldsContainer = document.getElementById('ytvhtExportFields');
+    if (!formatSelect || !fieldsContainer) return;
+    formatSelect.value = settings.exportFormat || 'json';
+    const selected = Array.isArray(settings.exportFields) ? settings.exportFields : EXPORT_FIELDS;
+    fieldsContainer.querySelectorAll('input[type="checkbox"]').forEach(input => {
+        input.checked = selected.includes(input.value);
+    });
+    fieldsContainer.style.display = formatSelect.value === 'json' ? 'none' : 'flex';
 }
 
 // Update color preview
@@ -2504,19 +4266,21 @@ async function initSettingsTab() {
     // Update UI with current values
     updateSettingsUI(settings);
 
-    // Auto-clean period
-    const autoCleanPeriod = document.getElementById('ytvhtAutoCleanPeriod');
-    if (autoCleanPeriod) {
-        autoCleanPeriod.addEventListener('change', async function () {
-            const settings = await loadSettings();
-            const value = this.value;
-            settings.autoCleanPeriod = value === 'forever' ? 'forever' : parseInt(value);
-            await saveSettings(settings);
-            showMessage(chrome.i18n.getMessage('message_auto_clean_updated'));
+    // Retention policies
+    document.querySelectorAll('[data-retention-policy]').forEach(select => {
+        select.addEventListener('change', () => updateRetentionPolicy({ [select.dataset.retentionPolicy]: select.value }));
+    });
+    const retentionIgnored = document.getElementById('ytvhtRetentionIgnoredPlaylists');
+    if (retentionIgnored) {
+        retentionIgnored.addEventListener('change', function () {
+            updateRetentionPolicy({ ignoredPlaylists: this.checked ? 'remove' : 'keep' });
         });
-    } else {
-        log('Error: Auto-clean period element not found');
     }
+    const cleanupNow = document.getElementById('ytvhtCleanupNow');
+    if (cleanupNow) {
+        cleanupNow.addEventListener('click', () => runCleanupNow(cleanupNow));
+    }
+    renderCleanupReport();
 
     // Pagination count
     const paginationCount = document.getElementById('ytvhtPaginationCount');
@@ -2625,6 +4389,53 @@ async function initSettingsTab() {
         log('Error: Pause history in playlists element not found');
     }
 
+    // Pause button / shortcut duration and incognito pause
+    const pauseDuration = document.getElementById('ytvhtPauseDuration');
+    const pauseInIncognito = document.getElementById('ytvhtPauseInIncognito');
+    if (pauseDuration && pauseInIncognito) {
+        pauseDuration.value = String(settings.pauseDurationMinutes || 0);
+        pauseInIncognito.checked = !!settings.pauseInIncognito;
+        pauseDuration.addEventListener('change', async function () {
+            const s = await loadSettings();
+            s.pauseDurationMinutes = parseInt(this.value, 10) || 0;
+            await saveSettings(s);
+            showMessage(chrome.i18n.getMessage('message_pause_duration_updated') || 'Pause duration updated');
+        });
+        pauseInIncognito.addEventListener('change', async function () {
+            const s = await loadSettings();
+            s.pauseInIncognito = this.checked;
+            await saveSettings(s);
+            const enabledMsg = chrome.i18n.getMessage('message_pause_in_incognito_enabled') || 'Tracking is paused in incognito windows';
+            const disabledMsg = chrome.i18n.getMessage('message_pause_in_incognito_disabled') || 'Tracking is on in incognito windows';
+            showMessage(this.checked ? enabledMsg : disabledMsg);
+        });
+    } else {
+        log('Error: Pause tracking elements not found');
+    }
+
+    // Export format and field picker
+    const exportFormat = document.getElementById('ytvhtExportFormat');
+    const exportFields = document.getElementById('ytvhtExportFields');
+    if (exportFormat && exportFields) {
+        exportFormat.addEventListener('change', async function () {
+            const s = await loadSettings();
+            s.exportFormat = this.value;
+            await saveSettings(s);
+            exportFields.style.display = this.value === 'json' ? 'none' : 'flex';
+        });
+        exportFields.addEventListener('change', async () => {
+            const s = await loadSettings();
+            s.exportFields = Array.from(exportFields.querySelectorAll('input[type="checkbox"]'))
+                .filter(input => input.checked)
+                .map(input => input.value);
+            await saveSettings(s);
+        });
+    } else {
+        log('Error: Export options elements not found');
+    }
+
+    initBackupSettings();
+
     // Version display
     const versionElement = document.getElementById('ytvhtVersion');
     if (versionElement) {
@@ -2653,6 +4464,8 @@ function switchTab(tab) {
     document.getElementById('ytvhtPlaylistsContainer').style.display = 'none';
     document.getElementById('ytvhtSettingsContainer').style.display = 'none';
     document.getElementById('ytvhtAnalyticsContainer').style.display = 'none';
+    const trashContainer = document.getElementById('ytvhtTrashContainer');
+    if (trashContainer) trashContainer.style.display = 'none';
 
     // Show selected container
     const container = document.getElementById(`ytvht${tab.charAt(0).toUpperCase() + tab.slice(1)}Container`);
@@ -2680,6 +4493,8 @@ function switchTab(tab) {
         } else if (tab === 'shorts') {
             // Display shorts when switching to shorts tab
             displayShortsPage();
+        } else if (tab === 'trash') {
+            displayTrash();
         }
     }
 }
@@ -3041,41 +4856,13 @@ document.addEventListener('DOMContentLoaded', async function () {
         }
 
         // Set up event listeners
-        clearButton.addEventListener('click', async () => {
-            // Show confirmation dialog
-            const confirmed = confirm(chrome.i18n.getMessage('message_warning_clear_all'));
-
-            if (!confirmed) {
-                return;
-            }
+        clearButton.addEventListener('click', () => clearHistory());
 
-            try {
-                await ytStorage.clearHistoryOnly();
-                allHistoryRecords = [];
-                allPlaylists = [];
-                allShortsRecords = [];
-                currentPage = 1;
-                currentPlaylistPage = 1;
-                currentShortsPage = 1;
-
-                // Update all displays
-                displayHistoryPage();
-                displayShortsPage();
-                displayPlaylistsPage();
-
-                showMessage(chrome.i18n.getMessage('message_all_history_cleared'));
-            } catch (error) {
-                console.error('Error clearing history:', error);
-                showMessage(chrome.i18n.getMessage('message_error_clearing_history', [error.message || chrome.i18n.getMessage('message_unknown_error')]), 'error');
-            }
-        });
-
-        exportButton.addEventListener('click', exportHistory);
+        exportButton.addEventListener('click', () => exportHistory(getExportOptionsFromUI()));
 
         importButton.addEventListener('click', () => openImportPage());
-        convertButton.addEventListener('click', () => {
-            window.open('https://github.com/tannery495/youtube-history-converter', '_blank', 'noopener');
-        });
+        // Google Takeout files are parsed directly by the import overlay
+        convertButton.addEventListener('click', () => openImportPage());
         closeButton.addEventListener('click', () => window.close());
 
         // Pagination controls
@@ -3085,7 +4872,7 @@ document.addEventListener('DOMContentLoaded', async function () {
         lastPageBtn.addEventListener('click', goToLastPage);
 
         let currentTab = getCurrentExtensionTab() || 'videos';
-        if (!['videos', 'shorts', 'playlists', 'analytics', 'settings'].includes(currentTab)) {
+        if (!['videos', 'shorts', 'playlists', 'analytics', 'trash', 'settings'].includes(currentTab)) {
             currentTab = 'videos'; // Default to videos if invalid
         }
         log('Current extension tab:', currentTab);
@@ -3111,6 +4898,18 @@ document.addEventListener('DOMContentLoaded', async function () {
             switchTab('analytics');
             updateAnalytics();
         });
+        const trashTab = document.getElementById('ytvhtTabTrash');
+        if (trashTab) {
+            trashTab.addEventListener('click', () => switchTab('trash'));
+            initTrashControls();
+        }
+        initBulkControls();
+        initSortHeaders();
+        initActivityRange();
+        initProfiles();
+        initTrackingPause();
+        initChannelRules();
+        initTrackingRules();
         if (settingsTab) {
             settingsTab.addEventListener('click', () => {
                 switchTab('settings');
@@ -3409,6 +5208,7 @@ function displayShortsPage() {
         const emptyState = getContextualEmptyState('shorts', searchQuery);
         renderEmptyState(noShorts, emptyState);
         if (paginationDiv) paginationDiv.style.display = 'none';
+        updateBulkToolbar('shorts');
         return;
     }
     noShorts.style.display = 'none';
@@ -3423,6 +5223,11 @@ function displayShortsPage() {
         const row = document.createElement('tr');
         // Shorts title and link
         const titleCell = document.createElement('td');
+        const selectBox = document.createElement('input');
+        selectBox.type = 'checkbox';
+        selectBox.className = 'bulk-select';
+        bindBulkCheckbox(selectBox, 'shorts', record.videoId);
+        titleCell.appendChild(selectBox);
         const link = document.createElement('a');
         const baseUrl = record.url || `https://www.youtube.com/shorts/${record.videoId}`;
         link.href = (record.time && record.time > 0) 
@@ -3443,9 +5248,13 @@ function displayShortsPage() {
 
         // Action buttons
         const actionCell = document.createElement('td');
+        const markButton = document.createElement('button');
+        markButton.className = 'mark-button';
+        bindMarkButton(markButton, record);
         const deleteButton = document.createElement('button');
         deleteButton.textContent = chrome.i18n.getMessage('delete_label');
         deleteButton.onclick = () => deleteRecord(record.videoId);
+        actionCell.appendChild(markButton);
         actionCell.appendChild(deleteButton);
 
         row.appendChild(titleCell);
@@ -3456,7 +5265,7 @@ function displayShortsPage() {
         tbody.appendChild(row);
     });
 
-
+    updateBulkToolbar('shorts');
     updateShortsPaginationUI(currentShortsPage, totalShortsPages);
 }
 
@@ -3592,7 +5401,7 @@ function renderSkippedChannels() {
         ? analyticsAllVideos.filter(r => !r.isShorts)
         : allHistoryRecords;
     const longVideos = source.filter(r => r.duration >= 600);
-    const skipped = longVideos.filter(r => (r.time / r.duration) < 0.1);
+    const skipped = longVideos.filter(r => getWatchedRatio(r) < 0.1);
 
     // Aggregate by channel
     const channelMap = {};
@@ -3679,9 +5488,9 @@ function renderCompletionBarChart() {
         ? analyticsAllVideos.filter(r => !r.isShorts)
         : allHistoryRecords;
     const longVideos = source.filter(r => r.duration >= 600);
-    const skipped = longVideos.filter(r => (r.time / r.duration) < 0.1);
-    const partial = longVideos.filter(r => (r.time / r.duration) >= 0.1 && (r.time / r.duration) < 0.9);
-    const completed = longVideos.filter(r => (r.time / r.duration) >= 0.9);
+    const skipped = longVideos.filter(r => getWatchedRatio(r) < 0.1);
+    const partial = longVideos.filter(r => getWatchedRatio(r) >= 0.1 && getWatchedRatio(r) < 0.9);
+    const completed = longVideos.filter(r => getWatchedRatio(r) >= 0.9);
     const counts = [skipped.length, partial.length, completed.length];
     // Use short labels for x-axis
     const labels = [
@@ -31,8 +31,9 @@
     })();
     const isChrome = typeof chrome !== 'undefined' && (!isFirefox);
 
-    // Cross-browser storage wrapper
-    const storage = {
+    // Cross-browser storage wrapper (unscoped; everything but the profile
+    // registry goes through the profile-scoped `storage` below)
+    const rawStorage = {
         async get(keys) {
             if (isFirefox) {
                 return await browser.storage.local.get(keys);
@@ -74,6 +75,250 @@
         }
     };
 
+    // --- Profiles ------------------------------------------------------------
+    // Each profile has its own storage.local namespace and its own IndexedDB.
+    // The default profile keeps the original unprefixed keys, so existing
+    // installs need no migration; other profiles prefix keys with "profile:<id>:".
+    const PROFILES_KEY = 'ytlhProfiles';
+    const DEFAULT_PROFILE_ID = 'default';
+    const PROFILE_KEY_PREFIX = 'profile:';
+    // Global tracking pause, shared by all profiles
+    const TRACKING_PAUSE_KEY = 'ytlhTrackingPause';
+
+    let activeProfileId = DEFAULT_PROFILE_ID;
+    let profileLoadPromise = null;
+    const profileChangeListeners = [];
+    const trackingPauseListeners = [];
+
+    function profileKeyPrefix(profileId) {
+        return profileId === DEFAULT_PROFILE_ID ? '' : `${PROFILE_KEY_PREFIX}${profileId}:`;
+    }
+
+    // Does a raw storage.local key belong to the profile's namespace?
+    function isProfileKey(rawKey, profileId) {
+        if (profileId === DEFAULT_PROFILE_ID) {
+            return rawKey !== PROFILES_KEY && rawKey !== TRACKING_PAUSE_KEY && !rawKey.startsWith(PROFILE_KEY_PREFIX);
+        }
+        return rawKey.startsWith(profileKeyPrefix(profileId));
+    }
+
+    // Raw key/value map -> the profile's entries with unprefixed keys
+    function scopeToProfile(rawData, profileId) {
+        const prefix = profileKeyPrefix(profileId);
+        const scoped = {};
+        Object.keys(rawData || {}).forEach(rawKey => {
+            if (isProfileKey(rawKey, profileId)) {
+                scoped[rawKey.slice(prefix.length)] = rawData[rawKey];
+            }
+        });
+        return scoped;
+    }
+
+    function normalizeProfileRegistry(registry) {
+        const profiles = Array.isArray(registry?.profiles) ? registry.profiles.filter(p => p && p.id) : [];
+        if (!profiles.some(p => p.id === DEFAULT_PROFILE_ID)) {
+            profiles.unshift({ id: DEFAULT_PROFILE_ID, name: 'Default', createdAt: 0 });
+        }
+        const exists = (id) => profiles.some(p => p.id === id);
+        const active = exists(registry?.activeProfileId) ? registry.activeProfileId : DEFAULT_PROFILE_ID;
+        // YouTube account -> profile routing; opt-in so manual switching keeps working
+        const accountProfiles = {};
+        Object.entries(registry?.accountProfiles || {}).forEach(([accountId, profileId]) => {
+            if (exists(profileId)) accountProfiles[accountId] = profileId;
+        });
+        return {
+            profiles,
+            activeProfileId: active,
+            autoSwitchProfiles: registry?.autoSwitchProfiles === true,
+            unknownAccountProfileId: exists(registry?.unknownAccountProfileId) ? registry.unknownAccountProfileId : DEFAULT_PROFILE_ID,
+            accountProfiles,
+            knownAccounts: registry?.knownAccounts && typeof registry.knownAccounts === 'object' ? registry.knownAccounts : {}
+        };
+    }
+
+    // Stored pause -> { paused, pausedAt, until }; an expired timed pause reads as not paused
+    function normalizeTrackingPause(pause) {
+        if (!pause || (pause.until && pause.until <= Date.now())) {
+            return { paused: false, pausedAt: null, until: null };
+        }
+        return { paused: true, pausedAt: pause.pausedAt || null, until: pause.until || null };
+    }
+
+    // Per-channel rules, kept in settings so backups and profiles carry them
+    const CHANNEL_RULE_MODES = ['ignore', 'track', 'noOverlay'];
+
+    // Records and pages name channels as "@handle", "handle", "/@handle" or
+    // "UC…" IDs; rules are keyed by "@handle" or the UC ID
+    function normalizeChannelId(channelId) {
+        const id = String(channelId || '').trim().replace(/^\/?(channel\/)?/, '');
+        if (!id || id === 'Unknown') return '';
+        if (/^UC[\w-]{22}$/.test(id)) return id;
+        return `@${id.replace(/^@/, '')}`;
+    }
+
+    // A channel is known by its UC ID and its "@handle", and pages expose either.
+    // A rule is keyed by one of them and lists the others it was seen with in
+    // `aliases`; returns the key of the rule that applies, or null.
+    function findChannelRuleKey(rules, channelId) {
+        const key = normalizeChannelId(channelId);
+        if (!key || !rules) return null;
+        if (rules[key]) return key;
+        return Object.keys(rules).find(ruleKey => (rules[ruleKey].aliases || []).includes(key)) || null;
+    }
+
+    // Keyword/regex rules on title, channel name or URL, also kept in settings
+    const TRACKING_RULE_FIELDS = ['title', 'channel', 'url'];
+    const TRACKING_RULE_ACTIONS = ['skip', 'expire', 'tag'];
+    const DAY_MS = 24 * 60 * 60 * 1000;
+
+    function trackingRuleMatches(rule, record) {
+        const value = String((rule.field === 'channel' ? record.channelName : record[rule.field]) || '');
+        if (!value || !rule.pattern) return false;
+        if (rule.isRegex) {
+            try {
+                return new RegExp(rule.pattern, 'i').test(value);
+            } catch (error) {
+                return false;
+            }
+        }
+        return value.toLowerCase().includes(rule.pattern.toLowerCase());
+    }
+
+    // Retention by record type and state, replacing the single autoCleanPeriod
+    // (which was never enforced, so nothing is deleted until a policy is set).
+    // Ages count from the last watch; 'forever' keeps records.
+    const DEFAULT_RETENTION_POLICIES = {
+        shorts: 'forever',
+        completed: 'forever',
+        unfinished: 'forever',
+        ignoredPlaylists: 'keep' // 'remove' drops videos saved from playlists marked ignoreVideos
+    };
+
+    function normalizeRetentionPolicies(policies) {
+        const source = policies || {};
+        const normalized = { ...DEFAULT_RETENTION_POLICIES };
+        ['shorts', 'completed', 'unfinished'].forEach(key => {
+            const days = parseInt(source[key], 10);
+            if (days > 0) normalized[key] = days;
+        });
+        if (source.ignoredPlaylists === 'remove') normalized.ignoredPlaylists = 'remove';
+        return normalized;
+    }
+
+    // Which retention policy governs a video record
+    function retentionPolicyFor(record) {
+        if (record.isShorts) return 'shorts';
+        return watchedRatio(record) >= 0.9 ? 'completed' : 'unfinished';
+    }
+
+    function applyActiveProfile(profileId) {
+        if (profileId === activeProfileId) return;
+        const previous = activeProfileId;
+        activeProfileId = profileId;
+        if (globalScope.ytIndexedDBStorage && typeof globalScope.ytIndexedDBStorage.useProfile === 'function') {
+            globalScope.ytIndexedDBStorage.useProfile(profileId);
+        }
+        profileChangeListeners.forEach(listener => {
+            try {
+                listener(profileId, previous);
+            } catch (error) {
+                console.warn('[Storage] Profile change listener failed:', error);
+            }
+        });
+    }
+
+    // Read the active profile once per context; later switches arrive through storage.onChanged
+    function ensureProfileLoaded() {
+        if (!profileLoadPromise) {
+            profileLoadPromise = rawStorage.get([PROFILES_KEY]).then(result => {
+                const registry = normalizeProfileRegistry(result && result[PROFILES_KEY]);
+                applyActiveProfile(registry.activeProfileId);
+            }).catch(error => {
+                console.warn('[Storage] Could not read profiles, using the default profile:', error);
+            });
+        }
+        return profileLoadPromise;
+    }
+
+    try {
+        const storageApi = isFirefox ? browser.storage : chrome.storage;
+        if (storageApi && storageApi.onChanged) {
+            storageApi.onChanged.addListener((changes, area) => {
+                if (area === 'local' && changes[PROFILES_KEY]) {
+                    applyActiveProfile(normalizeProfileRegistry(changes[PROFILES_KEY].newValue).activeProfileId);
+                }
+                if (area === 'local' && changes[TRACKING_PAUSE_KEY]) {
+                    const pause = normalizeTrackingPause(changes[TRACKING_PAUSE_KEY].newValue);
+                    trackingPauseListeners.forEach(listener => {
+                        try {
+                            listener(pause);
+                        } catch (error) {
+                            console.warn('[Storage] Tracking pause listener failed:', error);
+                        }
+                    });
+                }
+            });
+        }
+    } catch (e) {
+        // No storage events in this context; the profile is still read on first use
+    }
+
+    // storage.local scoped to a profile; getProfileId() is read on every call,
+    // so a wrapper for the active profile follows switches
+    function createProfileStorage(getProfileId) {
+        return {
+            async get(keys) {
+                await ensureProfileLoaded();
+                const profileId = getProfileId();
+                const prefix = profileKeyPrefix(profileId);
+                if (keys === null || keys === undefined) {
+                    return scopeToProfile(await rawStorage.get(null), profileId);
+                }
+                if (!prefix) {
+                    return await rawStorage.get(keys);
+                }
+                const list = Array.isArray(keys) ? keys : [keys];
+                const result = await rawStorage.get(list.map(key => prefix + key));
+                return scopeToProfile(result, profileId);
+            },
+
+            async set(data) {
+                await ensureProfileLoaded();
+                const prefix = profileKeyPrefix(getProfileId());
+                if (!prefix) {
+                    return await rawStorage.set(data);
+                }
+                const prefixed = {};
+                Object.keys(data).forEach(key => { prefixed[prefix + key] = data[key]; });
+                return await rawStorage.set(prefixed);
+            },
+
+            async remove(keys) {
+                await ensureProfileLoaded();
+                const prefix = profileKeyPrefix(getProfileId());
+                const list = Array.isArray(keys) ? keys : [keys];
+                return await rawStorage.remove(list.map(key => prefix + key));
+            },
+
+            // Only the profile's keys; other profiles and the registry survive
+            async clear() {
+                await ensureProfileLoaded();
+                const profileId = getProfileId();
+                const all = await rawStorage.get(null);
+                const keys = Object.keys(all).filter(rawKey => isProfileKey(rawKey, profileId));
+                if (keys.length > 0) {
+                    await rawStorage.remove(keys);
+                }
+            }
+        };
+    }
+
+    // Instances bound to one profile, see SimpleStorage.forProfile()
+    const boundInstances = new Map();
+    // Migration of each profile, shared by every instance working on it:
+    // profileId -> { promise, legacyDone }
+    const profileMigrations = new Map();
+
     // Helper: format local date to YYYY-MM-DD without UTC conversion
     function formatLocalDayKey(date) {
         const y = date.getFullYear();
@@ -82,10 +327,254 @@
         return `${y}-${m}-${d}`;
     }
 
+    // Daily stats buckets are kept this many days, enough for the yearly
+    // heatmap; older ones are rolled up into monthly (YYYY-MM) buckets
+    const DAILY_STATS_RETENTION_DAYS = 400;
+    const DAY_KEY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+    /**
+     * Move daily buckets that fell out of the kept window into their month.
+     * Keys that are not day keys are dropped.
+     * @returns {{daily: Object, monthly: Object}}
+     */
+    function rollUpDailyStats(daily, monthly) {
+        const cutoff = new Date();
+        cutoff.setDate(cutoff.getDate() - (DAILY_STATS_RETENTION_DAYS - 1));
+        const cutoffKey = formatLocalDayKey(cutoff);
+        const kept = {};
+        const months = { ...(monthly || {}) };
+        Object.keys(daily || {}).forEach(key => {
+            if (!DAY_KEY_PATTERN.test(key)) return;
+            if (key >= cutoffKey) {
+                kept[key] = daily[key];
+                return;
+            }
+            const month = key.slice(0, 7);
+            months[month] = Math.max(0, Math.floor((months[month] || 0) + Number(daily[key] || 0)));
+        });
+        return { daily: kept, monthly: months };
+    }
+
+    // Batched import / streaming export
+    const IMPORT_PROGRESS_KEY = 'importProgress';
+    const IMPORT_BATCH_SIZE = 500;
+    const EXPORT_CHUNK_SIZE = 1000;
+
+    // Why an imported video record cannot be used, or null when it is valid
+    function getImportVideoProblem(v) {
+        if (!v || typeof v !== 'object') return 'not an object';
+        if (typeof v.videoId !== 'string' || !v.videoId) return 'missing videoId';
+        if (typeof v.timestamp !== 'number') return 'missing or non-numeric timestamp';
+        if (typeof v.time !== 'number') return 'missing or non-numeric time';
+        return null;
+    }
+
+    // Validate required fields of imported records
+    function isValidImportVideo(v) {
+        return getImportVideoProblem(v) === null;
+    }
+
+    function isValidImportPlaylist(p) {
+        return p && typeof p.playlistId === 'string';
+    }
+
+    // Deleted records stay in the trash this long before they are purged
+    const TRASH_RETENTION_MS = 30 * 24 * 60 * 60 * 1000;
+
+    // Outcome of the last background maintenance run
+    const CLEANUP_REPORT_KEY = 'cleanupReport';
+
+    // Scheduled backups (run by the background script)
+    const BACKUP_STATE_KEY = 'backupState';
+    const DEFAULT_BACKUP_SETTINGS = {
+        backupEnabled: false,
+        backupIntervalHours: 24,
+        backupRetention: 5,
+        backupTarget: 'indexeddb' // 'indexeddb' or 'downloads'
+    };
+    // The pre-clear snapshot only backs the popup's undo; one the popup never
+    // got to delete (closed before the undo expired) is dropped after this long
+    const CLEAR_UNDO_REASON = 'pre-clear';
+    const CLEAR_UNDO_TTL_MS = 10 * 60 * 1000;
+
+    // Merge strategies for importRecords() in merge mode
+    const MERGE_STRATEGIES = ['newer', 'maxProgress', 'fields', 'local', 'incoming'];
+    const DEFAULT_MERGE_STRATEGY = 'newer';
+    const PLACEHOLDER_VALUES = ['', 'Unknown Title', 'Unknown Channel'];
+    const MERGEABLE_FIELDS = ['title', 'channelName', 'channelId', 'url', 'duration', 'playlistId'];
+
+    function isPlaceholderValue(value) {
+        return value === undefined || value === null || value === 0 || PLACEHOLDER_VALUES.includes(value);
+    }
+
+    /**
+     * Decide what an imported video becomes when the same video is already stored.
+     * - newer: newer timestamp wins the whole record
+     * - maxProgress: newer record, but with the larger watched time of the two
+     * - fields: newer record, with placeholder metadata filled in from the other side
+     * - local / incoming: always keep that side
+     * With any strategy, a seen-without-progress entry (e.g. Google Takeout) never
+     * replaces a tracked record; "fields" still uses it to fill in missing metadata.
+     * @returns {Object|null} Record to write, or null to keep the stored one untouched
+     */
+    function resolveImportMerge(existing, incoming, strategy = DEFAULT_MERGE_STRATEGY) {
+        if (!existing) return incoming;
+        if (strategy === 'local') return null;
+
+        const incomingIsNewer = !!incoming.timestamp && incoming.timestamp > (existing.timestamp || 0);
+        const protectsProgress = incoming.seenWithoutProgress && !existing.seenWithoutProgress;
+
+        if (strategy === 'incoming') return protectsProgress ? null : incoming;
+
+        if (strategy === 'fields') {
+            const base = incomingIsNewer && !protectsProgress ? incoming : existing;
+            const other = base === incoming ? existing : incoming;
+            const merged = { ...base };
+            MERGEABLE_FIELDS.forEach(field => {
+                if (isPlaceholderValue(merged[field]) && !isPlaceholderValue(other[field])) {
+                    merged[field] = other[field];
+                }
+            });
+            return recordChanged(existing, merged) ? merged : null;
+        }
+
+        if (protectsProgress) return null;
+
+        if (strategy === 'maxProgress') {
+            const base = incomingIsNewer ? incoming : existing;
+            const other = base === incoming ? existing : incoming;
+            const merged = { ...base };
+            if ((other.time || 0) > (base.time || 0)) {
+                merged.time = other.time;
+                if (other.duration) merged.duration = other.duration;
+            }
+            return recordChanged(existing, merged) ? merged : null;
+        }
+
+        return incomingIsNewer ? incoming : null;
+    }
+
+    // Playlists carry no progress, so only local/incoming differ from "newer wins"
+    function shouldImportPlaylist(existing, incoming, strategy = DEFAULT_MERGE_STRATEGY) {
+        if (!existing || strategy === 'incoming') return true;
+        if (strategy === 'local') return false;
+        return !!incoming.timestamp && incoming.timestamp > (existing.timestamp || 0);
+    }
+
+    function recordChanged(before, after) {
+        const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+        for (const key of keys) {
+            if (before[key] !== after[key]) return true;
+        }
+        return false;
+    }
+
+    // Progress below this after a completed view means the video was started again
+    const REWATCH_RESTART_RATIO = 0.1;
+    // Played intervals closer than this (seconds) are joined into one
+    const SEGMENT_JOIN_GAP = 1;
+
+    function positionRatio(record) {
+        return record && record.duration > 0 ? (record.time || 0) / record.duration : 0;
+    }
+
+    /**
+     * Union of played intervals as sorted, non-overlapping [start, end] pairs in
+     * seconds; intervals that touch or nearly touch are joined.
+     */
+    function mergeWatchedSegments(...lists) {
+        const segments = lists.flat()
+            .filter(segment => Array.isArray(segment) && Number.isFinite(segment[0]) && Number.isFinite(segment[1]) && segment[1] > segment[0])
+            .map(([start, end]) => [Math.max(0, start), end])
+            .sort((a, b) => a[0] - b[0]);
+        const merged = [];
+        segments.forEach(([start, end]) => {
+            const last = merged[merged.length - 1];
+            if (last && start <= last[1] + SEGMENT_JOIN_GAP) {
+                last[1] = Math.max(last[1], end);
+            } else {
+                merged.push([start, end]);
+            }
+        });
+        return merged.map(([start, end]) => [Math.round(start * 10) / 10, Math.round(end * 10) / 10]);
+    }
+
+    // Share of the video actually played. Records without segments fall back
+    // to the saved position
+    function watchedRatio(record) {
+        if (!record || !(record.duration > 0)) return 0;
+        if (!Array.isArray(record.watchedSegments)) return Math.min(1, positionRatio(record));
+        const played = record.watchedSegments.reduce((sum, [start, end]) =>
+            sum + Math.max(0, Math.min(end, record.duration) - Math.max(0, start)), 0);
+        return Math.min(1, played / record.duration);
+    }
+
+    // Segments a record had before this save; older records are taken to have
+    // been played from the start up to their saved position
+    function previousSegments(previous) {
+        if (!previous) return [];
+        if (Array.isArray(previous.watchedSegments)) return previous.watchedSegments;
+        return previous.time > 0 ? [[0, previous.time]] : [];
+    }
+
+    /**
+     * Completion bookkeeping for a new save of a video. `played` are the
+     * intervals played since the last save; they are merged into the record's
+     * watchedSegments, and completion comes from that coverage. Covering 90%
+     * counts a completed view once (completionCount, lastCompletedAt). Dropping
+     * back near the start afterwards begins a new view with fresh segments, so
+     * the next completion counts again instead of the restart just overwriting
+     * the finished one. Records saved before counting existed count one view
+     * if they are completed. Without `played` the stored segments are kept.
+     * @returns {Object} the record with watchedSegments, completionCount, lastCompletedAt and viewCompleted
+     */
+    function trackCompletion(previous, record, played = null, now = Date.now()) {
+        const legacy = !!previous && previous.completionCount === undefined;
+        let completionCount = legacy ? (positionRatio(previous) >= 0.9 ? 1 : 0) : (previous?.completionCount || 0);
+        let lastCompletedAt = previous?.lastCompletedAt || (legacy && completionCount ? previous.timestamp || null : null);
+        let viewCompleted = legacy ? completionCount > 0 : !!previous?.viewCompleted;
+
+        const next = { ...record };
+        const restarted = viewCompleted && positionRatio(record) < REWATCH_RESTART_RATIO;
+        if (restarted) {
+            viewCompleted = false;
+        }
+        if (played) {
+            // A new view keeps only what was played since the restart
+            next.watchedSegments = restarted
+                ? mergeWatchedSegments(played.slice(-1))
+                : mergeWatchedSegments(previousSegments(previous), played);
+        } else if (!Array.isArray(next.watchedSegments) && Array.isArray(previous?.watchedSegments)) {
+            next.watchedSegments = restarted ? [] : previous.watchedSegments;
+        }
+        if (!viewCompleted && watchedRatio(next) >= 0.9) {
+            completionCount += 1;
+            lastCompletedAt = now;
+            viewCompleted = true;
+        }
+        return { ...next, completionCount, lastCompletedAt, viewCompleted };
+    }
+
+    // Progress updaters for SimpleStorage._updateVideosProgress(); null skips the record
+    function markRecordWatched(record) {
+        return record.duration > 0
+            ? { ...record, time: record.duration, watchedSegments: [[0, record.duration]], seenWithoutProgress: false }
+            : null;
+    }
+
+    function resetRecordProgress(record) {
+        return { ...record, time: 0, watchedSegments: [], seenWithoutProgress: false };
+    }
+
     // Storage wrapper class
     class SimpleStorage {
-        constructor() {
-            this.migrated = false;
+        /**
+         * @param {string|null} [profileId] - Profile to bind to; by default the
+         *   instance follows the active profile
+         */
+        constructor(profileId = null) {
+            this._profileId = profileId;
+            this._storage = createProfileStorage(() => this._profileId || activeProfileId);
             // Disable immediate sync on every update by default
             this.immediateSyncOnUpdate = false;
             // Stats sync cadence control (default 10 minutes)
@@ -93,15 +582,60 @@
             this._statsSyncTimer = null;
         }
 
-        // Check if migration is needed and perform it
+        /**
+         * Bind this instance to a profile, or follow the active profile again
+         * with null. Content scripts bind to the profile of the tab's account,
+         * so their calls carry it to the background (see resolveAccountProfile()).
+         * @param {string|null} profileId
+         */
+        bindProfile(profileId) {
+            this._profileId = profileId || null;
+        }
+
+        // IndexedDB of the profile this instance works on
+        get _idb() {
+            return this._profileId ? ytIndexedDBStorage.forProfile(this._profileId) : ytIndexedDBStorage;
+        }
+
+        /**
+         * An instance bound to one profile that does not follow later switches.
+         * The background runs each RPC call on the caller's profile with it.
+         * @param {string} profileId
+         * @returns {SimpleStorage}
+         */
+        forProfile(profileId) {
+            if (!profileId) return this;
+            if (!boundInstances.has(profileId)) {
+                boundInstances.set(profileId, new SimpleStorage(profileId));
+            }
+            return boundInstances.get(profileId);
+        }
+
+        /**
+         * Check if migration is needed and perform it, once per profile however
+         * many instances (ytStorage, forProfile()) work on it. Once the legacy
+         * step is done callers go ahead; the hybrid migration itself reads stats
+         * through here.
+         */
         async ensureMigrated() {
-            if (this.migrated) return;
+            const profileId = this.getActiveProfileId();
+            let migration = profileMigrations.get(profileId);
+            if (!migration) {
+                migration = { legacyDone: false };
+                migration.promise = this._migrateProfile(migration);
+                profileMigrations.set(profileId, migration);
+            }
+            if (!migration.legacyDone) {
+                await migration.promise;
+            }
+        }
 
+        async _migrateProfile(migration) {
             try {
                 // Check if we already migrated
-                const result = await storage.get(['__migrated__']);
+                const result = await this._storage.get(['__migrated__']);
                 if (result.__migrated__) {
-                    this.migrated = true;
+                    migration.legacyDone = true;
                     // Legacy migration complete, now check hybrid migration
                     await this.ensureHybridMigration();
                     return;
@@ -111,15 +645,15 @@
                 await this.migrateFromIndexedDB();
 
                 // Mark as migrated
-                await storage.set({'__migrated__': true});
-                this.migrated = true;
+                await this._storage.set({'__migrated__': true});
+                migration.legacyDone = true;
                 console.log('[Storage] Legacy migration completed successfully');
 
                 // Now trigger hybrid migration (storage.local → IndexedDB)
                 await this.ensureHybridMigration();
             } catch (error) {
                 console.log('[Storage] Migration skipped or failed:', error.message);
-                this.migrated = true; // Don't try again
+                migration.legacyDone = true; // Don't try again
             }
         }
 
@@ -161,7 +695,7 @@
 
                         // Save all migrated data to storage
                         if (Object.keys(migrationData).length > 0) {
-                            await storage.set(migrationData);
+                            await this._storage.set(migrationData);
                             console.log(`[Storage] Migrated ${Object.keys(migrationData).length} items from IndexedDB`);
                         }
 
@@ -214,7 +748,7 @@
          */
         async _getMigrationState(type) {
             const key = type === 'videos' ? '__idbMigrationState__' : '__idbPlaylistMigrationState__';
-            const result = await storage.get([key]);
+            const result = await this._storage.get([key]);
             return result[key] || {
                 status: 'not_started',
                 migratedCount: 0,
@@ -230,7 +764,7 @@
          */
         async _setMigrationState(type, state) {
             const key = type === 'videos' ? '__idbMigrationState__' : '__idbPlaylistMigrationState__';
-            await storage.set({ [key]: state });
+            await this._storage.set({ [key]: state });
         }
 
         /**
@@ -277,7 +811,7 @@
 
             try {
                 // Get all data from storage.local
-                const allData = await storage.get(null);
+                const allData = await this._storage.get(null);
                 const videoKeys = Object.keys(allData).filter(key => key.startsWith('video_'));
                 
                 if (videoKeys.length === 0) {
@@ -313,10 +847,10 @@
 
                         try {
                             // Step 1: Upsert to IndexedDB
-                            await ytIndexedDBStorage.putVideo(record);
+                            await this._idb.putVideo(record);
 
                             // Step 2: Verify by re-reading from IndexedDB
-                            const archived = await ytIndexedDBStorage.getVideo(videoId);
+                            const archived = await this._idb.getVideo(videoId);
                             if (!archived) {
                                 throw new Error('Verification failed: record not found in IndexedDB');
                             }
@@ -334,7 +868,7 @@
                             // Firefox Sync disabled - always delete older records (outside recent window)
                             // Only delete if older than recent window
                             if (record.timestamp < recentCutoff) {
-                                await storage.remove([key]);
+                                await this._storage.remove([key]);
                                 state.migratedCount++;
                             }
                         } catch (error) {
@@ -349,7 +883,7 @@
                 }
 
                 // Check if migration is complete (no more video_* keys)
-                const remainingData = await storage.get(null);
+                const remainingData = await this._storage.get(null);
                 const remainingVideoKeys = Object.keys(remainingData).filter(key => key.startsWith('video_'));
                 
                 if (remainingVideoKeys.length === 0 || (!syncEnabled && remainingVideoKeys.every(key => {
@@ -392,7 +926,7 @@
             await this._setMigrationState('playlists', state);
 
             try {
-                const allData = await storage.get(null);
+                const allData = await this._storage.get(null);
                 const playlistKeys = Object.keys(allData).filter(key => key.startsWith('playlist_'));
                 
                 if (playlistKeys.length === 0) {
@@ -426,10 +960,10 @@
 
                         try {
                             // Upsert to IndexedDB
-                            await ytIndexedDBStorage.putPlaylist(record);
+                            await this._idb.putPlaylist(record);
 
                             // Verify
-                            const archived = await ytIndexedDBStorage.getPlaylist(playlistId);
+                            const archived = await this._idb.getPlaylist(playlistId);
                             if (!archived) {
                                 throw new Error('Verification failed: record not found in IndexedDB');
                             }
@@ -445,7 +979,7 @@
                             // Delete from storage.local (only if verified)
                             // Firefox Sync disabled - always delete older records (outside recent window)
                             if (record.timestamp < recentCutoff) {
-                                await storage.remove([key]);
+                                await this._storage.remove([key]);
                                 state.migratedCount++;
                             }
                         } catch (error) {
@@ -457,7 +991,7 @@
                     await this._setMigrationState('playlists', state);
                 }
 
-                const remainingData = await storage.get(null);
+                const remainingData = await this._storage.get(null);
                 const remainingPlaylistKeys = Object.keys(remainingData).filter(key => key.startsWith('playlist_'));
                 
                 if (remainingPlaylistKeys.length === 0 || (!syncEnabled && remainingPlaylistKeys.every(key => {
@@ -493,7 +1027,7 @@
                 }
 
                 console.log('[Storage] Rebuilding stats from IndexedDB...');
-                const videos = await ytIndexedDBStorage.getAllVideos();
+                const videos = await this._idb.getAllVideos();
 
                 const stats = {
                     totalWatchSeconds: 0,
@@ -536,7 +1070,7 @@
                         stats.counters.totalDurationSeconds += video.duration;
 
                         // Check if completed (90% threshold)
-                        if (video.time && video.duration && video.time / video.duration >= 0.9) {
+                        if (watchedRatio(video) >= 0.9) {
                             stats.counters.completed++;
                         }
                     }
@@ -607,6 +1141,9 @@
             if (!chrome || !chrome.runtime || !chrome.runtime.sendMessage) {
                 throw new Error('chrome.runtime.sendMessage not available');
             }
+            // The background runs the call in the caller's profile (see forProfile)
+            await ensureProfileLoaded();
+            const profileId = this._profileId || activeProfileId;
 
             const attemptCall = (withTimeout = true) => {
                 return new Promise((resolve, reject) => {
@@ -622,7 +1159,8 @@
                         chrome.runtime.sendMessage({
                             type: 'ytStorageCall',
                             method: method,
-                            args: args
+                            args: args,
+                            profileId
                         }, (response) => {
                             if (resolved) return;
                             resolved = true;
@@ -712,7 +1250,7 @@
             if (!this._isExtensionContext()) {
                 // Check storage.local first (fast path, works even if service worker is sleeping)
                 try {
-                    const localResult = await storage.get([`video_${videoId}`]);
+                    const localResult = await this._storage.get([`video_${videoId}`]);
                     if (localResult && localResult[`video_${videoId}`]) {
                         return localResult[`video_${videoId}`];
                     }
@@ -736,7 +1274,7 @@
             await this.ensureMigrated();
             
             // Step 1: Check storage.local first (fast path, most reliable)
-            const result = await storage.get([`video_${videoId}`]);
+            const result = await this._storage.get([`video_${videoId}`]);
             if (result[`video_${videoId}`]) {
                 return result[`video_${videoId}`];
             }
@@ -744,7 +1282,7 @@
             // Step 2: Check IndexedDB (archived records)
             if (this._isIndexedDBAvailable()) {
                 try {
-                    const archived = await ytIndexedDBStorage.getVideo(videoId);
+                    const archived = await this._idb.getVideo(videoId);
                     if (archived) {
                         // Optional hydration: If record is recent (within 30 min), hydrate to storage.local
                         // This improves performance and resilience if service worker sleeps
@@ -753,7 +1291,7 @@
                             // Hydrate recent archived records to storage.local for faster access
                             // This helps when service worker is sleeping and RPC calls fail
                             try {
-                                await storage.set({[`video_${videoId}`]: archived});
+                                await this._storage.set({[`video_${videoId}`]: archived});
                             } catch (error) {
                                 // Non-critical: hydration failed, but we still return the archived record
                                 console.warn('[Storage] Failed to hydrate archived record to storage.local:', error);
@@ -779,7 +1317,7 @@
                     return await this._callBackground('setVideo', [videoId, data]);
                 } catch (error) {
                     // Fallback: write directly to storage.local (last resort for core functionality)
-                    await storage.set({[`video_${videoId}`]: data});
+                    await this._storage.set({[`video_${videoId}`]: data});
                     return;
                 }
             }
@@ -788,12 +1326,24 @@
             
             // CRITICAL: Always write to storage.local FIRST (most reliable, never blocks)
             // storage.local is the primary store for writes - core functionality depends on this
-            await storage.set({[`video_${videoId}`]: data});
+            await this._storage.set({[`video_${videoId}`]: data});
             
             // Archival to IndexedDB happens in background migration batches (non-blocking)
             // Never wait for IndexedDB write - if IndexedDB fails, storage.local still has the data
         }
 
+        // Played segments and completion count of a video being saved (see
+        // trackCompletion); content scripts call this with the record they
+        // already read before saving
+        trackCompletion(previous, record, played = null) {
+            return trackCompletion(previous, record, played);
+        }
+
+        // Share of a video actually played, from its watched segments
+        watchedRatio(record) {
+            return watchedRatio(record);
+        }
+
         // Remove video record (Hybrid: Remove from both storage.local and IndexedDB)
         async removeVideo(videoId) {
             // Content scripts proxy to background
@@ -802,22 +1352,28 @@
                     return await this._callBackground('removeVideo', [videoId]);
                 } catch (error) {
                     // Fallback: remove from storage.local only
-                    await storage.remove([`video_${videoId}`]);
+                    await this._storage.remove([`video_${videoId}`]);
                     const tombstoneKey = `deleted_video_${videoId}`;
-                    await storage.set({[tombstoneKey]: {deletedAt: Date.now()}});
+                    await this._storage.set({[tombstoneKey]: {deletedAt: Date.now()}});
                     return;
                 }
             }
 
             await this.ensureMigrated();
+
+            // Keep a full copy in the trash so the delete can be undone
+            const existing = await this.getVideo(videoId);
+            if (existing) {
+                await this._moveToTrash('video', videoId, existing);
+            }
             
             // Remove from storage.local
-            await storage.remove([`video_${videoId}`]);
+            await this._storage.remove([`video_${videoId}`]);
             
             // Remove from IndexedDB and create tombstone
             if (this._isIndexedDBAvailable()) {
                 try {
-                    await ytIndexedDBStorage.deleteVideo(videoId, { createTombstone: true });
+                    await this._idb.deleteVideo(videoId, { createTombstone: true });
                 } catch (error) {
                     console.warn('[Storage] IndexedDB deleteVideo failed:', error);
                 }
@@ -825,7 +1381,7 @@
             
             // Create legacy tombstone in storage.local (for sync compatibility)
             const tombstoneKey = `deleted_video_${videoId}`;
-            await storage.set({[tombstoneKey]: {deletedAt: Date.now()}});
+            await this._storage.set({[tombstoneKey]: {deletedAt: Date.now()}});
         }
 
         // Get all video records (Hybrid View: IndexedDB base + storage.local overlay)
@@ -836,7 +1392,7 @@
                     return await this._callBackground('getAllVideos', []);
                 } catch (error) {
                     // Fallback: return storage.local only
-                    const allData = await storage.get(null);
+                    const allData = await this._storage.get(null);
                     const videos = {};
                     Object.keys(allData).forEach(key => {
                         if (key.startsWith('video_')) {
@@ -855,7 +1411,7 @@
             // Step 1: Load from IndexedDB (base dataset)
             if (this._isIndexedDBAvailable()) {
                 try {
-                    const indexedVideos = await ytIndexedDBStorage.getAllVideos();
+                    const indexedVideos = await this._idb.getAllVideos();
                     indexedVideos.forEach(video => {
                         if (video && video.videoId) {
                             videos[video.videoId] = video;
@@ -867,7 +1423,7 @@
             }
 
             // Step 2: Overlay with storage.local records (recent/in-progress)
-            const allData = await storage.get(null);
+            const allData = await this._storage.get(null);
             Object.keys(allData).forEach(key => {
                 if (key.startsWith('video_')) {
                     const videoId = key.replace('video_', '');
@@ -889,7 +1445,7 @@
                 try {
                     return await this._callBackground('getPlaylist', [playlistId]);
                 } catch (error) {
-                    const result = await storage.get([`playlist_${playlistId}`]);
+                    const result = await this._storage.get([`playlist_${playlistId}`]);
                     return result[`playlist_${playlistId}`] || null;
                 }
             }
@@ -897,7 +1453,7 @@
             await this.ensureMigrated();
             
             // Check storage.local first
-            const result = await storage.get([`playlist_${playlistId}`]);
+            const result = await this._storage.get([`playlist_${playlistId}`]);
             if (result[`playlist_${playlistId}`]) {
                 return result[`playlist_${playlistId}`];
             }
@@ -905,7 +1461,7 @@
             // Check IndexedDB
             if (this._isIndexedDBAvailable()) {
                 try {
-                    return await ytIndexedDBStorage.getPlaylist(playlistId);
+                    return await this._idb.getPlaylist(playlistId);
                 } catch (error) {
                     console.warn('[Storage] IndexedDB getPlaylist failed:', error);
                 }
@@ -922,7 +1478,7 @@
                     return await this._callBackground('setPlaylist', [playlistId, data]);
                 } catch (error) {
                     // Fallback: write directly to storage.local
-                    await storage.set({[`playlist_${playlistId}`]: data});
+                    await this._storage.set({[`playlist_${playlistId}`]: data});
                     return;
                 }
             }
@@ -930,7 +1486,7 @@
             await this.ensureMigrated();
             
             // CRITICAL: Always write to storage.local FIRST (most reliable)
-            await storage.set({[`playlist_${playlistId}`]: data});
+            await this._storage.set({[`playlist_${playlistId}`]: data});
 
             // Archival to IndexedDB happens in background migration batches (non-blocking)
         }
@@ -942,20 +1498,25 @@
                 try {
                     return await this._callBackground('removePlaylist', [playlistId]);
                 } catch (error) {
-                    await storage.remove([`playlist_${playlistId}`]);
+                    await this._storage.remove([`playlist_${playlistId}`]);
                     return;
                 }
             }
 
             await this.ensureMigrated();
+
+            const existing = await this.getPlaylist(playlistId);
+            if (existing) {
+                await this._moveToTrash('playlist', playlistId, existing);
+            }
             
             // Remove from storage.local
-            await storage.remove([`playlist_${playlistId}`]);
+            await this._storage.remove([`playlist_${playlistId}`]);
             
             // Remove from IndexedDB
             if (this._isIndexedDBAvailable()) {
                 try {
-                    await ytIndexedDBStorage.deletePlaylist(playlistId);
+                    await this._idb.deletePlaylist(playlistId);
                 } catch (error) {
                     console.warn('[Storage] IndexedDB deletePlaylist failed:', error);
                 }
@@ -969,7 +1530,7 @@
                 try {
                     return await this._callBackground('getAllPlaylists', []);
                 } catch (error) {
-                    const allData = await storage.get(null);
+                    const allData = await this._storage.get(null);
                     const playlists = {};
                     Object.keys(allData).forEach(key => {
                         if (key.startsWith('playlist_')) {
@@ -988,7 +1549,7 @@
             // Load from IndexedDB (base dataset)
             if (this._isIndexedDBAvailable()) {
                 try {
-                    const indexedPlaylists = await ytIndexedDBStorage.getAllPlaylists();
+                    const indexedPlaylists = await this._idb.getAllPlaylists();
                     indexedPlaylists.forEach(playlist => {
                         if (playlist && playlist.playlistId) {
                             playlists[playlist.playlistId] = playlist;
@@ -1000,7 +1561,7 @@
             }
 
             // Overlay with storage.local records
-            const allData = await storage.get(null);
+            const allData = await this._storage.get(null);
             Object.keys(allData).forEach(key => {
                 if (key.startsWith('playlist_')) {
                     const playlistId = key.replace('playlist_', '');
@@ -1016,7 +1577,8 @@
         }
 
         // Get paginated records (videos, shorts, or playlists)
-        // Hybrid View: Merges IndexedDB + storage.local BEFORE pagination (prevents vanishing lists)
+        // Hybrid View: the storage.local overlay is merged with the sorted IndexedDB
+        // rows in front of the page, so only page * pageSize rows are read from the DB
         async getRecordsPage(options = {}) {
             // Content scripts proxy to background
             if (!this._isExtensionContext()) {
@@ -1033,122 +1595,92 @@
                 page = 1,
                 pageSize = 10,
                 searchQuery = '',
-                sortBy = 'timestamp',
                 sortOrder = 'desc'
             } = options;
 
+            if (!['videos', 'shorts', 'playlists'].includes(type)) {
+                throw new Error(`Unknown record type: ${type}`);
+            }
+            // timestamp, title, channel, progress, duration, remaining or firstWatched;
+            // playlists only sort by timestamp or title
+            let sortBy = options.sortBy || 'timestamp';
+            if (type === 'playlists' && sortBy !== 'title') sortBy = 'timestamp';
+            const idField = type === 'playlists' ? 'playlistId' : 'videoId';
+            const prefix = type === 'playlists' ? 'playlist_' : 'video_';
+
             await this.ensureMigrated();
 
-            let indexedRecords = [];
-            let localRecords = [];
+            // Step 1: Every storage.local record of the store; these are usually the
+            // newest copies and are left out of the IndexedDB query
+            const allData = await this._storage.get(null);
+            const localById = new Map();
+            Object.keys(allData).forEach(key => {
+                if (!key.startsWith(prefix)) return;
+                const id = key.slice(prefix.length);
+                // Videos keep the playlistId they were watched from (searched by playlist title)
+                localById.set(id, { ...allData[key], [idField]: id });
+            });
 
-            // Step 1: Load matching records from IndexedDB (using indexes for efficiency)
-            if (this._isIndexedDBAvailable()) {
+            // Step 2: Local wins on conflicts by timestamp, so overlaid ids whose
+            // IndexedDB copy is newer bring that copy along instead
+            let overlay = Array.from(localById.values());
+            if (this._isIndexedDBAvailable() && localById.size) {
                 try {
-                    if (type === 'videos' || type === 'shorts') {
-                        const isShorts = type === 'shorts';
-                        // Use IndexedDB queryVideos with filters
-                        const queryResult = await ytIndexedDBStorage.queryVideos({
-                            isShorts: isShorts,
-                            searchQuery: searchQuery,
-                            page: 1,
-                            pageSize: 10000, // Get all matching records (we'll paginate after merge)
-                            sortOrder: sortOrder
-                        });
-                        indexedRecords = queryResult.records || [];
-                    } else if (type === 'playlists') {
-                        const queryResult = await ytIndexedDBStorage.queryPlaylists({
-                            searchQuery: searchQuery,
-                            page: 1,
-                            pageSize: 10000,
-                            sortOrder: sortOrder
-                        });
-                        indexedRecords = queryResult.records || [];
-                    }
+                    const ids = Array.from(localById.keys());
+                    const indexed = type === 'playlists'
+                        ? await this._idb.getPlaylistsByIds(ids)
+                        : await this._idb.getVideosByIds(ids);
+                    overlay = overlay.map((record, i) => {
+                        const copy = indexed[i];
+                        return copy && !(record.timestamp && record.timestamp > (copy.timestamp || 0)) ? copy : record;
+                    });
                 } catch (error) {
-                    console.warn('[Storage] IndexedDB query failed, continuing with storage.local only:', error);
+                    console.warn('[Storage] IndexedDB lookup of overlaid records failed:', error);
                 }
             }
-
-            // Step 2: Load matching records from storage.local (apply same filters)
-            const allData = await storage.get(null);
-            let prefix = '';
-            let recordKeys = [];
-
-            switch (type) {
-                case 'videos':
-                    recordKeys = Object.keys(allData).filter(key =>
-                        key.startsWith('video_') && !allData[key]?.isShorts
-                    );
-                    prefix = 'video_';
-                    break;
-                case 'shorts':
-                    recordKeys = Object.keys(allData).filter(key =>
-                        key.startsWith('video_') && allData[key]?.isShorts
-                    );
-                    prefix = 'video_';
-                    break;
-                case 'playlists':
-                    recordKeys = Object.keys(allData).filter(key =>
-                        key.startsWith('playlist_')
-                    );
-                    prefix = 'playlist_';
-                    break;
-                default:
-                    throw new Error(`Unknown record type: ${type}`);
+            if (type !== 'playlists') {
+                const isShorts = type === 'shorts';
+                overlay = overlay.filter(record => !!record.isShorts === isShorts);
             }
-
-            localRecords = recordKeys.map(key => {
-                const id = key.replace(prefix, '');
-                return {
-                    ...allData[key],
-                    videoId: type !== 'playlists' ? id : undefined,
-                    playlistId: type === 'playlists' ? id : undefined
-                };
-            });
-
-            // Apply search filter to local records
             if (searchQuery) {
-                const query = searchQuery.toLowerCase();
-                localRecords = localRecords.filter(record =>
-                    record.title?.toLowerCase().includes(query)
-                );
+                overlay = await this._filterBySearch(overlay, searchQuery, allData, type);
             }
 
-            // Step 3: Merge arrays (local wins on conflicts by timestamp)
-            const mergedMap = new Map();
-            
-            // Add IndexedDB records first
-            indexedRecords.forEach(record => {
-                const id = type === 'playlists' ? record.playlistId : record.videoId;
-                if (id) {
-                    mergedMap.set(id, record);
-                }
-            });
-
-            // Overlay with local records (local wins on conflicts)
-            localRecords.forEach(record => {
-                const id = type === 'playlists' ? record.playlistId : record.videoId;
-                if (id) {
-                    const existing = mergedMap.get(id);
-                    if (!existing || (record.timestamp && record.timestamp > (existing.timestamp || 0))) {
-                        mergedMap.set(id, record);
-                    }
+            // Step 3: The first page * pageSize matching IndexedDB records in the
+            // requested order, read from the sort index
+            let indexedRecords = [];
+            let indexedTotal = 0;
+            if (this._isIndexedDBAvailable()) {
+                try {
+                    const query = {
+                        searchQuery,
+                        page: 1,
+                        pageSize: page * pageSize,
+                        sortBy,
+                        sortOrder,
+                        excludeIds: Array.from(localById.keys())
+                    };
+                    const queryResult = type === 'playlists'
+                        ? await this._idb.queryPlaylists(query)
+                        : await this._idb.queryVideos({ ...query, isShorts: type === 'shorts' });
+                    indexedRecords = queryResult.records || [];
+                    indexedTotal = queryResult.pagination?.totalRecords || 0;
+                } catch (error) {
+                    console.warn('[Storage] IndexedDB query failed, continuing with storage.local only:', error);
                 }
-            });
-
-            // Convert map to array
-            let records = Array.from(mergedMap.values());
+            }
 
-            // Step 4: Sort merged array
-            records.sort((a, b) => {
-                const aVal = a[sortBy] || 0;
-                const bVal = b[sortBy] || 0;
-                return sortOrder === 'desc' ? bVal - aVal : aVal - bVal;
-            });
+            // Step 4: Sort the merged records (searches by relevance first)
+            let records = indexedRecords.concat(overlay);
+            const search = searchQuery && typeof ytSearchIndex !== 'undefined' ? this._parseSearch(searchQuery, type) : null;
+            if (search && search.clauses.length && sortBy === 'timestamp') {
+                records = ytSearchIndex.rankSearchResults(records, search, sortOrder);
+            } else {
+                records = this._sortRecords(records, sortBy, sortOrder, idField);
+            }
 
             // Step 5: Paginate merged, sorted result
-            const totalRecords = records.length;
+            const totalRecords = indexedTotal + overlay.length;
             const totalPages = Math.ceil(totalRecords / pageSize);
             const startIndex = (page - 1) * pageSize;
             const endIndex = startIndex + pageSize;
@@ -1167,6 +1699,19 @@
             };
         }
 
+        // Order records like the IndexedDB sort indexes; content scripts without
+        // them only compare the raw field
+        _sortRecords(records, sortBy, sortOrder, idField) {
+            if (typeof ytSearchIndex !== 'undefined') {
+                return ytSearchIndex.sortRecords(records, sortBy, sortOrder, idField);
+            }
+            return records.slice().sort((a, b) => {
+                const aVal = a[sortBy] || 0;
+                const bVal = b[sortBy] || 0;
+                return sortOrder === 'desc' ? bVal - aVal : aVal - bVal;
+            });
+        }
+
         // Fallback method: getRecordsPage from storage.local only (for content scripts when background unavailable)
         async _getRecordsPageFromLocal(options) {
             const {
@@ -1179,7 +1724,7 @@
             } = options;
 
             await this.ensureMigrated();
-            const allData = await storage.get(null);
+            const allData = await this._storage.get(null);
             let recordKeys = [];
             let prefix = '';
 
@@ -1212,17 +1757,10 @@
             }));
 
             if (searchQuery) {
-                const query = searchQuery.toLowerCase();
-                records = records.filter(record =>
-                    record.title?.toLowerCase().includes(query)
-                );
+                records = await this._filterBySearch(records, searchQuery, allData, type);
             }
 
-            records.sort((a, b) => {
-                const aVal = a[sortBy] || 0;
-                const bVal = b[sortBy] || 0;
-                return sortOrder === 'desc' ? bVal - aVal : aVal - bVal;
-            });
+            records = this._sortRecords(records, sortBy, sortOrder, 'id');
 
             const totalRecords = records.length;
             const totalPages = Math.ceil(totalRecords / pageSize);
@@ -1243,6 +1781,52 @@
             };
         }
 
+        // Parsed search box query (see ytSearchIndex.parseSearchQuery); the
+        // Playlists tab only keeps the clauses that apply to playlists
+        _parseSearch(searchQuery, type) {
+            const query = ytSearchIndex.parseSearchQuery(searchQuery);
+            return type === 'playlists' ? ytSearchIndex.playlistSearchQuery(query) : query;
+        }
+
+        /**
+         * Search storage.local records with the rules of the IndexedDB search index
+         * (words, phrases, qualifiers and filters, including the title of the
+         * playlist a video was watched from). Content scripts don't load that
+         * index and fall back to a title substring match.
+         * @param {Array} records
+         * @param {string} searchQuery
+         * @param {Object} allData - storage.local contents, for local playlist titles
+         * @param {string} [type='videos']
+         */
+        async _filterBySearch(records, searchQuery, allData, type = 'videos') {
+            if (typeof ytSearchIndex === 'undefined') {
+                const query = searchQuery.toLowerCase();
+                return records.filter(record => record.title?.toLowerCase().includes(query));
+            }
+            const query = this._parseSearch(searchQuery, type);
+            if (!query.clauses.length) return records;
+            if (type === 'playlists') {
+                return records.filter(record => ytSearchIndex.matchesSearch(record, query));
+            }
+
+            const playlistTitles = {};
+            const playlistIds = [...new Set(records.map(record => record.playlistId).filter(Boolean))];
+            playlistIds.forEach(id => {
+                if (allData[`playlist_${id}`]) playlistTitles[id] = allData[`playlist_${id}`].title;
+            });
+            const missing = playlistIds.filter(id => !(id in playlistTitles));
+            if (missing.length && this._isIndexedDBAvailable()) {
+                try {
+                    (await this._idb.getPlaylistsByIds(missing)).forEach(playlist => {
+                        if (playlist) playlistTitles[playlist.playlistId] = playlist.title;
+                    });
+                } catch (error) {
+                    console.warn('[Storage] IndexedDB getPlaylistsByIds failed, searching without playlist titles:', error);
+                }
+            }
+            return records.filter(record => ytSearchIndex.matchesSearch(record, query, playlistTitles[record.playlistId]));
+        }
+
         // Convenience methods for specific record types
         async getVideosPage(options) {
             return this.getRecordsPage({ ...options, type: 'videos' });
@@ -1259,20 +1843,20 @@
         // Get settings
         async getSettings() {
             await this.ensureMigrated();
-            const result = await storage.get(['settings']);
+            const result = await this._storage.get(['settings']);
             return result.settings || null;
         }
 
         // Save settings
         async setSettings(settings) {
             await this.ensureMigrated();
-            await storage.set({'settings': settings});
+            await this._storage.set({'settings': settings});
         }
 
         // Clear all data
         async clear() {
-            await storage.clear();
-            this.migrated = false;
+            await this._storage.clear();
+            profileMigrations.delete(this.getActiveProfileId());
         }
 
         // Clear only videos and playlists (not settings or migration flags)
@@ -1284,10 +1868,10 @@
                     return await this._callBackground('clearHistoryOnly', []);
                 } catch (error) {
                     // Fallback: clear storage.local only
-                    const allData = await storage.get(null);
+                    const allData = await this._storage.get(null);
                     const keysToRemove = Object.keys(allData).filter(key => key.startsWith('video_') || key.startsWith('playlist_'));
                     if (keysToRemove.length > 0) {
-                        await storage.remove(keysToRemove);
+                        await this._storage.remove(keysToRemove);
                     }
                     return;
                 }
@@ -1298,141 +1882,476 @@
             // Clear IndexedDB (videos, playlists, deletions)
             if (this._isIndexedDBAvailable()) {
                 try {
-                    await ytIndexedDBStorage.clearAll();
+                    await this._idb.clearAll();
                 } catch (error) {
                     console.warn('[Storage] IndexedDB clearAll failed:', error);
                 }
             }
             
             // Remove video_* and playlist_* keys from storage.local
-            const allData = await storage.get(null);
+            const allData = await this._storage.get(null);
             const keysToRemove = Object.keys(allData).filter(key => key.startsWith('video_') || key.startsWith('playlist_'));
             if (keysToRemove.length > 0) {
-                await storage.remove(keysToRemove);
+                await this._storage.remove(keysToRemove);
             }
         }
 
         /**
          * Import records (videos and playlists) into hybrid storage
-         * Writes to IndexedDB only (not storage.local) - imported records are archived
+         * Writes to IndexedDB only (not storage.local) - imported records are archived.
+         * Records are written in batches of one IndexedDB transaction each; see
+         * beginImport() for how an interrupted import is resumed. Content scripts
+         * run the same loop with each batch as its own background call, so large
+         * files never travel as one message.
          * @param {Array} records - Array of video records
          * @param {Array} playlists - Array of playlist records
          * @param {boolean} mergeMode - If true, merge with existing data; if false, replace
-         * @returns {Promise<Object>} { status: 'success', importedVideos: number, importedPlaylists: number }
+         * @param {Object} [options]
+         * @param {string} [options.importId] - Stable id of the import source; enables resume
+         * @param {number} [options.batchSize] - Records per transaction
+         * @param {Function} [options.onProgress] - Called with { processed, total } after each batch
+         * @param {string} [options.mergeStrategy='newer'] - newer | maxProgress | fields | local | incoming (merge mode only)
+         * @returns {Promise<Object>} { status: 'success', importedVideos: number, importedPlaylists: number, resumedFrom: number }
          */
-        async importRecords(records = [], playlists = [], mergeMode = false) {
-            // Content scripts proxy to background
-            if (!this._isExtensionContext()) {
-                try {
-                    return await this._callBackground('importRecords', [records, playlists, mergeMode]);
-                } catch (error) {
-                    console.error('[Storage] Import RPC failed:', error);
-                    throw new Error(`Import failed: ${error.message}`);
-                }
-            }
+        async importRecords(records = [], playlists = [], mergeMode = false, options = {}) {
+            if (this._isExtensionContext()) {
+                await this.ensureMigrated();
 
-            await this.ensureMigrated();
-            
-            // Ensure IndexedDB is available
-            if (!this._isIndexedDBAvailable()) {
-                throw new Error('IndexedDB storage is not available. Please reload the extension.');
+                // Ensure IndexedDB is available
+                if (!this._isIndexedDBAvailable()) {
+                    throw new Error('IndexedDB storage is not available. Please reload the extension.');
+                }
             }
 
             // Normalize inputs to arrays
             const videoRecords = Array.isArray(records) ? records : [];
             const playlistRecords = Array.isArray(playlists) ? playlists : [];
 
-            // Validate required fields
-            const validVideos = videoRecords.filter(v => 
-                v && typeof v.videoId === 'string' && typeof v.timestamp === 'number' && typeof v.time === 'number'
-            );
-            const validPlaylists = playlistRecords.filter(p => 
-                p && typeof p.playlistId === 'string'
-            );
+            const validVideos = videoRecords.filter(isValidImportVideo);
+            const validPlaylists = playlistRecords.filter(isValidImportPlaylist);
 
             if (validVideos.length === 0 && validPlaylists.length === 0) {
                 throw new Error('No valid records to import');
             }
 
-            // Replace mode: Clear existing history first
-            if (!mergeMode) {
-                await this.clearHistoryOnly();
-            }
-
+            const {
+                importId = null,
+                batchSize = IMPORT_BATCH_SIZE,
+                onProgress = null,
+                mergeStrategy = DEFAULT_MERGE_STRATEGY
+            } = options || {};
+            const session = await this.beginImport({ importId, total: validVideos.length, mergeMode, mergeStrategy });
+
+            const playlistResult = await this.importRecordsBatch(session.importId, 0, [], validPlaylists, mergeMode, mergeStrategy);
             let importedVideos = 0;
-            let importedPlaylists = 0;
 
-            if (mergeMode) {
-                // Merge mode: Load existing data and merge
-                const existingVideos = await this.getAllVideos();
-                const existingPlaylists = await this.getAllPlaylists();
-
-                const mergedVideos = { ...existingVideos };
-                const mergedPlaylists = { ...existingPlaylists };
-
-                // Merge videos (newer timestamp wins)
-                for (const video of validVideos) {
-                    const existing = mergedVideos[video.videoId];
-                    if (!existing || (video.timestamp && video.timestamp > (existing.timestamp || 0))) {
-                        mergedVideos[video.videoId] = video;
-                        importedVideos++;
-                    }
+            for (let offset = session.resumeFrom; offset < validVideos.length; offset += batchSize) {
+                const batch = validVideos.slice(offset, offset + batchSize);
+                const result = await this.importRecordsBatch(session.importId, offset, batch, [], mergeMode, mergeStrategy);
+                importedVideos += result.importedVideos;
+                if (typeof onProgress === 'function') {
+                    onProgress({ processed: result.processed, total: validVideos.length });
                 }
+            }
 
-                // Merge playlists (newer timestamp wins)
-                for (const playlist of validPlaylists) {
-                    const existing = mergedPlaylists[playlist.playlistId];
-                    if (!existing || (playlist.timestamp && playlist.timestamp > (existing.timestamp || 0))) {
-                        mergedPlaylists[playlist.playlistId] = playlist;
-                        importedPlaylists++;
-                    }
+            await this.finishImport(session.importId);
+
+            return {
+                status: 'success',
+                importedVideos,
+                importedPlaylists: playlistResult.importedPlaylists,
+                resumedFrom: session.resumeFrom
+            };
+        }
+
+        /**
+         * Start (or resume) a batched import.
+         * Progress is kept under `importProgress` in storage.local. When an unfinished
+         * import with the same importId, size and mode exists, no data is cleared and
+         * `resumeFrom` tells the caller which record offset to continue from.
+         * @param {Object} params
+         * @param {string} [params.importId] - Stable id of the import source
+         * @param {number} params.total - Number of video records the caller will send
+         * @param {boolean} params.mergeMode - Replace mode clears history on a fresh start
+         * @param {string} [params.mergeStrategy] - Merge strategy; a different one starts over
+         * @returns {Promise<Object>} { importId, resumeFrom, total }
+         */
+        async beginImport({ importId = null, total = 0, mergeMode = false, mergeStrategy = DEFAULT_MERGE_STRATEGY } = {}) {
+            if (!this._isExtensionContext()) {
+                return await this._callBackground('beginImport', [{ importId, total, mergeMode, mergeStrategy }]);
+            }
+            if (!MERGE_STRATEGIES.includes(mergeStrategy)) {
+                throw new Error(`Unknown merge strategy: ${mergeStrategy}`);
+            }
+
+            await this.ensureMigrated();
+            if (!this._isIndexedDBAvailable()) {
+                throw new Error('IndexedDB storage is not available. Please reload the extension.');
+            }
+
+            const state = await this.getImportProgress();
+            if (importId && state && state.importId === importId && state.total === total &&
+                state.mergeMode === !!mergeMode && (state.mergeStrategy || DEFAULT_MERGE_STRATEGY) === mergeStrategy &&
+                state.processed < total) {
+                console.log(`[Storage] Resuming interrupted import ${importId} at ${state.processed}/${total}`);
+                return { importId, resumeFrom: state.processed, total };
+            }
+
+            // Replace mode: Clear existing history first
+            if (!mergeMode) {
+                await this.clearHistoryOnly();
+            }
+
+            const id = importId || `import_${Date.now()}`;
+            const now = Date.now();
+            await this._storage.set({
+                [IMPORT_PROGRESS_KEY]: { importId: id, total, processed: 0, mergeMode: !!mergeMode, mergeStrategy, startedAt: now, updatedAt: now }
+            });
+            return { importId: id, resumeFrom: 0, total };
+        }
+
+        /**
+         * Import one batch of records in a single IndexedDB transaction per store.
+         * `offset` is the position of the batch in the caller's record list; it makes
+         * retried batches idempotent for progress tracking.
+         * @returns {Promise<Object>} { importedVideos, importedPlaylists, processed, total }
+         */
+        async importRecordsBatch(importId, offset = 0, records = [], playlists = [], mergeMode = false, mergeStrategy = DEFAULT_MERGE_STRATEGY) {
+            if (!this._isExtensionContext()) {
+                return await this._callBackground('importRecordsBatch', [importId, offset, records, playlists, mergeMode, mergeStrategy]);
+            }
+
+            await this.ensureMigrated();
+            if (!this._isIndexedDBAvailable()) {
+                throw new Error('IndexedDB storage is not available. Please reload the extension.');
+            }
+
+            const batchVideos = Array.isArray(records) ? records : [];
+            const validVideos = batchVideos.filter(isValidImportVideo);
+            const validPlaylists = (Array.isArray(playlists) ? playlists : []).filter(isValidImportPlaylist);
+
+            let videosToWrite = validVideos;
+            let playlistsToWrite = validPlaylists;
+            const staleLocalKeys = [];
+
+            if (mergeMode) {
+                // Merge against only the records this batch touches
+                const existingVideos = await this._getHybridVideosByIds(validVideos.map(v => v.videoId));
+                const winners = {};
+                for (const video of validVideos) {
+                    const existing = winners[video.videoId] || existingVideos[video.videoId]?.record;
+                    const resolved = resolveImportMerge(existing, video, mergeStrategy);
+                    if (resolved) {
+                        winners[video.videoId] = resolved;
+                    }
                 }
+                videosToWrite = Object.values(winners);
+                videosToWrite.forEach(video => {
+                    if (existingVideos[video.videoId]?.inLocal) {
+                        staleLocalKeys.push(`video_${video.videoId}`);
+                    }
+                });
 
-                // Write merged data to IndexedDB only
-                if (this._isIndexedDBAvailable()) {
-                    try {
-                        for (const video of Object.values(mergedVideos)) {
-                            await ytIndexedDBStorage.putVideo(video);
-                        }
-                        for (const playlist of Object.values(mergedPlaylists)) {
-                            await ytIndexedDBStorage.putPlaylist(playlist);
-                        }
-                    } catch (error) {
-                        console.error('[Storage] IndexedDB import failed:', error);
-                        throw new Error(`Import failed: ${error.message}`);
+                playlistsToWrite = [];
+                for (const playlist of validPlaylists) {
+                    const existing = await this.getPlaylist(playlist.playlistId);
+                    if (shouldImportPlaylist(existing, playlist, mergeStrategy)) {
+                        playlistsToWrite.push(playlist);
+                        staleLocalKeys.push(`playlist_${playlist.playlistId}`);
                     }
-                } else {
-                    throw new Error('IndexedDB not available for import');
                 }
-            } else {
-                // Replace mode: Write directly to IndexedDB
-                if (!this._isIndexedDBAvailable()) {
-                    throw new Error('IndexedDB storage is not available. Please reload the extension.');
+            }
+
+            try {
+                await this._idb.putVideos(videosToWrite);
+                await this._idb.putPlaylists(playlistsToWrite);
+            } catch (error) {
+                console.error('[Storage] IndexedDB import failed:', error);
+                throw new Error(`Import failed: ${error.message || 'Unknown error'}`);
+            }
+
+            // Older storage.local copies would otherwise shadow the imported records
+            if (staleLocalKeys.length > 0) {
+                await this._storage.remove(staleLocalKeys);
+            }
+
+            const state = await this.getImportProgress();
+            let processed = offset + batchVideos.length;
+            let total = processed;
+            if (state && state.importId === importId) {
+                processed = Math.max(state.processed || 0, processed);
+                total = state.total;
+                await this._storage.set({
+                    [IMPORT_PROGRESS_KEY]: { ...state, processed, updatedAt: Date.now() }
+                });
+            }
+
+            return {
+                importedVideos: videosToWrite.length,
+                importedPlaylists: playlistsToWrite.length,
+                processed,
+                total
+            };
+        }
+
+        /**
+         * Dry-run an import: classify records against stored history without writing.
+         * Stateless, so callers may preview a large file in slices and add up the counts;
+         * pass the playlists with one slice only. `existingVideos` is the same for every slice,
+         * and `matchedIds` lists the stored videos the slice matched, for a de-duplicated
+         * `matchedVideos` across slices.
+         * @param {Array} records - Video records as they would be passed to importRecords()
+         * @param {Array} playlists - Playlist records
+         * @param {boolean} mergeMode - Merge or replace (history cleared first)
+         * @param {string} [mergeStrategy='newer'] - See importRecords()
+         * @returns {Promise<Object>} {
+         *   total, newVideos, updatedVideos, overwriteNewer, skippedOlder, invalid,
+         *   invalidReasons: { [reason]: count }, matchedVideos, matchedIds, existingVideos,
+         *   playlists: { new, updated, skipped, invalid }
+         * }
+         */
+        async previewImport(records = [], playlists = [], mergeMode = false, mergeStrategy = DEFAULT_MERGE_STRATEGY) {
+            if (!this._isExtensionContext()) {
+                return await this._callBackground('previewImport', [records, playlists, mergeMode, mergeStrategy]);
+            }
+
+            await this.ensureMigrated();
+
+            const report = {
+                total: 0,
+                newVideos: 0,
+                updatedVideos: 0,
+                overwriteNewer: 0,
+                skippedOlder: 0,
+                invalid: 0,
+                invalidReasons: {},
+                matchedVideos: 0,
+                matchedIds: [],
+                existingVideos: 0,
+                playlists: { new: 0, updated: 0, skipped: 0, invalid: 0 }
+            };
+
+            const videoRecords = Array.isArray(records) ? records : [];
+            report.total = videoRecords.length;
+
+            const validVideos = [];
+            videoRecords.forEach(video => {
+                const problem = getImportVideoProblem(video);
+                if (problem) {
+                    report.invalid++;
+                    report.invalidReasons[problem] = (report.invalidReasons[problem] || 0) + 1;
+                } else {
+                    validVideos.push(video);
                 }
-                
-                try {
-                    for (const video of validVideos) {
-                        await ytIndexedDBStorage.putVideo(video);
-                        importedVideos++;
-                    }
-                    for (const playlist of validPlaylists) {
-                        await ytIndexedDBStorage.putPlaylist(playlist);
-                        importedPlaylists++;
+            });
+
+            const existingVideos = await this._getHybridVideosByIds([...new Set(validVideos.map(v => v.videoId))]);
+            report.matchedIds = Object.keys(existingVideos);
+            report.matchedVideos = report.matchedIds.length;
+
+            validVideos.forEach(video => {
+                const existing = existingVideos[video.videoId]?.record;
+                if (!existing) {
+                    report.newVideos++;
+                } else if (mergeMode) {
+                    // Same decision importRecordsBatch() will make
+                    if (resolveImportMerge(existing, video, mergeStrategy)) {
+                        report.updatedVideos++;
+                    } else {
+                        report.skippedOlder++;
                     }
-                } catch (error) {
-                    console.error('[Storage] IndexedDB import failed:', error);
-                    throw new Error(`Import failed: ${error.message || 'Unknown error'}`);
+                } else if (video.timestamp > (existing.timestamp || 0)) {
+                    report.updatedVideos++;
+                } else {
+                    report.overwriteNewer++;
+                }
+            });
+
+            for (const playlist of (Array.isArray(playlists) ? playlists : [])) {
+                if (!isValidImportPlaylist(playlist)) {
+                    report.playlists.invalid++;
+                    continue;
+                }
+                const existing = await this.getPlaylist(playlist.playlistId);
+                if (!existing) {
+                    report.playlists.new++;
+                } else if (!mergeMode || shouldImportPlaylist(existing, playlist, mergeStrategy)) {
+                    report.playlists.updated++;
+                } else {
+                    report.playlists.skipped++;
                 }
             }
 
+            report.existingVideos = await this._countStoredVideos();
+            return report;
+        }
+
+        // Number of distinct videos across IndexedDB and storage.local
+        async _countStoredVideos() {
+            const allData = await this._storage.get(null);
+            const localIds = Object.keys(allData)
+                .filter(key => key.startsWith('video_'))
+                .map(key => key.replace('video_', ''));
+
+            if (!this._isIndexedDBAvailable()) {
+                return localIds.length;
+            }
+
+            try {
+                const indexedCount = await this._idb.countVideos();
+                const archived = localIds.length ? await this._idb.getVideosByIds(localIds) : [];
+                const archivedCount = (archived || []).filter(Boolean).length;
+                return indexedCount + localIds.length - archivedCount;
+            } catch (error) {
+                console.warn('[Storage] Could not count IndexedDB videos:', error);
+                return localIds.length;
+            }
+        }
+
+        // Finish a batched import: rebuild stats and drop the resume marker
+        async finishImport(importId) {
+            if (!this._isExtensionContext()) {
+                return await this._callBackground('finishImport', [importId]);
+            }
+
             // Rebuild stats from IndexedDB after import
             await this.rebuildStatsFromIndexedDB();
 
-            return {
-                status: 'success',
-                importedVideos,
-                importedPlaylists
+            const state = await this.getImportProgress();
+            if (state && state.importId === importId) {
+                await this._storage.remove([IMPORT_PROGRESS_KEY]);
+            }
+        }
+
+        // Progress of the current or last interrupted import, or null
+        async getImportProgress() {
+            const result = await this._storage.get([IMPORT_PROGRESS_KEY]);
+            return result[IMPORT_PROGRESS_KEY] || null;
+        }
+
+        // Look up videos in both stores; local wins on newer timestamp like getAllVideos()
+        async _getHybridVideosByIds(videoIds) {
+            const found = {};
+            if (!videoIds.length) return found;
+
+            if (this._isIndexedDBAvailable()) {
+                try {
+                    const indexed = await this._idb.getVideosByIds(videoIds);
+                    (indexed || []).forEach(video => {
+                        if (video && video.videoId) {
+                            found[video.videoId] = { record: video, inLocal: false };
+                        }
+                    });
+                } catch (error) {
+                    console.warn('[Storage] IndexedDB getVideosByIds failed, continuing with storage.local only:', error);
+                }
+            }
+
+            const localData = await this._storage.get(videoIds.map(id => `video_${id}`));
+            videoIds.forEach(id => {
+                const localRecord = localData[`video_${id}`];
+                if (!localRecord) return;
+                const current = found[id]?.record;
+                if (!current || (localRecord.timestamp && localRecord.timestamp > (current.timestamp || 0))) {
+                    found[id] = { record: localRecord, inLocal: true };
+                } else {
+                    found[id].inLocal = true;
+                }
+            });
+            return found;
+        }
+
+        /**
+         * Walk the merged video history in chunks without loading it all at once.
+         * IndexedDB is read newest first through the timestamp index, and
+         * storage.local records are merged in where they fall with the same
+         * "newer timestamp wins" rule as getAllVideos(), so chunks come out
+         * newest first. Videos without a timestamp come last.
+         * Extension pages only - the callback cannot cross the RPC boundary.
+         * @param {Function} onChunk - async (records, { processed, total }) => void; total is an estimate
+         * @param {number} [chunkSize=1000]
+         */
+        async forEachVideoChunk(onChunk, chunkSize = EXPORT_CHUNK_SIZE) {
+            await this.ensureMigrated();
+
+            const allData = await this._storage.get(null);
+            const localVideos = {};
+            Object.keys(allData).forEach(key => {
+                if (key.startsWith('video_')) {
+                    localVideos[key.replace('video_', '')] = allData[key];
+                }
+            });
+
+            const newestFirst = (a, b) => (b.timestamp || 0) - (a.timestamp || 0);
+            // storage.local records still to emit, newest first
+            const pending = Object.values(localVideos).sort(newestFirst);
+            let pendingIndex = 0;
+            let total = pending.length;
+            let processed = 0;
+
+            const emit = async (chunk) => {
+                if (!chunk.length) return;
+                processed += chunk.length;
+                await onChunk(chunk, { processed, total });
+            };
+            // False when the storage.local copy is newer and is emitted in its own place
+            const keepArchived = (video) => {
+                const localRecord = localVideos[video.videoId];
+                if (!localRecord) return true;
+                total--;
+                if (localRecord.timestamp && localRecord.timestamp > (video.timestamp || 0)) return false;
+                delete localVideos[video.videoId];
+                return true;
+            };
+            // Local records an archived copy replaced are skipped
+            const takePending = (isDue) => {
+                const taken = [];
+                while (pendingIndex < pending.length && isDue(pending[pendingIndex])) {
+                    const video = pending[pendingIndex++];
+                    if (localVideos[video.videoId] === video) taken.push(video);
+                }
+                return taken;
             };
+
+            if (this._isIndexedDBAvailable()) {
+                let archived = null;
+                try {
+                    archived = await this._idb.countVideos();
+                    total += archived;
+                } catch (error) {
+                    console.warn('[Storage] IndexedDB countVideos failed:', error);
+                }
+
+                let visited = 0;
+                let after = null;
+                do {
+                    const { records, next } = await this._idb.getVideosChunkByTimestamp(after, chunkSize);
+                    visited += records.length;
+                    const chunk = records.filter(keepArchived);
+                    // Local records newer than the rest of the archive belong in this chunk
+                    const floor = next ? next.timestamp : 0;
+                    chunk.push(...takePending(video => (video.timestamp || 0) > floor));
+                    await emit(chunk.sort(newestFirst));
+                    after = next;
+                } while (after);
+
+                // Videos without a timestamp are not in the timestamp index
+                if (archived === null || visited < archived) {
+                    const isIndexed = video => typeof video.timestamp === 'number' && !Number.isNaN(video.timestamp);
+                    let afterKey = null;
+                    do {
+                        const { records, nextKey } = await this._idb.getVideosChunk(afterKey, chunkSize);
+                        await emit(records.filter(video => !isIndexed(video) && keepArchived(video)));
+                        afterKey = nextKey;
+                    } while (afterKey);
+                }
+            }
+
+            // Remaining storage.local-only records
+            const remaining = takePending(() => true);
+            for (let i = 0; i < remaining.length; i += chunkSize) {
+                await emit(remaining.slice(i, i + chunkSize));
+            }
         }
 
         /**
@@ -1440,8 +2359,13 @@
          *
          * Structure:
          *   {
-         *     totalWatchSeconds: number,
-         *     daily: { [YYYY-MM-DD]: number },
+         *     totalWatchSeconds: number,         // video seconds played
+         *     // real seconds spent playing, and the video seconds played in them
+         *     // (tracked since playback speed was taken into account)
+         *     totalWallSeconds: number,
+         *     timedWatchSeconds: number,
+         *     daily: { [YYYY-MM-DD]: number },  // the last DAILY_STATS_RETENTION_DAYS days
+         *     monthly: { [YYYY-MM]: number },    // older days, rolled up
          *     hourly: number[24],
          *     lastUpdated: number,
          *     counters: {
@@ -1469,10 +2393,13 @@
         async getStats() {
             await this.ensureMigrated();
 
-            const result = await storage.get(['stats']);
+            const result = await this._storage.get(['stats']);
             const defaults = {
                 totalWatchSeconds: 0,
+                totalWallSeconds: 0,
+                timedWatchSeconds: 0,
                 daily: {},
+                monthly: {},
                 hourly: new Array(24).fill(0),
                 lastUpdated: 0,
                 counters: {
@@ -1489,7 +2416,10 @@
 
             // Normalize to ensure arrays/objects are present
             stats.totalWatchSeconds = Number(stats.totalWatchSeconds || 0);
+            stats.totalWallSeconds = Number(stats.totalWallSeconds || 0);
+            stats.timedWatchSeconds = Number(stats.timedWatchSeconds || 0);
             stats.daily = stats.daily && typeof stats.daily === 'object' ? stats.daily : {};
+            stats.monthly = stats.monthly && typeof stats.monthly === 'object' ? stats.monthly : {};
             stats.hourly = Array.isArray(stats.hourly) && stats.hourly.length === 24 ? stats.hourly : new Array(24).fill(0);
             stats.lastUpdated = Number(stats.lastUpdated || 0);
 
@@ -1511,7 +2441,7 @@
                 try {
                     const rebuilt = await this._rebuildStatsFromHybrid();
                     stats = Object.assign({}, defaults, rebuilt);
-                    await storage.set({ stats: stats });
+                    await this._storage.set({ stats: stats });
                 } catch (error) {
                     console.error('[Storage] Failed to rebuild stats from hybrid storage:', error);
                     // On failure, fall back to whatever was previously stored.
@@ -1529,7 +2459,7 @@
          */
         async setStats(stats) {
             await this.ensureMigrated();
-            await storage.set({ 'stats': stats });
+            await this._storage.set({ 'stats': stats });
         }
 
         /**
@@ -1598,32 +2528,21 @@
                 // Total duration and completed count (>= 90% watched)
                 if (duration > 0) {
                     stats.counters.totalDurationSeconds += duration;
-                    if (time > 0 && time / duration >= 0.9) {
+                    if (watchedRatio(video) >= 0.9) {
                         stats.counters.completed++;
                     }
                 }
             }
 
-            // Keep only the last 7 days of daily stats for compactness,
-            // consistent with the retention logic in updateStats().
+            // Roll old days up into months, as updateStats() does
             try {
-                const retentionDays = 7;
-                const allowed = new Set();
-                const base = new Date();
-                for (let i = 0; i < retentionDays; i++) {
-                    const d = new Date(base);
-                    d.setDate(d.getDate() - i);
-                    allowed.add(formatLocalDayKey(d));
-                }
-                Object.keys(stats.daily).forEach(key => {
-                    if (!allowed.has(key)) {
-                        delete stats.daily[key];
-                    }
-                });
+                const { daily, monthly } = rollUpDailyStats(stats.daily, {});
+                stats.daily = daily;
+                stats.monthly = monthly;
             } catch (e) {
-                // If anything goes wrong with pruning, keep full daily map;
+                // If anything goes wrong with the roll-up, keep full daily map;
                 // this is non-critical and should not break stats.
-                console.warn('[Storage] Failed to prune daily stats to last 7 days:', e);
+                console.warn('[Storage] Failed to roll up daily stats:', e);
             }
 
             return stats;
@@ -1645,13 +2564,17 @@
          *   isNewVideo?: boolean,
          *   isShorts?: boolean,
          *   durationSeconds?: number,
-         *   crossedCompleted?: boolean
+         *   crossedCompleted?: boolean,
+         *   uncompleted?: boolean, // progress dropped back below 90%, e.g. after a reset
+         *   wallSeconds?: number // real seconds it took to play the delta (faster than it at 2× speed)
          * }
          */
         async updateStats(deltaSeconds, whenTimestamp = Date.now(), metadata = {}) {
             await this.ensureMigrated();
             const delta = Number(deltaSeconds);
-            if (!delta || !isFinite(delta) || delta <= 0) {
+            // A zero delta is only worth a write when a counter changes
+            const changesCounters = !!(metadata && (metadata.isNewVideo || metadata.crossedCompleted || metadata.uncompleted));
+            if (!isFinite(delta) || delta < 0 || (delta === 0 && !changesCounters)) {
                 return;
             }
 
@@ -1660,28 +2583,25 @@
             const dayKey = formatLocalDayKey(when); // local day key YYYY-MM-DD
             const hour = when.getHours();
 
-            stats.totalWatchSeconds = Math.max(0, Math.floor(stats.totalWatchSeconds + delta));
-            stats.daily[dayKey] = Math.max(0, Math.floor((stats.daily[dayKey] || 0) + delta));
             if (!Array.isArray(stats.hourly) || stats.hourly.length !== 24) {
                 stats.hourly = new Array(24).fill(0);
             }
-            stats.hourly[hour] = Math.max(0, Math.floor((stats.hourly[hour] || 0) + delta));
+            if (delta > 0) {
+                stats.totalWatchSeconds = Math.max(0, Math.floor(stats.totalWatchSeconds + delta));
+                const wallSeconds = Number(metadata && metadata.wallSeconds);
+                if (isFinite(wallSeconds) && wallSeconds > 0) {
+                    stats.totalWallSeconds = Math.max(0, Math.floor((stats.totalWallSeconds || 0) + wallSeconds));
+                    stats.timedWatchSeconds = Math.max(0, Math.floor((stats.timedWatchSeconds || 0) + delta));
+                }
+                stats.daily[dayKey] = Math.max(0, Math.floor((stats.daily[dayKey] || 0) + delta));
+                stats.hourly[hour] = Math.max(0, Math.floor((stats.hourly[hour] || 0) + delta));
+            }
             stats.lastUpdated = Date.now();
 
-            // Keep only last 7 days of daily stats for compactness
-            const retentionDays = 7;
-            const allowed = new Set();
-            const base = new Date();
-            for (let i = 0; i < retentionDays; i++) {
-                const d = new Date(base);
-                d.setDate(d.getDate() - i);
-                allowed.add(formatLocalDayKey(d));
-            }
-            Object.keys(stats.daily).forEach(key => {
-                if (!allowed.has(key)) {
-                    delete stats.daily[key];
-                }
-            });
+            // Roll days older than the kept window up into months
+            const { daily, monthly } = rollUpDailyStats(stats.daily, stats.monthly);
+            stats.daily = daily;
+            stats.monthly = monthly;
 
             // Update optional counters if metadata provided
             const counters = stats.counters || (stats.counters = { videos: 0, shorts: 0, totalDurationSeconds: 0, completed: 0 });
@@ -1698,58 +2618,1274 @@
                 if (metadata.crossedCompleted) {
                     counters.completed = Math.max(0, Math.floor(counters.completed + 1));
                 }
+                if (metadata.uncompleted) {
+                    counters.completed = Math.max(0, Math.floor(counters.completed - 1));
+                }
             }
 
-            await storage.set({ 'stats': stats });
+            await this._storage.set({ 'stats': stats });
 
             // Stats updates no longer trigger sync since sync functionality was removed
         }
 
-        // Clean up tombstones older than retention period (default 30 days)
-        // Hybrid: Cleans both IndexedDB and storage.local tombstones
-        async cleanupTombstones(retentionMs = 30 * 24 * 60 * 60 * 1000) {
-            // Content scripts proxy to background
+        /**
+         * Roll daily buckets that fell out of the kept window up into months.
+         * updateStats() only does this when something is watched, so the
+         * maintenance job runs it too.
+         * @returns {Promise<number>} how many daily buckets were rolled up
+         */
+        async compactStats() {
             if (!this._isExtensionContext()) {
-                try {
-                    return await this._callBackground('cleanupTombstones', [retentionMs]);
-                } catch (error) {
-                    // Fallback: clean storage.local only
-                    const allData = await storage.get(null);
-                    const now = Date.now();
-                    const tombstoneKeys = Object.keys(allData).filter(key => key.startsWith('deleted_video_'));
-                    const oldTombstones = tombstoneKeys.filter(key => {
-                        const tomb = allData[key];
-                        return tomb && tomb.deletedAt && (now - tomb.deletedAt > retentionMs);
-                    });
-                    if (oldTombstones.length > 0) {
-                        await storage.remove(oldTombstones);
-                    }
-                    return;
-                }
+                return await this._callBackground('compactStats', []);
             }
+            const stats = await this.getStats();
+            const { daily, monthly } = rollUpDailyStats(stats.daily, stats.monthly);
+            const rolled = Object.keys(stats.daily).length - Object.keys(daily).length;
+            if (rolled > 0) {
+                await this._storage.set({ stats: { ...stats, daily, monthly } });
+            }
+            return rolled;
+        }
 
-            await this.ensureMigrated();
-            
-            // Clean IndexedDB tombstones using deletedAt index
-            if (this._isIndexedDBAvailable()) {
+        // --- Profiles --------------------------------------------------------
+
+        /**
+         * All profiles and which one is active. The default profile always exists.
+         * @returns {Promise<Object>} { profiles: [{ id, name, createdAt }], activeProfileId,
+         *   autoSwitchProfiles, unknownAccountProfileId, accountProfiles, knownAccounts }
+         */
+        async getProfiles() {
+            const result = await rawStorage.get([PROFILES_KEY]);
+            return normalizeProfileRegistry(result[PROFILES_KEY]);
+        }
+
+        getActiveProfileId() {
+            return this._profileId || activeProfileId;
+        }
+
+        /**
+         * Register a callback for profile switches in this context.
+         * @param {Function} listener - (profileId, previousProfileId) => void
+         */
+        onProfileChanged(listener) {
+            profileChangeListeners.push(listener);
+        }
+
+        /**
+         * storage.onChanged `changes` limited to the active profile, with unprefixed
+         * keys, so listeners can keep matching on `video_`, `settings` and so on.
+         */
+        scopeStorageChanges(changes) {
+            return scopeToProfile(changes, activeProfileId);
+        }
+
+        // Unprefixed names of the keys storage.onChanged reports, in every profile
+        changedProfileKeys(changes) {
+            return Object.keys(changes).map(rawKey => (rawKey.startsWith(PROFILE_KEY_PREFIX)
+                ? rawKey.slice(rawKey.indexOf(':', PROFILE_KEY_PREFIX.length) + 1)
+                : rawKey));
+        }
+
+        /**
+         * Create an empty profile. Names are trimmed and must be unique (case-insensitive).
+         * @param {string} name
+         * @returns {Promise<Object>} the new profile { id, name, createdAt }
+         */
+        async createProfile(name) {
+            const registry = await this.getProfiles();
+            const trimmed = String(name || '').trim();
+            if (!trimmed) {
+                throw new Error('Profile name is required');
+            }
+            if (registry.profiles.some(p => p.name.toLowerCase() === trimmed.toLowerCase())) {
+                throw new Error(`A profile named "${trimmed}" already exists`);
+            }
+
+            const profile = { id: `p${Date.now().toString(36)}`, name: trimmed, createdAt: Date.now() };
+            // Nothing to migrate into a fresh profile; without the flag the
+            // legacy IndexedDB migration would copy old data into it
+            await rawStorage.set({ [`${profileKeyPrefix(profile.id)}__migrated__`]: true });
+            await rawStorage.set({ [PROFILES_KEY]: { ...registry, profiles: [...registry.profiles, profile] } });
+            return profile;
+        }
+
+        async renameProfile(profileId, name) {
+            const registry = await this.getProfiles();
+            const trimmed = String(name || '').trim();
+            if (!trimmed) {
+                throw new Error('Profile name is required');
+            }
+            if (registry.profiles.some(p => p.id !== profileId && p.name.toLowerCase() === trimmed.toLowerCase())) {
+                throw new Error(`A profile named "${trimmed}" already exists`);
+            }
+            const profiles = registry.profiles.map(p => p.id === profileId ? { ...p, name: trimmed } : p);
+            await rawStorage.set({ [PROFILES_KEY]: { ...registry, profiles } });
+        }
+
+        /**
+         * Make a profile active in every context. This context switches right
+         * away; background and content scripts follow via storage.onChanged.
+         * @param {string} profileId
+         */
+        async switchProfile(profileId) {
+            const registry = await this.getProfiles();
+            if (!registry.profiles.some(p => p.id === profileId)) {
+                throw new Error(`Unknown profile: ${profileId}`);
+            }
+            await ensureProfileLoaded();
+            await rawStorage.set({ [PROFILES_KEY]: { ...registry, activeProfileId: profileId } });
+            applyActiveProfile(profileId);
+        }
+
+        /**
+         * Delete a profile with all of its history, settings and backups.
+         * The default profile and the active profile can't be deleted.
+         * @param {string} profileId
+         */
+        async deleteProfile(profileId) {
+            const registry = await this.getProfiles();
+            if (profileId === DEFAULT_PROFILE_ID) {
+                throw new Error('The default profile cannot be deleted');
+            }
+            if (profileId === registry.activeProfileId) {
+                throw new Error('Switch to another profile before deleting this one');
+            }
+
+            const all = await rawStorage.get(null);
+            const keys = Object.keys(all).filter(rawKey => isProfileKey(rawKey, profileId));
+            if (keys.length > 0) {
+                await rawStorage.remove(keys);
+            }
+            if (this._isIndexedDBAvailable() && typeof this._idb.deleteProfileDatabase === 'function') {
                 try {
-                    await ytIndexedDBStorage.cleanupTombstones(retentionMs);
+                    await this._idb.deleteProfileDatabase(profileId);
                 } catch (error) {
-                    console.warn('[Storage] IndexedDB cleanupTombstones failed:', error);
+                    console.warn('[Storage] Could not delete profile database:', error);
                 }
             }
-            
-            // Clean legacy deleted_video_* keys from storage.local
-            const allData = await storage.get(null);
-            const now = Date.now();
-            const tombstoneKeys = Object.keys(allData).filter(key => key.startsWith('deleted_video_'));
-            const oldTombstones = tombstoneKeys.filter(key => {
-                const tomb = allData[key];
-                return tomb && tomb.deletedAt && (now - tomb.deletedAt > retentionMs);
+            boundInstances.delete(profileId);
+            profileMigrations.delete(profileId);
+            await rawStorage.set({
+                [PROFILES_KEY]: { ...registry, profiles: registry.profiles.filter(p => p.id !== profileId) }
             });
-            if (oldTombstones.length > 0) {
-                await storage.remove(oldTombstones);
+        }
+
+        /**
+         * Account routing options.
+         * @param {Object} options - { autoSwitchProfiles?: boolean, unknownAccountProfileId?: string }
+         */
+        async setAccountProfileOptions(options = {}) {
+            const registry = await this.getProfiles();
+            const next = { ...registry };
+            if (typeof options.autoSwitchProfiles === 'boolean') {
+                next.autoSwitchProfiles = options.autoSwitchProfiles;
+            }
+            if (options.unknownAccountProfileId !== undefined) {
+                if (!registry.profiles.some(p => p.id === options.unknownAccountProfileId)) {
+                    throw new Error(`Unknown profile: ${options.unknownAccountProfileId}`);
+                }
+                next.unknownAccountProfileId = options.unknownAccountProfileId;
+            }
+            await rawStorage.set({ [PROFILES_KEY]: next });
+        }
+
+        /**
+         * Route a YouTube account to a profile; null falls back to the unknown-account default.
+         * @param {string} accountId
+         * @param {string|null} profileId
+         */
+        async mapAccountToProfile(accountId, profileId) {
+            const registry = await this.getProfiles();
+            const accountProfiles = { ...registry.accountProfiles };
+            if (profileId) {
+                if (!registry.profiles.some(p => p.id === profileId)) {
+                    throw new Error(`Unknown profile: ${profileId}`);
+                }
+                accountProfiles[accountId] = profileId;
+            } else {
+                delete accountProfiles[accountId];
             }
+            await rawStorage.set({ [PROFILES_KEY]: { ...registry, accountProfiles } });
+        }
+
+        /**
+         * Remember the signed-in YouTube account and find the profile its
+         * videos go to. The registry is only written for an account seen for
+         * the first time or under a new name, and the active profile is left
+         * alone, so tabs signed into different accounts don't flip it for each
+         * other. Signed-out pages count as unknown.
+         * @param {Object|null} account - { id, name } as detected in the page
+         * @returns {Promise<string|null>} the account's profile, or null without
+         *   automatic switching (the active profile is used)
+         */
+        async resolveAccountProfile(account) {
+            const registry = await this.getProfiles();
+
+            if (account && account.id) {
+                const known = registry.knownAccounts[account.id];
+                const name = account.name || known?.name || '';
+                if (!known || known.name !== name) {
+                    const knownAccounts = { ...registry.knownAccounts, [account.id]: { name, lastSeen: Date.now() } };
+                    await rawStorage.set({ [PROFILES_KEY]: { ...registry, knownAccounts } });
+                }
+            }
+
+            if (!registry.autoSwitchProfiles) return null;
+            const accountId = (account && account.id) || '';
+            return registry.accountProfiles[accountId] || registry.unknownAccountProfileId;
+        }
+
+        // Has this video been deleted (legacy storage.local tombstone)?
+        async hasTombstone(videoId) {
+            const result = await this._storage.get([`deleted_video_${videoId}`]);
+            return !!result[`deleted_video_${videoId}`];
+        }
+
+        // --- Channel rules ---------------------------------------------------
+        // ignore: never record the channel; track: record even where playlist
+        // rules would skip it; noOverlay: record but hide thumbnail overlays.
+
+        /**
+         * The key a channel's rule is stored under, or '' for unknown channels.
+         * @param {string} channelId - "@handle", "handle" or a UC channel ID
+         * @returns {string}
+         */
+        channelRuleKey(channelId) {
+            return normalizeChannelId(channelId);
+        }
+
+        /**
+         * The rule for a channel by its key or one of its aliases. Synchronous,
+         * for content scripts matching against the settings they already hold.
+         * @param {Object} rules - settings.channelRules
+         * @param {string} channelId
+         * @returns {Object|null}
+         */
+        matchChannelRule(rules, channelId) {
+            const key = findChannelRuleKey(rules, channelId);
+            return key ? rules[key] : null;
+        }
+
+        /**
+         * @returns {Promise<Object>} { [channelKey]: { mode, channelName, aliases, updatedAt } }
+         */
+        async getChannelRules() {
+            const settings = await this.getSettings();
+            return (settings && settings.channelRules) || {};
+        }
+
+        async getChannelRule(channelId) {
+            return this.matchChannelRule(await this.getChannelRules(), channelId);
+        }
+
+        /**
+         * Set or clear the rule for a channel. Pass the channel's other
+         * identifiers as `aliases` when the page shows them, so the rule also
+         * applies where only those appear; rules found under any of them are
+         * merged into one.
+         * @param {string} channelId
+         * @param {string|null} mode - 'ignore', 'track', 'noOverlay', or null to remove the rule
+         * @param {string} [channelName] - shown in the Settings list
+         * @param {string[]} [aliases] - other IDs of the same channel ("@handle" / UC ID)
+         * @returns {Promise<Object|null>} the stored rule
+         */
+        async setChannelRule(channelId, mode, channelName = '', aliases = []) {
+            const ids = [...new Set([channelId, ...aliases].map(normalizeChannelId))];
+            if (!ids[0]) {
+                throw new Error('Channel ID is required');
+            }
+            if (mode && !CHANNEL_RULE_MODES.includes(mode)) {
+                throw new Error(`Unknown channel rule: ${mode}`);
+            }
+
+            const settings = (await this.getSettings()) || {};
+            const channelRules = { ...(settings.channelRules || {}) };
+            const existingKeys = [...new Set(ids.map(id => findChannelRuleKey(channelRules, id)).filter(Boolean))];
+            // Handles can be renamed, UC IDs can't, so they make the better key
+            const key = [...existingKeys, ...ids].find(id => id && id.startsWith('UC')) || existingKeys[0] || ids[0];
+            const known = new Set(ids.filter(Boolean));
+            let previousName = '';
+            existingKeys.forEach(existingKey => {
+                known.add(existingKey);
+                (channelRules[existingKey].aliases || []).forEach(alias => known.add(alias));
+                previousName = previousName || channelRules[existingKey].channelName || '';
+                delete channelRules[existingKey];
+            });
+            known.delete(key);
+
+            if (mode) {
+                channelRules[key] = {
+                    mode,
+                    channelName: channelName || previousName,
+                    aliases: [...known],
+                    updatedAt: Date.now()
+                };
+            }
+            await this.setSettings({ ...settings, channelRules });
+            return channelRules[key] || null;
+        }
+
+        // --- Tracking rules --------------------------------------------------
+        // skip: don't record; expire: delete N days after the last watch (by the
+        // daily maintenance job); tag: add a label to the record.
+
+        async getTrackingRules() {
+            const settings = await this.getSettings();
+            return (settings && settings.trackingRules) || [];
+        }
+
+        /**
+         * Add a rule. Regex patterns are checked here so a typo can't silently match nothing.
+         * @param {Object} rule - { field, pattern, isRegex, action, days?, label? }
+         * @returns {Promise<Object>} the stored rule with its id
+         */
+        async addTrackingRule(rule = {}) {
+            const pattern = String(rule.pattern || '').trim();
+            if (!pattern) {
+                throw new Error('Pattern is required');
+            }
+            if (!TRACKING_RULE_FIELDS.includes(rule.field)) {
+                throw new Error(`Unknown rule field: ${rule.field}`);
+            }
+            if (!TRACKING_RULE_ACTIONS.includes(rule.action)) {
+                throw new Error(`Unknown rule action: ${rule.action}`);
+            }
+            if (rule.isRegex) {
+                try {
+                    new RegExp(pattern, 'i');
+                } catch (error) {
+                    throw new Error(`Invalid regular expression: ${error.message}`);
+                }
+            }
+
+            const stored = {
+                id: `r${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+                field: rule.field,
+                pattern,
+                isRegex: !!rule.isRegex,
+                action: rule.action
+            };
+            if (rule.action === 'expire') {
+                const days = parseInt(rule.days, 10);
+                if (!(days > 0)) {
+                    throw new Error('Days must be a positive number');
+                }
+                stored.days = days;
+            }
+            if (rule.action === 'tag') {
+                const label = String(rule.label || '').trim();
+                if (!label) {
+                    throw new Error('Label is required');
+                }
+                stored.label = label;
+            }
+
+            const settings = (await this.getSettings()) || {};
+            await this.setSettings({ ...settings, trackingRules: [...(settings.trackingRules || []), stored] });
+            return stored;
+        }
+
+        async removeTrackingRule(ruleId) {
+            const settings = (await this.getSettings()) || {};
+            const trackingRules = (settings.trackingRules || []).filter(rule => rule.id !== ruleId);
+            await this.setSettings({ ...settings, trackingRules });
+        }
+
+        /**
+         * Apply rules to a record about to be saved. Synchronous so the save
+         * path can use the rules it already has in its settings.
+         * @param {Object} record - needs title, channelName and url
+         * @param {Array} rules
+         * @returns {Object} { skip, expiresAt, tags, matched }
+         */
+        evaluateTrackingRules(record, rules = []) {
+            const matched = (rules || []).filter(rule => trackingRuleMatches(rule, record));
+            const expiring = matched.filter(rule => rule.action === 'expire');
+            const now = record.timestamp || Date.now();
+            return {
+                skip: matched.some(rule => rule.action === 'skip'),
+                // The shortest retention wins when several rules match
+                expiresAt: expiring.length ? now + Math.min(...expiring.map(rule => rule.days)) * DAY_MS : null,
+                tags: [...new Set(matched.filter(rule => rule.action === 'tag').map(rule => rule.label))],
+                matched
+            };
+        }
+
+        /**
+         * Move videos whose rule-based expiry has passed to the trash.
+         * @returns {Promise<number>} how many videos were removed
+         */
+        async purgeExpiredVideos() {
+            if (!this._isExtensionContext()) {
+                return await this._callBackground('purgeExpiredVideos', []);
+            }
+            const now = Date.now();
+            const videos = await this.getAllVideos();
+            const expired = Object.entries(videos)
+                .filter(([, record]) => record && record.expiresAt && record.expiresAt <= now)
+                .map(([videoId]) => videoId);
+            if (!expired.length) return 0;
+            const { removed } = await this.removeVideos(expired, { requireTrash: true });
+            console.log(`[Storage] Removed ${removed} videos past their rule expiry`);
+            return removed;
+        }
+
+        // --- Retention -------------------------------------------------------
+
+        async getRetentionPolicies() {
+            const settings = await this.getSettings();
+            return normalizeRetentionPolicies(settings && settings.retentionPolicies);
+        }
+
+        /**
+         * @param {Object} policies - { shorts, completed, unfinished: days|'forever', ignoredPlaylists: 'keep'|'remove' }
+         */
+        async setRetentionPolicies(policies) {
+            const settings = (await this.getSettings()) || {};
+            const retentionPolicies = normalizeRetentionPolicies({ ...settings.retentionPolicies, ...policies });
+            await this.setSettings({ ...settings, retentionPolicies });
+            return retentionPolicies;
+        }
+
+        /**
+         * Move videos that their retention policy no longer keeps to the trash.
+         * IndexedDB is range-deleted through its timestamp index, starting at the
+         * shortest retention period; the few recent records still in
+         * storage.local go through removeVideos(). Nothing is deleted without
+         * its trash copy. Runs in the background's daily maintenance, once per profile.
+         * @returns {Promise<Object>} { removed, byPolicy: { shorts, completed, unfinished, ignoredPlaylists } }
+         */
+        async applyRetentionPolicies() {
+            if (!this._isExtensionContext()) {
+                return await this._callBackground('applyRetentionPolicies', []);
+            }
+            const policies = await this.getRetentionPolicies();
+            const byPolicy = { shorts: 0, completed: 0, unfinished: 0, ignoredPlaylists: 0 };
+            const timedDays = ['shorts', 'completed', 'unfinished'].map(key => policies[key]).filter(days => days !== 'forever');
+            const removeIgnored = policies.ignoredPlaylists === 'remove';
+            if (!timedDays.length && !removeIgnored) {
+                return { removed: 0, byPolicy };
+            }
+            await this.ensureMigrated();
+
+            let ignoredPlaylistIds = new Set();
+            if (removeIgnored) {
+                const playlists = await this.getAllPlaylists();
+                ignoredPlaylistIds = new Set(Object.keys(playlists).filter(id => playlists[id] && playlists[id].ignoreVideos));
+            }
+
+            const now = Date.now();
+            // Counts the record under the policy that drops it
+            const expires = (record) => {
+                if (record.playlistId && ignoredPlaylistIds.has(record.playlistId)) {
+                    byPolicy.ignoredPlaylists++;
+                    return true;
+                }
+                const policy = retentionPolicyFor(record);
+                const days = policies[policy];
+                if (days !== 'forever' && now - (record.timestamp || 0) > days * DAY_MS) {
+                    byPolicy[policy]++;
+                    return true;
+                }
+                return false;
+            };
+
+            // storage.local copies are newer than IndexedDB ones, so they decide
+            const localVideos = {};
+            const allData = await this._storage.get(null);
+            Object.keys(allData).forEach(key => {
+                if (key.startsWith('video_') && allData[key]) localVideos[key.slice('video_'.length)] = allData[key];
+            });
+
+            let removed = 0;
+            if (this._isIndexedDBAvailable()) {
+                // Ignored playlists are not bound by age, so they need the whole index
+                const cutoff = removeIgnored ? null : now - Math.min(...timedDays) * DAY_MS;
+                try {
+                    // Trash copies go in the same transaction: nothing is deleted without one
+                    const deleted = await this._idb.deleteVideosBefore(
+                        cutoff,
+                        record => !localVideos[record.videoId] && expires(record),
+                        { moveToTrash: true }
+                    );
+                    if (deleted.length) {
+                        await this._writeLegacyTombstones(deleted.map(record => record.videoId));
+                        removed += deleted.length;
+                    }
+                } catch (error) {
+                    console.warn('[Storage] IndexedDB retention delete failed:', error);
+                }
+            }
+
+            const localExpired = Object.keys(localVideos).filter(videoId => expires(localVideos[videoId]));
+            if (localExpired.length) {
+                try {
+                    removed += (await this.removeVideos(localExpired, { requireTrash: true })).removed;
+                } catch (error) {
+                    console.warn('[Storage] Retention kept local videos that could not be moved to the trash:', error);
+                }
+            }
+            if (removed) {
+                console.log(`[Storage] Retention removed ${removed} videos`, byPolicy);
+            }
+            return { removed, byPolicy };
+        }
+
+        // --- Tracking pause --------------------------------------------------
+        // Suspends saving in every tab and profile until resumed or until the
+        // timer runs out; the background shows it on the toolbar badge.
+
+        /**
+         * Current pause state. An expired timed pause reads as not paused.
+         * @returns {Promise<Object>} { paused, pausedAt, until } (until is null for "until resumed")
+         */
+        async getTrackingPause() {
+            const result = await rawStorage.get([TRACKING_PAUSE_KEY]);
+            return normalizeTrackingPause(result[TRACKING_PAUSE_KEY]);
+        }
+
+        /**
+         * Register a callback for pause/resume in any context.
+         * @param {Function} listener - (pauseState) => void
+         */
+        onTrackingPauseChanged(listener) {
+            trackingPauseListeners.push(listener);
+        }
+
+        /**
+         * @param {number} [minutes=0] - 0 pauses until resumed
+         * @returns {Promise<Object>} the new pause state
+         */
+        async pauseTracking(minutes = 0) {
+            const now = Date.now();
+            const duration = Math.max(0, Number(minutes) || 0);
+            const pause = { pausedAt: now, until: duration > 0 ? now + duration * 60 * 1000 : null };
+            await rawStorage.set({ [TRACKING_PAUSE_KEY]: pause });
+            console.log('[Storage] Tracking paused', pause.until ? `until ${new Date(pause.until).toISOString()}` : 'until resumed');
+            return { paused: true, ...pause };
+        }
+
+        async resumeTracking() {
+            await rawStorage.remove([TRACKING_PAUSE_KEY]);
+            console.log('[Storage] Tracking resumed');
+        }
+
+        // --- Bulk actions ----------------------------------------------------
+        // One RPC and one transaction per store however many rows are selected,
+        // so batch actions from the popup don't turn into thousands of calls.
+
+        /**
+         * IDs of every record matching a search, across all pages.
+         * @param {Object} options - { type: 'videos'|'shorts'|'playlists', searchQuery }
+         * @returns {Promise<string[]>}
+         */
+        async getMatchingRecordIds(options = {}) {
+            if (!this._isExtensionContext()) {
+                return await this._callBackground('getMatchingRecordIds', [options]);
+            }
+            const { type = 'videos', searchQuery = '' } = options;
+            const result = await this.getRecordsPage({ type, searchQuery, page: 1, pageSize: Number.MAX_SAFE_INTEGER });
+            return result.records.map(record => type === 'playlists' ? record.playlistId : record.videoId);
+        }
+
+        /**
+         * Merged video records for the given IDs, in the same order; unknown IDs are skipped.
+         * @param {string[]} videoIds
+         * @returns {Promise<Array>}
+         */
+        async getVideosByIds(videoIds = []) {
+            if (!this._isExtensionContext()) {
+                return await this._callBackground('getVideosByIds', [videoIds]);
+            }
+            await this.ensureMigrated();
+            const found = await this._getHybridVideosByIds(videoIds);
+            return videoIds.filter(id => found[id]).map(id => found[id].record);
+        }
+
+        /**
+         * Delete many videos at once. Each one is copied to the trash first,
+         * so the whole batch can be undone with restoreFromTrash().
+         * @param {string[]} videoIds
+         * @param {Object} [options]
+         * @param {boolean} [options.requireTrash=false] - Throw and delete nothing when the
+         *   trash copy can't be written (automatic cleanup); by default the delete goes ahead
+         * @returns {Promise<Object>} { removed }
+         */
+        async removeVideos(videoIds = [], { requireTrash = false } = {}) {
+            if (!this._isExtensionContext()) {
+                return await this._callBackground('removeVideos', [videoIds, { requireTrash }]);
+            }
+            const ids = [...new Set(videoIds.filter(Boolean))];
+            if (!ids.length) return { removed: 0 };
+            await this.ensureMigrated();
+
+            const existing = await this._getHybridVideosByIds(ids);
+            await this._moveManyToTrash('video', Object.keys(existing).map(id => ({ id, record: existing[id].record })), requireTrash);
+
+            await this._storage.remove(ids.map(id => `video_${id}`));
+            if (this._isIndexedDBAvailable()) {
+                try {
+                    await this._idb.deleteVideos(ids, { createTombstone: true });
+                } catch (error) {
+                    console.warn('[Storage] IndexedDB deleteVideos failed:', error);
+                }
+            }
+
+            await this._writeLegacyTombstones(ids);
+            return { removed: Object.keys(existing).length };
+        }
+
+        // Legacy storage.local tombstones, as in removeVideo()
+        async _writeLegacyTombstones(videoIds) {
+            const deletedAt = Date.now();
+            const tombstones = {};
+            videoIds.forEach(id => { tombstones[`deleted_video_${id}`] = { deletedAt }; });
+            await this._storage.set(tombstones);
+        }
+
+        /**
+         * Delete many playlists at once, moving them to the trash first.
+         * @param {string[]} playlistIds
+         * @returns {Promise<Object>} { removed }
+         */
+        async removePlaylists(playlistIds = []) {
+            if (!this._isExtensionContext()) {
+                return await this._callBackground('removePlaylists', [playlistIds]);
+            }
+            const ids = [...new Set(playlistIds.filter(Boolean))];
+            if (!ids.length) return { removed: 0 };
+            await this.ensureMigrated();
+
+            // storage.local wins over IndexedDB, as in getPlaylist()
+            const existing = {};
+            if (this._isIndexedDBAvailable()) {
+                try {
+                    (await this._idb.getPlaylistsByIds(ids)).forEach(playlist => {
+                        if (playlist && playlist.playlistId) existing[playlist.playlistId] = playlist;
+                    });
+                } catch (error) {
+                    console.warn('[Storage] IndexedDB getPlaylistsByIds failed:', error);
+                }
+            }
+            const localData = await this._storage.get(ids.map(id => `playlist_${id}`));
+            ids.forEach(id => {
+                if (localData[`playlist_${id}`]) existing[id] = localData[`playlist_${id}`];
+            });
+            await this._moveManyToTrash('playlist', Object.keys(existing).map(id => ({ id, record: existing[id] })));
+
+            await this._storage.remove(ids.map(id => `playlist_${id}`));
+            if (this._isIndexedDBAvailable()) {
+                try {
+                    await this._idb.deletePlaylists(ids);
+                } catch (error) {
+                    console.warn('[Storage] IndexedDB deletePlaylists failed:', error);
+                }
+            }
+            return { removed: Object.keys(existing).length };
+        }
+
+        /**
+         * Set saved progress to the end of each video. Videos without a known
+         * duration can't be marked and are counted as skipped.
+         * @param {string[]} videoIds
+         * @returns {Promise<Object>} { updated, skipped }
+         */
+        async markVideosWatched(videoIds = []) {
+            if (!this._isExtensionContext()) {
+                return await this._callBackground('markVideosWatched', [videoIds]);
+            }
+            const { records, skipped } = await this._updateVideosProgress(videoIds, markRecordWatched);
+            return { updated: records.length, skipped };
+        }
+
+        /**
+         * Clear saved progress so each video starts from the beginning again.
+         * @param {string[]} videoIds
+         * @returns {Promise<Object>} { updated, skipped }
+         */
+        async resetVideosProgress(videoIds = []) {
+            if (!this._isExtensionContext()) {
+                return await this._callBackground('resetVideosProgress', [videoIds]);
+            }
+            const { records, skipped } = await this._updateVideosProgress(videoIds, resetRecordProgress);
+            return { updated: records.length, skipped };
+        }
+
+        /**
+         * Mark one video as watched without playing it. Videos that aren't
+         * tracked yet are added from `details` (e.g. read off a thumbnail).
+         * @param {string} videoId
+         * @param {Object} [details] - { title, duration, channelName, channelId, url, isShorts }
+         * @returns {Promise<Object|null>} the saved record, or null when no duration is known
+         */
+        async markVideoWatched(videoId, details = {}) {
+            if (!this._isExtensionContext()) {
+                return await this._callBackground('markVideoWatched', [videoId, details]);
+            }
+            const { records } = await this._updateVideosProgress([videoId], markRecordWatched, { [videoId]: details });
+            return records[0] || null;
+        }
+
+        /**
+         * Reset one video's saved progress to the start.
+         * @param {string} videoId
+         * @returns {Promise<Object|null>} the saved record, or null when the video isn't tracked
+         */
+        async resetVideoProgress(videoId) {
+            if (!this._isExtensionContext()) {
+                return await this._callBackground('resetVideoProgress', [videoId]);
+            }
+            const { records } = await this._updateVideosProgress([videoId], resetRecordProgress);
+            return records[0] || null;
+        }
+
+        /**
+         * Rewrite progress of the merged records in one batch and keep stats in step.
+         * update() returns the new record, or null to skip it. Untracked videos are
+         * only considered when `detailsById` has metadata for them.
+         */
+        async _updateVideosProgress(videoIds, update, detailsById = {}) {
+            const ids = [...new Set(videoIds.filter(Boolean))];
+            if (!ids.length) return { records: [], skipped: 0 };
+            await this.ensureMigrated();
+
+            const found = await this._getHybridVideosByIds(ids);
+            const changes = [];
+            let skipped = 0;
+            ids.forEach(id => {
+                const previous = found[id]?.record || null;
+                const details = detailsById[id] || null;
+                if (!previous && !details) return;
+
+                const base = previous
+                    ? { ...previous }
+                    : {
+                        videoId: id,
+                        title: details.title || 'Unknown Title',
+                        channelName: details.channelName || 'Unknown Channel',
+                        channelId: details.channelId || '',
+                        url: details.url || (details.isShorts
+                            ? `https://www.youtube.com/shorts/${id}`
+                            : `https://www.youtube.com/watch?v=${id}`),
+                        isShorts: !!details.isShorts,
+                        time: 0,
+                        timestamp: Date.now()
+                    };
+                if (!(base.duration > 0) && details && details.duration > 0) {
+                    base.duration = details.duration;
+                }
+
+                const next = update(base);
+                if (next) {
+                    changes.push({ previous, next: trackCompletion(previous, next) });
+                } else {
+                    skipped++;
+                }
+            });
+            if (!changes.length) return { records: [], skipped };
+
+            const records = changes.map(change => change.next);
+            if (this._isIndexedDBAvailable()) {
+                await this._idb.putVideos(records);
+                // Drop the local copies so the rewritten IndexedDB records are what getVideo() returns
+                const staleKeys = records.filter(v => found[v.videoId]?.inLocal).map(v => `video_${v.videoId}`);
+                if (staleKeys.length > 0) {
+                    await this._storage.remove(staleKeys);
+                }
+            } else {
+                const data = {};
+                records.forEach(v => { data[`video_${v.videoId}`] = v; });
+                await this._storage.set(data);
+            }
+
+            for (const { previous, next } of changes) {
+                await this._updateProgressStats(previous, next);
+            }
+            return { records, skipped };
+        }
+
+        // Counters as saveTimestamp() in content.js keeps them; a progress jump made
+        // without playback adds no watch time
+        async _updateProgressStats(previous, next) {
+            const duration = next.duration || 0;
+            const prevRatio = watchedRatio(previous);
+            const newRatio = watchedRatio(next);
+            const isNewVideo = !previous;
+            try {
+                await this.updateStats(0, Date.now(), {
+                    isNewVideo,
+                    isShorts: !!next.isShorts,
+                    durationSeconds: isNewVideo && isFinite(duration) ? Math.floor(duration) : 0,
+                    crossedCompleted: prevRatio < 0.9 && newRatio >= 0.9,
+                    uncompleted: prevRatio >= 0.9 && newRatio < 0.9
+                });
+            } catch (error) {
+                console.warn('[Storage] Could not update stats after progress change:', error);
+            }
+        }
+
+        // --- Trash -----------------------------------------------------------
+
+        async _moveToTrash(type, id, record) {
+            if (!this._isIndexedDBAvailable()) return;
+            try {
+                await this._idb.putTrashEntry({
+                    trashId: `${type}:${id}`,
+                    type,
+                    id,
+                    deletedAt: Date.now(),
+                    record
+                });
+            } catch (error) {
+                // A failed trash copy must not block the delete itself
+                console.warn('[Storage] Could not move record to trash:', error);
+            }
+        }
+
+        // `required`: rethrow a failed trash write so the caller doesn't delete
+        async _moveManyToTrash(type, items, required = false) {
+            if (!items.length) return;
+            if (!this._isIndexedDBAvailable()) {
+                if (required) throw new Error('IndexedDB storage is not available for the trash');
+                return;
+            }
+            const deletedAt = Date.now();
+            try {
+                await this._idb.putTrashEntries(items.map(({ id, record }) => ({
+                    trashId: `${type}:${id}`,
+                    type,
+                    id,
+                    deletedAt,
+                    record
+                })));
+            } catch (error) {
+                if (required) throw error;
+                console.warn('[Storage] Could not move records to trash:', error);
+            }
+        }
+
+        /**
+         * Deleted videos and playlists, most recently deleted first.
+         * @returns {Promise<Array>} [{ trashId, type: 'video'|'playlist', id, deletedAt, record }]
+         */
+        async getTrash() {
+            if (!this._isExtensionContext()) {
+                return await this._callBackground('getTrash', []);
+            }
+            await this.ensureMigrated();
+            if (!this._isIndexedDBAvailable()) return [];
+            return await this._idb.getAllTrash();
+        }
+
+        /**
+         * Put trashed records back. A video that was watched again after it was
+         * deleted keeps its newer record; the trash copy is dropped either way.
+         * @param {string[]} trashIds
+         * @returns {Promise<Object>} { restoredVideos, restoredPlaylists }
+         */
+        async restoreFromTrash(trashIds = []) {
+            if (!this._isExtensionContext()) {
+                return await this._callBackground('restoreFromTrash', [trashIds]);
+            }
+            await this.ensureMigrated();
+            if (!this._isIndexedDBAvailable()) {
+                throw new Error('IndexedDB storage is not available. Please reload the extension.');
+            }
+
+            const entries = (await this._idb.getTrashEntries(trashIds)).filter(Boolean);
+            const videoEntries = entries.filter(e => e.type === 'video');
+            const playlistEntries = entries.filter(e => e.type === 'playlist');
+
+            const current = await this._getHybridVideosByIds(videoEntries.map(e => e.id));
+            const videos = videoEntries
+                .filter(e => {
+                    const existing = current[e.id]?.record;
+                    return !existing || (e.record.timestamp || 0) >= (existing.timestamp || 0);
+                })
+                .map(e => e.record);
+
+            const playlists = [];
+            for (const entry of playlistEntries) {
+                const existing = await this.getPlaylist(entry.id);
+                if (!existing || (entry.record.timestamp || 0) >= (existing.timestamp || 0)) {
+                    playlists.push(entry.record);
+                }
+            }
+
+            await this._idb.putVideos(videos);
+            await this._idb.putPlaylists(playlists);
+
+            // Drop the tombstones so the restored videos show up again everywhere
+            for (const entry of videoEntries) {
+                try {
+                    await this._idb.deleteDeletion(entry.id);
+                } catch (error) {
+                    console.warn('[Storage] Could not remove tombstone:', error);
+                }
+            }
+            const staleKeys = [
+                ...videoEntries.map(e => `deleted_video_${e.id}`),
+                ...videos.filter(v => current[v.videoId]?.inLocal).map(v => `video_${v.videoId}`),
+                ...playlists.map(p => `playlist_${p.playlistId}`)
+            ];
+            if (staleKeys.length > 0) {
+                await this._storage.remove(staleKeys);
+            }
+
+            await this._idb.deleteTrashEntries(entries.map(e => e.trashId));
+            return { restoredVideos: videos.length, restoredPlaylists: playlists.length };
+        }
+
+        /**
+         * Permanently delete trash entries.
+         * @param {string[]|null} trashIds - null empties the whole trash
+         */
+        async purgeTrash(trashIds = null) {
+            if (!this._isExtensionContext()) {
+                return await this._callBackground('purgeTrash', [trashIds]);
+            }
+            await this.ensureMigrated();
+            if (!this._isIndexedDBAvailable()) return;
+            const purgedIds = trashIds === null
+                ? (await this._idb.getAllTrash()).map(entry => entry.trashId)
+                : trashIds;
+            if (trashIds === null) {
+                await this._idb.clearTrash();
+            } else {
+                await this._idb.deleteTrashEntries(trashIds);
+            }
+            await this._deletePurgedVideoSessions(purgedIds);
+        }
+
+        // Trash entries cleanupTrash(retentionMs) is about to drop
+        async _getExpiredTrashIds(retentionMs) {
+            const cutoff = Date.now() - retentionMs;
+            try {
+                const entries = await this._idb.getAllTrash();
+                return entries.filter(entry => entry.deletedAt <= cutoff).map(entry => entry.trashId);
+            } catch (error) {
+                console.warn('[Storage] Could not list expired trash entries:', error);
+                return [];
+            }
+        }
+
+        // Viewing sessions go with videos deleted for good, unless the video has
+        // been watched again since it was trashed
+        async _deletePurgedVideoSessions(trashIds) {
+            const videoIds = trashIds.filter(id => id.startsWith('video:')).map(id => id.slice('video:'.length));
+            if (!videoIds.length) return;
+            try {
+                const current = await this._getHybridVideosByIds(videoIds);
+                await this._idb.deleteSessionsForVideos(videoIds.filter(id => !current[id]));
+            } catch (error) {
+                console.warn('[Storage] Could not delete viewing sessions of purged videos:', error);
+            }
+        }
+
+        // --- Viewing sessions ------------------------------------------------
+        // One record per uninterrupted stretch of playback, kept in IndexedDB
+        // only. Content scripts write them through the background, which adds
+        // the tab they were watched in.
+
+        /**
+         * Add or extend a viewing session.
+         * @param {Object} session - { sessionId, videoId, startedAt, endedAt,
+         *   startPosition, endPosition, playbackRate, isShorts, tabId }
+         */
+        async recordSession(session) {
+            if (!this._isExtensionContext()) {
+                try {
+                    return await this._callBackground('recordSession', [session]);
+                } catch (error) {
+                    // Sessions are a nice-to-have; never disturb playback tracking
+                    return;
+                }
+            }
+            if (!session || !session.sessionId || !session.videoId || !this._isIndexedDBAvailable()) return;
+            const number = value => (Number.isFinite(Number(value)) ? Number(value) : 0);
+            const record = {
+                sessionId: String(session.sessionId),
+                videoId: String(session.videoId),
+                startedAt: number(session.startedAt),
+                endedAt: Math.max(number(session.endedAt), number(session.startedAt)),
+                startPosition: number(session.startPosition),
+                endPosition: number(session.endPosition),
+                playbackRate: number(session.playbackRate) || 1,
+                isShorts: !!session.isShorts,
+                tabId: Number.isInteger(session.tabId) ? session.tabId : null
+            };
+            try {
+                await this._idb.putSession(record);
+            } catch (error) {
+                console.warn('[Storage] IndexedDB putSession failed:', error);
+            }
+        }
+
+        // Sessions of one video, newest first
+        async getVideoSessions(videoId) {
+            if (!this._isExtensionContext()) {
+                return await this._callBackground('getVideoSessions', [videoId]);
+            }
+            await this.ensureMigrated();
+            if (!videoId || !this._isIndexedDBAvailable()) return [];
+            return (await this._idb.getSessionsForVideo(videoId)).reverse();
+        }
+
+        /**
+         * Sessions started in a time range, oldest first.
+         * @param {Object} [options] - { from, to, limit }; from is inclusive, to exclusive
+         */
+        async getSessions(options = {}) {
+            if (!this._isExtensionContext()) {
+                return await this._callBackground('getSessions', [options]);
+            }
+            const { from = null, to = null, limit } = options;
+            await this.ensureMigrated();
+            if (!this._isIndexedDBAvailable()) return [];
+            return this._idb.getSessionsInRange(from, to, limit);
+        }
+
+        // --- Backups ---------------------------------------------------------
+        // Extension pages and the background script only; snapshots are too
+        // large to pass through the content script RPC.
+
+        // Backup settings merged over their defaults
+        async getBackupSettings() {
+            const settings = await this.getSettings() || {};
+            const merged = { ...DEFAULT_BACKUP_SETTINGS };
+            Object.keys(DEFAULT_BACKUP_SETTINGS).forEach(key => {
+                if (settings[key] !== undefined) merged[key] = settings[key];
+            });
+            merged.backupIntervalHours = Math.max(1, Number(merged.backupIntervalHours) || DEFAULT_BACKUP_SETTINGS.backupIntervalHours);
+            merged.backupRetention = Math.max(1, Number(merged.backupRetention) || DEFAULT_BACKUP_SETTINGS.backupRetention);
+            return merged;
+        }
+
+        // { lastBackupAt, lastError, downloads: [{ downloadId, createdAt }] }
+        async getBackupState() {
+            const result = await this._storage.get([BACKUP_STATE_KEY]);
+            return { lastBackupAt: 0, lastError: null, downloads: [], ...(result[BACKUP_STATE_KEY] || {}) };
+        }
+
+        async setBackupState(state) {
+            await this._storage.set({ [BACKUP_STATE_KEY]: state });
+        }
+
+        /**
+         * Take a snapshot of videos, playlists, settings and stats.
+         * `data` uses the same shape as a JSON export, so a snapshot saved to the
+         * downloads folder can be brought back with the regular Import.
+         * @param {string} [reason='manual'] - scheduled | manual | pre-restore
+         * @returns {Promise<Object>} { id, createdAt, reason, extensionVersion, counts, data }
+         */
+        async createBackupSnapshot(reason = 'manual') {
+            await this.ensureMigrated();
+
+            const history = [];
+            await this.forEachVideoChunk(async (chunk) => {
+                chunk.forEach(video => history.push(video));
+            });
+            const playlistsById = await this.getAllPlaylists();
+            const playlists = Object.values(playlistsById || {}).filter(p => p && p.playlistId);
+            const settings = await this.getSettings();
+            const statsResult = await this._storage.get(['stats']);
+
+            let extensionVersion = null;
+            try {
+                extensionVersion = chrome.runtime.getManifest().version;
+            } catch (_) {
+                // Not available in tests
+            }
+
+            const createdAt = Date.now();
+            return {
+                id: createdAt,
+                createdAt,
+                reason,
+                extensionVersion,
+                counts: { videos: history.length, playlists: playlists.length },
+                data: { history, playlists, settings: settings || null, stats: statsResult.stats || null }
+            };
+        }
+
+        // Store a snapshot in the IndexedDB backup store and drop the oldest beyond `retention`
+        async saveBackup(snapshot, retention = DEFAULT_BACKUP_SETTINGS.backupRetention) {
+            if (!this._isIndexedDBAvailable()) {
+                throw new Error('IndexedDB storage is not available. Please reload the extension.');
+            }
+            await this._idb.putBackup(snapshot);
+            await this.pruneBackups(retention);
+        }
+
+        // Undo snapshots don't count toward `retention`; stale ones are dropped
+        async pruneBackups(retention) {
+            const backups = await this.listBackups();
+            const rotated = backups.filter(backup => backup.reason !== CLEAR_UNDO_REASON);
+            const staleUndo = backups.filter(backup =>
+                backup.reason === CLEAR_UNDO_REASON && Date.now() - backup.createdAt > CLEAR_UNDO_TTL_MS);
+            for (const backup of [...rotated.slice(Math.max(1, retention)), ...staleUndo]) {
+                await this._idb.deleteBackup(backup.id);
+            }
+        }
+
+        // Backups newest first, without their data
+        async listBackups() {
+            if (!this._isIndexedDBAvailable()) return [];
+            return await this._idb.listBackups();
+        }
+
+        async deleteBackup(id) {
+            if (!this._isIndexedDBAvailable()) return;
+            await this._idb.deleteBackup(id);
+        }
+
+        /**
+         * Snapshot everything into the backup store right before "Clear history",
+         * so the popup can offer an undo. The snapshot is not subject to rotation;
+         * the caller deletes it once the undo is used or expires. Only the latest
+         * clear can be undone, so older undo snapshots are dropped here.
+         * @returns {Promise<number>} Backup id to pass to restoreBackup()
+         */
+        async createClearUndoPoint() {
+            if (!this._isIndexedDBAvailable()) {
+                throw new Error('IndexedDB storage is not available. Please reload the extension.');
+            }
+            const previous = (await this.listBackups()).filter(backup => backup.reason === CLEAR_UNDO_REASON);
+            for (const backup of previous) {
+                await this._idb.deleteBackup(backup.id);
+            }
+            const snapshot = await this.createBackupSnapshot(CLEAR_UNDO_REASON);
+            await this._idb.putBackup(snapshot);
+            return snapshot.id;
+        }
+
+        /**
+         * Replace history, playlists, settings and stats with a stored snapshot.
+         * The current state is saved as a "pre-restore" backup first, so a restore
+         * can itself be undone from the backup list.
+         * @param {number} id - Backup id
+         * @param {Object} [options]
+         * @param {boolean} [options.safetyBackup=true] - Skip for undo, where the current state is the one being undone
+         * @returns {Promise<Object>} { restoredVideos, restoredPlaylists, safetyBackupId }
+         */
+        async restoreBackup(id, { safetyBackup = true } = {}) {
+            await this.ensureMigrated();
+            if (!this._isIndexedDBAvailable()) {
+                throw new Error('IndexedDB storage is not available. Please reload the extension.');
+            }
+
+            const backup = await this._idb.getBackup(id);
+            if (!backup || !backup.data) {
+                throw new Error('Backup not found');
+            }
+
+            let safety = null;
+            if (safetyBackup) {
+                const { backupRetention } = await this.getBackupSettings();
+                safety = await this.createBackupSnapshot('pre-restore');
+                await this._idb.putBackup(safety);
+                // Keep the backup being restored and the safety copy even when over the limit
+                const extra = (await this.listBackups())
+                    .filter(b => b.id !== id && b.id !== safety.id && b.reason !== CLEAR_UNDO_REASON)
+                    .slice(Math.max(0, backupRetention - 2));
+                for (const old of extra) {
+                    await this._idb.deleteBackup(old.id);
+                }
+            }
+
+            const { history = [], playlists = [], settings = null, stats = null } = backup.data;
+            await this.clearHistoryOnly();
+            for (let offset = 0; offset < history.length; offset += IMPORT_BATCH_SIZE) {
+                await this._idb.putVideos(history.slice(offset, offset + IMPORT_BATCH_SIZE));
+            }
+            await this._idb.putPlaylists(playlists);
+
+            if (settings) {
+                await this.setSettings(settings);
+            }
+            if (stats) {
+                await this.setStats(stats);
+            } else {
+                await this.rebuildStatsFromIndexedDB();
+            }
+
+            console.log(`[Storage] Restored backup ${id}: ${history.length} videos, ${playlists.length} playlists`);
+            return {
+                restoredVideos: history.length,
+                restoredPlaylists: playlists.length,
+                safetyBackupId: safety ? safety.id : null
+            };
+        }
+
+        // Clean up tombstones older than retention period (default 30 days)
+        // Hybrid: Cleans both IndexedDB and storage.local tombstones, and purges
+        // trash entries past the same retention window.
+        // Returns { tombstones, trash } - how many of each were removed
+        async cleanupTombstones(retentionMs = TRASH_RETENTION_MS) {
+            // Content scripts proxy to background
+            if (!this._isExtensionContext()) {
+                try {
+                    return await this._callBackground('cleanupTombstones', [retentionMs]);
+                } catch (error) {
+                    // Fallback: clean storage.local only
+                    const allData = await this._storage.get(null);
+                    const now = Date.now();
+                    const tombstoneKeys = Object.keys(allData).filter(key => key.startsWith('deleted_video_'));
+                    const oldTombstones = tombstoneKeys.filter(key => {
+                        const tomb = allData[key];
+                        return tomb && tomb.deletedAt && (now - tomb.deletedAt > retentionMs);
+                    });
+                    if (oldTombstones.length > 0) {
+                        await this._storage.remove(oldTombstones);
+                    }
+                    return { tombstones: oldTombstones.length, trash: 0 };
+                }
+            }
+
+            await this.ensureMigrated();
+            const removed = { tombstones: 0, trash: 0 };
+            
+            // Clean IndexedDB tombstones using deletedAt index
+            if (this._isIndexedDBAvailable()) {
+                try {
+                    removed.tombstones += (await this._idb.cleanupTombstones(retentionMs)) || 0;
+                    const expiredTrashIds = await this._getExpiredTrashIds(retentionMs);
+                    removed.trash += (await this._idb.cleanupTrash(retentionMs)) || 0;
+                    await this._deletePurgedVideoSessions(expiredTrashIds);
+                } catch (error) {
+                    console.warn('[Storage] IndexedDB cleanupTombstones failed:', error);
+                }
+            }
+            
+            // Clean legacy deleted_video_* keys from storage.local
+            const allData = await this._storage.get(null);
+            const now = Date.now();
+            const tombstoneKeys = Object.keys(allData).filter(key => key.startsWith('deleted_video_'));
+            const oldTombstones = tombstoneKeys.filter(key => {
+                const tomb = allData[key];
+                return tomb && tomb.deletedAt && (now - tomb.deletedAt > retentionMs);
+            });
+            if (oldTombstones.length > 0) {
+                await this._storage.remove(oldTombstones);
+            }
+            removed.tombstones += oldTombstones.length;
+            return removed;
+        }
+
+        // --- Maintenance report ---------------------------------------------
+
+        /**
+         * What the last background cleanup did, or null before the first run.
+         * @returns {Promise<Object|null>} { ranAt, durationMs, expired, retention: { removed, byPolicy },
+         *   tombstones, trash, statsDaysDropped, error }
+         */
+        async getCleanupReport() {
+            const result = await this._storage.get([CLEANUP_REPORT_KEY]);
+            return result[CLEANUP_REPORT_KEY] || null;
+        }
+
+        async setCleanupReport(report) {
+            await this._storage.set({ [CLEANUP_REPORT_KEY]: report });
         }
 
     }
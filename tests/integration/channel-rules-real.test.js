@@ -0,0 +1,101 @@
+/**
+ * Channel rules exercised through the real content script test hook.
+ */
+
+'use strict';
+
+const { mockWindowLocation } = require('../test-helpers');
+
+if (!global.window.__YTVHT_TEST__) {
+  global.window.__YTVHT_TEST__ = {};
+}
+
+global.ytStorage.setPlaylist = jest.fn().mockResolvedValue();
+global.ytStorage.updateStats = jest.fn().mockResolvedValue();
+global.ytStorage.matchChannelRule = jest.fn((rules, channelId) =>
+  rules[channelId] || Object.values(rules).find(rule => (rule.aliases || []).includes(channelId)) || null);
+
+require('../../src/content.js');
+
+const { loadSettings, saveTimestamp } = global.window.__YTVHT_TEST__.core;
+
+const PLAYLIST_ID = 'PL_TEST_PLAYLIST';
+const VIDEO_ID = 'channel-video-1';
+const DEFAULT_SETTINGS = {
+  autoCleanPeriod: 90,
+  paginationCount: 10,
+  overlayTitle: 'viewed',
+  overlayColor: 'blue',
+  overlayLabelSize: 'medium',
+  debug: false,
+  pauseHistoryInPlaylists: false,
+  version: '3.0.0',
+};
+
+function addWatchPage({ currentTime = 45, duration = 180 } = {}) {
+  document.body.innerHTML = `
+    <ytd-video-owner-renderer>
+      <ytd-channel-name><a href="/@rulechannel">Rule Channel</a></ytd-channel-name>
+    </ytd-video-owner-renderer>`;
+  const video = document.createElement('video');
+  Object.defineProperties(video, {
+    currentTime: { configurable: true, writable: true, value: currentTime },
+    duration: { configurable: true, value: duration },
+  });
+  document.body.appendChild(video);
+}
+
+async function useRules(channelRules, extraSettings = {}) {
+  global.ytStorage.getSettings.mockResolvedValue({ ...DEFAULT_SETTINGS, ...extraSettings, channelRules });
+  await loadSettings();
+}
+
+describe('channel rules (real content.js)', () => {
+  beforeEach(async () => {
+    mockWindowLocation(`https://www.youtube.com/watch?v=${VIDEO_ID}`);
+    global.ytStorage.getPlaylist.mockResolvedValue(null);
+    global.ytStorage.getVideo.mockResolvedValue(null);
+    global.ytStorage.setVideo.mockReset().mockResolvedValue();
+    await useRules({});
+  });
+
+  test('"never record" channels are not saved', async () => {
+    await useRules({ '@rulechannel': { mode: 'ignore' } });
+    addWatchPage();
+
+    await saveTimestamp();
+
+    expect(global.ytStorage.setVideo).not.toHaveBeenCalled();
+  });
+
+  test('"always record" channels are saved in paused playlists', async () => {
+    mockWindowLocation(`https://www.youtube.com/watch?v=${VIDEO_ID}&list=${PLAYLIST_ID}`);
+    await useRules({ '@rulechannel': { mode: 'track' } }, { pauseHistoryInPlaylists: true });
+    addWatchPage();
+
+    await saveTimestamp();
+
+    expect(global.ytStorage.setVideo).toHaveBeenCalledWith(
+      VIDEO_ID,
+      expect.objectContaining({ channelId: '@rulechannel', channelName: 'Rule Channel' })
+    );
+  });
+
+  test('a rule made on the UC channel page applies where the handle is shown', async () => {
+    await useRules({ UCabcdefghijklmnopqrstuv: { mode: 'ignore', aliases: ['@rulechannel'] } });
+    addWatchPage();
+
+    await saveTimestamp();
+
+    expect(global.ytStorage.setVideo).not.toHaveBeenCalled();
+  });
+
+  test('rules for other channels leave saving alone', async () => {
+    await useRules({ '@otherchannel': { mode: 'ignore' } });
+    addWatchPage();
+
+    await saveTimestamp();
+
+    expect(global.ytStorage.setVideo).toHaveBeenCalledWith(VIDEO_ID, expect.objectContaining({ time: 45 }));
+  });
+});
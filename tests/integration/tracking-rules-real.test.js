@@ -0,0 +1,67 @@
+/**
+ * Keyword/regex tracking rules in the real content script save path.
+ */
+
+'use strict';
+
+const { mockWindowLocation } = require('../test-helpers');
+
+if (!global.window.__YTVHT_TEST__) {
+  global.window.__YTVHT_TEST__ = {};
+}
+
+global.ytStorage.updateStats = jest.fn().mockResolvedValue();
+global.ytStorage.evaluateTrackingRules = jest.fn();
+
+require('../../src/content.js');
+
+const { loadSettings, saveTimestamp } = global.window.__YTVHT_TEST__.core;
+
+const VIDEO_ID = 'rule-video-1';
+const RULES = [{ id: 'r1', field: 'title', pattern: 'lofi', action: 'skip' }];
+
+function addVideo({ currentTime = 45, duration = 180 } = {}) {
+  const video = document.createElement('video');
+  Object.defineProperties(video, {
+    currentTime: { configurable: true, writable: true, value: currentTime },
+    duration: { configurable: true, value: duration },
+  });
+  document.body.appendChild(video);
+}
+
+describe('tracking rules (real content.js)', () => {
+  beforeEach(async () => {
+    document.body.innerHTML = '';
+    document.title = 'Lofi beats - YouTube';
+    mockWindowLocation(`https://www.youtube.com/watch?v=${VIDEO_ID}`);
+    global.ytStorage.getVideo.mockResolvedValue(null);
+    global.ytStorage.setVideo.mockReset().mockResolvedValue();
+    global.ytStorage.getSettings.mockResolvedValue({ overlayTitle: 'viewed', trackingRules: RULES });
+    await loadSettings();
+  });
+
+  test('a matching skip rule prevents the save', async () => {
+    global.ytStorage.evaluateTrackingRules.mockReturnValue({ skip: true, expiresAt: null, tags: [], matched: RULES });
+    addVideo();
+
+    await saveTimestamp();
+
+    expect(global.ytStorage.evaluateTrackingRules).toHaveBeenCalledWith(
+      expect.objectContaining({ videoId: VIDEO_ID, title: 'Lofi beats' }),
+      RULES
+    );
+    expect(global.ytStorage.setVideo).not.toHaveBeenCalled();
+  });
+
+  test('expiry and labels are written into the record', async () => {
+    global.ytStorage.evaluateTrackingRules.mockReturnValue({ skip: false, expiresAt: 5000, tags: ['Music'], matched: RULES });
+    addVideo();
+
+    await saveTimestamp();
+
+    expect(global.ytStorage.setVideo).toHaveBeenCalledWith(
+      VIDEO_ID,
+      expect.objectContaining({ expiresAt: 5000, tags: ['Music'] })
+    );
+  });
+});
@@ -0,0 +1,76 @@
+/**
+ * Viewing sessions written by the real content script save path.
+ */
+
+'use strict';
+
+const { mockWindowLocation } = require('../test-helpers');
+
+if (!global.window.__YTVHT_TEST__) {
+  global.window.__YTVHT_TEST__ = {};
+}
+
+global.ytStorage.updateStats = jest.fn().mockResolvedValue();
+global.ytStorage.recordSession = jest.fn().mockResolvedValue();
+
+require('../../src/content.js');
+
+const { loadSettings, saveTimestamp, startViewingSession, endViewingSession } = global.window.__YTVHT_TEST__.core;
+
+const VIDEO_ID = 'session-video-1';
+
+function addVideo({ currentTime = 45, duration = 180, playbackRate = 1 } = {}) {
+  const video = document.createElement('video');
+  Object.defineProperties(video, {
+    currentTime: { configurable: true, writable: true, value: currentTime },
+    duration: { configurable: true, value: duration },
+    playbackRate: { configurable: true, writable: true, value: playbackRate },
+  });
+  document.body.appendChild(video);
+  return video;
+}
+
+describe('viewing sessions (real content.js)', () => {
+  beforeEach(async () => {
+    document.body.innerHTML = '';
+    document.title = 'Session test - YouTube';
+    mockWindowLocation(`https://www.youtube.com/watch?v=${VIDEO_ID}`);
+    global.ytStorage.getVideo.mockResolvedValue(null);
+    global.ytStorage.setVideo.mockReset().mockResolvedValue();
+    global.ytStorage.recordSession.mockClear();
+    global.ytStorage.getSettings.mockResolvedValue({ overlayTitle: 'viewed' });
+    await loadSettings();
+  });
+
+  test('a session is stored with each save and closed where playback stopped', async () => {
+    const video = addVideo({ currentTime: 30, playbackRate: 1.5 });
+    startViewingSession(video);
+
+    video.currentTime = 45;
+    await saveTimestamp();
+
+    expect(global.ytStorage.recordSession).toHaveBeenCalledTimes(1);
+    const session = global.ytStorage.recordSession.mock.calls[0][0];
+    expect(session).toEqual(expect.objectContaining({
+      videoId: VIDEO_ID,
+      startPosition: 30,
+      endPosition: 45,
+      playbackRate: 1.5,
+      isShorts: false
+    }));
+    expect(session).not.toHaveProperty('saved');
+
+    endViewingSession();
+    expect(global.ytStorage.recordSession).toHaveBeenCalledTimes(2);
+    expect(global.ytStorage.recordSession.mock.calls[1][0].sessionId).toBe(session.sessionId);
+  });
+
+  test('sessions of videos that were never saved are not stored', async () => {
+    const video = addVideo();
+    startViewingSession(video);
+
+    endViewingSession();
+
+    expect(global.ytStorage.recordSession).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,143 @@
+/**
+ * Played intervals tracked by the real content script and the segmented
+ * thumbnail progress bar.
+ */
+
+'use strict';
+
+const { mockWindowLocation } = require('../test-helpers');
+
+if (!global.window.__YTVHT_TEST__) {
+  global.window.__YTVHT_TEST__ = {};
+}
+
+global.ytStorage.updateStats = jest.fn().mockResolvedValue();
+global.ytStorage.trackCompletion = jest.fn((previous, record, played) => ({ ...record, watchedSegments: played }));
+
+require('../../src/content.js');
+
+const { loadSettings, saveTimestamp, notePlayback, closePlayedSegment, renderProgressBar } = global.window.__YTVHT_TEST__.core;
+
+const VIDEO_ID = 'segments-video-1';
+
+function addVideo({ currentTime = 0, duration = 300 } = {}) {
+  const video = document.createElement('video');
+  Object.defineProperties(video, {
+    currentTime: { configurable: true, writable: true, value: currentTime },
+    duration: { configurable: true, value: duration },
+    playbackRate: { configurable: true, writable: true, value: 1 },
+  });
+  document.body.appendChild(video);
+  return video;
+}
+
+function playTo(video, ...positions) {
+  positions.forEach(position => {
+    video.currentTime = position;
+    notePlayback(video);
+  });
+}
+
+describe('watched segments (real content.js)', () => {
+  beforeEach(async () => {
+    document.body.innerHTML = '';
+    document.title = 'Segments test - YouTube';
+    mockWindowLocation(`https://www.youtube.com/watch?v=${VIDEO_ID}`);
+    global.ytStorage.getVideo.mockResolvedValue(null);
+    global.ytStorage.setVideo.mockReset().mockResolvedValue();
+    global.ytStorage.trackCompletion.mockClear();
+    global.ytStorage.getSettings.mockResolvedValue({ overlayTitle: 'viewed' });
+    await loadSettings();
+  });
+
+  test('skips and seeks split playback into separate intervals', async () => {
+    const video = addVideo();
+    playTo(video, 10, 11, 12, 13);
+    // A jump between two timeupdates was skipped, not played
+    playTo(video, 60, 61, 62);
+    closePlayedSegment();
+    playTo(video, 100, 101);
+
+    await saveTimestamp();
+
+    expect(global.ytStorage.trackCompletion.mock.calls[0][2]).toEqual([[10, 13], [60, 62], [100, 101]]);
+    expect(global.ytStorage.setVideo.mock.calls[0][1].watchedSegments).toEqual([[10, 13], [60, 62], [100, 101]]);
+
+    // The next save only gets what was played since
+    playTo(video, 102, 103);
+    await saveTimestamp();
+    expect(global.ytStorage.trackCompletion.mock.calls[1][2]).toEqual([[101, 103]]);
+  });
+
+  test('stats get the video seconds played and the real seconds they took', async () => {
+    global.ytStorage.getVideo.mockResolvedValue({ videoId: VIDEO_ID, time: 10, duration: 300, timestamp: 1 });
+    global.ytStorage.updateStats.mockClear();
+    const video = addVideo();
+    video.playbackRate = 2;
+    const now = jest.spyOn(Date, 'now');
+
+    // 2× speed: a timeupdate every 250 ms moves 0.5 s
+    [10, 10.5, 11, 11.5, 12, 12.5, 13, 13.5, 14].forEach((position, i) => {
+      now.mockReturnValue(1000 + i * 250);
+      playTo(video, position);
+    });
+    // A seek forward is not watch time
+    playTo(video, 200, 200.5);
+    video.currentTime = 200.5;
+    await saveTimestamp();
+    now.mockRestore();
+
+    expect(global.ytStorage.updateStats).toHaveBeenCalledTimes(1);
+    const [delta, , metadata] = global.ytStorage.updateStats.mock.calls[0];
+    expect(delta).toBe(4);
+    expect(metadata.wallSeconds).toBe(2);
+  });
+
+  test('playback while tracking is paused is not added by the save after resuming', async () => {
+    global.ytStorage.updateStats.mockClear();
+    global.ytStorage.getTrackingPause = jest.fn().mockResolvedValue({ paused: true });
+    const video = addVideo();
+    playTo(video, 10, 11, 12, 13, 14, 15);
+    await saveTimestamp();
+    expect(global.ytStorage.setVideo).not.toHaveBeenCalled();
+
+    global.ytStorage.getTrackingPause.mockResolvedValue({ paused: false });
+    playTo(video, 16, 17);
+    await saveTimestamp();
+    delete global.ytStorage.getTrackingPause;
+
+    expect(global.ytStorage.updateStats).toHaveBeenCalledTimes(1);
+    expect(global.ytStorage.updateStats.mock.calls[0][0]).toBe(2);
+  });
+
+  test('intervals played while tracking is paused are not saved after resuming', async () => {
+    global.ytStorage.getTrackingPause = jest.fn().mockResolvedValue({ paused: true });
+    const video = addVideo();
+    playTo(video, 10, 11, 12, 13);
+    await saveTimestamp();
+
+    global.ytStorage.getTrackingPause.mockResolvedValue({ paused: false });
+    playTo(video, 14, 15);
+    await saveTimestamp();
+    delete global.ytStorage.getTrackingPause;
+
+    expect(global.ytStorage.trackCompletion).toHaveBeenCalledTimes(1);
+    expect(global.ytStorage.trackCompletion.mock.calls[0][2]).toEqual([[13, 15]]);
+  });
+
+  test('the thumbnail bar draws played segments with gaps', () => {
+    const progress = document.createElement('div');
+    progress.className = 'ytvht-progress-bar';
+
+    renderProgressBar(progress, { time: 80, duration: 200, watchedSegments: [[0, 50], [100, 150]] });
+
+    expect(progress.classList.contains('ytvht-segmented')).toBe(true);
+    const parts = [...progress.querySelectorAll('.ytvht-progress-segment')];
+    expect(parts.map(part => [part.style.left, part.style.width])).toEqual([['0%', '25%'], ['50%', '25%']]);
+
+    renderProgressBar(progress, { time: 80, duration: 200 });
+    expect(progress.classList.contains('ytvht-segmented')).toBe(false);
+    expect(progress.children).toHaveLength(0);
+    expect(progress.style.width).toBe('40%');
+  });
+});
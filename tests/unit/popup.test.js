@@ -43,6 +43,15 @@ const mockYtStorage = {
   getAllVideos: jest.fn().mockResolvedValue({}),
   getAllPlaylists: jest.fn().mockResolvedValue({}),
   getStats: jest.fn().mockResolvedValue(null),
+  // Streams the getAllVideos() mock as a single chunk
+  forEachVideoChunk: jest.fn(async (onChunk) => {
+    const videos = Object.values(await mockYtStorage.getAllVideos() || {});
+    if (videos.length) {
+      await onChunk(videos, { processed: videos.length, total: videos.length });
+    }
+  }),
+  listBackups: jest.fn().mockResolvedValue([]),
+  getBackupState: jest.fn().mockResolvedValue({ lastBackupAt: 0, lastError: null, downloads: [] }),
   triggerSync: jest.fn()
 };
 
@@ -502,6 +511,173 @@ describe('Popup Functionality', () => {
     });
   });
 
+  describe('Undo toast', () => {
+    beforeEach(() => {
+      jest.useFakeTimers();
+      global.chrome.i18n = { getMessage: jest.fn(() => '') };
+      document.body.insertAdjacentHTML('beforeend', `
+        <div id="ytvhtUndoToast" class="undo-toast">
+          <span id="ytvhtUndoText"></span>
+          <button id="ytvhtUndoButton">Undo</button>
+        </div>
+      `);
+    });
+
+    afterEach(() => {
+      jest.useRealTimers();
+      document.getElementById('ytvhtUndoToast').remove();
+    });
+
+    test('runs the undo callback when Undo is clicked and hides the toast', async () => {
+      const undo = jest.fn().mockResolvedValue();
+
+      popup.showUndoToast('Video moved to trash', undo);
+      const toast = document.getElementById('ytvhtUndoToast');
+      expect(toast.classList.contains('visible')).toBe(true);
+      expect(document.getElementById('ytvhtUndoText').textContent).toBe('Video moved to trash');
+
+      await document.getElementById('ytvhtUndoButton').onclick();
+
+      expect(undo).toHaveBeenCalledTimes(1);
+      expect(toast.classList.contains('visible')).toBe(false);
+    });
+
+    test('expires after the timeout and only the latest action can be undone', async () => {
+      const first = jest.fn().mockResolvedValue();
+      const second = jest.fn().mockResolvedValue();
+
+      popup.showUndoToast('first', first);
+      popup.showUndoToast('second', second);
+      await document.getElementById('ytvhtUndoButton').onclick();
+      expect(first).not.toHaveBeenCalled();
+      expect(second).toHaveBeenCalledTimes(1);
+
+      const late = jest.fn();
+      popup.showUndoToast('late', late);
+      jest.advanceTimersByTime(10000);
+      expect(document.getElementById('ytvhtUndoToast').classList.contains('visible')).toBe(false);
+      await document.getElementById('ytvhtUndoButton').onclick();
+      expect(late).not.toHaveBeenCalled();
+    });
+
+    test('onExpire runs when the undo times out or is replaced, not when it is used', async () => {
+      const expired = jest.fn();
+      const used = jest.fn();
+
+      popup.showUndoToast('timed out', jest.fn(), () => expired('timed out'));
+      jest.advanceTimersByTime(10000);
+      popup.showUndoToast('replaced', jest.fn(), () => expired('replaced'));
+      popup.showUndoToast('used', jest.fn().mockResolvedValue(), used);
+      await document.getElementById('ytvhtUndoButton').onclick();
+      await Promise.resolve();
+
+      expect(expired.mock.calls).toEqual([['timed out'], ['replaced']]);
+      expect(used).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Activity chart ranges', () => {
+    const now = new Date(2025, 5, 15, 18);
+
+    test('day and week ranges end today', () => {
+      const week = popup.buildActivityBuckets('7d', null, now);
+      expect(week).toHaveLength(7);
+      expect(week[0]).toEqual(expect.objectContaining({ from: '2025-06-09', to: '2025-06-09' }));
+      expect(week[6].to).toBe('2025-06-15');
+
+      const quarter = popup.buildActivityBuckets('90d', null, now);
+      expect(quarter).toHaveLength(13);
+      expect(quarter[12]).toEqual(expect.objectContaining({ from: '2025-06-09', to: '2025-06-15' }));
+    });
+
+    test('year and all-time ranges are per month and carry the month key', () => {
+      const year = popup.buildActivityBuckets('1y', null, now);
+      expect(year).toHaveLength(12);
+      expect(year[0]).toEqual(expect.objectContaining({ from: '2024-07-01', to: '2024-07-31', month: '2024-07' }));
+      expect(year[11].month).toBe('2025-06');
+
+      const all = popup.buildActivityBuckets('all', new Date(2023, 10, 20), now);
+      expect(all[0].month).toBe('2023-11');
+      expect(all).toHaveLength(20);
+    });
+
+    test('heatmap shades are relative to the busiest day', () => {
+      expect(popup.heatmapLevel(0, 3600)).toBe(0);
+      expect(popup.heatmapLevel(60, 3600)).toBe(1);
+      expect(popup.heatmapLevel(2000, 3600)).toBe(3);
+      expect(popup.heatmapLevel(3600, 3600)).toBe(4);
+    });
+  });
+
+  describe('CSV / NDJSON export', () => {
+    const records = [
+      {
+        videoId: 'v1',
+        title: '=SUM(A1), "quoted"',
+        channelName: 'Chan',
+        time: 30,
+        duration: 120,
+        timestamp: Date.UTC(2025, 0, 2),
+        playlistId: 'PL1'
+      }
+    ];
+
+    test('buildCsvExport writes header, escapes cells and resolves playlist titles', () => {
+      const csv = popup.buildCsvExport(records, ['videoId', 'title', 'progress', 'timestamp', 'isShorts', 'playlist'], { PL1: 'Mix' });
+      const lines = csv.replace(/^\uFEFF/, '').trim().split('\r\n');
+
+      expect(lines[0]).toBe('videoId,title,progress,timestamp,isShorts,playlist');
+      expect(lines[1]).toBe(`v1,"'=SUM(A1), ""quoted""",25,2025-01-02T00:00:00.000Z,false,Mix`);
+    });
+
+    test('buildNdjsonExport writes one JSON object per line with selected fields only', () => {
+      const ndjson = popup.buildNdjsonExport(records, ['videoId', 'timestamp', 'playlist'], {});
+      const lines = ndjson.trim().split('\n');
+
+      expect(lines).toHaveLength(1);
+      expect(JSON.parse(lines[0])).toEqual({
+        videoId: 'v1',
+        timestamp: Date.UTC(2025, 0, 2),
+        playlist: 'PL1'
+      });
+    });
+
+    test('exportHistory applies the date range to CSV exports', async () => {
+      global.chrome.i18n = { getMessage: jest.fn(() => '') };
+      const inRange = new Date(2025, 5, 15, 12).getTime();
+      const outOfRange = new Date(2025, 4, 1, 12).getTime();
+      mockYtStorage.getAllVideos.mockResolvedValue({
+        a: { videoId: 'a', time: 1, timestamp: inRange },
+        b: { videoId: 'b', time: 1, timestamp: outOfRange }
+      });
+      mockYtStorage.getAllPlaylists.mockResolvedValue({});
+
+      const OriginalBlob = global.Blob;
+      let capturedParts = null;
+      global.Blob = function(parts, options) {
+        capturedParts = parts;
+        return new OriginalBlob(parts, options);
+      };
+      if (!global.URL.createObjectURL) {
+        global.URL.createObjectURL = () => 'blob:real';
+      }
+      if (!global.URL.revokeObjectURL) {
+        global.URL.revokeObjectURL = () => {};
+      }
+      const createObjectURLSpy = jest.spyOn(global.URL, 'createObjectURL').mockReturnValue('blob:mock');
+      const revokeObjectURLSpy = jest.spyOn(global.URL, 'revokeObjectURL').mockImplementation(() => {});
+
+      await popup.exportHistory({ format: 'csv', fields: ['videoId'], from: '2025-06-01', to: '2025-06-30' });
+
+      const rows = capturedParts.join('').replace(/^\uFEFF/, '').trim().split('\r\n');
+      expect(rows).toEqual(['videoId', 'a']);
+
+      createObjectURLSpy.mockRestore();
+      revokeObjectURLSpy.mockRestore();
+      global.Blob = OriginalBlob;
+    });
+  });
+
   describe('Import page opening', () => {
     beforeEach(() => {
       jest.clearAllMocks();
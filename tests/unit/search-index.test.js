@@ -0,0 +1,162 @@
+/**
+ * Unit tests for the full-text search helpers in src/indexeddb-storage.js
+ * (tokenizing, diacritic folding, prefix matching, query syntax and ranking).
+ *
+ * jsdom has no IndexedDB; the helpers are pure and exposed as ytSearchIndex.
+ */
+
+'use strict';
+
+require('../../src/indexeddb-storage.js');
+
+const {
+  normalizeSearchText,
+  tokenizeSearchText,
+  parseSearchQuery,
+  matchesSearch,
+  rankSearchResults,
+  recordSortValue,
+  sortRecords
+} = global.ytSearchIndex;
+
+describe('search index helpers', () => {
+  test('folds case in every script and diacritics only in Latin text', () => {
+    expect(normalizeSearchText('Café Größe')).toBe('cafe grosse');
+    expect(tokenizeSearchText('Йордан Йовков — „Старопланински легенди“')).toEqual(['йордан', 'йовков', 'старопланински', 'легенди']);
+    expect(tokenizeSearchText('Übung #3: Öl & Äpfel')).toEqual(['ubung', '3', 'ol', 'apfel']);
+    expect(tokenizeSearchText('नमस्ते दुनिया')).toEqual(['नमस्ते', 'दुनिया']);
+  });
+
+  test('й and и stay different letters', () => {
+    expect(matchesSearch({ title: 'Йордан Йовков' }, parseSearchQuery('йордан'))).toBe(true);
+    expect(matchesSearch({ title: 'Иордан' }, parseSearchQuery('йордан'))).toBe(false);
+  });
+
+  test('queries match token prefixes in the title, channel and playlist title', () => {
+    const record = { title: 'Schöne Grüße aus München', channelName: 'Bayern Reisen' };
+    expect(matchesSearch(record, parseSearchQuery('grusse munch'))).toBe(true);
+    expect(matchesSearch(record, parseSearchQuery('bayern schone'))).toBe(true);
+    expect(matchesSearch(record, parseSearchQuery('ussen'))).toBe(false);
+    expect(matchesSearch(record, parseSearchQuery('urlaub'))).toBe(false);
+    expect(matchesSearch(record, parseSearchQuery('urlaub'), 'Urlaub 2024')).toBe(true);
+  });
+
+  test('ranks whole title words above prefixes and channel matches', () => {
+    const terms = parseSearchQuery('jazz');
+    const records = [
+      { videoId: 'channel', title: 'Late night set', channelName: 'Jazz FM', timestamp: 4 },
+      { videoId: 'prefix', title: 'Jazzy beats', timestamp: 3 },
+      { videoId: 'older', title: 'Jazz piano', timestamp: 1 },
+      { videoId: 'newer', title: 'Jazz guitar', timestamp: 2 }
+    ];
+
+    expect(rankSearchResults(records, terms).map(r => r.videoId)).toEqual(['newer', 'older', 'prefix', 'channel']);
+  });
+
+  test('punctuation-only queries have no clauses', () => {
+    expect(parseSearchQuery(' -- !! ')).toEqual({ clauses: [] });
+  });
+});
+
+describe('search query syntax', () => {
+  const DAY = 24 * 60 * 60 * 1000;
+  const video = {
+    title: 'Lo-fi beats to study to',
+    channelName: 'Chill Hop Music',
+    isShorts: false,
+    time: 300,
+    duration: 600,
+    timestamp: new Date(2026, 8, 15, 12).getTime()
+  };
+  const matches = (query, record = video, playlistTitle = '') => matchesSearch(record, parseSearchQuery(query), playlistTitle);
+
+  test('field qualifiers, phrases and negation', () => {
+    expect(matches('channel:chill')).toBe(true);
+    expect(matches('channel:beats')).toBe(false);
+    expect(matches('channel:"hop music"')).toBe(true);
+    expect(matches('"beats to study"')).toBe(true);
+    expect(matches('"study beats"')).toBe(false);
+    expect(matches('beats -study')).toBe(false);
+    expect(matches('beats -channel:jazz')).toBe(true);
+    expect(matches('playlist:focus', video, 'Deep Focus')).toBe(true);
+    expect(matches('playlist:focus')).toBe(false);
+  });
+
+  test('is:, progress: and duration: filters', () => {
+    expect(matches('is:video is:unfinished')).toBe(true);
+    expect(matches('is:shorts')).toBe(false);
+    expect(matches('is:completed')).toBe(false);
+    expect(matches('is:completed', { ...video, time: 590 })).toBe(true);
+    expect(matches('progress:>40 progress:<60')).toBe(true);
+    expect(matches('progress:>50')).toBe(false);
+    expect(matches('progress:50')).toBe(true);
+    expect(matches('duration:<10m')).toBe(false);
+    expect(matches('duration:<=10m duration:>9m30s')).toBe(true);
+    expect(matches('duration:>1h')).toBe(false);
+  });
+
+  test('watched:, before: and after: take a year, month or day in local time', () => {
+    expect(matches('watched:2026-09')).toBe(true);
+    expect(matches('watched:2026-09-15')).toBe(true);
+    expect(matches('watched:2026-09-16')).toBe(false);
+    expect(matches('watched:2025')).toBe(false);
+    expect(matches('after:2026-09 before:2026-10')).toBe(true);
+    expect(matches('before:2026-09-15')).toBe(false);
+    expect(matches('-watched:2026', { ...video, timestamp: video.timestamp - 365 * DAY })).toBe(true);
+  });
+
+  test('unknown qualifiers and invalid values are searched as words', () => {
+    expect(parseSearchQuery('foo:bar').clauses).toEqual([{ kind: 'text', negate: false, terms: ['foo', 'bar'] }]);
+    expect(parseSearchQuery('is:maybe').clauses).toEqual([{ kind: 'text', negate: false, terms: ['is', 'maybe'] }]);
+    expect(parseSearchQuery('duration:<soon').clauses[0].kind).toBe('text');
+  });
+
+  test('the playlist title only counts on the Playlists tab for words and dates', () => {
+    const { playlistSearchQuery } = global.ytSearchIndex;
+    const query = playlistSearchQuery(parseSearchQuery('playlist:focus is:shorts after:2026'));
+    expect(query.clauses.map(clause => clause.kind)).toEqual(['text', 'time']);
+  });
+});
+
+describe('sort keys', () => {
+  test('derived values match what the sort indexes store', () => {
+    const record = { title: 'Ölwechsel', channelName: 'Garage TV', time: 30, duration: 120, timestamp: 9 };
+    expect(recordSortValue(record, 'title')).toBe('ölwechsel');
+    expect(recordSortValue(record, 'channel')).toBe('garage tv');
+    expect(recordSortValue(record, 'progress')).toBe(0.25);
+    expect(recordSortValue(record, 'remaining')).toBe(90);
+    expect(recordSortValue(record, 'firstWatched')).toBe(9);
+    expect(recordSortValue({ time: 50 }, 'progress')).toBe(0);
+    expect(recordSortValue({ time: 50 }, 'remaining')).toBe(0);
+  });
+
+  test('ties are broken by id in the sort direction, like an index cursor', () => {
+    const records = [
+      { videoId: 'b', duration: 60 },
+      { videoId: 'c', duration: 300 },
+      { videoId: 'a', duration: 60 }
+    ];
+    expect(sortRecords(records, 'duration', 'asc').map(r => r.videoId)).toEqual(['a', 'b', 'c']);
+    expect(sortRecords(records, 'duration', 'desc').map(r => r.videoId)).toEqual(['c', 'b', 'a']);
+  });
+});
+
+describe('written records', () => {
+  test('index fields are derived on a copy, not on the caller\'s record', async () => {
+    const storage = global.ytIndexedDBStorage;
+    const stored = [];
+    const withStore = jest.spyOn(storage, '_withStore').mockImplementation(async (name, mode, fn) =>
+      fn({ put: record => { stored.push(record); return {}; } }));
+    const video = { videoId: 'v1', title: 'Café', channelName: 'Garage TV', time: 30, duration: 120 };
+    const playlist = { playlistId: 'PL1', title: 'Mix' };
+
+    await storage.putVideos([video]);
+    await storage.putPlaylists([playlist]);
+    withStore.mockRestore();
+
+    expect(video).toEqual({ videoId: 'v1', title: 'Café', channelName: 'Garage TV', time: 30, duration: 120 });
+    expect(playlist).toEqual({ playlistId: 'PL1', title: 'Mix' });
+    expect(stored[0]).toEqual(expect.objectContaining({ videoId: 'v1', searchTokens: ['cafe', 'garage', 'tv'], progressRatio: 0.25 }));
+    expect(stored[1]).toEqual(expect.objectContaining({ playlistId: 'PL1', titleLower: 'mix' }));
+  });
+});
@@ -264,7 +264,7 @@ describe('SimpleStorage / ytStorage (hybrid storage)', () => {
           timestamp: now - (2 * dayMs)
         },
         vOld: {
-          // 8 days ago – should be pruned from daily
+          // 8 days ago – still kept in daily
           videoId: 'vOld',
           title: 'Old',
           time: 90,
@@ -297,7 +297,7 @@ describe('SimpleStorage / ytStorage (hybrid storage)', () => {
       getAllVideosSpy.mockRestore();
     });
 
-    test('hybrid rebuild prunes daily stats to at most 7 local-day keys', async () => {
+    test('hybrid rebuild keeps daily stats beyond the last week', async () => {
       delete fakeLocalData.stats;
 
       const videosById = buildHybridVideos();
@@ -308,7 +308,8 @@ describe('SimpleStorage / ytStorage (hybrid storage)', () => {
       const stats = await ytStorage.getStats();
 
       const keys = Object.keys(stats.daily);
-      expect(keys.length).toBeLessThanOrEqual(7);
+      expect(keys).toHaveLength(3);
+      expect(stats.monthly).toEqual({});
       // Keys should be in YYYY-MM-DD format (local-day formatting details are owned by storage.js)
       keys.forEach(key => {
         expect(key).toMatch(/^\d{4}-\d{2}-\d{2}$/);
@@ -349,6 +350,1174 @@ describe('SimpleStorage / ytStorage (hybrid storage)', () => {
         .toBeGreaterThanOrEqual(initial.counters.totalDurationSeconds);
       expect(updated.counters.completed).toBeGreaterThanOrEqual(initial.counters.completed);
     });
+
+    test('updateStats keeps real time spent next to the video time played', async () => {
+      fakeLocalData.stats = { totalWatchSeconds: 500, stats_synced: true };
+
+      await ytStorage.updateStats(120, Date.now(), { wallSeconds: 60 });
+      await ytStorage.updateStats(30, Date.now());
+      const stats = await ytStorage.getStats();
+
+      expect(stats.totalWatchSeconds).toBe(650);
+      expect(stats.totalWallSeconds).toBe(60);
+      expect(stats.timedWatchSeconds).toBe(120);
+    });
+  });
+
+  describe('importRecords (merge mode)', () => {
+    test('seen-without-progress records do not overwrite tracked progress', async () => {
+      const now = Date.now();
+      global.ytIndexedDBStorage.putVideos = jest.fn().mockResolvedValue();
+      global.ytIndexedDBStorage.putPlaylists = jest.fn().mockResolvedValue();
+      global.ytIndexedDBStorage.getVideosByIds = jest.fn().mockResolvedValue([]);
+      jest.spyOn(ytStorage, 'rebuildStatsFromIndexedDB').mockResolvedValue();
+
+      fakeLocalData['video_tracked'] = { videoId: 'tracked', time: 300, duration: 600, timestamp: now - 5000 };
+
+      const result = await ytStorage.importRecords([
+        { videoId: 'tracked', time: 0, duration: 0, timestamp: now, seenWithoutProgress: true },
+        { videoId: 'fresh', time: 0, duration: 0, timestamp: now, seenWithoutProgress: true }
+      ], [], true);
+
+      expect(result.importedVideos).toBe(1);
+      const written = global.ytIndexedDBStorage.putVideos.mock.calls.flatMap(([videos]) => videos);
+      expect(written.find(v => v.videoId === 'tracked')).toBeUndefined();
+      expect(written.find(v => v.videoId === 'fresh').seenWithoutProgress).toBe(true);
+      expect(fakeLocalData['video_tracked'].time).toBe(300);
+    });
+  });
+
+  describe('importRecords merge strategies', () => {
+    const stored = {
+      videoId: 'abc', title: 'Real Title', channelName: 'Real Channel',
+      time: 600, duration: 1200, timestamp: 1000
+    };
+    const incoming = {
+      videoId: 'abc', title: 'Unknown Title', channelName: 'Unknown Channel',
+      time: 60, duration: 1200, timestamp: 2000
+    };
+
+    beforeEach(() => {
+      global.ytIndexedDBStorage.putVideos = jest.fn().mockResolvedValue();
+      global.ytIndexedDBStorage.putPlaylists = jest.fn().mockResolvedValue();
+      global.ytIndexedDBStorage.getVideosByIds = jest.fn().mockResolvedValue([{ ...stored }]);
+      jest.spyOn(ytStorage, 'rebuildStatsFromIndexedDB').mockResolvedValue();
+    });
+
+    const importWith = async (mergeStrategy) => {
+      await ytStorage.importRecords([{ ...incoming }], [], true, { mergeStrategy });
+      return global.ytIndexedDBStorage.putVideos.mock.calls.flatMap(([videos]) => videos)[0];
+    };
+
+    test('newer (default) replaces the whole record', async () => {
+      const written = await importWith('newer');
+      expect(written).toEqual(incoming);
+    });
+
+    test('maxProgress keeps the larger watched time', async () => {
+      const written = await importWith('maxProgress');
+      expect(written.time).toBe(600);
+      expect(written.timestamp).toBe(2000);
+    });
+
+    test('fields keeps real metadata over placeholders', async () => {
+      const written = await importWith('fields');
+      expect(written.title).toBe('Real Title');
+      expect(written.channelName).toBe('Real Channel');
+      expect(written.time).toBe(60);
+    });
+
+    test('local never touches stored videos; incoming always wins', async () => {
+      expect(await importWith('local')).toBeUndefined();
+
+      global.ytIndexedDBStorage.getVideosByIds.mockResolvedValue([{ ...stored, timestamp: 5000 }]);
+      global.ytIndexedDBStorage.putVideos.mockClear();
+      expect(await importWith('incoming')).toEqual(incoming);
+    });
+
+    test('incoming does not let a seen-without-progress entry replace tracked progress', async () => {
+      global.ytIndexedDBStorage.putVideos.mockClear();
+      await ytStorage.importRecords([{ ...incoming, time: 0, seenWithoutProgress: true }], [], true, { mergeStrategy: 'incoming' });
+
+      const written = global.ytIndexedDBStorage.putVideos.mock.calls.flatMap(([videos]) => videos);
+      expect(written).toEqual([]);
+    });
+
+    test('rejects unknown strategies', async () => {
+      await expect(ytStorage.importRecords([{ ...incoming }], [], true, { mergeStrategy: 'bogus' }))
+        .rejects.toThrow('Unknown merge strategy');
+    });
+  });
+
+  describe('previewImport (dry run)', () => {
+    beforeEach(() => {
+      global.ytIndexedDBStorage.putVideos = jest.fn().mockResolvedValue();
+      global.ytIndexedDBStorage.countVideos = jest.fn().mockResolvedValue(3);
+      global.ytIndexedDBStorage.getVideosByIds = jest.fn(async (ids) => ids.map(id => (
+        id === 'older' ? { videoId: 'older', time: 5, timestamp: 1000 } :
+        id === 'newer' ? { videoId: 'newer', time: 5, timestamp: 9000 } :
+        null
+      )));
+    });
+
+    const records = [
+      { videoId: 'fresh', time: 1, timestamp: 5000 },
+      { videoId: 'older', time: 1, timestamp: 5000 },
+      { videoId: 'newer', time: 1, timestamp: 5000 },
+      { videoId: 'bad', timestamp: 5000 },
+      { title: 'no id', time: 1, timestamp: 5000 }
+    ];
+
+    test('classifies records in merge mode without writing anything', async () => {
+      const report = await ytStorage.previewImport(records, [], true);
+
+      expect(report).toEqual(expect.objectContaining({
+        total: 5,
+        newVideos: 1,
+        updatedVideos: 1,
+        skippedOlder: 1,
+        overwriteNewer: 0,
+        invalid: 2,
+        matchedVideos: 2,
+        existingVideos: 3
+      }));
+      expect(report.invalidReasons).toEqual({
+        'missing or non-numeric time': 1,
+        'missing videoId': 1
+      });
+      expect(report.matchedIds.sort()).toEqual(['newer', 'older']);
+      expect(global.ytIndexedDBStorage.putVideos).not.toHaveBeenCalled();
+      expect(global.chrome.storage.local.set).not.toHaveBeenCalled();
+    });
+
+    test('reports newer stored copies that replace mode would overwrite', async () => {
+      fakeLocalData['video_localOnly'] = { videoId: 'localOnly', time: 3, timestamp: 100 };
+
+      const report = await ytStorage.previewImport(records, [], false);
+
+      expect(report.overwriteNewer).toBe(1);
+      expect(report.skippedOlder).toBe(0);
+      // 3 in IndexedDB + 1 only in storage.local
+      expect(report.existingVideos).toBe(4);
+    });
+  });
+
+  describe('batched import (progress + resume)', () => {
+    beforeEach(() => {
+      global.ytIndexedDBStorage.putVideos = jest.fn().mockResolvedValue();
+      global.ytIndexedDBStorage.putPlaylists = jest.fn().mockResolvedValue();
+      global.ytIndexedDBStorage.getVideosByIds = jest.fn().mockResolvedValue([]);
+      jest.spyOn(ytStorage, 'rebuildStatsFromIndexedDB').mockResolvedValue();
+    });
+
+    const makeVideos = (count) => Array.from({ length: count }, (_, i) => ({
+      videoId: `v${i}`, time: 10, duration: 100, timestamp: 1000 + i
+    }));
+
+    test('writes one transaction per batch and reports progress', async () => {
+      const progress = [];
+
+      const result = await ytStorage.importRecords(makeVideos(5), [], true, {
+        batchSize: 2,
+        onProgress: (p) => progress.push(p)
+      });
+
+      expect(result.importedVideos).toBe(5);
+      expect(global.ytIndexedDBStorage.putVideos).toHaveBeenCalledTimes(4); // playlists-only call + 3 video batches
+      expect(progress.map(p => p.processed)).toEqual([2, 4, 5]);
+      expect(await ytStorage.getImportProgress()).toBeNull();
+    });
+
+    test('resumes an interrupted import with the same importId', async () => {
+      fakeLocalData.importProgress = {
+        importId: 'file-1', total: 5, processed: 4, mergeMode: true, startedAt: 1, updatedAt: 1
+      };
+      const clearSpy = jest.spyOn(ytStorage, 'clearHistoryOnly');
+
+      const result = await ytStorage.importRecords(makeVideos(5), [], true, { importId: 'file-1', batchSize: 2 });
+
+      expect(result.resumedFrom).toBe(4);
+      expect(result.importedVideos).toBe(1);
+      expect(clearSpy).not.toHaveBeenCalled();
+      const written = global.ytIndexedDBStorage.putVideos.mock.calls.flatMap(([videos]) => videos);
+      expect(written.map(v => v.videoId)).toEqual(['v4']);
+    });
+
+    test('content scripts send each batch as its own background call', async () => {
+      ytStorage._isExtensionContext.mockReturnValue(false);
+      const rpc = jest.spyOn(ytStorage, '_callBackground').mockImplementation(async (method, args) => {
+        if (method === 'beginImport') return { importId: 'file-1', resumeFrom: 0, total: 5 };
+        if (method === 'importRecordsBatch') {
+          const [, offset, batch, playlists] = args;
+          return { importedVideos: batch.length, importedPlaylists: playlists.length, processed: offset + batch.length, total: 5 };
+        }
+        return undefined;
+      });
+      const progress = [];
+
+      const result = await ytStorage.importRecords(makeVideos(5), [], true, {
+        importId: 'file-1',
+        batchSize: 2,
+        onProgress: (p) => progress.push(p)
+      });
+
+      expect(rpc.mock.calls.map(([method]) => method)).toEqual([
+        'beginImport', 'importRecordsBatch', 'importRecordsBatch', 'importRecordsBatch', 'importRecordsBatch', 'finishImport'
+      ]);
+      expect(progress.map(p => p.processed)).toEqual([2, 4, 5]);
+      expect(result.importedVideos).toBe(5);
+    });
+  });
+
+  describe('forEachVideoChunk', () => {
+    test('walks the merged history newest first', async () => {
+      const archived = [
+        { videoId: 'a', time: 1, timestamp: 900 },
+        { videoId: 'b', time: 1, timestamp: 700 },
+        { videoId: 'c', time: 1, timestamp: 500 },
+        { videoId: 'd', time: 1, timestamp: 300 }
+      ];
+      Object.assign(global.ytIndexedDBStorage, {
+        countVideos: jest.fn().mockResolvedValue(archived.length + 1),
+        getVideosChunkByTimestamp: jest.fn(async (after, limit) => {
+          const start = after ? archived.findIndex(v => v.videoId === after.videoId) + 1 : 0;
+          const records = archived.slice(start, start + limit);
+          const last = records[records.length - 1];
+          return { records, next: start + limit < archived.length ? { timestamp: last.timestamp, videoId: last.videoId } : null };
+        }),
+        getVideosChunk: jest.fn().mockResolvedValue({
+          records: [...archived, { videoId: 'undated', time: 1 }],
+          nextKey: null
+        })
+      });
+      // Newer local copy of an archived video, and local-only videos
+      fakeLocalData['video_c'] = { videoId: 'c', time: 2, timestamp: 800 };
+      fakeLocalData['video_new'] = { videoId: 'new', time: 1, timestamp: 1000 };
+      fakeLocalData['video_mid'] = { videoId: 'mid', time: 1, timestamp: 400 };
+
+      const chunks = [];
+      await ytStorage.forEachVideoChunk(async (chunk) => { chunks.push(chunk.map(v => v.videoId)); }, 2);
+
+      expect(chunks.flat()).toEqual(['new', 'a', 'c', 'b', 'mid', 'd', 'undated']);
+      expect(chunks[0]).toEqual(['new', 'a', 'c', 'b']);
+    });
+  });
+
+  describe('trash bin', () => {
+    let trashStore;
+
+    beforeEach(() => {
+      trashStore = {};
+      Object.assign(global.ytIndexedDBStorage, {
+        putVideos: jest.fn().mockResolvedValue(),
+        putPlaylists: jest.fn().mockResolvedValue(),
+        getVideosByIds: jest.fn().mockResolvedValue([]),
+        deletePlaylist: jest.fn().mockResolvedValue(),
+        deleteDeletion: jest.fn().mockResolvedValue(),
+        cleanupTrash: jest.fn().mockResolvedValue(),
+        putTrashEntry: jest.fn(async (entry) => { trashStore[entry.trashId] = entry; }),
+        getAllTrash: jest.fn(async () => Object.values(trashStore).sort((a, b) => b.deletedAt - a.deletedAt)),
+        getTrashEntries: jest.fn(async (ids) => ids.map(id => trashStore[id] || null)),
+        deleteTrashEntries: jest.fn(async (ids) => ids.forEach(id => { delete trashStore[id]; }))
+      });
+    });
+
+    test('removeVideo keeps a full copy of the record in the trash', async () => {
+      const record = { videoId: 'gone', title: 'Gone', time: 30, timestamp: 1000 };
+      fakeLocalData['video_gone'] = record;
+
+      await ytStorage.removeVideo('gone');
+
+      const trash = await ytStorage.getTrash();
+      expect(trash).toHaveLength(1);
+      expect(trash[0]).toEqual(expect.objectContaining({
+        trashId: 'video:gone', type: 'video', id: 'gone', record
+      }));
+      expect(trash[0].deletedAt).toEqual(expect.any(Number));
+    });
+
+    test('removePlaylist moves the playlist to the trash', async () => {
+      fakeLocalData['playlist_PL1'] = { playlistId: 'PL1', title: 'List', timestamp: 1 };
+
+      await ytStorage.removePlaylist('PL1');
+
+      expect(trashStore['playlist:PL1'].record.title).toBe('List');
+    });
+
+    test('restoreFromTrash writes records back and clears their tombstones', async () => {
+      fakeLocalData['video_gone'] = { videoId: 'gone', time: 30, timestamp: 1000 };
+      await ytStorage.removeVideo('gone');
+      expect(fakeLocalData['deleted_video_gone']).toBeDefined();
+
+      const result = await ytStorage.restoreFromTrash(['video:gone']);
+
+      expect(result).toEqual({ restoredVideos: 1, restoredPlaylists: 0 });
+      expect(global.ytIndexedDBStorage.putVideos).toHaveBeenCalledWith([
+        expect.objectContaining({ videoId: 'gone', time: 30 })
+      ]);
+      expect(global.ytIndexedDBStorage.deleteDeletion).toHaveBeenCalledWith('gone');
+      expect(fakeLocalData['deleted_video_gone']).toBeUndefined();
+      expect(trashStore['video:gone']).toBeUndefined();
+    });
+
+    test('restoreFromTrash does not overwrite a newer record watched after the delete', async () => {
+      trashStore['video:v1'] = {
+        trashId: 'video:v1', type: 'video', id: 'v1', deletedAt: 1,
+        record: { videoId: 'v1', time: 10, timestamp: 1000 }
+      };
+      fakeLocalData['video_v1'] = { videoId: 'v1', time: 99, timestamp: 5000 };
+
+      const result = await ytStorage.restoreFromTrash(['video:v1']);
+
+      expect(result.restoredVideos).toBe(0);
+      expect(fakeLocalData['video_v1'].time).toBe(99);
+      expect(trashStore['video:v1']).toBeUndefined();
+    });
+
+    test('cleanupTombstones also purges expired trash entries', async () => {
+      await ytStorage.cleanupTombstones(1000);
+      expect(global.ytIndexedDBStorage.cleanupTrash).toHaveBeenCalledWith(1000);
+    });
+  });
+
+  describe('bulk actions', () => {
+    let trashStore;
+
+    beforeEach(() => {
+      trashStore = {};
+      Object.assign(global.ytIndexedDBStorage, {
+        putVideos: jest.fn().mockResolvedValue(),
+        getVideosByIds: jest.fn(async (ids) => ids.map(id => (id === 'idb1'
+          ? { videoId: 'idb1', title: 'Archived', time: 5, duration: 200, timestamp: 500 }
+          : null))),
+        deleteVideos: jest.fn().mockResolvedValue(),
+        deletePlaylists: jest.fn().mockResolvedValue(),
+        getPlaylistsByIds: jest.fn(async (ids) => ids.map(() => null)),
+        putTrashEntries: jest.fn(async (entries) => entries.forEach(e => { trashStore[e.trashId] = e; })),
+        queryVideos: jest.fn().mockResolvedValue({ records: [] })
+      });
+    });
+
+    test('storage.local records are searched and ranked like the IndexedDB index', async () => {
+      const mock = global.ytIndexedDBStorage;
+      require('../../src/indexeddb-storage.js');
+      global.ytIndexedDBStorage = mock;
+      mock.getPlaylistsByIds.mockImplementation(async (ids) => ids.map(id => (id === 'PLtrip'
+        ? { playlistId: 'PLtrip', title: 'Wanderung im Allgäu' }
+        : null)));
+      fakeLocalData['video_chan'] = { title: 'Live set', channelName: 'Alpen Musik', timestamp: 3 };
+      fakeLocalData['video_title'] = { title: 'Musikantenstadl in Köln', timestamp: 1 };
+      fakeLocalData['video_trip'] = { title: 'Day 2', playlistId: 'PLtrip', timestamp: 2 };
+      fakeLocalData['video_other'] = { title: 'Cooking', timestamp: 4 };
+
+      const byTitle = await ytStorage.getVideosPage({ searchQuery: 'musik' });
+      expect(byTitle.records.map(r => r.videoId)).toEqual(['title', 'chan']);
+
+      const byPlaylist = await ytStorage.getVideosPage({ searchQuery: 'allgau' });
+      expect(byPlaylist.records.map(r => r.videoId)).toEqual(['trip']);
+
+      const qualified = await ytStorage.getVideosPage({ searchQuery: 'musik -channel:alpen' });
+      expect(qualified.records.map(r => r.videoId)).toEqual(['title']);
+      delete global.ytSearchIndex;
+    });
+
+    test('removeVideos trashes and deletes the whole batch in single calls', async () => {
+      fakeLocalData['video_loc1'] = { videoId: 'loc1', time: 10, timestamp: 1000 };
+
+      const result = await ytStorage.removeVideos(['loc1', 'idb1', 'loc1']);
+
+      expect(result).toEqual({ removed: 2 });
+      expect(global.ytIndexedDBStorage.putTrashEntries).toHaveBeenCalledTimes(1);
+      expect(Object.keys(trashStore).sort()).toEqual(['video:idb1', 'video:loc1']);
+      expect(global.ytIndexedDBStorage.deleteVideos).toHaveBeenCalledWith(['loc1', 'idb1'], { createTombstone: true });
+      expect(global.ytIndexedDBStorage.deleteVideo).not.toHaveBeenCalled();
+      expect(fakeLocalData['video_loc1']).toBeUndefined();
+      expect(fakeLocalData['deleted_video_loc1']).toBeDefined();
+      expect(fakeLocalData['deleted_video_idb1']).toBeDefined();
+    });
+
+    test('removePlaylists prefers the storage.local copy for the trash', async () => {
+      fakeLocalData['playlist_PL1'] = { playlistId: 'PL1', title: 'Local list', timestamp: 1 };
+
+      const result = await ytStorage.removePlaylists(['PL1']);
+
+      expect(result).toEqual({ removed: 1 });
+      expect(trashStore['playlist:PL1'].record.title).toBe('Local list');
+      expect(global.ytIndexedDBStorage.deletePlaylists).toHaveBeenCalledWith(['PL1']);
+      expect(fakeLocalData['playlist_PL1']).toBeUndefined();
+    });
+
+    test('markVideosWatched sets time to duration and skips videos without one', async () => {
+      fakeLocalData['video_loc1'] = { videoId: 'loc1', time: 10, timestamp: 1000 };
+
+      const result = await ytStorage.markVideosWatched(['idb1', 'loc1', 'missing']);
+
+      expect(result).toEqual({ updated: 1, skipped: 1 });
+      expect(global.ytIndexedDBStorage.putVideos).toHaveBeenCalledWith([
+        expect.objectContaining({ videoId: 'idb1', time: 200 })
+      ]);
+      expect(fakeLocalData['video_loc1'].time).toBe(10);
+    });
+
+    test('resetVideosProgress rewrites local records into IndexedDB with time 0', async () => {
+      fakeLocalData['video_loc1'] = { videoId: 'loc1', time: 10, timestamp: 1000 };
+
+      const result = await ytStorage.resetVideosProgress(['loc1', 'idb1']);
+
+      expect(result).toEqual({ updated: 2, skipped: 0 });
+      const written = global.ytIndexedDBStorage.putVideos.mock.calls[0][0];
+      expect(written.map(v => v.time)).toEqual([0, 0]);
+      expect(fakeLocalData['video_loc1']).toBeUndefined();
+    });
+
+    test('markVideoWatched adds an untracked video from thumbnail details and counts it without watch time', async () => {
+      fakeLocalData['stats'] = { stats_synced: true, totalWatchSeconds: 0, counters: { videos: 0, shorts: 0, totalDurationSeconds: 0, completed: 0 } };
+
+      const saved = await ytStorage.markVideoWatched('new1', { title: 'Seen elsewhere', duration: 300 });
+
+      expect(saved).toEqual(expect.objectContaining({ videoId: 'new1', title: 'Seen elsewhere', time: 300, duration: 300 }));
+      expect(global.ytIndexedDBStorage.putVideos).toHaveBeenCalledWith([saved]);
+      const stats = fakeLocalData['stats'];
+      expect(stats.totalWatchSeconds).toBe(0);
+      expect(stats.counters).toEqual(expect.objectContaining({ videos: 1, totalDurationSeconds: 300, completed: 1 }));
+    });
+
+    test('marking or resetting a seen-without-progress video makes it a tracked one', async () => {
+      global.ytIndexedDBStorage.getVideosByIds.mockResolvedValue([
+        { videoId: 'seen1', time: 0, duration: 200, timestamp: 500, seenWithoutProgress: true }
+      ]);
+
+      expect((await ytStorage.markVideoWatched('seen1')).seenWithoutProgress).toBe(false);
+      expect((await ytStorage.resetVideoProgress('seen1')).seenWithoutProgress).toBe(false);
+    });
+
+    test('markVideoWatched returns null when no duration is known', async () => {
+      expect(await ytStorage.markVideoWatched('new2', { title: 'Live stream' })).toBeNull();
+      expect(global.ytIndexedDBStorage.putVideos).not.toHaveBeenCalled();
+    });
+
+    test('resetVideoProgress takes a completed video out of the completed counter', async () => {
+      fakeLocalData['stats'] = { stats_synced: true, totalWatchSeconds: 500, counters: { videos: 1, shorts: 0, totalDurationSeconds: 200, completed: 1 } };
+
+      global.ytIndexedDBStorage.getVideosByIds.mockResolvedValueOnce([
+        { videoId: 'idb1', time: 195, duration: 200, timestamp: 500 }
+      ]);
+
+      const saved = await ytStorage.resetVideoProgress('idb1');
+
+      expect(saved.time).toBe(0);
+      const stats = fakeLocalData['stats'];
+      expect(stats.counters.completed).toBe(0);
+      expect(stats.counters.videos).toBe(1);
+      expect(stats.totalWatchSeconds).toBe(500);
+    });
+
+    test('getMatchingRecordIds returns matches from every page', async () => {
+      for (let i = 0; i < 25; i++) {
+        fakeLocalData[`video_m${i}`] = { title: `Match ${i}`, time: 1, timestamp: i };
+      }
+      fakeLocalData['video_other'] = { title: 'Something else', time: 1, timestamp: 100 };
+
+      const ids = await ytStorage.getMatchingRecordIds({ type: 'videos', searchQuery: 'match' });
+
+      expect(ids).toHaveLength(25);
+      expect(ids).not.toContain('other');
+    });
+
+    test('sorted pages read only the rows in front of the page from IndexedDB', async () => {
+      const mock = global.ytIndexedDBStorage;
+      require('../../src/indexeddb-storage.js');
+      global.ytIndexedDBStorage = mock;
+      mock.queryVideos.mockResolvedValue({
+        records: [
+          { videoId: 'idb2', title: 'Cooking', duration: 100, timestamp: 400 },
+          { videoId: 'idb3', title: 'Drums', duration: 90, timestamp: 300 }
+        ],
+        pagination: { totalRecords: 7 }
+      });
+      fakeLocalData['video_loc1'] = { title: 'Baking', time: 10, duration: 50, timestamp: 1000 };
+      // The IndexedDB copy of idb1 is newer than the one left in storage.local
+      fakeLocalData['video_idb1'] = { title: 'Old title', timestamp: 100 };
+
+      const result = await ytStorage.getVideosPage({ page: 1, pageSize: 2, sortBy: 'title', sortOrder: 'asc' });
+
+      expect(mock.queryVideos).toHaveBeenCalledWith(expect.objectContaining({
+        page: 1,
+        pageSize: 2,
+        sortBy: 'title',
+        sortOrder: 'asc',
+        excludeIds: ['loc1', 'idb1']
+      }));
+      expect(result.records.map(r => r.title)).toEqual(['Archived', 'Baking']);
+      expect(result.pagination.totalRecords).toBe(9);
+      expect(result.pagination.totalPages).toBe(5);
+      delete global.ytSearchIndex;
+    });
+
+    test('getVideosByIds keeps the requested order and drops unknown IDs', async () => {
+      fakeLocalData['video_loc1'] = { videoId: 'loc1', time: 10, timestamp: 1000 };
+
+      const records = await ytStorage.getVideosByIds(['idb1', 'nope', 'loc1']);
+
+      expect(records.map(r => r.videoId)).toEqual(['idb1', 'loc1']);
+    });
+  });
+
+  describe('profiles', () => {
+    beforeEach(() => {
+      global.ytIndexedDBStorage.useProfile = jest.fn();
+      global.ytIndexedDBStorage.deleteProfileDatabase = jest.fn().mockResolvedValue();
+    });
+
+    test('the default profile keeps the original unprefixed keys', async () => {
+      await ytStorage.setVideo('v1', { videoId: 'v1', time: 10, timestamp: 1 });
+
+      expect(fakeLocalData['video_v1']).toBeDefined();
+      expect(ytStorage.getActiveProfileId()).toBe('default');
+      expect((await ytStorage.getProfiles()).profiles.map(p => p.id)).toEqual(['default']);
+    });
+
+    test('a switched-to profile has its own videos and settings namespace', async () => {
+      fakeLocalData['video_home'] = { videoId: 'home', time: 5, timestamp: 1 };
+      fakeLocalData['settings'] = { overlayColor: 'red' };
+
+      const work = await ytStorage.createProfile('  Work ');
+      expect(work.name).toBe('Work');
+      await ytStorage.switchProfile(work.id);
+
+      expect(global.ytIndexedDBStorage.useProfile).toHaveBeenLastCalledWith(work.id);
+      expect(await ytStorage.getVideo('home')).toBeNull();
+      expect(await ytStorage.getSettings()).toBeNull();
+
+      await ytStorage.setVideo('job', { videoId: 'job', time: 7, timestamp: 2 });
+      await ytStorage.setSettings({ overlayColor: 'blue' });
+
+      expect(fakeLocalData[`profile:${work.id}:video_job`]).toEqual(expect.objectContaining({ time: 7 }));
+      expect(fakeLocalData['video_job']).toBeUndefined();
+      expect(fakeLocalData['settings']).toEqual({ overlayColor: 'red' });
+      expect(Object.keys(await ytStorage.getAllVideos())).toEqual(['job']);
+    });
+
+    test('profile names must be unique and non-empty', async () => {
+      await ytStorage.createProfile('Kids');
+      await expect(ytStorage.createProfile('kids')).rejects.toThrow('already exists');
+      await expect(ytStorage.createProfile('   ')).rejects.toThrow('required');
+    });
+
+    test('clear() in one profile leaves the others and the registry alone', async () => {
+      fakeLocalData['video_home'] = { videoId: 'home', time: 5, timestamp: 1 };
+      const kids = await ytStorage.createProfile('Kids');
+      await ytStorage.switchProfile(kids.id);
+      await ytStorage.setVideo('cartoon', { videoId: 'cartoon', time: 3, timestamp: 1 });
+
+      await ytStorage.clear();
+
+      expect(fakeLocalData[`profile:${kids.id}:video_cartoon`]).toBeUndefined();
+      expect(fakeLocalData['video_home']).toBeDefined();
+      expect(fakeLocalData['ytlhProfiles']).toBeDefined();
+    });
+
+    test('deleteProfile removes the inactive profile data and its database', async () => {
+      const kids = await ytStorage.createProfile('Kids');
+      fakeLocalData[`profile:${kids.id}:video_cartoon`] = { videoId: 'cartoon' };
+
+      await expect(ytStorage.deleteProfile('default')).rejects.toThrow('cannot be deleted');
+      await ytStorage.deleteProfile(kids.id);
+
+      expect(fakeLocalData[`profile:${kids.id}:video_cartoon`]).toBeUndefined();
+      expect(global.ytIndexedDBStorage.deleteProfileDatabase).toHaveBeenCalledWith(kids.id);
+      expect((await ytStorage.getProfiles()).profiles.map(p => p.id)).toEqual(['default']);
+    });
+
+    test('scopeStorageChanges keeps only the active profile with unprefixed keys', async () => {
+      const work = await ytStorage.createProfile('Work');
+      await ytStorage.switchProfile(work.id);
+
+      const scoped = ytStorage.scopeStorageChanges({
+        video_a: { newValue: 1 },
+        [`profile:${work.id}:video_b`]: { newValue: 2 },
+        'profile:other:video_c': { newValue: 3 }
+      });
+
+      expect(scoped).toEqual({ video_b: { newValue: 2 } });
+    });
+
+    test('changedProfileKeys names the changed keys of every profile', () => {
+      expect(ytStorage.changedProfileKeys({
+        settings: { newValue: {} },
+        'profile:p1:settings': { newValue: {} },
+        'profile:p2:video_x': { newValue: {} }
+      })).toEqual(['settings', 'settings', 'video_x']);
+    });
+
+    test('resolveAccountProfile routes accounts only when auto-switching is on', async () => {
+      const work = await ytStorage.createProfile('Work');
+      await ytStorage.mapAccountToProfile('UCwork', work.id);
+
+      expect(await ytStorage.resolveAccountProfile({ id: 'UCwork', name: 'Work channel' })).toBeNull();
+      expect((await ytStorage.getProfiles()).knownAccounts.UCwork).toEqual(
+        expect.objectContaining({ name: 'Work channel', lastSeen: expect.any(Number) })
+      );
+
+      await ytStorage.setAccountProfileOptions({ autoSwitchProfiles: true });
+      expect(await ytStorage.resolveAccountProfile({ id: 'UCwork', name: '' })).toBe(work.id);
+      expect(ytStorage.getActiveProfileId()).toBe('default');
+      expect((await ytStorage.getProfiles()).knownAccounts.UCwork.name).toBe('Work channel');
+    });
+
+    test('unknown and signed-out accounts go to the configured fallback profile', async () => {
+      const guest = await ytStorage.createProfile('Guest');
+      await ytStorage.setAccountProfileOptions({ autoSwitchProfiles: true, unknownAccountProfileId: guest.id });
+
+      expect(await ytStorage.resolveAccountProfile({ id: 'UCnew', name: 'New' })).toBe(guest.id);
+      expect(await ytStorage.resolveAccountProfile(null)).toBe(guest.id);
+      await expect(ytStorage.setAccountProfileOptions({ unknownAccountProfileId: 'nope' })).rejects.toThrow('Unknown profile');
+    });
+
+    test('tabs with different accounts neither switch the active profile nor rewrite the registry', async () => {
+      const work = await ytStorage.createProfile('Work');
+      const home = await ytStorage.createProfile('Home');
+      await ytStorage.mapAccountToProfile('UCwork', work.id);
+      await ytStorage.mapAccountToProfile('UChome', home.id);
+      await ytStorage.setAccountProfileOptions({ autoSwitchProfiles: true });
+      await ytStorage.switchProfile(home.id);
+      await ytStorage.resolveAccountProfile({ id: 'UCwork', name: 'Work' });
+      await ytStorage.resolveAccountProfile({ id: 'UChome', name: 'Home' });
+      global.chrome.storage.local.set.mockClear();
+
+      expect(await ytStorage.resolveAccountProfile({ id: 'UCwork', name: 'Work' })).toBe(work.id);
+      expect(await ytStorage.resolveAccountProfile({ id: 'UChome', name: 'Home' })).toBe(home.id);
+      expect(global.chrome.storage.local.set).not.toHaveBeenCalled();
+      expect(ytStorage.getActiveProfileId()).toBe(home.id);
+    });
+
+    test('a bound instance sends its profile with background calls', async () => {
+      const work = await ytStorage.createProfile('Work');
+      global.chrome.runtime.sendMessage.mockImplementation((message, callback) => callback({ result: null }));
+
+      ytStorage.bindProfile(work.id);
+      await ytStorage._callBackground('getVideo', ['x']);
+      ytStorage.bindProfile(null);
+      await ytStorage._callBackground('getVideo', ['x']);
+
+      const sent = global.chrome.runtime.sendMessage.mock.calls.map(([message]) => message.profileId);
+      expect(sent).toEqual([work.id, 'default']);
+    });
+
+    test('ytStorage and forProfile() of the same profile share one migration', async () => {
+      const work = await ytStorage.createProfile('Work');
+      await ytStorage.switchProfile(work.id);
+      const bound = ytStorage.forProfile(work.id);
+      jest.spyOn(bound, '_isExtensionContext').mockReturnValue(false);
+      const unboundRuns = jest.spyOn(ytStorage, '_migrateProfile');
+      const boundRuns = jest.spyOn(bound, '_migrateProfile');
+
+      await Promise.all([ytStorage.ensureMigrated(), bound.ensureMigrated(), ytStorage.ensureMigrated()]);
+
+      expect(unboundRuns.mock.calls.length + boundRuns.mock.calls.length).toBe(1);
+    });
+
+    test('forProfile works on its profile whatever the active profile is', async () => {
+      global.ytIndexedDBStorage.forProfile = jest.fn(() => global.ytIndexedDBStorage);
+      const work = await ytStorage.createProfile('Work');
+      const bound = ytStorage.forProfile(work.id);
+      jest.spyOn(bound, 'ensureMigrated').mockResolvedValue();
+      jest.spyOn(bound, '_isExtensionContext').mockReturnValue(true);
+      expect(ytStorage.forProfile(work.id)).toBe(bound);
+      expect(ytStorage.forProfile(null)).toBe(ytStorage);
+
+      await bound.setVideo('job', { videoId: 'job', time: 7, timestamp: 2 });
+      await ytStorage.switchProfile(work.id);
+      await ytStorage.switchProfile('default');
+      await bound.setSettings({ overlayColor: 'blue' });
+
+      expect(fakeLocalData[`profile:${work.id}:video_job`]).toEqual(expect.objectContaining({ time: 7 }));
+      expect(fakeLocalData[`profile:${work.id}:settings`]).toEqual({ overlayColor: 'blue' });
+      expect(fakeLocalData['video_job']).toBeUndefined();
+      expect(bound.getActiveProfileId()).toBe(work.id);
+      expect(ytStorage.getActiveProfileId()).toBe('default');
+    });
+  });
+
+  describe('channel rules', () => {
+    test('rules are stored in settings under a normalized channel key', async () => {
+      fakeLocalData['settings'] = { overlayColor: 'red' };
+
+      await ytStorage.setChannelRule('/@SomeChannel', 'ignore', 'Some Channel');
+      await ytStorage.setChannelRule('UCabcdefghijklmnopqrstuv', 'noOverlay');
+
+      expect(fakeLocalData['settings'].overlayColor).toBe('red');
+      expect(fakeLocalData['settings'].channelRules).toEqual({
+        '@SomeChannel': expect.objectContaining({ mode: 'ignore', channelName: 'Some Channel' }),
+        UCabcdefghijklmnopqrstuv: expect.objectContaining({ mode: 'noOverlay', channelName: '' })
+      });
+      // Shorts records store handles without the "@"
+      expect(await ytStorage.getChannelRule('SomeChannel')).toEqual(expect.objectContaining({ mode: 'ignore' }));
+    });
+
+    test('changing a rule keeps the name and null removes it', async () => {
+      await ytStorage.setChannelRule('@news', 'ignore', 'News');
+      await ytStorage.setChannelRule('@news', 'track');
+      expect(await ytStorage.getChannelRule('@news')).toEqual(expect.objectContaining({ mode: 'track', channelName: 'News' }));
+
+      await ytStorage.setChannelRule('@news', null);
+      expect(await ytStorage.getChannelRules()).toEqual({});
+    });
+
+    test('a rule keeps the channel\'s other ID and matches either', async () => {
+      await ytStorage.setChannelRule('UCabcdefghijklmnopqrstuv', 'ignore', 'News', ['@news']);
+
+      expect(await ytStorage.getChannelRule('@news')).toEqual(expect.objectContaining({ mode: 'ignore', channelName: 'News' }));
+      expect(await ytStorage.getChannelRule('news')).toEqual(expect.objectContaining({ mode: 'ignore' }));
+
+      // Set from a page that only shows the handle: same rule, not a second one
+      await ytStorage.setChannelRule('@news', 'track');
+      expect(await ytStorage.getChannelRules()).toEqual({
+        UCabcdefghijklmnopqrstuv: expect.objectContaining({ mode: 'track', channelName: 'News', aliases: ['@news'] })
+      });
+
+      // Rules made from both forms before they were linked are merged
+      await ytStorage.setChannelRule('@other', 'ignore');
+      await ytStorage.setChannelRule('UCzzzzzzzzzzzzzzzzzzzzzz', 'noOverlay', '', ['@other']);
+      const rules = await ytStorage.getChannelRules();
+      expect(Object.keys(rules)).toEqual(['UCabcdefghijklmnopqrstuv', 'UCzzzzzzzzzzzzzzzzzzzzzz']);
+      expect(rules.UCzzzzzzzzzzzzzzzzzzzzzz.aliases).toEqual(['@other']);
+
+      await ytStorage.setChannelRule('@news', null);
+      expect(await ytStorage.getChannelRule('UCabcdefghijklmnopqrstuv')).toBeNull();
+    });
+
+    test('rejects unknown modes and missing channels', async () => {
+      await expect(ytStorage.setChannelRule('@news', 'mute')).rejects.toThrow('Unknown channel rule');
+      await expect(ytStorage.setChannelRule('Unknown', 'ignore')).rejects.toThrow('Channel ID is required');
+    });
+  });
+
+  describe('tracking rules', () => {
+    const record = { videoId: 'v1', title: 'Lofi Beats to Study', channelName: 'Chill Hub', url: 'https://www.youtube.com/watch?v=v1', timestamp: 1000 };
+
+    test('addTrackingRule validates and stores rules in settings', async () => {
+      await expect(ytStorage.addTrackingRule({ field: 'title', pattern: '(', isRegex: true, action: 'skip' }))
+        .rejects.toThrow('Invalid regular expression');
+      await expect(ytStorage.addTrackingRule({ field: 'title', pattern: 'x', action: 'expire', days: 0 }))
+        .rejects.toThrow('Days must be a positive number');
+      await expect(ytStorage.addTrackingRule({ field: 'title', pattern: 'x', action: 'tag' }))
+        .rejects.toThrow('Label is required');
+
+      const rule = await ytStorage.addTrackingRule({ field: 'channel', pattern: ' chill ', action: 'tag', label: 'Music' });
+      expect(rule).toEqual(expect.objectContaining({ field: 'channel', pattern: 'chill', isRegex: false, label: 'Music' }));
+      expect(await ytStorage.getTrackingRules()).toEqual([rule]);
+
+      await ytStorage.removeTrackingRule(rule.id);
+      expect(await ytStorage.getTrackingRules()).toEqual([]);
+    });
+
+    test('evaluateTrackingRules combines skip, expiry and labels', () => {
+      const rules = [
+        { field: 'title', pattern: 'lofi', action: 'tag', label: 'Music' },
+        { field: 'channel', pattern: '^chill', isRegex: true, action: 'expire', days: 7 },
+        { field: 'url', pattern: 'watch', action: 'expire', days: 2 },
+        { field: 'title', pattern: 'cartoon', action: 'skip' }
+      ];
+
+      const result = ytStorage.evaluateTrackingRules(record, rules);
+      expect(result.skip).toBe(false);
+      expect(result.tags).toEqual(['Music']);
+      expect(result.expiresAt).toBe(1000 + 2 * 24 * 60 * 60 * 1000);
+      expect(ytStorage.evaluateTrackingRules({ ...record, title: 'Cartoon time' }, rules).skip).toBe(true);
+    });
+
+    test('purgeExpiredVideos removes only records past their expiry', async () => {
+      jest.spyOn(ytStorage, 'getAllVideos').mockResolvedValue({
+        old: { videoId: 'old', expiresAt: Date.now() - 1 },
+        fresh: { videoId: 'fresh', expiresAt: Date.now() + 60000 },
+        plain: { videoId: 'plain' }
+      });
+      const removeSpy = jest.spyOn(ytStorage, 'removeVideos').mockResolvedValue({ removed: 1 });
+
+      expect(await ytStorage.purgeExpiredVideos()).toBe(1);
+      expect(removeSpy).toHaveBeenCalledWith(['old'], { requireTrash: true });
+    });
+  });
+
+  describe('retention policies', () => {
+    const DAY = 24 * 60 * 60 * 1000;
+
+    test('defaults keep everything and unknown values fall back to forever', async () => {
+      expect(await ytStorage.getRetentionPolicies()).toEqual({
+        shorts: 'forever', completed: 'forever', unfinished: 'forever', ignoredPlaylists: 'keep'
+      });
+      const getAllSpy = jest.spyOn(ytStorage, 'getAllVideos');
+
+      expect(await ytStorage.applyRetentionPolicies()).toEqual(expect.objectContaining({ removed: 0 }));
+      expect(getAllSpy).not.toHaveBeenCalled();
+
+      expect(await ytStorage.setRetentionPolicies({ shorts: '7', completed: 'bogus' })).toEqual(
+        expect.objectContaining({ shorts: 7, completed: 'forever' })
+      );
+    });
+
+    // Stands in for the IndexedDB timestamp-index range delete
+    function fakeRangeDelete(records) {
+      global.ytIndexedDBStorage.putTrashEntries = jest.fn().mockResolvedValue();
+      global.ytIndexedDBStorage.deleteVideosBefore = jest.fn(async (cutoff, shouldDelete) => {
+        return records.filter(record => (cutoff === null || record.timestamp <= cutoff) && shouldDelete(record));
+      });
+    }
+
+    const TRASHED = { moveToTrash: true };
+
+    test('each record is judged by the policy for its type and state', async () => {
+      const now = Date.now();
+      await ytStorage.setRetentionPolicies({ shorts: 7, completed: 30, ignoredPlaylists: 'remove' });
+      jest.spyOn(ytStorage, 'getAllPlaylists').mockResolvedValue({
+        PLquiet: { playlistId: 'PLquiet', ignoreVideos: true },
+        PLloud: { playlistId: 'PLloud' }
+      });
+      fakeRangeDelete([
+        { videoId: 'oldShort', isShorts: true, time: 5, duration: 30, timestamp: now - 8 * DAY },
+        { videoId: 'newShort', isShorts: true, time: 5, duration: 30, timestamp: now - 2 * DAY },
+        { videoId: 'oldDone', time: 95, duration: 100, timestamp: now - 31 * DAY },
+        { videoId: 'oldHalf', time: 50, duration: 100, timestamp: now - 400 * DAY },
+        { videoId: 'quiet', time: 1, duration: 100, timestamp: now, playlistId: 'PLquiet' },
+        { videoId: 'loud', time: 1, duration: 100, timestamp: now, playlistId: 'PLloud' },
+        // Rewatched since: the storage.local copy decides
+        { videoId: 'rewatched', time: 95, duration: 100, timestamp: now - 60 * DAY }
+      ]);
+      fakeLocalData['video_rewatched'] = { videoId: 'rewatched', time: 95, duration: 100, timestamp: now };
+      fakeLocalData['video_localDone'] = { videoId: 'localDone', time: 95, duration: 100, timestamp: now - 40 * DAY };
+      const removeSpy = jest.spyOn(ytStorage, 'removeVideos').mockResolvedValue({ removed: 1 });
+
+      const result = await ytStorage.applyRetentionPolicies();
+
+      expect(global.ytIndexedDBStorage.deleteVideosBefore).toHaveBeenCalledWith(null, expect.any(Function), TRASHED);
+      expect(removeSpy).toHaveBeenCalledWith(['localDone'], { requireTrash: true });
+      expect(result).toEqual({
+        removed: 4,
+        byPolicy: { shorts: 1, completed: 2, unfinished: 0, ignoredPlaylists: 1 }
+      });
+      expect(fakeLocalData['deleted_video_oldDone']).toEqual({ deletedAt: expect.any(Number) });
+    });
+
+    test('local videos are kept when their trash copy cannot be written', async () => {
+      const now = Date.now();
+      await ytStorage.setRetentionPolicies({ completed: 30 });
+      fakeRangeDelete([]);
+      global.ytIndexedDBStorage.putTrashEntries.mockRejectedValue(new Error('QuotaExceededError'));
+      global.ytIndexedDBStorage.getVideosByIds = jest.fn().mockResolvedValue([]);
+      fakeLocalData['video_localDone'] = { videoId: 'localDone', time: 95, duration: 100, timestamp: now - 40 * DAY };
+
+      const result = await ytStorage.applyRetentionPolicies();
+
+      expect(result.removed).toBe(0);
+      expect(fakeLocalData['video_localDone']).toBeDefined();
+    });
+
+    test('the range starts at the shortest retention period', async () => {
+      jest.spyOn(Date, 'now').mockReturnValue(100 * DAY);
+      await ytStorage.setRetentionPolicies({ completed: 30, unfinished: 90 });
+      fakeRangeDelete([]);
+
+      await ytStorage.applyRetentionPolicies();
+
+      expect(global.ytIndexedDBStorage.deleteVideosBefore).toHaveBeenCalledWith(70 * DAY, expect.any(Function), TRASHED);
+      Date.now.mockRestore();
+    });
+  });
+
+  describe('maintenance', () => {
+    test('cleanupTombstones reports how many tombstones and trash entries went', async () => {
+      global.ytIndexedDBStorage.cleanupTombstones.mockResolvedValue(2);
+      global.ytIndexedDBStorage.cleanupTrash = jest.fn().mockResolvedValue(3);
+      fakeLocalData['deleted_video_old'] = { deletedAt: Date.now() - 2000 };
+      fakeLocalData['deleted_video_new'] = { deletedAt: Date.now() };
+
+      expect(await ytStorage.cleanupTombstones(1000)).toEqual({ tombstones: 3, trash: 3 });
+      expect(fakeLocalData['deleted_video_old']).toBeUndefined();
+      expect(fakeLocalData['deleted_video_new']).toBeDefined();
+    });
+
+    test('compactStats rolls daily buckets outside the kept window up into months', async () => {
+      const today = new Date();
+      const todayKey = `${today.getFullYear()}-${String(today.getMonth() + 1).padStart(2, '0')}-${String(today.getDate()).padStart(2, '0')}`;
+      fakeLocalData.stats = {
+        stats_synced: true,
+        totalWatchSeconds: 100,
+        daily: { [todayKey]: 60, '2001-01-01': 10, '2001-01-20': 5 },
+        monthly: { '2001-01': 25 }
+      };
+
+      expect(await ytStorage.compactStats()).toBe(2);
+      expect(fakeLocalData.stats.daily).toEqual({ [todayKey]: 60 });
+      expect(fakeLocalData.stats.monthly).toEqual({ '2001-01': 40 });
+      expect(fakeLocalData.stats.totalWatchSeconds).toBe(100);
+      expect(await ytStorage.compactStats()).toBe(0);
+    });
+
+    test('the last cleanup report is stored and read back', async () => {
+      expect(await ytStorage.getCleanupReport()).toBeNull();
+      await ytStorage.setCleanupReport({ ranAt: 5, expired: 1 });
+      expect(await ytStorage.getCleanupReport()).toEqual({ ranAt: 5, expired: 1 });
+    });
+  });
+
+  describe('tracking pause', () => {
+    test('a timed pause expires on its own', async () => {
+      jest.spyOn(Date, 'now').mockReturnValue(1000000);
+      const pause = await ytStorage.pauseTracking(60);
+      expect(pause).toEqual({ paused: true, pausedAt: 1000000, until: 1000000 + 60 * 60 * 1000 });
+      expect((await ytStorage.getTrackingPause()).paused).toBe(true);
+
+      Date.now.mockReturnValue(1000000 + 60 * 60 * 1000);
+      expect(await ytStorage.getTrackingPause()).toEqual({ paused: false, pausedAt: null, until: null });
+      Date.now.mockRestore();
+    });
+
+    test('a pause without a timer lasts until resumed', async () => {
+      await ytStorage.pauseTracking(0);
+      expect(await ytStorage.getTrackingPause()).toEqual(expect.objectContaining({ paused: true, until: null }));
+
+      await ytStorage.resumeTracking();
+      expect((await ytStorage.getTrackingPause()).paused).toBe(false);
+    });
+
+    test('the pause is shared by all profiles and survives clearing history', async () => {
+      await ytStorage.pauseTracking(0);
+      await ytStorage.clear();
+
+      expect(fakeLocalData['ytlhTrackingPause']).toBeDefined();
+      expect((await ytStorage.getTrackingPause()).paused).toBe(true);
+    });
+  });
+
+  describe('rewatch counting', () => {
+    const save = (previous, time) => ytStorage.trackCompletion(previous, { videoId: 'v1', time, duration: 100, timestamp: time });
+
+    test('a restart after a completed view counts the next completion again', () => {
+      let record = save(null, 50);
+      expect(record).toEqual(expect.objectContaining({ completionCount: 0, viewCompleted: false }));
+
+      record = save(record, 95);
+      expect(record).toEqual(expect.objectContaining({ completionCount: 1, viewCompleted: true }));
+      const firstCompletion = record.lastCompletedAt;
+
+      // Seeking around near the end is still the same view
+      record = save(save(record, 80), 96);
+      expect(record.completionCount).toBe(1);
+      expect(record.lastCompletedAt).toBe(firstCompletion);
+
+      // Starting over keeps the finished view counted
+      record = save(record, 5);
+      expect(record).toEqual(expect.objectContaining({ time: 5, completionCount: 1, viewCompleted: false }));
+
+      record = save(record, 92);
+      expect(record.completionCount).toBe(2);
+    });
+
+    test('records from before counting count one view when completed', () => {
+      const legacy = { videoId: 'v1', time: 99, duration: 100, timestamp: 1234 };
+      expect(save(legacy, 99)).toEqual(expect.objectContaining({ completionCount: 1, lastCompletedAt: 1234 }));
+      expect(save({ ...legacy, time: 30 }, 40)).toEqual(expect.objectContaining({ completionCount: 0, lastCompletedAt: null }));
+    });
+
+    test('marking a restarted video as watched counts another view', async () => {
+      global.ytIndexedDBStorage.putVideos = jest.fn().mockResolvedValue();
+      fakeLocalData['video_v1'] = { videoId: 'v1', time: 3, duration: 100, timestamp: 10, completionCount: 1, viewCompleted: false };
+
+      const saved = await ytStorage.markVideoWatched('v1');
+
+      expect(saved).toEqual(expect.objectContaining({ time: 100, completionCount: 2, viewCompleted: true }));
+    });
+  });
+
+  describe('watched segments', () => {
+    const save = (previous, time, played) =>
+      ytStorage.trackCompletion(previous, { videoId: 'v1', time, duration: 100, timestamp: time }, played);
+
+    test('played intervals are merged and completion comes from coverage', () => {
+      let record = save(null, 20, [[0, 20]]);
+      record = save(record, 40, [[20.5, 30], [60, 70], [30, 40]]);
+
+      expect(record.watchedSegments).toEqual([[0, 40], [60, 70]]);
+      expect(ytStorage.watchedRatio(record)).toBeCloseTo(0.5);
+
+      // Skipping to the end is not watching it
+      record = save(record, 95, [[90, 95]]);
+      expect(record.completionCount).toBe(0);
+
+      record = save(record, 95, [[40, 60], [70, 90]]);
+      expect(record.watchedSegments).toEqual([[0, 95]]);
+      expect(record).toEqual(expect.objectContaining({ completionCount: 1, viewCompleted: true }));
+    });
+
+    test('records without segments count as played up to their position', () => {
+      const legacy = { videoId: 'v1', time: 50, duration: 100, timestamp: 1 };
+      expect(ytStorage.watchedRatio(legacy)).toBe(0.5);
+      expect(save(legacy, 60, [[50, 60]]).watchedSegments).toEqual([[0, 60]]);
+    });
+
+    test('a restart after a completed view starts with fresh segments', () => {
+      const completed = save(null, 99, [[0, 99]]);
+
+      const restarted = save(completed, 5, [[97, 99], [0, 5]]);
+
+      expect(restarted.watchedSegments).toEqual([[0, 5]]);
+      expect(restarted.viewCompleted).toBe(false);
+    });
+
+    test('saves without played intervals keep the stored segments', () => {
+      const record = save(null, 30, [[0, 10], [20, 30]]);
+      expect(save(record, 35).watchedSegments).toEqual([[0, 10], [20, 30]]);
+    });
+  });
+
+  describe('viewing sessions', () => {
+    beforeEach(() => {
+      Object.assign(global.ytIndexedDBStorage, {
+        putSession: jest.fn().mockResolvedValue(),
+        getSessionsForVideo: jest.fn().mockResolvedValue([
+          { sessionId: 'v1:1', videoId: 'v1', startedAt: 1 },
+          { sessionId: 'v1:2', videoId: 'v1', startedAt: 2 }
+        ]),
+        getAllTrash: jest.fn().mockResolvedValue([
+          { trashId: 'video:gone', type: 'video', id: 'gone' },
+          { trashId: 'video:back', type: 'video', id: 'back' },
+          { trashId: 'playlist:PL1', type: 'playlist', id: 'PL1' }
+        ]),
+        clearTrash: jest.fn().mockResolvedValue(),
+        getVideosByIds: jest.fn(async (ids) => ids.map(() => null)),
+        deleteSessionsForVideos: jest.fn().mockResolvedValue(1)
+      });
+    });
+
+    test('recordSession stores clean numbers and keeps the tab', async () => {
+      await ytStorage.recordSession({
+        sessionId: 'v1:1000', videoId: 'v1', startedAt: 1000, endedAt: 900,
+        startPosition: '12', endPosition: 40, playbackRate: 'fast', tabId: 7, extra: 'x'
+      });
+
+      expect(global.ytIndexedDBStorage.putSession).toHaveBeenCalledWith({
+        sessionId: 'v1:1000',
+        videoId: 'v1',
+        startedAt: 1000,
+        endedAt: 1000,
+        startPosition: 12,
+        endPosition: 40,
+        playbackRate: 1,
+        isShorts: false,
+        tabId: 7
+      });
+    });
+
+    test('getVideoSessions lists the newest session first', async () => {
+      const sessions = await ytStorage.getVideoSessions('v1');
+      expect(sessions.map(s => s.sessionId)).toEqual(['v1:2', 'v1:1']);
+    });
+
+    test('emptying the trash deletes sessions of videos that were not watched again', async () => {
+      fakeLocalData['video_back'] = { videoId: 'back', time: 5, timestamp: 10 };
+
+      await ytStorage.purgeTrash();
+
+      expect(global.ytIndexedDBStorage.clearTrash).toHaveBeenCalled();
+      expect(global.ytIndexedDBStorage.deleteSessionsForVideos).toHaveBeenCalledWith(['gone']);
+    });
+  });
+
+  describe('backups (snapshot, rotation, restore)', () => {
+    let backupStore;
+
+    beforeEach(() => {
+      backupStore = {};
+      Object.assign(global.ytIndexedDBStorage, {
+        getVideosChunkByTimestamp: jest.fn().mockResolvedValue({
+          records: [{ videoId: 'v1', time: 10, timestamp: 1000 }],
+          next: null
+        }),
+        countVideos: jest.fn().mockResolvedValue(1),
+        putVideos: jest.fn().mockResolvedValue(),
+        putPlaylists: jest.fn().mockResolvedValue(),
+        clearAll: jest.fn().mockResolvedValue(),
+        putBackup: jest.fn(async (backup) => { backupStore[backup.id] = backup; }),
+        getBackup: jest.fn(async (id) => backupStore[id] || null),
+        deleteBackup: jest.fn(async (id) => { delete backupStore[id]; }),
+        listBackups: jest.fn(async () => Object.values(backupStore)
+          .sort((a, b) => b.id - a.id)
+          .map(({ data, ...meta }) => meta))
+      });
+      global.ytIndexedDBStorage.getAllPlaylists.mockResolvedValue([{ playlistId: 'PL1', title: 'List' }]);
+      fakeLocalData.settings = { backupRetention: 2, overlayColor: 'red' };
+      fakeLocalData.stats = { totalWatchSeconds: 42 };
+    });
+
+    test('snapshot contains videos, playlists, settings and stats', async () => {
+      const snapshot = await ytStorage.createBackupSnapshot('manual');
+
+      expect(snapshot.counts).toEqual({ videos: 1, playlists: 1 });
+      expect(snapshot.data.history[0].videoId).toBe('v1');
+      expect(snapshot.data.settings.overlayColor).toBe('red');
+      expect(snapshot.data.stats.totalWatchSeconds).toBe(42);
+    });
+
+    test('saveBackup keeps only the newest `retention` snapshots', async () => {
+      for (const id of [1, 2, 3]) {
+        await ytStorage.saveBackup({ id, createdAt: id, reason: 'scheduled', counts: {}, data: {} }, 2);
+      }
+
+      expect(Object.keys(backupStore).map(Number).sort()).toEqual([2, 3]);
+    });
+
+    test('restoreBackup writes the snapshot back after saving a pre-restore copy', async () => {
+      backupStore[5] = {
+        id: 5, createdAt: 5, reason: 'scheduled', counts: { videos: 1, playlists: 0 },
+        data: {
+          history: [{ videoId: 'old', time: 1, timestamp: 5 }],
+          playlists: [],
+          settings: { overlayColor: 'green' },
+          stats: { totalWatchSeconds: 7 }
+        }
+      };
+
+      const result = await ytStorage.restoreBackup(5);
+
+      expect(result.restoredVideos).toBe(1);
+      expect(global.ytIndexedDBStorage.clearAll).toHaveBeenCalled();
+      expect(global.ytIndexedDBStorage.putVideos).toHaveBeenCalledWith([{ videoId: 'old', time: 1, timestamp: 5 }]);
+      expect(fakeLocalData.settings.overlayColor).toBe('green');
+      expect(fakeLocalData.stats.totalWatchSeconds).toBe(7);
+      expect(backupStore[result.safetyBackupId].reason).toBe('pre-restore');
+      expect(backupStore[5]).toBeDefined();
+    });
+
+    test('createClearUndoPoint stores a pre-clear snapshot that restores without a safety copy', async () => {
+      const id = await ytStorage.createClearUndoPoint();
+      expect(backupStore[id].reason).toBe('pre-clear');
+      expect(backupStore[id].data.history).toHaveLength(1);
+
+      const result = await ytStorage.restoreBackup(id, { safetyBackup: false });
+
+      expect(result.safetyBackupId).toBeNull();
+      expect(Object.keys(backupStore)).toHaveLength(1);
+      expect(global.ytIndexedDBStorage.putVideos).toHaveBeenCalledWith([
+        expect.objectContaining({ videoId: 'v1' })
+      ]);
+    });
+
+    test('undo snapshots stay out of rotation and are dropped once stale or replaced', async () => {
+      const now = Date.now();
+      backupStore[1] = { id: 1, createdAt: now - 60 * 60 * 1000, reason: 'pre-clear', counts: {}, data: {} };
+      const undoId = await ytStorage.createClearUndoPoint();
+      expect(backupStore[1]).toBeUndefined();
+
+      for (const id of [2, 3, 4]) {
+        await ytStorage.saveBackup({ id, createdAt: now, reason: 'scheduled', counts: {}, data: {} }, 2);
+      }
+      expect(Object.keys(backupStore).map(Number).sort()).toEqual([3, 4, undoId].sort());
+
+      backupStore[undoId].createdAt = now - 60 * 60 * 1000;
+      await ytStorage.saveBackup({ id: 5, createdAt: now, reason: 'scheduled', counts: {}, data: {} }, 2);
+      expect(backupStore[undoId]).toBeUndefined();
+    });
   });
 
   describe('playlist storage (ignore flags)', () => {
@@ -0,0 +1,162 @@
+/**
+ * Unit tests for the content script's import helpers: the Google Takeout
+ * watch-history parser and the dry-run preview summary.
+ *
+ * Uses the test hook exposed via window.__YTVHT_TEST__.importers.
+ */
+
+'use strict';
+
+if (!global.window.__YTVHT_TEST__) {
+  global.window.__YTVHT_TEST__ = {};
+}
+
+require('../../src/content.js');
+
+const { parseTakeoutHistory, addImportPreviews, formatImportPreview } = global.window.__YTVHT_TEST__.importers;
+
+describe('Google Takeout import parsing', () => {
+  test('parses watch-history.json entries into seen-without-progress records', () => {
+    const json = JSON.stringify([
+      {
+        header: 'YouTube',
+        title: 'Watched Never Gonna Give You Up',
+        titleUrl: 'https://www.youtube.com/watch?v=dQw4w9WgXcQ',
+        subtitles: [{ name: 'Rick Astley', url: 'https://www.youtube.com/channel/UCuAXFkgsw1L7xaCfnd5JJOw' }],
+        time: '2024-03-01T10:00:00.000Z',
+        products: ['YouTube'],
+        activityControls: ['YouTube watch history']
+      }
+    ]);
+
+    const result = parseTakeoutHistory(json, 'watch-history.json');
+
+    expect(result.skipped).toBe(0);
+    expect(result.records).toEqual([{
+      videoId: 'dQw4w9WgXcQ',
+      title: 'Never Gonna Give You Up',
+      channelName: 'Rick Astley',
+      channelId: 'UCuAXFkgsw1L7xaCfnd5JJOw',
+      url: 'https://www.youtube.com/watch?v=dQw4w9WgXcQ',
+      time: 0,
+      duration: 0,
+      timestamp: Date.parse('2024-03-01T10:00:00.000Z'),
+      seenWithoutProgress: true
+    }]);
+  });
+
+  test('keeps the latest view per video and skips ads and removed videos', () => {
+    const json = JSON.stringify([
+      { title: 'Watched Clip', titleUrl: 'https://www.youtube.com/watch?v=aaaaaaaaaaa', time: '2024-01-01T00:00:00Z', activityControls: [] },
+      { title: 'Watched Clip', titleUrl: 'https://www.youtube.com/watch?v=aaaaaaaaaaa', time: '2024-02-01T00:00:00Z', activityControls: [] },
+      { title: 'Watched Promo', titleUrl: 'https://www.youtube.com/watch?v=bbbbbbbbbbb', time: '2024-02-01T00:00:00Z', details: [{ name: 'From Google Ads' }] },
+      { title: 'Watched a video that has been removed', time: '2024-02-01T00:00:00Z', activityControls: [] }
+    ]);
+
+    const result = parseTakeoutHistory(json, 'watch-history.json');
+
+    expect(result.records).toHaveLength(1);
+    expect(result.records[0].timestamp).toBe(Date.parse('2024-02-01T00:00:00Z'));
+    expect(result.records[0].channelName).toBe('Unknown Channel');
+    expect(result.skipped).toBe(2);
+  });
+
+  test('marks Shorts entries as Shorts with a /shorts/ URL', () => {
+    const json = JSON.stringify([
+      { title: 'Watched Quick tip', titleUrl: 'https://www.youtube.com/shorts/sssssssssss', time: '2024-03-01T10:00:00Z', activityControls: [] },
+      { title: 'Watched Long video', titleUrl: 'https://www.youtube.com/watch?v=vvvvvvvvvvv', time: '2024-03-01T09:00:00Z', activityControls: [] }
+    ]);
+
+    const { records } = parseTakeoutHistory(json, 'watch-history.json');
+    const byId = Object.fromEntries(records.map(record => [record.videoId, record]));
+
+    expect(byId.sssssssssss).toMatchObject({ isShorts: true, url: 'https://www.youtube.com/shorts/sssssssssss' });
+    expect(byId.vvvvvvvvvvv.isShorts).toBeUndefined();
+    expect(byId.vvvvvvvvvvv.url).toBe('https://www.youtube.com/watch?v=vvvvvvvvvvv');
+  });
+
+  test('parses watch-history.html content cells', () => {
+    const html = `
+      <html><body><div class="mdl-grid">
+        <div class="outer-cell mdl-cell">
+          <div class="mdl-grid">
+            <div class="content-cell mdl-cell">Watched <a href="https://www.youtube.com/watch?v=ccccccccccc">HTML Video</a><br><a href="https://www.youtube.com/channel/UC123">Some Channel</a><br>Mar 1, 2024, 10:00:00 AM GMT<br></div>
+            <div class="content-cell mdl-cell mdl-typography--caption"><b>Products:</b><br>&emsp;YouTube<br></div>
+          </div>
+        </div>
+      </div></body></html>`;
+
+    const result = parseTakeoutHistory(html, 'watch-history.html');
+
+    expect(result.records).toHaveLength(1);
+    expect(result.records[0]).toMatchObject({
+      videoId: 'ccccccccccc',
+      title: 'HTML Video',
+      channelName: 'Some Channel',
+      channelId: 'UC123',
+      timestamp: Date.parse('2024-03-01T10:00:00Z'),
+      seenWithoutProgress: true
+    });
+  });
+
+  test('returns null for the extension\'s own export format', () => {
+    const json = JSON.stringify({ history: [{ videoId: 'x', time: 1, timestamp: 1 }], playlists: [] });
+    expect(parseTakeoutHistory(json, 'youtube-history-2024-01-01.json')).toBeNull();
+  });
+});
+
+describe('Import dry-run preview', () => {
+  const emptyReport = () => ({
+    total: 0, newVideos: 0, updatedVideos: 0, overwriteNewer: 0, skippedOlder: 0,
+    invalid: 0, invalidReasons: {}, matchedVideos: 0, existingVideos: 0,
+    playlists: { new: 0, updated: 0, skipped: 0, invalid: 0 }
+  });
+
+  test('adds up per-slice reports without double counting existing videos', () => {
+    const a = { ...emptyReport(), total: 2, newVideos: 1, invalid: 1, invalidReasons: { 'missing videoId': 1 }, existingVideos: 10 };
+    const b = { ...emptyReport(), total: 2, updatedVideos: 2, matchedVideos: 2, invalidReasons: {}, existingVideos: 10 };
+
+    const sum = addImportPreviews(a, b);
+
+    expect(sum.total).toBe(4);
+    expect(sum.newVideos).toBe(1);
+    expect(sum.updatedVideos).toBe(2);
+    expect(sum.invalidReasons).toEqual({ 'missing videoId': 1 });
+    expect(sum.existingVideos).toBe(10);
+  });
+
+  test('counts a stored video matched in several slices once', () => {
+    const a = { ...emptyReport(), total: 2, updatedVideos: 2, matchedIds: ['x', 'y'], matchedVideos: 2, existingVideos: 3 };
+    const b = { ...emptyReport(), total: 2, updatedVideos: 2, matchedIds: ['y', 'z'], matchedVideos: 2, existingVideos: 3 };
+
+    const sum = addImportPreviews(a, b);
+
+    expect(sum.matchedVideos).toBe(3);
+    expect(formatImportPreview(sum, false).text).toContain('0 stored videos are not in this file');
+    expect(formatImportPreview(addImportPreviews(a, a), false).warning).toContain('remove 1 videos');
+  });
+
+  test('merge mode summary lists skipped records and carries no warning', () => {
+    const report = { ...emptyReport(), total: 3, newVideos: 1, skippedOlder: 2, matchedVideos: 2, existingVideos: 50 };
+
+    const summary = formatImportPreview(report, true);
+
+    expect(summary.text).toContain('2 skipped');
+    expect(summary.warning).toBeNull();
+  });
+
+  test('replace mode warns about videos that would be lost or rolled back', () => {
+    const report = {
+      ...emptyReport(), total: 5, newVideos: 2, updatedVideos: 1, overwriteNewer: 2,
+      invalid: 1, invalidReasons: { 'missing or non-numeric time': 1 },
+      matchedVideos: 3, existingVideos: 40
+    };
+
+    const summary = formatImportPreview(report, false);
+
+    expect(summary.text).toContain('2 overwrite NEWER stored copies');
+    expect(summary.text).toContain('1 invalid (1 missing or non-numeric time)');
+    expect(summary.warning).toContain('remove 37 videos');
+    expect(summary.warning).toContain('roll back 2 videos');
+  });
+});